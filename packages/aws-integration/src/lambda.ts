@@ -65,7 +65,7 @@ export function createAWSLambdaHandlerForComponentServer(
     const method = event.requestContext.http.method.toUpperCase();
 
     if (method === 'GET') {
-      return await handleRequest({query: {'introspect=>': {'()': []}}});
+      return await handleRequest({query: {'introspect=>': {'()': []}}}, event);
     }
 
     if (method === 'POST') {
@@ -83,7 +83,7 @@ export function createAWSLambdaHandlerForComponentServer(
         return {statusCode: 400, body: 'Bad Request'};
       }
 
-      return await handleRequest(request);
+      return await handleRequest(request, event);
     }
 
     if (method === 'OPTIONS') {
@@ -93,8 +93,25 @@ export function createAWSLambdaHandlerForComponentServer(
     return {statusCode: 405, body: 'Method Not Allowed'};
   };
 
-  const handleRequest = async (request: any): Promise<APIGatewayProxyStructuredResultV2> => {
-    const response = await componentServer.receive(request);
+  const handleRequest = async (
+    request: any,
+    event: APIGatewayProxyEventV2
+  ): Promise<APIGatewayProxyStructuredResultV2> => {
+    let response;
+
+    try {
+      response = await componentServer.receive(request, {
+        context: {headers: event.headers, ip: event.requestContext.http.sourceIp}
+      });
+    } catch (error) {
+      const {status, body} = componentServer.getErrorResponse(error);
+
+      return {
+        statusCode: status,
+        headers: {'content-type': 'application/json'},
+        body: JSON.stringify(body)
+      };
+    }
 
     return {
       statusCode: 200,
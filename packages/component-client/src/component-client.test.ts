@@ -1,4 +1,12 @@
-import {Component, isComponentClass} from '@layr/component';
+import {
+  Component,
+  isComponentClass,
+  method,
+  expose,
+  NotFoundError,
+  VersionMismatchError
+} from '@layr/component';
+import {ComponentServer} from '@layr/component-server';
 import type {ComponentServerLike} from '@layr/component-server';
 import isEqual from 'lodash/isEqual';
 
@@ -427,4 +435,59 @@ describe('ComponentClient', () => {
       expect(movies[1].isPlaying).toBe(true);
     });
   });
+
+  test('Rethrowing errors', async () => {
+    class Movie extends Component {
+      @expose({call: true}) @method() static get(id: string) {
+        throw new NotFoundError(`Cannot find the movie (id: '${id}')`, {code: 'MOVIE_NOT_FOUND'});
+      }
+    }
+
+    const componentServer = new ComponentServer(Movie, {version: 1});
+
+    // Simulate a remote component server by sending JSON back and forth
+    const remoteServer: ComponentServerLike = {
+      async receive(request) {
+        try {
+          return JSON.parse(
+            JSON.stringify(await componentServer.receive(JSON.parse(JSON.stringify(request))))
+          );
+        } catch (error) {
+          const {
+            body: {message, ...attributes}
+          } = componentServer.getErrorResponse(error);
+
+          throw Object.assign(new Error(message), JSON.parse(JSON.stringify(attributes)));
+        }
+      }
+    };
+
+    const RemoteMovie = (await new ComponentClient(remoteServer, {
+      version: 1
+    }).getComponent()) as typeof Movie;
+
+    let error: any;
+
+    try {
+      await RemoteMovie.get('abc123');
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(NotFoundError);
+    expect(error.message).toBe("Cannot find the movie (id: 'abc123')");
+    expect(error.code).toBe('MOVIE_NOT_FOUND');
+    expect(error.status).toBe(404);
+
+    error = undefined;
+
+    try {
+      await new ComponentClient(remoteServer, {version: 2}).getComponent();
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(VersionMismatchError);
+    expect(error.code).toBe('COMPONENT_CLIENT_VERSION_DOES_NOT_MATCH_COMPONENT_SERVER_VERSION');
+  });
 });
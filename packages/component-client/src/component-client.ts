@@ -1,15 +1,17 @@
 import {
   Component,
   ComponentSet,
+  isComponentInstance,
   ComponentGetter,
   Attribute,
   serialize,
   deserialize,
   ensureComponentClass,
   ComponentMixin,
-  assertIsComponentMixin
+  assertIsComponentMixin,
+  restoreLayrError
 } from '@layr/component';
-import type {ComponentServerLike} from '@layr/component-server';
+import type {ComponentServerLike, ComponentServerRequest} from '@layr/component-server';
 import {Microbatcher, Invocation} from 'microbatcher';
 import {getTypeOf, PlainObject} from 'core-helpers';
 import {possiblyAsync} from 'possibly-async';
@@ -20,6 +22,8 @@ const debug = debugModule('layr:component-client');
 // DEBUG=layr:component-client DEBUG_DEPTH=5
 
 import {isComponentClientInstance} from './utilities';
+import type {OfflineQueue} from './offline-queue';
+import type {OfflineQueueEntry} from './offline-queue-storage';
 
 interface SendInvocation extends Invocation {
   operation: 'send';
@@ -31,6 +35,7 @@ export type ComponentClientOptions = {
   version?: number;
   mixins?: ComponentMixin[];
   batchable?: boolean;
+  offlineQueue?: OfflineQueue;
 };
 
 /**
@@ -43,13 +48,15 @@ export class ComponentClient {
   _version: number | undefined;
   _mixins: ComponentMixin[] | undefined;
   _sendBatcher: Microbatcher<SendInvocation> | undefined;
+  _offlineQueue: OfflineQueue | undefined;
 
   /**
    * Creates a component client.
    *
    * @param componentServer The [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) to connect to.
-   * @param [options.version] A number specifying the expected version of the component server (default: `undefined`). If a version is specified, an error is thrown when a request is sent and the component server has a different version. The thrown error is a JavaScript `Error` instance with a `code` attribute set to `'COMPONENT_CLIENT_VERSION_DOES_NOT_MATCH_COMPONENT_SERVER_VERSION'`.
+   * @param [options.version] A number specifying the expected version of the component server (default: `undefined`). If a version is specified, an error is thrown when a request is sent and the component server has a different version. The thrown error is a [`VersionMismatchError`](https://layrjs.com/docs/v1/reference/layr-error) instance with a `code` attribute set to `'COMPONENT_CLIENT_VERSION_DOES_NOT_MATCH_COMPONENT_SERVER_VERSION'`.
    * @param [options.mixins] An array of the component mixins (e.g., [`Storable`](https://layrjs.com/docs/v1/reference/storable)) to use when constructing the components exposed by the component server (default: `[]`).
+   * @param [options.offlineQueue] An [`OfflineQueue`](https://layrjs.com/docs/v1/reference/offline-queue) in which the remote calls of the mutation methods (e.g., `save()`) are persisted when the component server cannot be reached (default: `undefined`).
    *
    * @returns A `ComponentClient` instance.
    *
@@ -92,7 +99,7 @@ export class ComponentClient {
    * @category Creation
    */
   constructor(componentServer: ComponentServerLike, options: ComponentClientOptions = {}) {
-    const {version, mixins, batchable = false} = options;
+    const {version, mixins, batchable = false, offlineQueue} = options;
 
     if (typeof componentServer?.receive !== 'function') {
       throw new Error(
@@ -113,6 +120,11 @@ export class ComponentClient {
     if (batchable) {
       this._sendBatcher = new Microbatcher(this._sendMany.bind(this));
     }
+
+    if (offlineQueue !== undefined) {
+      offlineQueue._attach(this);
+      this._offlineQueue = offlineQueue;
+    }
   }
 
   _component!: typeof Component;
@@ -153,6 +165,22 @@ export class ComponentClient {
     const componentClient = this;
 
     return function (this: typeof Component | Component, ...args: any[]) {
+      // A function cannot be sent to the server, so when the last argument is a function,
+      // the method is invoked through a subscription and the function becomes a listener
+      // receiving the values pushed by the server. When the last two arguments are some
+      // functions, the last one is an error listener that is only used by the client.
+      let errorListener: Function | undefined;
+
+      if (
+        typeof args[args.length - 1] === 'function' &&
+        typeof args[args.length - 2] === 'function'
+      ) {
+        errorListener = args.pop();
+      }
+
+      const listener =
+        typeof args[args.length - 1] === 'function' ? (args.pop() as Function) : undefined;
+
       const query = {
         '<=': this,
         [`${name}=>`]: {'()': args}
@@ -164,6 +192,10 @@ export class ComponentClient {
         return componentClass.getComponentOfType(type);
       };
 
+      if (listener !== undefined) {
+        return componentClient.subscribe(query, listener, {componentGetter, errorListener});
+      }
+
       return componentClient.send(query, {componentGetter});
     };
   }
@@ -184,6 +216,14 @@ export class ComponentClient {
   }
 
   send(query: PlainObject, options: {componentGetter?: ComponentGetter} = {}): any {
+    if (this._offlineQueue?._isMutation(query)) {
+      return this._sendMutation(query, options);
+    }
+
+    return this._sendDirectly(query, options);
+  }
+
+  _sendDirectly(query: PlainObject, options: {componentGetter?: ComponentGetter}): any {
     if (this._sendBatcher !== undefined) {
       return this._sendBatcher.batch('send', query, options);
     }
@@ -197,36 +237,175 @@ export class ComponentClient {
     debugRequest({serializedQuery, serializedComponents});
 
     return possiblyAsync(
-      this._componentServer.receive({
+      this._receive({
         query: serializedQuery,
         ...(serializedComponents && {components: serializedComponents}),
         version: this._version
       }),
-      ({result: serializedResult, components: serializedComponents}) => {
-        debugResponse({serializedResult, serializedComponents});
+      (response) => this._deserializeResponse(response, options)
+    );
+  }
+
+  // Like the errors returned by the invoked methods, the errors rejecting a whole request
+  // (e.g., a `VersionMismatchError`) are rethrown with their original class
+  _receive(request: ComponentServerRequest) {
+    return possiblyAsync.invoke(
+      () => this._componentServer.receive(request),
+      (response) => response,
+      (error) => {
+        throw restoreLayrError(error);
+      }
+    );
+  }
+
+  _deserializeResponse(
+    {
+      result: serializedResult,
+      components: serializedComponents
+    }: {result?: unknown; components?: PlainObject[]},
+    {componentGetter}: {componentGetter?: ComponentGetter}
+  ) {
+    debugResponse({serializedResult, serializedComponents});
+
+    const errorHandler = function (error: Error) {
+      throw restoreLayrError(error);
+    };
+
+    return possiblyAsync(
+      deserialize(serializedComponents, {
+        componentGetter,
+        deserializeFunctions: true,
+        errorHandler,
+        source: 1
+      }),
+      () => {
+        return deserialize(serializedResult, {
+          componentGetter,
+          deserializeFunctions: true,
+          errorHandler,
+          source: 1
+        });
+      }
+    );
+  }
+
+  // Sends a call to a mutation method (e.g., `save()`), or, when the component server
+  // cannot be reached, puts the call in the offline queue
+  async _sendMutation(query: PlainObject, options: {componentGetter?: ComponentGetter}) {
+    const offlineQueue = this._offlineQueue!;
 
-        const {componentGetter} = options;
+    await offlineQueue._initialize();
 
-        const errorHandler = function (error: Error) {
+    if (offlineQueue._canSendImmediately()) {
+      try {
+        return await this._sendDirectly(query, options);
+      } catch (error) {
+        if (!offlineQueue._isNetworkErrorOrThrow(error)) {
           throw error;
-        };
-
-        return possiblyAsync(
-          deserialize(serializedComponents, {
-            componentGetter,
-            deserializeFunctions: true,
-            errorHandler,
-            source: 1
-          }),
-          () => {
-            return deserialize(serializedResult, {
+        }
+      }
+    }
+
+    const {serializedQuery, serializedComponents} = this._serializeQuery(query);
+
+    await offlineQueue._enqueue({
+      query: serializedQuery,
+      ...(serializedComponents && {components: serializedComponents}),
+      version: this._version
+    });
+
+    // Like a component server would do after a successful call, return the target
+    // of the call, and consider it as no longer new
+    const target = query['<='];
+
+    if (isComponentInstance(target) && target.getIsNewMark()) {
+      target.markAsNotNew();
+    }
+
+    return target;
+  }
+
+  async _replayRequest(request: OfflineQueueEntry['request']) {
+    const component = ensureComponentClass(await this.getComponent());
+
+    const componentGetter = (type: string) => {
+      return component.getComponentOfType(type);
+    };
+
+    debugRequest({serializedQuery: request.query, serializedComponents: request.components});
+
+    const response = await this._receive(request);
+
+    return await this._deserializeResponse(response, {componentGetter});
+  }
+
+  subscribe(
+    query: PlainObject,
+    listener: Function,
+    options: {componentGetter?: ComponentGetter; errorListener?: Function} = {}
+  ): any {
+    const componentServer = this._componentServer;
+
+    if (typeof componentServer.subscribe !== 'function') {
+      throw new Error(
+        `Cannot subscribe to a component server that doesn't support subscriptions (only a component server with a 'subscribe()' method can push some values to a component client)`
+      );
+    }
+
+    const {componentGetter, errorListener} = options;
+
+    const {serializedQuery, serializedComponents} = this._serializeQuery(query);
+
+    debugSubscription({serializedQuery, serializedComponents});
+
+    const errorHandler = function (error: Error) {
+      throw restoreLayrError(error);
+    };
+
+    return possiblyAsync(
+      componentServer.subscribe(
+        {
+          query: serializedQuery,
+          ...(serializedComponents && {components: serializedComponents}),
+          version: this._version
+        },
+        ({result: serializedResult, components: serializedComponents}) => {
+          debugPush({serializedResult, serializedComponents});
+
+          return possiblyAsync(
+            deserialize(serializedComponents, {
               componentGetter,
               deserializeFunctions: true,
               errorHandler,
               source: 1
-            });
+            }),
+            () =>
+              possiblyAsync(
+                deserialize(serializedResult, {
+                  componentGetter,
+                  deserializeFunctions: true,
+                  errorHandler,
+                  source: 1
+                }),
+                (result) => listener(result)
+              )
+          );
+        },
+        {
+          onError: (error: any) => {
+            error = restoreLayrError(error);
+
+            if (errorListener !== undefined) {
+              errorListener(error);
+            } else {
+              debug(`A subscription has been ended by an error (%s)`, error.message);
+            }
           }
-        );
+        }
+      ),
+      (subscription) => ({unsubscribe: () => subscription.unsubscribe()}),
+      (error) => {
+        throw restoreLayrError(error);
       }
     );
   }
@@ -250,7 +429,7 @@ export class ComponentClient {
 
     debugRequests({serializedQuery, serializedComponents});
 
-    const serializedResponse = await this._componentServer.receive({
+    const serializedResponse = await this._receive({
       query: serializedQuery,
       ...(serializedComponents && {components: serializedComponents}),
       version: this._version
@@ -262,7 +441,7 @@ export class ComponentClient {
     });
 
     const errorHandler = function (error: Error) {
-      throw error;
+      throw restoreLayrError(error);
     };
 
     const firstComponentGetter = invocations[0].params[1].componentGetter;
@@ -369,6 +548,42 @@ export class ComponentClient {
   }
 }
 
+function debugSubscription({
+  serializedQuery,
+  serializedComponents
+}: {
+  serializedQuery: PlainObject;
+  serializedComponents: PlainObject[] | undefined;
+}) {
+  let message = 'Subscribing with query: %o';
+  const values = [serializedQuery];
+
+  if (serializedComponents !== undefined) {
+    message += ' (components: %o)';
+    values.push(serializedComponents);
+  }
+
+  debug(message, ...values);
+}
+
+function debugPush({
+  serializedResult,
+  serializedComponents
+}: {
+  serializedResult: unknown;
+  serializedComponents: PlainObject[] | undefined;
+}) {
+  let message = 'Value pushed: %o';
+  const values = [serializedResult];
+
+  if (serializedComponents !== undefined) {
+    message += ' (components: %o)';
+    values.push(serializedComponents);
+  }
+
+  debug(message, ...values);
+}
+
 function debugRequest({
   serializedQuery,
   serializedComponents
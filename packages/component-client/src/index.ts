@@ -1,2 +1,4 @@
 export * from './component-client';
+export * from './offline-queue';
+export * from './offline-queue-storage';
 export * from './utilities';
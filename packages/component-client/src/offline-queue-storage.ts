@@ -0,0 +1,132 @@
+import type {PlainObject} from 'core-helpers';
+
+/**
+ * @typedef OfflineQueueEntry
+ *
+ * A plain object representing a remote method call that is waiting in an [`OfflineQueue`](https://layrjs.com/docs/v1/reference/offline-queue) to be sent to a component server.
+ *
+ * The object has the following properties:
+ *
+ * * `id`: A number identifying the entry. The entries are replayed in the order of their `id`.
+ * * `request`: A plain object holding the serialized request (i.e., `query`, `components`, and `version`) to send to the component server.
+ * * `createdOn`: A number representing the time (in milliseconds since the Unix epoch) at which the entry was queued.
+ */
+export type OfflineQueueEntry = {
+  id: number;
+  request: {query: PlainObject; components?: PlainObject[]; version?: number};
+  createdOn: number;
+};
+
+/**
+ * @typedef OfflineQueueStorage
+ *
+ * An interface describing where the entries of an [`OfflineQueue`](https://layrjs.com/docs/v1/reference/offline-queue) are persisted. Layr provides a storage for browsers ([`IndexedDBOfflineQueueStorage`](https://layrjs.com/docs/v1/reference/offline-queue#indexed-db-offline-queue-storage-class)) and an in-memory storage ([`MemoryOfflineQueueStorage`](https://layrjs.com/docs/v1/reference/offline-queue#memory-offline-queue-storage-class)), and you can implement your own storage (e.g., for React Native) by providing an object with the following methods:
+ *
+ * * `getEntries()`: Returns (possibly asynchronously) an array of all the stored entries sorted by `id`.
+ * * `addEntry(entry)`: Stores (possibly asynchronously) the specified entry.
+ * * `removeEntry(id)`: Removes (possibly asynchronously) the entry with the specified `id`.
+ */
+export interface OfflineQueueStorage {
+  getEntries(): OfflineQueueEntry[] | PromiseLike<OfflineQueueEntry[]>;
+  addEntry(entry: OfflineQueueEntry): void | PromiseLike<void>;
+  removeEntry(id: number): void | PromiseLike<void>;
+}
+
+/**
+ * An [`OfflineQueueStorage`](https://layrjs.com/docs/v1/reference/offline-queue#offline-queue-storage-type) keeping the entries in memory. The entries are lost when the app is restarted, so this storage is mostly useful for testing.
+ */
+export class MemoryOfflineQueueStorage implements OfflineQueueStorage {
+  _entries: OfflineQueueEntry[] = [];
+
+  getEntries() {
+    return [...this._entries];
+  }
+
+  addEntry(entry: OfflineQueueEntry) {
+    this._entries.push(entry);
+  }
+
+  removeEntry(id: number) {
+    this._entries = this._entries.filter((entry) => entry.id !== id);
+  }
+}
+
+const INDEXED_DB_OBJECT_STORE_NAME = 'entries';
+
+/**
+ * An [`OfflineQueueStorage`](https://layrjs.com/docs/v1/reference/offline-queue#offline-queue-storage-type) persisting the entries in the [IndexedDB](https://developer.mozilla.org/en-US/docs/Web/API/IndexedDB_API) database of a browser.
+ */
+export class IndexedDBOfflineQueueStorage implements OfflineQueueStorage {
+  _databaseName: string;
+
+  /**
+   * Creates an IndexedDB offline queue storage.
+   *
+   * @param [databaseName] A string specifying the name of the IndexedDB database to use (default: `'layr-offline-queue'`).
+   *
+   * @returns An `IndexedDBOfflineQueueStorage` instance.
+   *
+   * @category Creation
+   */
+  constructor(databaseName = 'layr-offline-queue') {
+    if (typeof indexedDB === 'undefined') {
+      throw new Error(`IndexedDB is not available in the current environment`);
+    }
+
+    this._databaseName = databaseName;
+  }
+
+  _database: Promise<IDBDatabase> | undefined;
+
+  _getDatabase() {
+    if (this._database === undefined) {
+      this._database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this._databaseName, 1);
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(INDEXED_DB_OBJECT_STORE_NAME, {keyPath: 'id'});
+        };
+
+        request.onsuccess = () => {
+          resolve(request.result);
+        };
+
+        request.onerror = () => {
+          reject(request.error);
+        };
+      });
+    }
+
+    return this._database;
+  }
+
+  async _run<T>(mode: IDBTransactionMode, operation: (objectStore: IDBObjectStore) => IDBRequest) {
+    const database = await this._getDatabase();
+
+    return await new Promise<T>((resolve, reject) => {
+      const transaction = database.transaction(INDEXED_DB_OBJECT_STORE_NAME, mode);
+      const request = operation(transaction.objectStore(INDEXED_DB_OBJECT_STORE_NAME));
+
+      transaction.oncomplete = () => {
+        resolve(request.result);
+      };
+
+      transaction.onerror = () => {
+        reject(transaction.error);
+      };
+    });
+  }
+
+  async getEntries() {
+    // The entries are returned in the order of their key (i.e., their `id`)
+    return await this._run<OfflineQueueEntry[]>('readonly', (objectStore) => objectStore.getAll());
+  }
+
+  async addEntry(entry: OfflineQueueEntry) {
+    await this._run('readwrite', (objectStore) => objectStore.add(entry));
+  }
+
+  async removeEntry(id: number) {
+    await this._run('readwrite', (objectStore) => objectStore.delete(id));
+  }
+}
@@ -0,0 +1,242 @@
+import {Component, primaryIdentifier, attribute, method, expose} from '@layr/component';
+import {ComponentServer} from '@layr/component-server';
+import type {ComponentServerLike} from '@layr/component-server';
+
+import {ComponentClient} from './component-client';
+import {OfflineQueue} from './offline-queue';
+import {MemoryOfflineQueueStorage} from './offline-queue-storage';
+
+describe('OfflineQueue', () => {
+  const getServer = () => {
+    const savedTitles: string[] = [];
+
+    class Movie extends Component {
+      @expose({get: true, set: true}) @primaryIdentifier() id!: string;
+
+      @expose({get: true, set: true}) @attribute('string') title = '';
+
+      @expose({call: true}) @method() static count() {
+        return savedTitles.length;
+      }
+
+      @expose({call: true}) @method() save() {
+        if (this.title === '') {
+          throw Object.assign(new Error('A movie must have a title'), {code: 'INVALID_MOVIE'});
+        }
+
+        savedTitles.push(this.title);
+
+        return this;
+      }
+    }
+
+    const componentServer = new ComponentServer(Movie);
+
+    const server = {
+      isOnline: true,
+      isBroken: false,
+
+      async receive(request: Parameters<ComponentServerLike['receive']>[0]) {
+        if (!server.isOnline) {
+          throw new TypeError('Failed to fetch');
+        }
+
+        if (server.isBroken) {
+          throw new TypeError("Cannot read property 'title' of undefined");
+        }
+
+        return await componentServer.receive(request);
+      }
+    };
+
+    return {server, savedTitles};
+  };
+
+  test('Queuing and replaying mutations', async () => {
+    const {server, savedTitles} = getServer();
+    const storage = new MemoryOfflineQueueStorage();
+    const offlineQueue = new OfflineQueue({storage});
+    const client = new ComponentClient(server, {offlineQueue});
+
+    const Movie = (await client.getComponent()) as any;
+
+    let observerCallCount = 0;
+
+    offlineQueue.addObserver(() => {
+      observerCallCount++;
+    });
+
+    expect(offlineQueue.getStatus()).toBe('synchronized');
+    expect(offlineQueue.getPendingMutationCount()).toBe(0);
+
+    // When the network is available, the mutations are sent immediately
+    const movie1 = new Movie({title: 'Inception'});
+
+    expect(await movie1.save()).toBe(movie1);
+    expect(savedTitles).toStrictEqual(['Inception']);
+    expect(offlineQueue.getStatus()).toBe('synchronized');
+
+    server.isOnline = false;
+
+    // When the network is unavailable, the mutations are queued
+    const movie2 = new Movie({title: 'The Matrix'});
+
+    expect(movie2.getIsNewMark()).toBe(true);
+    expect(await movie2.save()).toBe(movie2);
+    expect(movie2.getIsNewMark()).toBe(false);
+
+    movie1.title = 'Inception (modified)';
+
+    expect(await movie1.save()).toBe(movie1);
+
+    expect(savedTitles).toStrictEqual(['Inception']);
+    expect(offlineQueue.getStatus()).toBe('pending');
+    expect(offlineQueue.getPendingMutationCount()).toBe(2);
+    expect(storage.getEntries()).toHaveLength(2);
+    expect(observerCallCount).toBe(2);
+
+    // The other calls are not queued
+    await expect(Movie.count()).rejects.toThrow('Failed to fetch');
+
+    // The replay stops when the network is still unavailable
+    await offlineQueue.synchronize();
+
+    expect(offlineQueue.getPendingMutationCount()).toBe(2);
+
+    server.isOnline = true;
+
+    // The mutations are queued as long as some previous mutations are waiting
+    const movie3 = new Movie({title: 'Avatar'});
+
+    await movie3.save();
+
+    expect(offlineQueue.getPendingMutationCount()).toBe(3);
+
+    const synchronization = offlineQueue.synchronize();
+
+    expect(offlineQueue.getStatus()).toBe('synchronizing');
+
+    await synchronization;
+
+    expect(savedTitles).toStrictEqual([
+      'Inception',
+      'The Matrix',
+      'Inception (modified)',
+      'Avatar'
+    ]);
+    expect(offlineQueue.getStatus()).toBe('synchronized');
+    expect(offlineQueue.getPendingMutationCount()).toBe(0);
+    expect(storage.getEntries()).toHaveLength(0);
+  });
+
+  test('Handling conflicts', async () => {
+    const {server, savedTitles} = getServer();
+    const conflicts: {message: string; code: string}[] = [];
+    let resolution: 'discard' | 'retry' = 'retry';
+
+    const offlineQueue = new OfflineQueue({
+      storage: new MemoryOfflineQueueStorage(),
+      onConflict({error}) {
+        conflicts.push({message: error.message, code: (error as any).code});
+        return resolution;
+      }
+    });
+
+    const client = new ComponentClient(server, {offlineQueue});
+
+    const Movie = (await client.getComponent()) as any;
+
+    server.isOnline = false;
+
+    await new Movie({title: ''}).save();
+    await new Movie({title: 'Inception'}).save();
+
+    server.isOnline = true;
+
+    await offlineQueue.synchronize();
+
+    expect(conflicts).toStrictEqual([
+      {message: 'A movie must have a title', code: 'INVALID_MOVIE'}
+    ]);
+    expect(offlineQueue.getPendingMutationCount()).toBe(2);
+    expect(savedTitles).toStrictEqual([]);
+
+    resolution = 'discard';
+
+    await offlineQueue.synchronize();
+
+    expect(conflicts).toHaveLength(2);
+    expect(offlineQueue.getPendingMutationCount()).toBe(0);
+    expect(savedTitles).toStrictEqual(['Inception']);
+  });
+
+  test('Distinguishing network errors from other errors', async () => {
+    const {server, savedTitles} = getServer();
+    const storage = new MemoryOfflineQueueStorage();
+    const offlineQueue = new OfflineQueue({storage});
+    const client = new ComponentClient(server, {offlineQueue});
+
+    const Movie = (await client.getComponent()) as any;
+
+    // A `TypeError` that is not thrown by `fetch()` is not a network error
+    server.isBroken = true;
+
+    await expect(new Movie({title: 'Inception'}).save()).rejects.toThrow(
+      "Cannot read property 'title' of undefined"
+    );
+
+    expect(offlineQueue.getPendingMutationCount()).toBe(0);
+    expect(storage.getEntries()).toHaveLength(0);
+
+    server.isBroken = false;
+
+    // The network errors of the Node.js connections are recognized
+    const receive = server.receive;
+
+    server.receive = async () => {
+      throw Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:3210'), {
+        code: 'ECONNREFUSED'
+      });
+    };
+
+    await new Movie({title: 'Inception'}).save();
+
+    expect(offlineQueue.getPendingMutationCount()).toBe(1);
+
+    server.receive = receive;
+
+    await offlineQueue.synchronize();
+
+    expect(offlineQueue.getPendingMutationCount()).toBe(0);
+    expect(savedTitles).toStrictEqual(['Inception']);
+  });
+
+  test('Replaying the mutations of a previous session', async () => {
+    const {server, savedTitles} = getServer();
+    const storage = new MemoryOfflineQueueStorage();
+
+    let client = new ComponentClient(server, {offlineQueue: new OfflineQueue({storage})});
+    const Movie = (await client.getComponent()) as any;
+
+    server.isOnline = false;
+
+    await new Movie({title: 'Inception'}).save();
+
+    expect(storage.getEntries()).toHaveLength(1);
+
+    server.isOnline = true;
+
+    // Simulate a restart of the app
+    const offlineQueue = new OfflineQueue({storage});
+    client = new ComponentClient(server, {offlineQueue});
+
+    await offlineQueue.synchronize();
+
+    expect(savedTitles).toStrictEqual(['Inception']);
+    expect(storage.getEntries()).toHaveLength(0);
+
+    expect(() => new ComponentClient(server, {offlineQueue})).toThrow(
+      'An offline queue cannot be used by several component clients'
+    );
+  });
+});
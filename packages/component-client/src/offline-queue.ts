@@ -0,0 +1,384 @@
+import {Observable} from '@layr/observable';
+import {PlainObject, getTypeOf} from 'core-helpers';
+import debugModule from 'debug';
+
+import type {ComponentClient} from './component-client';
+import {
+  OfflineQueueEntry,
+  OfflineQueueStorage,
+  MemoryOfflineQueueStorage,
+  IndexedDBOfflineQueueStorage
+} from './offline-queue-storage';
+
+const debug = debugModule('layr:component-client:offline-queue');
+// To display the debug log, set this environment:
+// DEBUG=layr:component-client:offline-queue DEBUG_DEPTH=5
+
+const debugError = debugModule('layr:component-client:offline-queue:error');
+
+const DEFAULT_MUTATION_METHODS = ['save', 'delete'];
+const DEFAULT_RETRY_INTERVAL = 5 * 1000; // 5 seconds
+
+const NETWORK_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ENOTFOUND',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'COMPONENT_WEBSOCKET_CLIENT_CONNECTION_LOST'
+];
+
+// The messages of the `TypeError` thrown by `fetch()` when the network is unavailable
+// (Chrome, Firefox, Safari, Node.js, and the `whatwg-fetch` polyfill)
+const FETCH_NETWORK_ERROR_MESSAGES = [
+  'Failed to fetch',
+  'NetworkError when attempting to fetch resource.',
+  'Load failed',
+  'fetch failed',
+  'Network request failed'
+];
+
+export type OfflineQueueStatus = 'synchronized' | 'pending' | 'synchronizing';
+
+export type OfflineQueueConflict = {error: Error; entry: OfflineQueueEntry};
+
+export type OfflineQueueConflictResolution = 'discard' | 'retry';
+
+export type OfflineQueueOptions = {
+  storage?: OfflineQueueStorage;
+  mutationMethods?: string[];
+  retryInterval?: number;
+  isNetworkError?: (error: any) => boolean;
+  onConflict?: (
+    conflict: OfflineQueueConflict
+  ) => OfflineQueueConflictResolution | void | PromiseLike<OfflineQueueConflictResolution | void>;
+};
+
+/**
+ * *Inherits from [`Observable`](https://layrjs.com/docs/v1/reference/observable#observable-class).*
+ *
+ * A class allowing a [`ComponentClient`](https://layrjs.com/docs/v1/reference/component-client) to keep working when the network is unavailable.
+ *
+ * When a component client has an offline queue, the remote calls of the mutation methods (by default, `save()` and `delete()`) that fail because of a network error are persisted in the queue, and they are replayed in the same order as soon as the component server can be reached again. The other remote calls (e.g., `find()`) are not affected.
+ *
+ * A queued call resolves immediately with the component on which the method was called, as if the call had been performed by the component server. If the component server rejects a call when it is replayed, the `onConflict()` callback is called so you can decide what to do with the call.
+ *
+ * Since an `OfflineQueue` is observable, you can use the [`useObserve()`](https://layrjs.com/docs/v1/reference/react-integration#use-observe-react-hook) hook to render its status in a React component.
+ *
+ * #### Usage
+ *
+ * ```
+ * import {ComponentHTTPClient} from '@layr/component-http-client';
+ * import {OfflineQueue} from '@layr/component-client';
+ * import {Storable} from '@layr/storable';
+ * import {useObserve} from '@layr/react-integration';
+ *
+ * const offlineQueue = new OfflineQueue({
+ *   onConflict({error, entry}) {
+ *     console.error(`A mutation couldn't be synchronized (${error.message})`);
+ *     return 'discard';
+ *   }
+ * });
+ *
+ * const client = new ComponentHTTPClient('https://backend.example.com', {
+ *   mixins: [Storable],
+ *   offlineQueue
+ * });
+ *
+ * function SyncIndicator() {
+ *   useObserve(offlineQueue);
+ *
+ *   if (offlineQueue.getStatus() === 'synchronized') {
+ *     return null;
+ *   }
+ *
+ *   return <div>{`${offlineQueue.getPendingMutationCount()} change(s) pending sync`}</div>;
+ * }
+ * ```
+ */
+export class OfflineQueue extends Observable(Object) {
+  _storage: OfflineQueueStorage;
+  _mutationMethods: string[];
+  _retryInterval: number;
+  _isNetworkError: (error: any) => boolean;
+  _onConflict: OfflineQueueOptions['onConflict'];
+
+  /**
+   * Creates an offline queue.
+   *
+   * @param [options.storage] An [`OfflineQueueStorage`](https://layrjs.com/docs/v1/reference/offline-queue#offline-queue-storage-type) specifying where the queued calls are persisted (default: an [`IndexedDBOfflineQueueStorage`](https://layrjs.com/docs/v1/reference/offline-queue#indexed-db-offline-queue-storage-class) if IndexedDB is available, or a [`MemoryOfflineQueueStorage`](https://layrjs.com/docs/v1/reference/offline-queue#memory-offline-queue-storage-class) otherwise).
+   * @param [options.mutationMethods] An array of strings specifying the names of the methods that can be queued (default: `['save', 'delete']`).
+   * @param [options.retryInterval] A number specifying how many milliseconds to wait before trying again to replay the queued calls when the component server cannot be reached (default: `5000`).
+   * @param [options.isNetworkError] A function returning a boolean specifying whether an error thrown by a remote call is a network error (default: a function recognizing the errors thrown by `fetch()` and the connection errors of Node.js and [`ComponentWebSocketClient`](https://layrjs.com/docs/v1/reference/component-websocket-client)).
+   * @param [options.onConflict] A function that is called with an object of the shape `{error, entry}` when the component server rejects a queued call. The function can return (possibly asynchronously) `'discard'` to remove the call from the queue (default), or `'retry'` to keep the call in the queue and try to replay it later.
+   *
+   * @returns An `OfflineQueue` instance.
+   *
+   * @category Creation
+   */
+  constructor(options: OfflineQueueOptions = {}) {
+    super();
+
+    const {
+      storage = typeof indexedDB !== 'undefined'
+        ? new IndexedDBOfflineQueueStorage()
+        : new MemoryOfflineQueueStorage(),
+      mutationMethods = DEFAULT_MUTATION_METHODS,
+      retryInterval = DEFAULT_RETRY_INTERVAL,
+      isNetworkError = isNetworkErrorByDefault,
+      onConflict
+    } = options;
+
+    this._storage = storage;
+    this._mutationMethods = mutationMethods;
+    this._retryInterval = retryInterval;
+    this._isNetworkError = isNetworkError;
+    this._onConflict = onConflict;
+  }
+
+  _client: ComponentClient | undefined;
+
+  _attach(client: ComponentClient) {
+    if (this._client !== undefined) {
+      throw new Error(`An offline queue cannot be used by several component clients`);
+    }
+
+    this._client = client;
+
+    if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+      window.addEventListener('online', () => {
+        if (this._entries.length > 0) {
+          this._synchronizeInBackground();
+        }
+      });
+    }
+
+    // Replay the calls that were queued in a previous session
+    this._initialize().then(
+      () => {
+        this._scheduleSynchronization(0);
+      },
+      (error) => {
+        debugError(`An error occurred while loading the offline queue (%o)`, error);
+      }
+    );
+  }
+
+  _getClient() {
+    if (this._client === undefined) {
+      throw new Error(`The offline queue is not used by a component client`);
+    }
+
+    return this._client;
+  }
+
+  _entries: OfflineQueueEntry[] = [];
+  _lastEntryId = 0;
+  _initialization: Promise<void> | undefined;
+
+  _initialize() {
+    if (this._initialization === undefined) {
+      this._initialization = (async () => {
+        this._entries = await this._storage.getEntries();
+
+        for (const {id} of this._entries) {
+          this._lastEntryId = Math.max(this._lastEntryId, id);
+        }
+
+        if (this._entries.length > 0) {
+          debug(`Loaded ${this._entries.length} queued call(s)`);
+          this.callObservers();
+        }
+      })();
+    }
+
+    return this._initialization;
+  }
+
+  // === Status ===
+
+  /**
+   * Returns the status of the queue.
+   *
+   * @returns A string which is either `'synchronized'` (there are no queued calls), `'pending'` (some calls are waiting to be replayed), or `'synchronizing'` (the queued calls are being replayed).
+   *
+   * @category Status
+   */
+  getStatus(): OfflineQueueStatus {
+    if (this._synchronization !== undefined) {
+      return 'synchronizing';
+    }
+
+    return this._entries.length > 0 ? 'pending' : 'synchronized';
+  }
+
+  /**
+   * Returns the number of calls that are waiting to be replayed.
+   *
+   * @returns A number.
+   *
+   * @category Status
+   */
+  getPendingMutationCount() {
+    return this._entries.length;
+  }
+
+  /**
+   * Returns the calls that are waiting to be replayed.
+   *
+   * @returns An array of [`OfflineQueueEntry`](https://layrjs.com/docs/v1/reference/offline-queue#offline-queue-entry-type).
+   *
+   * @category Status
+   */
+  getPendingMutations() {
+    return [...this._entries];
+  }
+
+  // === Queuing ===
+
+  // {'<=': movie, 'save=>': {'()': []}} => true
+  _isMutation(query: PlainObject) {
+    for (const key of Object.keys(query)) {
+      if (key.endsWith('=>')) {
+        return this._mutationMethods.includes(key.slice(0, -2));
+      }
+    }
+
+    return false;
+  }
+
+  _canSendImmediately() {
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      return false;
+    }
+
+    // Some calls are already waiting, and the order of the calls must be preserved
+    return this._entries.length === 0;
+  }
+
+  _isNetworkErrorOrThrow(error: any) {
+    const isNetworkError = this._isNetworkError(error);
+
+    if (typeof isNetworkError !== 'boolean') {
+      throw new Error(
+        `Expected the 'isNetworkError()' option of an offline queue to return a boolean, but received a value of type '${getTypeOf(
+          isNetworkError
+        )}'`
+      );
+    }
+
+    return isNetworkError;
+  }
+
+  async _enqueue(request: OfflineQueueEntry['request']) {
+    await this._initialize();
+
+    const entry: OfflineQueueEntry = {id: ++this._lastEntryId, request, createdOn: Date.now()};
+
+    await this._storage.addEntry(entry);
+    this._entries.push(entry);
+
+    debug(`Queued a call (id: ${entry.id})`);
+
+    this.callObservers();
+
+    this._scheduleSynchronization();
+  }
+
+  // === Synchronization ===
+
+  _synchronization: Promise<void> | undefined;
+
+  /**
+   * Replays the queued calls without waiting for the next automatic attempt. The calls are replayed one by one in the order they were queued, and the replay stops when the component server cannot be reached.
+   *
+   * @category Synchronization
+   * @async
+   */
+  synchronize() {
+    if (this._synchronization === undefined) {
+      this._synchronization = this._synchronize().finally(() => {
+        this._synchronization = undefined;
+        this.callObservers();
+      });
+
+      this.callObservers();
+    }
+
+    return this._synchronization;
+  }
+
+  async _synchronize() {
+    const client = this._getClient();
+
+    await this._initialize();
+
+    while (this._entries.length > 0) {
+      const entry = this._entries[0];
+
+      debug(`Replaying a queued call (id: ${entry.id})`);
+
+      try {
+        await client._replayRequest(entry.request);
+      } catch (error) {
+        if (this._isNetworkErrorOrThrow(error)) {
+          debug(`The component server cannot be reached`);
+          this._scheduleSynchronization();
+          return;
+        }
+
+        const resolution = (await this._onConflict?.({error, entry})) ?? 'discard';
+
+        if (resolution !== 'discard' && resolution !== 'retry') {
+          throw new Error(
+            `Expected the 'onConflict()' option of an offline queue to return 'discard' or 'retry', but received ${JSON.stringify(
+              resolution
+            )}`
+          );
+        }
+
+        if (resolution === 'retry') {
+          this._scheduleSynchronization();
+          return;
+        }
+
+        debug(`Discarding a queued call (id: ${entry.id})`);
+      }
+
+      await this._storage.removeEntry(entry.id);
+      this._entries.shift();
+
+      this.callObservers();
+    }
+  }
+
+  _synchronizationTimeout: ReturnType<typeof setTimeout> | undefined;
+
+  _scheduleSynchronization(delay = this._retryInterval) {
+    if (this._synchronizationTimeout !== undefined || this._entries.length === 0) {
+      return;
+    }
+
+    this._synchronizationTimeout = setTimeout(() => {
+      this._synchronizationTimeout = undefined;
+
+      this._synchronizeInBackground();
+    }, delay);
+
+    // Don't prevent a Node.js process from exiting
+    (this._synchronizationTimeout as any).unref?.();
+  }
+
+  _synchronizeInBackground() {
+    this.synchronize().catch((error) => {
+      debugError(`An error occurred while synchronizing the offline queue (%o)`, error);
+    });
+  }
+}
+
+function isNetworkErrorByDefault(error: any) {
+  return (
+    (error instanceof TypeError && FETCH_NETWORK_ERROR_MESSAGES.includes(error.message)) ||
+    NETWORK_ERROR_CODES.includes(error?.code)
+  );
+}
@@ -29,6 +29,8 @@
 import type {Component} from '@layr/component';
 import {ensureComponentServer} from '@layr/component-server';
 import type {ComponentServer, ComponentServerOptions} from '@layr/component-server';
+import {RESTFacade, generateOpenAPIDocument} from '@layr/component-openapi';
+import type {RESTFacadeOptions, GenerateOpenAPIDocumentOptions} from '@layr/component-openapi';
 import body from 'co-body';
 import httpError from 'http-errors';
 import type {IncomingMessage, ServerResponse} from 'http';
@@ -36,7 +38,9 @@ import sleep from 'sleep-promise';
 
 const DEFAULT_LIMIT = '8mb';
 
-type Request = IncomingMessage & {url: string};
+const REST_METHODS_WITH_BODY = ['POST', 'PATCH'];
+
+type Request = IncomingMessage & {url: string; ip?: string};
 
 type Response = ServerResponse & {json: (data: unknown) => void};
 
@@ -44,6 +48,8 @@ export type ServeComponentOptions = ComponentServerOptions & {
   limit?: number | string;
   delay?: number;
   errorRate?: number;
+  openAPI?: boolean | Omit<GenerateOpenAPIDocumentOptions, 'rest'>;
+  rest?: boolean | RESTFacadeOptions;
 };
 
 /**
@@ -51,6 +57,8 @@ export type ServeComponentOptions = ComponentServerOptions & {
  *
  * @param componentOrComponentServer The root [`Component`](https://layrjs.com/docs/v1/reference/component) class to serve. An instance of a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) will be created under the hood. Alternatively, you can pass an existing instance of a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server).
  * @param [options.version] A number specifying the version of the created [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) (default: `undefined`).
+ * @param [options.openAPI] A boolean or an object specifying the options of [`generateOpenAPIDocument()`](https://layrjs.com/docs/v1/reference/component-openapi#generate-open-api-document-function) to serve an OpenAPI document describing the middleware at `GET /openapi.json` (default: `false`).
+ * @param [options.rest] A boolean or an object specifying the options of a [`RESTFacade`](https://layrjs.com/docs/v1/reference/rest-facade) to serve the storable components through a conventional REST API (e.g., `GET /movies/:id`) in addition to the regular endpoint (default: `false`).
  *
  * @returns An Express middleware.
  *
@@ -62,9 +70,17 @@ export function serveComponent(
 ) {
   const componentServer = ensureComponentServer(componentOrComponentServer, options);
 
-  const {limit = DEFAULT_LIMIT, delay = 0, errorRate = 0} = options;
+  const {limit = DEFAULT_LIMIT, delay = 0, errorRate = 0, openAPI = false, rest = false} = options;
+
+  const restFacade =
+    rest !== false ? new RESTFacade(componentServer, rest === true ? {} : rest) : undefined;
+
+  const openAPIDocument =
+    openAPI !== false
+      ? generateOpenAPIDocument(componentServer, {...(openAPI === true ? {} : openAPI), rest})
+      : undefined;
 
-  return async function (request: Request, response: Response) {
+  const handleRequest = async function (request: Request, response: Response) {
     if (delay > 0) {
       await sleep(delay);
     }
@@ -77,21 +93,72 @@ export function serveComponent(
       }
     }
 
+    if (openAPIDocument !== undefined && request.url.split('?')[0] === '/openapi.json') {
+      if (request.method !== 'GET') {
+        throw httpError(405);
+      }
+
+      response.json(openAPIDocument);
+      return;
+    }
+
+    const context = {headers: request.headers, ip: request.ip ?? request.socket.remoteAddress};
+
+    if (restFacade !== undefined && request.url !== '/') {
+      const restResponse = await restFacade.handleRequest({
+        method: request.method!,
+        url: request.url,
+        body: REST_METHODS_WITH_BODY.includes(request.method!)
+          ? await body.json(request, {limit, strict: true})
+          : undefined,
+        context
+      });
+
+      if (restResponse !== undefined) {
+        response.statusCode = restResponse.status;
+
+        if (restResponse.body !== undefined) {
+          response.json(restResponse.body);
+        } else {
+          response.end();
+        }
+
+        return;
+      }
+    }
+
     if (request.url !== '/') {
       throw httpError(404);
     }
 
     if (request.method === 'GET') {
-      response.json(await componentServer.receive({query: {'introspect=>': {'()': []}}}));
+      response.json(
+        await componentServer.receive({query: {'introspect=>': {'()': []}}}, {context})
+      );
       return;
     }
 
     if (request.method === 'POST') {
       const {query, components, version} = await body.json(request, {limit, strict: true});
-      response.json(await componentServer.receive({query, components, version}));
+      response.json(await componentServer.receive({query, components, version}, {context}));
       return;
     }
 
     throw httpError(405);
   };
+
+  return function (request: Request, response: Response, next: (error?: any) => void) {
+    // Express doesn't handle the errors thrown by an async middleware
+    handleRequest(request, response).catch((error) => {
+      if (response.headersSent) {
+        next(error);
+        return;
+      }
+
+      const {status, body} = componentServer.getErrorResponse(error);
+
+      response.statusCode = status;
+      response.json(body);
+    });
+  };
 }
@@ -39,15 +39,21 @@
 import type {Component} from '@layr/component';
 import {ensureComponentServer} from '@layr/component-server';
 import type {ComponentServer, ComponentServerOptions} from '@layr/component-server';
+import {RESTFacade, generateOpenAPIDocument} from '@layr/component-openapi';
+import type {RESTFacadeOptions, GenerateOpenAPIDocumentOptions} from '@layr/component-openapi';
 import body from 'co-body';
 import sleep from 'sleep-promise';
 
 const DEFAULT_LIMIT = '8mb';
 
+const REST_METHODS_WITH_BODY = ['POST', 'PATCH'];
+
 export type ServeComponentOptions = ComponentServerOptions & {
   limit?: number | string;
   delay?: number;
   errorRate?: number;
+  openAPI?: boolean | Omit<GenerateOpenAPIDocumentOptions, 'rest'>;
+  rest?: boolean | RESTFacadeOptions;
 };
 
 /**
@@ -55,6 +61,8 @@ export type ServeComponentOptions = ComponentServerOptions & {
  *
  * @param componentOrComponentServer The root [`Component`](https://layrjs.com/docs/v1/reference/component) class to serve. An instance of a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) will be created under the hood. Alternatively, you can pass an existing instance of a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server).
  * @param [options.version] A number specifying the version of the created [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) (default: `undefined`).
+ * @param [options.openAPI] A boolean or an object specifying the options of [`generateOpenAPIDocument()`](https://layrjs.com/docs/v1/reference/component-openapi#generate-open-api-document-function) to serve an OpenAPI document describing the middleware at `GET /openapi.json` (default: `false`).
+ * @param [options.rest] A boolean or an object specifying the options of a [`RESTFacade`](https://layrjs.com/docs/v1/reference/rest-facade) to serve the storable components through a conventional REST API (e.g., `GET /movies/:id`) in addition to the regular endpoint (default: `false`).
  *
  * @returns A Koa middleware.
  *
@@ -66,9 +74,17 @@ export function serveComponent(
 ) {
   const componentServer = ensureComponentServer(componentOrComponentServer, options);
 
-  const {limit = DEFAULT_LIMIT, delay = 0, errorRate = 0} = options;
+  const {limit = DEFAULT_LIMIT, delay = 0, errorRate = 0, openAPI = false, rest = false} = options;
 
-  return async function (ctx: any) {
+  const restFacade =
+    rest !== false ? new RESTFacade(componentServer, rest === true ? {} : rest) : undefined;
+
+  const openAPIDocument =
+    openAPI !== false
+      ? generateOpenAPIDocument(componentServer, {...(openAPI === true ? {} : openAPI), rest})
+      : undefined;
+
+  const handleRequest = async function (ctx: any) {
     if (delay > 0) {
       await sleep(delay);
     }
@@ -81,21 +97,69 @@ export function serveComponent(
       }
     }
 
+    if (openAPIDocument !== undefined && ctx.path === '/openapi.json') {
+      if (ctx.method !== 'GET') {
+        ctx.throw(405);
+      }
+
+      ctx.body = openAPIDocument;
+      return;
+    }
+
+    const context = {headers: ctx.headers, ip: ctx.ip};
+
+    if (restFacade !== undefined && ctx.url !== '/') {
+      const restResponse = await restFacade.handleRequest({
+        method: ctx.method,
+        url: ctx.url,
+        body: REST_METHODS_WITH_BODY.includes(ctx.method)
+          ? await body.json(ctx.req, {limit, strict: true})
+          : undefined,
+        context
+      });
+
+      if (restResponse !== undefined) {
+        ctx.status = restResponse.status;
+
+        if (restResponse.body !== undefined) {
+          ctx.body = restResponse.body;
+        }
+
+        return;
+      }
+    }
+
     if (ctx.url !== '/') {
       ctx.throw(404);
     }
 
     if (ctx.method === 'GET') {
-      ctx.body = await componentServer.receive({query: {'introspect=>': {'()': []}}});
+      ctx.body = await componentServer.receive({query: {'introspect=>': {'()': []}}}, {context});
       return;
     }
 
     if (ctx.method === 'POST') {
       const {query, components, version} = await body.json(ctx.req, {limit, strict: true});
-      ctx.body = await componentServer.receive({query, components, version});
+      ctx.body = await componentServer.receive({query, components, version}, {context});
       return;
     }
 
     ctx.throw(405);
   };
+
+  return async function (ctx: any) {
+    try {
+      await handleRequest(ctx);
+    } catch (error) {
+      const {status, body} = componentServer.getErrorResponse(error);
+
+      ctx.status = status;
+      ctx.body = body;
+
+      if (status >= 500) {
+        // Let the Koa application report the unexpected errors
+        ctx.app.emit('error', error, ctx);
+      }
+    }
+  };
 }
@@ -0,0 +1,3 @@
+export * from './json-schema';
+export * from './openapi';
+export * from './rest-facade';
@@ -0,0 +1,136 @@
+import {
+  Component,
+  provide,
+  expose,
+  primaryIdentifier,
+  attribute,
+  validators
+} from '@layr/component';
+import {EmbeddedComponent} from '@layr/component';
+
+import {generateJSONSchemas, generateValueTypeJSONSchema} from './json-schema';
+
+describe('JSON Schema', () => {
+  test('generateJSONSchemas()', async () => {
+    const {integer, positive, range, notEmpty, maxLength, rangeLength, match, anyOf} = validators;
+
+    class Address extends EmbeddedComponent {
+      @expose({get: true, set: true}) @attribute('string') city!: string;
+    }
+
+    class Movie extends Component {
+      @expose({get: true, set: true}) @primaryIdentifier() id!: string;
+
+      @expose({get: true, set: true})
+      @attribute('string', {validators: [notEmpty(), maxLength(100)]})
+      title = '';
+
+      @expose({get: true, set: true})
+      @attribute('number?', {validators: [integer(), range([1, 5])]})
+      rating?: number;
+
+      @expose({get: true, set: true})
+      @attribute('number', {validators: [positive()]})
+      duration = 0;
+
+      @expose({get: true, set: true})
+      @attribute('string', {validators: [anyOf(['movie', 'series'])]})
+      format = 'movie';
+
+      @expose({get: true, set: true})
+      @attribute('string', {validators: [match(/^[A-Z]{2}$/)]})
+      country = 'US';
+
+      @expose({get: true, set: true})
+      @attribute('string[]', {validators: [rangeLength([1, 3])], items: {validators: [notEmpty()]}})
+      tags: string[] = [];
+
+      @expose({get: true}) @attribute('Date') createdOn = new Date();
+
+      @expose({get: true, set: true}) @attribute('Address?') address?: Address;
+
+      @expose({get: true, set: true})
+      @attribute('string', {validators: [(value: string) => value !== 'x']})
+      summary = '';
+
+      @attribute('string') secret = '';
+    }
+
+    class Backend extends Component {
+      @provide() static Movie = Movie;
+      @provide() static Address = Address;
+    }
+
+    const schemas = generateJSONSchemas(Backend);
+
+    expect(schemas).toStrictEqual({
+      Backend: {title: 'Backend', type: 'object', properties: {}, additionalProperties: false},
+      Movie: {
+        title: 'Movie',
+        type: 'object',
+        properties: {
+          id: {type: 'string'},
+          title: {type: 'string', minLength: 1, maxLength: 100},
+          rating: {type: 'integer', minimum: 1, maximum: 5},
+          duration: {type: 'number', minimum: 0},
+          format: {type: 'string', enum: ['movie', 'series']},
+          country: {type: 'string', pattern: '^[A-Z]{2}$'},
+          tags: {type: 'array', items: {type: 'string', minLength: 1}, minItems: 1, maxItems: 3},
+          createdOn: {type: 'string', format: 'date-time', readOnly: true},
+          address: {$ref: '#/definitions/Address'},
+          summary: {type: 'string'}
+        },
+        required: ['id', 'title', 'duration', 'format', 'country', 'tags', 'createdOn', 'summary'],
+        additionalProperties: false
+      },
+      Address: {
+        title: 'Address',
+        type: 'object',
+        properties: {city: {type: 'string'}},
+        required: ['city'],
+        additionalProperties: false
+      }
+    });
+
+    expect(
+      generateJSONSchemas(Backend, {refPrefix: '#/components/schemas/'}).Movie.properties.address
+    ).toStrictEqual({$ref: '#/components/schemas/Address'});
+  });
+
+  test('generateValueTypeJSONSchema()', async () => {
+    expect(generateValueTypeJSONSchema({valueType: "'draft'|'published'"})).toStrictEqual({
+      schema: {enum: ['draft', 'published']},
+      isOptional: false
+    });
+
+    expect(generateValueTypeJSONSchema({valueType: '(1|2|3)?'})).toStrictEqual({
+      schema: {enum: [1, 2, 3]},
+      isOptional: true
+    });
+
+    expect(generateValueTypeJSONSchema({valueType: 'string|number[]'})).toStrictEqual({
+      schema: {anyOf: [{type: 'string'}, {type: 'array', items: {type: 'number'}}]},
+      isOptional: false
+    });
+
+    expect(generateValueTypeJSONSchema({valueType: "(number|'auto')[]"})).toStrictEqual({
+      schema: {type: 'array', items: {anyOf: [{type: 'number'}, {enum: ['auto']}]}},
+      isOptional: false
+    });
+
+    expect(generateValueTypeJSONSchema({valueType: '(Address|string)?'})).toStrictEqual({
+      schema: {anyOf: [{$ref: '#/definitions/Address'}, {type: 'string'}]},
+      isOptional: true
+    });
+
+    expect(generateValueTypeJSONSchema({valueType: 'decimal'})).toStrictEqual({
+      schema: {type: 'string', pattern: '^-?\\d+(\\.\\d+)?$'},
+      isOptional: false
+    });
+
+    expect(generateValueTypeJSONSchema({valueType: 'bigint?'})).toStrictEqual({
+      schema: {type: 'string', pattern: '^-?\\d+$'},
+      isOptional: true
+    });
+  });
+});
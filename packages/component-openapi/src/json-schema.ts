@@ -0,0 +1,294 @@
+import type {
+  Component,
+  IntrospectedComponent,
+  IntrospectedAttribute,
+  IntrospectedValueType,
+  IntrospectedValidator
+} from '@layr/component';
+import {
+  splitUnionSpecifier,
+  isLiteralSpecifier,
+  parseLiteralSpecifier,
+  getRegisteredValueType
+} from '@layr/component';
+import {ensureComponentServer} from '@layr/component-server';
+import type {ComponentServer} from '@layr/component-server';
+import type {PlainObject} from 'core-helpers';
+
+export type JSONSchema = PlainObject;
+
+export type GenerateJSONSchemasOptions = {
+  refPrefix?: string;
+};
+
+const DEFAULT_REF_PREFIX = '#/definitions/';
+
+/**
+ * Generates a [JSON Schema](https://json-schema.org/) for each component served by a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server).
+ *
+ * A schema describes the exposed attributes of the component instances. The value types of the attributes are translated into JSON types (e.g., a `'Date'` attribute is represented by a string with a `'date-time'` format), and the [built-in validators](https://layrjs.com/docs/v1/reference/validator#built-in-validator-builders) are translated into the matching JSON Schema keywords (e.g., `maxLength(30)` becomes `{maxLength: 30}`, and `range([1, 5])` becomes `{minimum: 1, maximum: 5}`). The custom validators cannot be translated, so they are ignored.
+ *
+ * The non-optional attributes are listed in the `required` keyword of the schema, the attributes that cannot be set by a client are marked as `readOnly`, and the attributes referencing another component are represented by a `$ref`.
+ *
+ * @param componentOrComponentServer The root [`Component`](https://layrjs.com/docs/v1/reference/component) class to describe (an instance of a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) will be created under the hood so only the exposed attributes are described). Alternatively, you can pass an existing instance of a `ComponentServer`.
+ * @param [options.refPrefix] A string specifying the prefix of the `$ref` pointing to a component schema (default: `'#/definitions/'`).
+ *
+ * @returns A plain object mapping the name of each component to its JSON Schema.
+ *
+ * @example
+ * ```
+ * import {Component, provide, primaryIdentifier, attribute, expose, validators} from '@layr/component';
+ * import {generateJSONSchemas} from '@layr/component-openapi';
+ *
+ * const {maxLength} = validators;
+ *
+ * class Movie extends Component {
+ *   @expose({get: true, set: true}) @primaryIdentifier() id;
+ *
+ *   @expose({get: true, set: true})
+ *   @attribute('string', {validators: [maxLength(100)]})
+ *   title;
+ * }
+ *
+ * class Backend extends Component {
+ *   @provide() static Movie = Movie;
+ * }
+ *
+ * generateJSONSchemas(Backend);
+ * // => {
+ * //   Backend: {title: 'Backend', type: 'object', properties: {}, additionalProperties: false},
+ * //   Movie: {
+ * //     title: 'Movie',
+ * //     type: 'object',
+ * //     properties: {
+ * //       id: {type: 'string'},
+ * //       title: {type: 'string', maxLength: 100}
+ * //     },
+ * //     required: ['id', 'title'],
+ * //     additionalProperties: false
+ * //   }
+ * // }
+ * ```
+ *
+ * @category Functions
+ */
+export function generateJSONSchemas(
+  componentOrComponentServer: typeof Component | ComponentServer,
+  options: GenerateJSONSchemasOptions = {}
+) {
+  const componentServer = ensureComponentServer(componentOrComponentServer);
+
+  const {refPrefix = DEFAULT_REF_PREFIX} = options;
+
+  const schemas: {[componentName: string]: JSONSchema} = {};
+
+  for (const introspectedComponent of getIntrospectedComponents(
+    componentServer._introspectedComponent
+  )) {
+    schemas[introspectedComponent.name] = generateComponentJSONSchema(introspectedComponent, {
+      refPrefix
+    });
+  }
+
+  return schemas;
+}
+
+export function getIntrospectedComponents(introspectedComponent: IntrospectedComponent) {
+  const introspectedComponents = [introspectedComponent];
+
+  for (const providedComponent of introspectedComponent.providedComponents ?? []) {
+    introspectedComponents.push(...getIntrospectedComponents(providedComponent));
+  }
+
+  return introspectedComponents;
+}
+
+export function getIntrospectedAttributes(introspectedComponent: IntrospectedComponent) {
+  return (introspectedComponent.prototype?.properties ?? []).filter(({type}) =>
+    type.endsWith('Attribute')
+  ) as IntrospectedAttribute[];
+}
+
+function generateComponentJSONSchema(
+  introspectedComponent: IntrospectedComponent,
+  {refPrefix}: {refPrefix: string}
+) {
+  const properties: {[name: string]: JSONSchema} = {};
+  const required: string[] = [];
+
+  for (const introspectedAttribute of getIntrospectedAttributes(introspectedComponent)) {
+    const {name, exposure} = introspectedAttribute;
+
+    const {schema, isOptional} = generateValueTypeJSONSchema(introspectedAttribute, {refPrefix});
+
+    if (exposure?.set !== true) {
+      schema.readOnly = true;
+    }
+
+    properties[name] = schema;
+
+    if (!isOptional) {
+      required.push(name);
+    }
+  }
+
+  const schema: JSONSchema = {title: introspectedComponent.name, type: 'object', properties};
+
+  if (required.length > 0) {
+    schema.required = required;
+  }
+
+  schema.additionalProperties = false;
+
+  return schema;
+}
+
+// {valueType: 'string?', validators: [maxLength(30)]}
+// => {schema: {type: 'string', maxLength: 30}, isOptional: true}
+export function generateValueTypeJSONSchema(
+  introspectedValueType: IntrospectedValueType,
+  {refPrefix = DEFAULT_REF_PREFIX}: {refPrefix?: string} = {}
+): {schema: JSONSchema; isOptional: boolean} {
+  let {valueType: specifier = 'any', validators = [], items} = introspectedValueType;
+
+  let isOptional = false;
+
+  const memberSpecifiers = splitUnionSpecifier(specifier);
+
+  if (memberSpecifiers.length > 1) {
+    specifier = `(${specifier})`;
+  } else if (specifier.endsWith('?')) {
+    specifier = specifier.slice(0, -1);
+    isOptional = true;
+  }
+
+  let schema: JSONSchema;
+
+  if (specifier.endsWith('[]')) {
+    const {schema: itemSchema} = generateValueTypeJSONSchema(
+      {...items, valueType: specifier.slice(0, -2)},
+      {refPrefix}
+    );
+
+    schema = {type: 'array', items: itemSchema};
+  } else if (specifier.startsWith('(') && specifier.endsWith(')')) {
+    schema = generateUnionJSONSchema(splitUnionSpecifier(specifier.slice(1, -1)), {refPrefix});
+  } else if (isLiteralSpecifier(specifier)) {
+    schema = {enum: [parseLiteralSpecifier(specifier)]};
+  } else if (specifier === 'any') {
+    schema = {};
+  } else if (specifier === 'boolean' || specifier === 'number' || specifier === 'string') {
+    schema = {type: specifier};
+  } else if (specifier === 'object') {
+    schema = {type: 'object'};
+  } else if (specifier === 'Date') {
+    schema = {type: 'string', format: 'date-time'};
+  } else if (specifier === 'RegExp') {
+    schema = {type: 'string', format: 'regex'};
+  } else if (specifier === 'decimal') {
+    // The decimals are represented by strings to avoid the rounding errors
+    schema = {type: 'string', pattern: '^-?\\d+(\\.\\d+)?$'};
+  } else if (specifier === 'bigint') {
+    schema = {type: 'string', pattern: '^-?\\d+$'};
+  } else if (getRegisteredValueType(specifier) !== undefined) {
+    // A custom value type, the shape of which is unknown
+    schema = {};
+  } else {
+    // A component type such as 'Movie'
+    schema = {$ref: `${refPrefix}${specifier}`};
+  }
+
+  for (const validator of validators) {
+    applyValidator(schema, validator);
+  }
+
+  return {schema, isOptional};
+}
+
+// ["'draft'", "'published'", 'number']
+// => {anyOf: [{enum: ['draft', 'published']}, {type: 'number'}]}
+function generateUnionJSONSchema(memberSpecifiers: string[], {refPrefix}: {refPrefix: string}) {
+  const schemas: JSONSchema[] = [];
+  const enumValues: (string | number)[] = [];
+  let enumIndex: number | undefined;
+
+  for (const memberSpecifier of memberSpecifiers) {
+    // The literals are grouped into a single enum
+    if (isLiteralSpecifier(memberSpecifier)) {
+      if (enumIndex === undefined) {
+        enumIndex = schemas.length;
+      }
+
+      enumValues.push(parseLiteralSpecifier(memberSpecifier));
+      continue;
+    }
+
+    schemas.push(generateValueTypeJSONSchema({valueType: memberSpecifier}, {refPrefix}).schema);
+  }
+
+  if (enumIndex !== undefined) {
+    schemas.splice(enumIndex, 0, {enum: enumValues});
+  }
+
+  return schemas.length === 1 ? schemas[0] : {anyOf: schemas};
+}
+
+function applyValidator(schema: JSONSchema, {name, arguments: args = []}: IntrospectedValidator) {
+  const [argument] = args;
+  const isArray = schema.type === 'array';
+
+  switch (name) {
+    case 'integer':
+      schema.type = 'integer';
+      break;
+    case 'positive':
+      schema.minimum = 0;
+      break;
+    case 'negative':
+      schema.exclusiveMaximum = 0;
+      break;
+    case 'lessThan':
+      schema.exclusiveMaximum = argument;
+      break;
+    case 'lessThanOrEqual':
+      schema.maximum = argument;
+      break;
+    case 'greaterThan':
+      schema.exclusiveMinimum = argument;
+      break;
+    case 'greaterThanOrEqual':
+      schema.minimum = argument;
+      break;
+    case 'range':
+      schema.minimum = argument[0];
+      schema.maximum = argument[1];
+      break;
+    case 'notEmpty':
+      schema[isArray ? 'minItems' : 'minLength'] = 1;
+      break;
+    case 'minLength':
+      schema[isArray ? 'minItems' : 'minLength'] = argument;
+      break;
+    case 'maxLength':
+      schema[isArray ? 'maxItems' : 'maxLength'] = argument;
+      break;
+    case 'rangeLength':
+      schema[isArray ? 'minItems' : 'minLength'] = argument[0];
+      schema[isArray ? 'maxItems' : 'maxLength'] = argument[1];
+      break;
+    case 'match':
+      if (argument instanceof RegExp) {
+        schema.pattern = argument.source;
+      }
+      break;
+    case 'anyOf':
+      schema.enum = argument;
+      break;
+    case 'noneOf':
+      schema.not = {enum: argument};
+      break;
+    default:
+    // The 'required' validator is represented by the `required` keyword of the component schema,
+    // and the custom validators cannot be represented
+  }
+}
@@ -0,0 +1,78 @@
+import {Component, provide, expose} from '@layr/component';
+import {ComponentServer} from '@layr/component-server';
+import {Storable, primaryIdentifier, attribute} from '@layr/storable';
+
+import {generateOpenAPIDocument} from './openapi';
+
+describe('OpenAPI', () => {
+  test('generateOpenAPIDocument()', async () => {
+    @expose({get: {call: true}, prototype: {delete: {call: true}}})
+    class Movie extends Storable(Component) {
+      @expose({get: true, set: true}) @primaryIdentifier('number') id!: number;
+
+      @expose({get: true, set: true}) @attribute('string') title = '';
+    }
+
+    class Backend extends Component {
+      @provide() static Movie = Movie;
+    }
+
+    let document = generateOpenAPIDocument(new ComponentServer(Backend, {version: 2}), {
+      serverURL: 'https://backend.example.com'
+    });
+
+    expect(document.openapi).toBe('3.1.0');
+    expect(document.info).toStrictEqual({title: 'Backend', version: '2'});
+    expect(document.servers).toStrictEqual([{url: 'https://backend.example.com'}]);
+    expect(Object.keys(document.paths)).toStrictEqual(['/']);
+    expect(Object.keys(document.paths['/'])).toStrictEqual(['get', 'post']);
+    expect(document.paths['/'].post.requestBody.content['application/json']).toStrictEqual({
+      schema: {$ref: '#/components/schemas/ComponentServerRequest'},
+      example: {
+        query: {'<=': {__component: 'typeof Backend'}, 'introspect=>': {'()': []}},
+        version: 2
+      }
+    });
+    expect(Object.keys(document.components.schemas)).toStrictEqual([
+      'Backend',
+      'Movie',
+      'ComponentServerRequest',
+      'ComponentServerResponse',
+      'ComponentServerError'
+    ]);
+    expect(document.components.schemas.Movie.properties).toStrictEqual({
+      id: {type: 'number'},
+      title: {type: 'string'}
+    });
+
+    document = generateOpenAPIDocument(Backend, {title: 'Movie API', rest: true});
+
+    expect(document.info).toStrictEqual({title: 'Movie API', version: '0'});
+    expect(document.servers).toBeUndefined();
+    expect(Object.keys(document.paths)).toStrictEqual(['/', '/movies/{id}']);
+    expect(Object.keys(document.paths['/movies/{id}'])).toStrictEqual(['get', 'delete']);
+    expect(document.paths['/movies/{id}'].get).toStrictEqual({
+      operationId: 'getMovie',
+      summary: 'Get a Movie component',
+      parameters: [{name: 'id', in: 'path', required: true, schema: {type: 'number'}}],
+      responses: {
+        '200': {
+          description: 'The Movie component',
+          content: {'application/json': {schema: {$ref: '#/components/schemas/Movie'}}}
+        },
+        '4XX': {
+          description: 'A client error',
+          content: {
+            'application/json': {schema: {$ref: '#/components/schemas/ComponentServerError'}}
+          }
+        },
+        '5XX': {
+          description: 'A server error',
+          content: {
+            'application/json': {schema: {$ref: '#/components/schemas/ComponentServerError'}}
+          }
+        }
+      }
+    });
+  });
+});
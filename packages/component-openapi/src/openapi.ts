@@ -0,0 +1,321 @@
+import type {Component} from '@layr/component';
+import {ensureComponentServer} from '@layr/component-server';
+import type {ComponentServer} from '@layr/component-server';
+import type {PlainObject} from 'core-helpers';
+
+import {
+  generateJSONSchemas,
+  getIntrospectedComponents,
+  getIntrospectedAttributes
+} from './json-schema';
+import type {JSONSchema} from './json-schema';
+import {RESTFacade} from './rest-facade';
+import type {RESTFacadeOptions} from './rest-facade';
+
+export type GenerateOpenAPIDocumentOptions = {
+  title?: string;
+  description?: string;
+  serverURL?: string;
+  rest?: boolean | RESTFacadeOptions;
+};
+
+const SCHEMA_REF_PREFIX = '#/components/schemas/';
+
+/**
+ * Generates an [OpenAPI](https://spec.openapis.org/oas/v3.1.0) document describing the HTTP endpoint of a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) as it is served by [`component-koa-middleware`](https://layrjs.com/docs/v1/reference/component-koa-middleware) or [`component-express-middleware`](https://layrjs.com/docs/v1/reference/component-express-middleware).
+ *
+ * The document describes the `GET /` (introspection) and `POST /` (query invocation) operations, and it includes the [JSON Schema](https://layrjs.com/docs/v1/reference/component-openapi#generate-json-schemas-function) of each served component. When the `rest` option is specified, the routes of the [`RESTFacade`](https://layrjs.com/docs/v1/reference/rest-facade) are described as well.
+ *
+ * @param componentOrComponentServer The root [`Component`](https://layrjs.com/docs/v1/reference/component) class to describe. An instance of a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) will be created under the hood. Alternatively, you can pass an existing instance of a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server).
+ * @param [options.title] A string specifying the title of the API (default: the name of the root component).
+ * @param [options.description] A string specifying the description of the API (default: `undefined`).
+ * @param [options.serverURL] A string specifying the URL where the API is served (default: `undefined`).
+ * @param [options.rest] A boolean or an object specifying the options of a [`RESTFacade`](https://layrjs.com/docs/v1/reference/rest-facade) to describe (default: `false`).
+ *
+ * @returns A plain object representing an OpenAPI document.
+ *
+ * @example
+ * ```
+ * import {generateOpenAPIDocument} from '@layr/component-openapi';
+ *
+ * const document = generateOpenAPIDocument(Backend, {serverURL: 'https://backend.example.com'});
+ *
+ * JSON.stringify(document, undefined, 2);
+ * ```
+ *
+ * @category Functions
+ */
+export function generateOpenAPIDocument(
+  componentOrComponentServer: typeof Component | ComponentServer,
+  options: GenerateOpenAPIDocumentOptions = {}
+) {
+  const componentServer = ensureComponentServer(componentOrComponentServer);
+
+  const {
+    title = componentServer._introspectedComponent.name,
+    description,
+    serverURL,
+    rest = false
+  } = options;
+
+  const version = componentServer._version;
+
+  const document: PlainObject = {
+    openapi: '3.1.0',
+    info: {title, version: version !== undefined ? String(version) : '0'}
+  };
+
+  if (description !== undefined) {
+    document.info.description = description;
+  }
+
+  if (serverURL !== undefined) {
+    document.servers = [{url: serverURL}];
+  }
+
+  const errorResponses = {
+    '4XX': createJSONResponse('A client error', `${SCHEMA_REF_PREFIX}ComponentServerError`),
+    '5XX': createJSONResponse('A server error', `${SCHEMA_REF_PREFIX}ComponentServerError`)
+  };
+
+  document.paths = {
+    '/': {
+      get: {
+        operationId: 'introspect',
+        summary: 'Introspect the served components',
+        description:
+          'Returns the exposed attributes, methods, and components of the root component. A Layr component client uses this operation to build its local components.',
+        responses: {
+          '200': createJSONResponse(
+            'The introspected root component',
+            `${SCHEMA_REF_PREFIX}ComponentServerResponse`
+          ),
+          ...errorResponses
+        }
+      },
+      post: {
+        operationId: 'invokeQuery',
+        summary: 'Invoke a query',
+        description: [
+          'Executes a [Deepr](https://github.com/deeprjs/deepr) query on the served components.',
+          '',
+          'In a query, `"<="` specifies the component (or the component class) on which the subsequent keys are executed, a key ending with `"=>"` invokes an exposed method with the arguments specified in `"()"`, and the other keys read some exposed attributes.',
+          '',
+          'The components and the values that cannot be represented in JSON are serialized with some special keys (e.g., `{"__component": "typeof Movie"}` represents the `Movie` class, `{"__component": "Movie", "id": "abc123"}` represents an instance of `Movie`, and `{"__date": "2020-07-18T23:43:33.778Z"}` represents a date).'
+        ].join('\n'),
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {$ref: `${SCHEMA_REF_PREFIX}ComponentServerRequest`},
+              example: generateQueryExample(componentServer, version)
+            }
+          }
+        },
+        responses: {
+          '200': createJSONResponse(
+            'The result of the query',
+            `${SCHEMA_REF_PREFIX}ComponentServerResponse`
+          ),
+          ...errorResponses
+        }
+      }
+    }
+  };
+
+  if (rest !== false) {
+    const facade = new RESTFacade(componentServer, rest === true ? {} : rest);
+
+    Object.assign(document.paths, generateRESTPaths(facade, errorResponses));
+  }
+
+  document.components = {
+    schemas: {
+      ...generateJSONSchemas(componentServer, {refPrefix: SCHEMA_REF_PREFIX}),
+      ComponentServerRequest: {
+        type: 'object',
+        properties: {
+          query: {type: 'object', description: 'A Deepr query'},
+          components: {
+            type: 'array',
+            items: {type: 'object'},
+            description: 'The serialized component classes referenced by the query'
+          },
+          version: {type: 'number', description: 'The version of the component server'}
+        },
+        required: ['query']
+      },
+      ComponentServerResponse: {
+        type: 'object',
+        properties: {
+          result: {description: 'The serialized result of the query'},
+          components: {
+            type: 'array',
+            items: {type: 'object'},
+            description: 'The serialized component classes referenced by the result'
+          }
+        }
+      },
+      ComponentServerError: {
+        type: 'object',
+        properties: {
+          message: {type: 'string'},
+          code: {type: 'string'}
+        },
+        required: ['message']
+      }
+    }
+  };
+
+  return document;
+}
+
+function generateRESTPaths(facade: RESTFacade, errorResponses: PlainObject) {
+  const paths: PlainObject = {};
+
+  const introspectedComponents = getIntrospectedComponents(
+    facade._componentServer._introspectedComponent
+  );
+
+  const schemas = generateJSONSchemas(facade._componentServer, {refPrefix: SCHEMA_REF_PREFIX});
+
+  for (const {componentName, path, identifierName, operations} of facade.getResources()) {
+    const schemaRef = `${SCHEMA_REF_PREFIX}${componentName}`;
+
+    const introspectedComponent = introspectedComponents.find(({name}) => name === componentName)!;
+
+    const getAttributeSchema = (name: string) => {
+      const {readOnly, ...schema} = schemas[componentName].properties[name] as JSONSchema;
+      return schema;
+    };
+
+    const identifierParameter = {
+      name: identifierName,
+      in: 'path',
+      required: true,
+      schema: getAttributeSchema(identifierName)
+    };
+
+    const collectionPath: PlainObject = {};
+    const itemPath: PlainObject = {};
+
+    if (operations.includes('list')) {
+      collectionPath.get = {
+        operationId: `find${componentName}`,
+        summary: `Find some ${componentName} components`,
+        parameters: [
+          ...getIntrospectedAttributes(introspectedComponent)
+            .filter(({valueType = 'any'}) =>
+              ['string', 'number', 'boolean', 'Date'].includes(valueType.replace(/\?$/, ''))
+            )
+            .map(({name}) => ({
+              name,
+              in: 'query',
+              required: false,
+              description: `Only returns the components with the specified '${name}'`,
+              schema: getAttributeSchema(name)
+            })),
+          {
+            name: 'sort',
+            in: 'query',
+            required: false,
+            description:
+              "A comma-separated list of attribute names (prefixed with '-' for a descending order)",
+            schema: {type: 'string'}
+          },
+          {name: 'skip', in: 'query', required: false, schema: {type: 'integer', minimum: 0}},
+          {name: 'limit', in: 'query', required: false, schema: {type: 'integer', minimum: 0}}
+        ],
+        responses: {
+          '200': {
+            description: `The matching ${componentName} components`,
+            content: {
+              'application/json': {schema: {type: 'array', items: {$ref: schemaRef}}}
+            }
+          },
+          ...errorResponses
+        }
+      };
+    }
+
+    if (operations.includes('create')) {
+      collectionPath.post = {
+        operationId: `create${componentName}`,
+        summary: `Create a ${componentName} component`,
+        requestBody: {required: true, content: {'application/json': {schema: {$ref: schemaRef}}}},
+        responses: {
+          '201': createJSONResponse(`The created ${componentName} component`, schemaRef),
+          ...errorResponses
+        }
+      };
+    }
+
+    if (operations.includes('read')) {
+      itemPath.get = {
+        operationId: `get${componentName}`,
+        summary: `Get a ${componentName} component`,
+        parameters: [identifierParameter],
+        responses: {
+          '200': createJSONResponse(`The ${componentName} component`, schemaRef),
+          ...errorResponses
+        }
+      };
+    }
+
+    if (operations.includes('update')) {
+      itemPath.patch = {
+        operationId: `update${componentName}`,
+        summary: `Update a ${componentName} component`,
+        parameters: [identifierParameter],
+        requestBody: {
+          required: true,
+          content: {'application/json': {schema: {$ref: schemaRef}}}
+        },
+        responses: {
+          '200': createJSONResponse(`The updated ${componentName} component`, schemaRef),
+          ...errorResponses
+        }
+      };
+    }
+
+    if (operations.includes('delete')) {
+      itemPath.delete = {
+        operationId: `delete${componentName}`,
+        summary: `Delete a ${componentName} component`,
+        parameters: [identifierParameter],
+        responses: {
+          '204': {description: `The ${componentName} component was deleted`},
+          ...errorResponses
+        }
+      };
+    }
+
+    if (Object.keys(collectionPath).length > 0) {
+      paths[path] = collectionPath;
+    }
+
+    if (Object.keys(itemPath).length > 0) {
+      paths[`${path}/{${identifierName}}`] = itemPath;
+    }
+  }
+
+  return paths;
+}
+
+function createJSONResponse(description: string, schemaRef: string) {
+  return {description, content: {'application/json': {schema: {$ref: schemaRef}}}};
+}
+
+function generateQueryExample(componentServer: ComponentServer, version: number | undefined) {
+  const {name} = componentServer._introspectedComponent;
+
+  const example: PlainObject = {
+    query: {'<=': {__component: `typeof ${name}`}, 'introspect=>': {'()': []}}
+  };
+
+  if (version !== undefined) {
+    example.version = version;
+  }
+
+  return example;
+}
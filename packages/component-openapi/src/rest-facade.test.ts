@@ -0,0 +1,242 @@
+import {Component, provide, expose, validators} from '@layr/component';
+import {Storable, primaryIdentifier, attribute} from '@layr/storable';
+import {MemoryStore} from '@layr/memory-store';
+
+import {RESTFacade, getDefaultResourceName} from './rest-facade';
+
+describe('RESTFacade', () => {
+  const getFacade = () => {
+    @expose({
+      get: {call: true},
+      find: {call: true},
+
+      prototype: {
+        load: {call: true},
+        save: {call: true},
+        delete: {call: true}
+      }
+    })
+    class Movie extends Storable(Component) {
+      @expose({get: true, set: true}) @primaryIdentifier() id!: string;
+
+      @expose({get: true, set: true})
+      @attribute('string', {validators: [validators.notEmpty()]})
+      title = '';
+
+      @expose({get: true, set: true}) @attribute('number') year = 0;
+
+      @expose({get: true, set: true}) @attribute('Date?') releasedOn?: Date;
+
+      @attribute('string') secret = 'xyz';
+    }
+
+    @expose({get: {call: true}})
+    class MovieCategory extends Storable(Component) {
+      @expose({get: true}) @primaryIdentifier() id!: string;
+    }
+
+    class Backend extends Component {
+      @provide() static Movie = Movie;
+      @provide() static MovieCategory = MovieCategory;
+    }
+
+    const store = new MemoryStore({
+      initialCollections: {
+        Movie: [
+          {__component: 'Movie', id: 'm1', title: 'Inception', year: 2010, secret: 'xyz'},
+          {__component: 'Movie', id: 'm2', title: 'The Matrix', year: 1999, secret: 'xyz'},
+          {__component: 'Movie', id: 'm3', title: 'Avatar', year: 2009, secret: 'xyz'}
+        ]
+      }
+    });
+
+    store.registerRootComponent(Backend);
+
+    return new RESTFacade(Backend, {resourceNames: {MovieCategory: 'categories'}});
+  };
+
+  test('getResources()', async () => {
+    const facade = getFacade();
+
+    expect(facade.getResources()).toStrictEqual([
+      {
+        componentName: 'Movie',
+        path: '/movies',
+        identifierName: 'id',
+        operations: ['list', 'create', 'read', 'update', 'delete']
+      },
+      {
+        componentName: 'MovieCategory',
+        path: '/categories',
+        identifierName: 'id',
+        operations: ['read']
+      }
+    ]);
+  });
+
+  test('Reading', async () => {
+    const facade = getFacade();
+
+    expect(await facade.handleRequest({method: 'GET', url: '/movies/m1'})).toStrictEqual({
+      status: 200,
+      body: {id: 'm1', title: 'Inception', year: 2010}
+    });
+
+    await expect(facade.handleRequest({method: 'GET', url: '/movies/m9'})).rejects.toThrow(
+      "Cannot find a resource with the specified identifier (path: '/movies/m9')"
+    );
+
+    expect(
+      await facade.handleRequest({method: 'GET', url: '/movies?sort=-year&limit=2'})
+    ).toStrictEqual({
+      status: 200,
+      body: [
+        {id: 'm1', title: 'Inception', year: 2010},
+        {id: 'm3', title: 'Avatar', year: 2009}
+      ]
+    });
+
+    expect(await facade.handleRequest({method: 'GET', url: '/movies?year=1999'})).toStrictEqual({
+      status: 200,
+      body: [{id: 'm2', title: 'The Matrix', year: 1999}]
+    });
+
+    await expect(facade.handleRequest({method: 'GET', url: '/movies?secret=xyz'})).rejects.toThrow(
+      "The component 'Movie' doesn't have an exposed attribute named 'secret'"
+    );
+
+    await expect(facade.handleRequest({method: 'GET', url: '/movies?skip=-1'})).rejects.toThrow(
+      "The 'skip' parameter must be a positive integer (received: '-1')"
+    );
+
+    await expect(facade.handleRequest({method: 'GET', url: '/categories'})).rejects.toThrow(
+      "The method 'GET' is not allowed for '/categories'"
+    );
+
+    expect(await facade.handleRequest({method: 'GET', url: '/users/1'})).toBeUndefined();
+    expect(await facade.handleRequest({method: 'GET', url: '/movies/m1/title'})).toBeUndefined();
+  });
+
+  test('Writing', async () => {
+    const facade = getFacade();
+
+    expect(
+      await facade.handleRequest({
+        method: 'POST',
+        url: '/movies',
+        body: {id: 'm4', title: 'Interstellar', year: 2014, releasedOn: '2014-11-07T00:00:00.000Z'}
+      })
+    ).toStrictEqual({
+      status: 201,
+      body: {
+        id: 'm4',
+        title: 'Interstellar',
+        year: 2014,
+        releasedOn: '2014-11-07T00:00:00.000Z'
+      }
+    });
+
+    expect(
+      await facade.handleRequest({method: 'PATCH', url: '/movies/m4', body: {year: 2015}})
+    ).toStrictEqual({
+      status: 200,
+      body: {id: 'm4', year: 2015}
+    });
+
+    expect(await facade.handleRequest({method: 'GET', url: '/movies/m4'})).toStrictEqual({
+      status: 200,
+      body: {
+        id: 'm4',
+        title: 'Interstellar',
+        year: 2015,
+        releasedOn: '2014-11-07T00:00:00.000Z'
+      }
+    });
+
+    await expect(
+      facade.handleRequest({method: 'POST', url: '/movies', body: {title: ''}})
+    ).rejects.toThrow('The following error(s) occurred while validating the component');
+
+    await expect(
+      facade.handleRequest({method: 'POST', url: '/movies', body: {secret: 'abc'}})
+    ).rejects.toThrow("The component 'Movie' doesn't have an exposed attribute named 'secret'");
+
+    await expect(facade.handleRequest({method: 'POST', url: '/movies', body: [1]})).rejects.toThrow(
+      "Expected the body of the request to be a JSON object, but received a value of type 'Array'"
+    );
+
+    expect(await facade.handleRequest({method: 'DELETE', url: '/movies/m4'})).toStrictEqual({
+      status: 204
+    });
+
+    await expect(facade.handleRequest({method: 'GET', url: '/movies/m4'})).rejects.toThrow(
+      'Cannot find a resource'
+    );
+  });
+
+  test('Handling the value types', async () => {
+    @expose({
+      get: {call: true},
+      find: {call: true},
+      prototype: {load: {call: true}, save: {call: true}}
+    })
+    class Product extends Storable(Component) {
+      @expose({get: true, set: true}) @primaryIdentifier() id!: string;
+
+      @expose({get: true, set: true}) @attribute('decimal') price = '0';
+
+      @expose({get: true, set: true}) @attribute('bigint') stock = BigInt(0);
+
+      @expose({get: true, set: true}) @attribute('(1|2|3)?') rating?: number;
+    }
+
+    const store = new MemoryStore({
+      initialCollections: {
+        Product: [
+          {
+            __component: 'Product',
+            id: 'p1',
+            price: '19.99',
+            stock: {__bigint: '9007199254740993'},
+            rating: 2
+          }
+        ]
+      }
+    });
+
+    store.registerStorable(Product);
+
+    const facade = new RESTFacade(Product);
+
+    const product = {id: 'p1', price: '19.99', stock: '9007199254740993', rating: 2};
+
+    expect(await facade.handleRequest({method: 'GET', url: '/products/p1'})).toStrictEqual({
+      status: 200,
+      body: product
+    });
+
+    expect(
+      await facade.handleRequest({method: 'GET', url: '/products?stock=9007199254740993&rating=2'})
+    ).toStrictEqual({status: 200, body: [product]});
+
+    expect(
+      await facade.handleRequest({
+        method: 'POST',
+        url: '/products',
+        body: {id: 'p2', price: '5', stock: '12', rating: 3}
+      })
+    ).toStrictEqual({status: 201, body: {id: 'p2', price: '5', stock: '12', rating: 3}});
+
+    expect(await facade.handleRequest({method: 'GET', url: '/products?rating=3'})).toStrictEqual({
+      status: 200,
+      body: [{id: 'p2', price: '5', stock: '12', rating: 3}]
+    });
+  });
+
+  test('getDefaultResourceName()', async () => {
+    expect(getDefaultResourceName('Movie')).toBe('movies');
+    expect(getDefaultResourceName('MovieCategory')).toBe('movie-categories');
+    expect(getDefaultResourceName('Box')).toBe('boxes');
+    expect(getDefaultResourceName('Day')).toBe('days');
+  });
+});
@@ -0,0 +1,591 @@
+import type {Component, IntrospectedComponent, IntrospectedAttribute} from '@layr/component';
+import {
+  isLiteralSpecifier,
+  splitUnionSpecifier,
+  getRegisteredValueType,
+  getTaggedValueTypes
+} from '@layr/component';
+import {ensureComponentServer} from '@layr/component-server';
+import type {ComponentServer, ComponentServerRequestContext} from '@layr/component-server';
+import {PlainObject, isPlainObject, getTypeOf} from 'core-helpers';
+
+import {getIntrospectedComponents, getIntrospectedAttributes} from './json-schema';
+
+export type RESTFacadeOptions = {
+  resourceNames?: {[componentName: string]: string};
+};
+
+export type RESTOperation = 'list' | 'create' | 'read' | 'update' | 'delete';
+
+/**
+ * @typedef RESTResource
+ *
+ * A plain object describing a component served by a [`RESTFacade`](https://layrjs.com/docs/v1/reference/rest-facade).
+ *
+ * The object has the following properties:
+ *
+ * * `componentName`: A string representing the name of the component (e.g., `'Movie'`).
+ * * `path`: A string representing the path of the resource (e.g., `'/movies'`).
+ * * `identifierName`: A string representing the name of the primary identifier attribute of the component (e.g., `'id'`).
+ * * `operations`: An array of strings representing the supported operations (`'list'`, `'create'`, `'read'`, `'update'`, and `'delete'`).
+ */
+export type RESTResource = {
+  componentName: string;
+  path: string;
+  identifierName: string;
+  operations: RESTOperation[];
+};
+
+export type RESTRequest = {
+  method: string;
+  url: string;
+  body?: unknown;
+  context?: Partial<ComponentServerRequestContext>;
+};
+
+export type RESTResponse = {
+  status: number;
+  body?: unknown;
+};
+
+const OPERATION_METHODS: {[operation in RESTOperation]: {isStatic: boolean; name: string}} = {
+  list: {isStatic: true, name: 'find'},
+  create: {isStatic: false, name: 'save'},
+  read: {isStatic: true, name: 'get'},
+  update: {isStatic: false, name: 'save'},
+  delete: {isStatic: false, name: 'delete'}
+};
+
+const SORT_DIRECTIONS = {'': 'asc', '-': 'desc'};
+
+/**
+ * A class allowing to access the [storable components](https://layrjs.com/docs/v1/reference/storable#storable-component-class) served by a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) through a conventional REST API. It is useful to let some clients that don't use Layr consume your backend.
+ *
+ * For each component that has an exposed primary identifier, the following routes are served as long as the underlying methods are exposed:
+ *
+ * | Route | Method call | Status |
+ * | --- | --- | --- |
+ * | `GET /movies` | `Movie.find(filter, true, {sort, skip, limit})` | 200 |
+ * | `POST /movies` | `new Movie(body).save()` | 201 |
+ * | `GET /movies/:id` | `Movie.get({id})` | 200 (404 if missing) |
+ * | `PATCH /movies/:id` | `Movie.fork({id, ...body}).save()` | 200 |
+ * | `DELETE /movies/:id` | `Movie.fork({id}).delete()` | 204 |
+ *
+ * The query string of a `GET /movies` request can specify an equality filter (e.g., `?country=USA`), a sort order (e.g., `?sort=-year,title`), and some pagination (e.g., `?skip=20&limit=10`).
+ *
+ * The requests are translated into regular queries sent to the component server, so the exposure and the authorization rules of your components are fully respected. The components are represented by plain JSON objects (without the Layr serialization markers) and the dates are represented by ISO strings.
+ *
+ * Typically, instead of using this class directly, you would enable the `rest` option of a middleware such as [`component-koa-middleware`](https://layrjs.com/docs/v1/reference/component-koa-middleware).
+ *
+ * #### Usage
+ *
+ * ```
+ * import {RESTFacade} from '@layr/component-openapi';
+ *
+ * const facade = new RESTFacade(Backend, {resourceNames: {Person: 'people'}});
+ *
+ * await facade.handleRequest({method: 'GET', url: '/movies/abc123'});
+ * // => {status: 200, body: {id: 'abc123', title: 'Inception'}}
+ * ```
+ */
+export class RESTFacade {
+  _componentServer: ComponentServer;
+  _resources: (RESTResource & {introspectedComponent: IntrospectedComponent})[];
+  _introspectedComponents: Map<string, IntrospectedComponent>;
+
+  /**
+   * Creates a REST facade.
+   *
+   * @param componentOrComponentServer The root [`Component`](https://layrjs.com/docs/v1/reference/component) class to serve. An instance of a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) will be created under the hood. Alternatively, you can pass an existing instance of a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server).
+   * @param [options.resourceNames] A plain object mapping some component names to the name of their resource (default: the resource names are derived from the component names, e.g., `'Movie'` gives `'movies'`).
+   *
+   * @returns A `RESTFacade` instance.
+   *
+   * @category Creation
+   */
+  constructor(
+    componentOrComponentServer: typeof Component | ComponentServer,
+    options: RESTFacadeOptions = {}
+  ) {
+    const {resourceNames = {}} = options;
+
+    this._componentServer = ensureComponentServer(componentOrComponentServer);
+
+    this._introspectedComponents = new Map();
+    this._resources = [];
+
+    for (const introspectedComponent of getIntrospectedComponents(
+      this._componentServer._introspectedComponent
+    )) {
+      const {name} = introspectedComponent;
+
+      this._introspectedComponents.set(name, introspectedComponent);
+
+      const identifierAttribute = getIntrospectedAttributes(introspectedComponent).find(({type}) =>
+        type.endsWith('PrimaryIdentifierAttribute')
+      );
+
+      if (identifierAttribute === undefined) {
+        continue;
+      }
+
+      const operations = (Object.keys(OPERATION_METHODS) as RESTOperation[]).filter((operation) => {
+        const {isStatic, name} = OPERATION_METHODS[operation];
+        return hasExposedMethod(introspectedComponent, name, {isStatic});
+      });
+
+      if (operations.length === 0) {
+        continue;
+      }
+
+      const resourceName = resourceNames[name] ?? getDefaultResourceName(name);
+
+      this._resources.push({
+        componentName: name,
+        path: `/${resourceName}`,
+        identifierName: identifierAttribute.name,
+        operations,
+        introspectedComponent
+      });
+    }
+  }
+
+  /**
+   * Returns the resources served by the facade.
+   *
+   * @returns An array of [`RESTResource`](https://layrjs.com/docs/v1/reference/rest-facade#rest-resource-type).
+   *
+   * @category Methods
+   */
+  getResources(): RESTResource[] {
+    return this._resources.map(({introspectedComponent, ...resource}) => resource);
+  }
+
+  /**
+   * Handles an HTTP request.
+   *
+   * @param request A plain object of the shape `{method, url, body, context}` where `url` is the path of the request (e.g., `'/movies?limit=10'`), `body` is the parsed JSON body of the request, and `context` is an optional [`ComponentServerRequestContext`](https://layrjs.com/docs/v1/reference/component-server#component-server-request-context-type) passed to the component server.
+   *
+   * @returns A promise resolving to a plain object of the shape `{status, body}`, or `undefined` if the request doesn't match any resource. In case of a client error (e.g., an unknown attribute), the promise is rejected with an error that has a `status` attribute.
+   *
+   * @category Methods
+   * @async
+   */
+  async handleRequest(request: RESTRequest): Promise<RESTResponse | undefined> {
+    const {method, url, body, context} = request;
+
+    const [path, queryString = ''] = url.split('?');
+    const [, resourceName, encodedIdentifier, ...otherSegments] = path.split('/');
+
+    if (otherSegments.length > 0) {
+      return undefined;
+    }
+
+    const resource = this._resources.find((resource) => resource.path === `/${resourceName}`);
+
+    if (resource === undefined) {
+      return undefined;
+    }
+
+    let operation: RESTOperation | undefined;
+
+    if (encodedIdentifier === undefined || encodedIdentifier === '') {
+      operation = method === 'GET' ? 'list' : method === 'POST' ? 'create' : undefined;
+    } else {
+      operation =
+        method === 'GET'
+          ? 'read'
+          : method === 'PATCH'
+          ? 'update'
+          : method === 'DELETE'
+          ? 'delete'
+          : undefined;
+    }
+
+    if (operation === undefined || !resource.operations.includes(operation)) {
+      throw createHTTPError(405, `The method '${method}' is not allowed for '${path}'`);
+    }
+
+    const identifier =
+      encodedIdentifier !== undefined && encodedIdentifier !== ''
+        ? this._parseValue(
+            resource.introspectedComponent,
+            resource.identifierName,
+            decodeURIComponent(encodedIdentifier)
+          )
+        : undefined;
+
+    const componentName = resource.componentName;
+
+    if (operation === 'list') {
+      const {filter, options} = this._parseListParameters(
+        resource.introspectedComponent,
+        new URLSearchParams(queryString)
+      );
+
+      const result = await this._invoke(
+        {__component: `typeof ${componentName}`},
+        'find',
+        [filter, true, options],
+        context
+      );
+
+      return {status: 200, body: toPlainValue(result)};
+    }
+
+    if (operation === 'read') {
+      const result = await this._invoke(
+        {__component: `typeof ${componentName}`},
+        'get',
+        [{[resource.identifierName]: identifier}, true, {throwIfMissing: false}],
+        context
+      );
+
+      if (result === undefined) {
+        throw createHTTPError(
+          404,
+          `Cannot find a resource with the specified identifier (path: '${path}')`
+        );
+      }
+
+      return {status: 200, body: toPlainValue(result)};
+    }
+
+    if (operation === 'delete') {
+      await this._invoke(
+        {__component: componentName, [resource.identifierName]: identifier},
+        'delete',
+        [],
+        context
+      );
+
+      return {status: 204};
+    }
+
+    // 'create' or 'update'
+
+    if (!isPlainObject(body)) {
+      throw createHTTPError(
+        400,
+        `Expected the body of the request to be a JSON object, but received a value of type '${getTypeOf(
+          body
+        )}'`
+      );
+    }
+
+    const serializedAttributes = this._serializeAttributes(resource.introspectedComponent, body);
+
+    const serializedComponent =
+      operation === 'create'
+        ? {__component: componentName, __new: true, ...serializedAttributes}
+        : {
+            __component: componentName,
+            ...serializedAttributes,
+            [resource.identifierName]: identifier
+          };
+
+    const result = await this._invoke(serializedComponent, 'save', [], context);
+
+    // The component server doesn't return the attributes that were sent by the client
+    return {
+      status: operation === 'create' ? 201 : 200,
+      body: toPlainValue({...serializedComponent, ...(result as PlainObject)})
+    };
+  }
+
+  async _invoke(
+    serializedTarget: PlainObject,
+    methodName: string,
+    args: unknown[],
+    context: Partial<ComponentServerRequestContext> | undefined
+  ) {
+    const {result} = await this._componentServer.receive(
+      {
+        query: {'<=': serializedTarget, [`${methodName}=>`]: {'()': args}},
+        version: this._componentServer._version
+      },
+      {context}
+    );
+
+    // The errors thrown by the invoked method are returned as serialized errors
+    if (isPlainObject(result) && '__error' in result) {
+      const {__error: message, ...attributes} = result;
+      throw Object.assign(new Error(message), attributes);
+    }
+
+    return result;
+  }
+
+  // ?country=USA&sort=-year,title&skip=20&limit=10
+  // => {filter: {country: 'USA'}, options: {sort: {year: 'desc', title: 'asc'}, skip: 20, limit: 10}}
+  _parseListParameters(introspectedComponent: IntrospectedComponent, params: URLSearchParams) {
+    const filter: PlainObject = {};
+    const options: PlainObject = {};
+
+    for (const [name, value] of params.entries()) {
+      if (name === 'sort') {
+        options.sort = {};
+
+        for (const field of value.split(',')) {
+          const direction = field.startsWith('-') ? '-' : '';
+          options.sort[field.slice(direction.length)] = SORT_DIRECTIONS[direction];
+        }
+      } else if (name === 'skip' || name === 'limit') {
+        const number = Number(value);
+
+        if (!Number.isInteger(number) || number < 0) {
+          throw createHTTPError(
+            400,
+            `The '${name}' parameter must be a positive integer (received: '${value}')`
+          );
+        }
+
+        options[name] = number;
+      } else {
+        filter[name] = this._parseValue(introspectedComponent, name, value);
+      }
+    }
+
+    return {filter, options};
+  }
+
+  _parseValue(introspectedComponent: IntrospectedComponent, attributeName: string, value: string) {
+    const valueType = getAttributeValueType(
+      getIntrospectedAttributeOrThrow(introspectedComponent, attributeName)
+    );
+
+    if (valueType === 'number') {
+      const number = Number(value);
+
+      if (Number.isNaN(number)) {
+        throw createHTTPError(
+          400,
+          `Expected a number for the '${attributeName}' parameter, but received '${value}'`
+        );
+      }
+
+      return number;
+    }
+
+    if (valueType === 'boolean') {
+      return value === 'true';
+    }
+
+    if (valueType === 'Date') {
+      return {__date: value};
+    }
+
+    if (isNumberEnumSpecifier(valueType)) {
+      const number = Number(value);
+
+      return Number.isNaN(number) ? value : number;
+    }
+
+    // A value type with a serialization tag such as 'bigint' => {__bigint: '123'}
+    const serializationTag = getRegisteredValueType(valueType)?.serializationTag;
+
+    if (serializationTag !== undefined) {
+      return {[serializationTag]: value};
+    }
+
+    return value;
+  }
+
+  // {title: 'Inception', releasedOn: '2010-07-16T00:00:00.000Z'}
+  // => {title: 'Inception', releasedOn: {__date: '2010-07-16T00:00:00.000Z'}}
+  _serializeAttributes(introspectedComponent: IntrospectedComponent, attributes: PlainObject) {
+    const serializedAttributes: PlainObject = {};
+
+    for (const [name, value] of Object.entries(attributes)) {
+      const introspectedAttribute = getIntrospectedAttributeOrThrow(introspectedComponent, name);
+
+      serializedAttributes[name] = this._serializeValue(
+        value,
+        introspectedAttribute.valueType ?? 'any',
+        name
+      );
+    }
+
+    return serializedAttributes;
+  }
+
+  _serializeValue(value: unknown, valueType: string, path: string): unknown {
+    if (value === null || value === undefined) {
+      return {__undefined: true};
+    }
+
+    if (valueType.endsWith('?')) {
+      valueType = valueType.slice(0, -1);
+    }
+
+    if (valueType.endsWith('[]')) {
+      if (!Array.isArray(value)) {
+        return value; // The component server will report the type mismatch
+      }
+
+      return value.map((item, index) =>
+        this._serializeValue(item, valueType.slice(0, -2), `${path}[${index}]`)
+      );
+    }
+
+    if (valueType === 'Date') {
+      return typeof value === 'string' ? {__date: value} : value;
+    }
+
+    const serializationTag = getRegisteredValueType(valueType)?.serializationTag;
+
+    if (serializationTag !== undefined) {
+      return {[serializationTag]: value};
+    }
+
+    const introspectedComponent = this._introspectedComponents.get(valueType);
+
+    if (introspectedComponent !== undefined && isPlainObject(value)) {
+      const serializedComponent: PlainObject = {__component: valueType};
+
+      if (introspectedComponent.isEmbedded) {
+        serializedComponent.__new = true;
+      }
+
+      for (const [name, attributeValue] of Object.entries(value)) {
+        const introspectedAttribute = getIntrospectedAttributeOrThrow(
+          introspectedComponent,
+          name,
+          `${path}.${name}`
+        );
+
+        serializedComponent[name] = this._serializeValue(
+          attributeValue,
+          introspectedAttribute.valueType ?? 'any',
+          `${path}.${name}`
+        );
+      }
+
+      return serializedComponent;
+    }
+
+    return value;
+  }
+}
+
+function hasExposedMethod(
+  introspectedComponent: IntrospectedComponent,
+  name: string,
+  {isStatic}: {isStatic: boolean}
+) {
+  const properties = isStatic
+    ? introspectedComponent.properties
+    : introspectedComponent.prototype?.properties;
+
+  return (properties ?? []).some(
+    (property) =>
+      property.name === name && property.type === 'Method' && property.exposure?.call === true
+  );
+}
+
+function getIntrospectedAttributeOrThrow(
+  introspectedComponent: IntrospectedComponent,
+  name: string,
+  path = name
+) {
+  const introspectedAttribute = getIntrospectedAttributes(introspectedComponent).find(
+    (introspectedAttribute) => introspectedAttribute.name === name
+  );
+
+  if (introspectedAttribute === undefined) {
+    throw createHTTPError(
+      400,
+      `The component '${introspectedComponent.name}' doesn't have an exposed attribute named '${path}'`
+    );
+  }
+
+  return introspectedAttribute;
+}
+
+// '1|2|3' or '(1|2|3)'
+function isNumberEnumSpecifier(specifier: string) {
+  if (specifier.startsWith('(') && specifier.endsWith(')')) {
+    specifier = specifier.slice(1, -1);
+  }
+
+  return splitUnionSpecifier(specifier).every(
+    (memberSpecifier) => isLiteralSpecifier(memberSpecifier) && !memberSpecifier.startsWith("'")
+  );
+}
+
+function getAttributeValueType({valueType = 'any'}: IntrospectedAttribute) {
+  return valueType.endsWith('?') ? valueType.slice(0, -1) : valueType;
+}
+
+// 'Movie' => 'movies'
+// 'MovieCategory' => 'movie-categories'
+export function getDefaultResourceName(componentName: string) {
+  const name = componentName.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+
+  if (/[^aeiou]y$/.test(name)) {
+    return name.slice(0, -1) + 'ies';
+  }
+
+  if (/(s|x|z|ch|sh)$/.test(name)) {
+    return name + 'es';
+  }
+
+  return name + 's';
+}
+
+// {__component: 'Movie', id: 'abc123', releasedOn: {__date: '2010-07-16T00:00:00.000Z'}}
+// => {id: 'abc123', releasedOn: '2010-07-16T00:00:00.000Z'}
+function toPlainValue(value: unknown): unknown {
+  if (Array.isArray(value)) {
+    return value.map(toPlainValue);
+  }
+
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  if ('__date' in value) {
+    return value.__date;
+  }
+
+  if ('__regExp' in value) {
+    return value.__regExp;
+  }
+
+  if ('__undefined' in value) {
+    return undefined;
+  }
+
+  // A value of a type having a serialization tag such as {__bigint: '123'} => '123'
+  const keys = Object.keys(value);
+
+  if (keys.length === 1 && getTaggedValueTypes().has(keys[0])) {
+    return value[keys[0]];
+  }
+
+  const plainObject: PlainObject = {};
+
+  for (const [name, attributeValue] of Object.entries(value)) {
+    if (name.startsWith('__')) {
+      continue;
+    }
+
+    const plainValue = toPlainValue(attributeValue);
+
+    if (plainValue !== undefined) {
+      plainObject[name] = plainValue;
+    }
+  }
+
+  return plainObject;
+}
+
+const HTTP_ERROR_CODES: {[status: number]: string} = {
+  400: 'REST_FACADE_INVALID_REQUEST',
+  404: 'REST_FACADE_RESOURCE_NOT_FOUND',
+  405: 'REST_FACADE_METHOD_NOT_ALLOWED'
+};
+
+function createHTTPError(status: number, message: string) {
+  return Object.assign(new Error(message), {code: HTTP_ERROR_CODES[status], status, expose: true});
+}
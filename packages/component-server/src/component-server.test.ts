@@ -7,11 +7,13 @@ import {
   expose,
   provide,
   consume,
-  validators
+  validators,
+  registerValidationMessages,
+  NotFoundError
 } from '@layr/component';
 import {PlainObject, forEachDeep} from 'core-helpers';
 
-import {ComponentServer} from './component-server';
+import {ComponentServer, getRequestContext} from './component-server';
 
 describe('ComponentServer', () => {
   test('Introspecting components', async () => {
@@ -170,7 +172,13 @@ describe('ComponentServer', () => {
     ).toStrictEqual({
       result: {
         offset: 0,
-        limit: {__error: "Cannot get the value of an attribute that is not allowed (name: 'limit')"}
+        limit: {
+          __error: "Cannot get the value of an attribute that is not allowed (name: 'limit')",
+          name: 'ForbiddenError',
+          code: 'FORBIDDEN',
+          status: 403,
+          expose: true
+        }
       },
       components: [{__component: 'typeof Movie', offset: 0}]
     });
@@ -347,7 +355,11 @@ describe('ComponentServer', () => {
       })
     ).toStrictEqual({
       result: {
-        __error: "Cannot execute a method that is not allowed (name: 'unexposedClassMethod')"
+        __error: "Cannot execute a method that is not allowed (name: 'unexposedClassMethod')",
+        name: 'ForbiddenError',
+        code: 'FORBIDDEN',
+        status: 403,
+        expose: true
       }
     });
 
@@ -384,7 +396,11 @@ describe('ComponentServer', () => {
       })
     ).toStrictEqual({
       result: {
-        __error: "Cannot execute a method that is not allowed (name: 'unexposedInstanceMethod')"
+        __error: "Cannot execute a method that is not allowed (name: 'unexposedInstanceMethod')",
+        name: 'ForbiddenError',
+        code: 'FORBIDDEN',
+        status: 403,
+        expose: true
       }
     });
 
@@ -399,4 +415,394 @@ describe('ComponentServer', () => {
       })
     ).toStrictEqual({result: 'exposedInstanceMethodWithParameters(1, 2)'});
   });
+
+  test('Subscribing', async () => {
+    class Movie extends Component {
+      static listeners = new Set<Function>();
+
+      @expose({call: true}) @method() static watch(prefix: string, listener: Function) {
+        const wrapper = (title: string) => listener(`${prefix}${title}`);
+
+        this.listeners.add(wrapper);
+
+        return {
+          unsubscribe: () => {
+            this.listeners.delete(wrapper);
+          }
+        };
+      }
+
+      @method() static unexposedWatch(listener: Function) {
+        listener('unexposedWatch()');
+        return {unsubscribe() {}};
+      }
+
+      @expose({call: true}) @method() static find() {
+        return [];
+      }
+
+      static notify(title: string) {
+        for (const listener of this.listeners) {
+          listener(title);
+        }
+      }
+    }
+
+    const server = new ComponentServer(Movie);
+
+    const responses: PlainObject[] = [];
+
+    const subscription = await server.subscribe(
+      {
+        query: {
+          '<=': {__component: 'typeof Movie'},
+          'watch=>': {
+            '()': ['Movie: ']
+          }
+        }
+      },
+      (response) => {
+        responses.push(response);
+      }
+    );
+
+    Movie.notify('Inception');
+    Movie.notify('The Matrix');
+
+    expect(responses).toStrictEqual([{result: 'Movie: Inception'}, {result: 'Movie: The Matrix'}]);
+
+    subscription.unsubscribe();
+
+    Movie.notify('Avatar');
+
+    expect(responses).toHaveLength(2);
+
+    expect(() =>
+      server.subscribe(
+        {
+          query: {
+            '<=': {__component: 'typeof Movie'},
+            'unexposedWatch=>': {
+              '()': []
+            }
+          }
+        },
+        () => {}
+      )
+    ).toThrow("Cannot execute a method that is not allowed (name: 'unexposedWatch')");
+
+    expect(() =>
+      server.subscribe(
+        {
+          query: {
+            '<=': {__component: 'typeof Movie'},
+            'find=>': {
+              '()': []
+            }
+          }
+        },
+        () => {}
+      )
+    ).toThrow(
+      "Expected the method invoked by a subscription request to return an object with an 'unsubscribe()' method"
+    );
+  });
+
+  test('Using a request context and some middleware', async () => {
+    class Session extends Component {
+      @expose({call: true}) @method() static getUserName() {
+        return getRequestContext(this)?.user?.name;
+      }
+    }
+
+    class Movie extends Component {
+      @consume() static Session: typeof Session;
+
+      @expose({call: true}) @method() static getUserAgent() {
+        return getRequestContext(this)?.headers['user-agent'];
+      }
+
+      @expose({call: true}) @method() static getUserName() {
+        return this.Session.getUserName();
+      }
+
+      @expose({call: true}) @method() static fail() {
+        throw new Error('Something went wrong');
+      }
+    }
+
+    class Backend extends Component {
+      @provide() static Session = Session;
+      @provide() static Movie = Movie;
+    }
+
+    const calls: string[] = [];
+
+    const server = new ComponentServer(Backend, {
+      middleware: [
+        {
+          async before(_request, context) {
+            calls.push('before #1');
+
+            const token = (context.headers.authorization as string)?.replace(/^Bearer /, '');
+
+            if (token === 'invalid') {
+              throw Object.assign(new Error('Invalid token'), {code: 'INVALID_TOKEN'});
+            }
+
+            if (token !== undefined) {
+              context.user = {name: 'Alice'};
+            }
+          },
+
+          after(response) {
+            calls.push('after #1');
+
+            if (typeof response.result === 'string') {
+              return {...response, result: `[${response.result}]`};
+            }
+
+            return undefined;
+          }
+        }
+      ]
+    });
+
+    server.use({
+      before() {
+        calls.push('before #2');
+      },
+
+      async after() {
+        calls.push('after #2');
+      },
+
+      onError(error) {
+        if (error.code === undefined) {
+          return Object.assign(new Error('An internal error occurred'), {code: 'INTERNAL_ERROR'});
+        }
+
+        return undefined;
+      }
+    });
+
+    expect(
+      await server.receive(
+        {query: {'<=': {__component: 'typeof Movie'}, 'getUserAgent=>': {'()': []}}},
+        {context: {headers: {'user-agent': 'Jest'}}}
+      )
+    ).toStrictEqual({result: '[Jest]'});
+
+    expect(calls).toStrictEqual(['before #1', 'before #2', 'after #2', 'after #1']);
+
+    // The context can be read from a consumed component
+    expect(
+      await server.receive(
+        {query: {'<=': {__component: 'typeof Movie'}, 'getUserName=>': {'()': []}}},
+        {context: {headers: {authorization: 'Bearer abc123'}}}
+      )
+    ).toStrictEqual({result: '[Alice]'});
+
+    // The context is specific to each request
+    expect(
+      await server.receive({
+        query: {'<=': {__component: 'typeof Movie'}, 'getUserName=>': {'()': []}}
+      })
+    ).toStrictEqual({});
+
+    expect(getRequestContext(Movie)).toBeUndefined();
+
+    // The errors thrown by the middleware can be mapped
+    await expect(
+      server.receive(
+        {query: {'<=': {__component: 'typeof Movie'}, 'getUserName=>': {'()': []}}},
+        {context: {headers: {authorization: 'Bearer invalid'}}}
+      )
+    ).rejects.toThrow('Invalid token');
+
+    // The errors thrown by the methods can be mapped
+    const response: any = await server.receive({
+      query: {'<=': {__component: 'typeof Movie'}, 'fail=>': {'()': []}}
+    });
+
+    expect(response.result).toStrictEqual({
+      __error: 'An internal error occurred',
+      code: 'INTERNAL_ERROR'
+    });
+
+    expect(() => server.use({before: 'abc'} as any)).toThrow(
+      "Expected the 'before' property of a component server middleware to be a function, but received a value of type 'string'"
+    );
+  });
+
+  test('Handling errors', async () => {
+    class Movie extends Component {
+      @attribute('string') static secret = 'xyz';
+
+      @expose({call: true}) @method() static get(id: string) {
+        throw new NotFoundError(`Cannot find the movie (id: '${id}')`, {code: 'MOVIE_NOT_FOUND'});
+      }
+
+      @expose({call: true}) @method() static crash() {
+        throw new Error('Cannot connect to the database (password: 123456)');
+      }
+    }
+
+    const request = (query: PlainObject, version?: number) => ({
+      query: {'<=': {__component: 'typeof Movie'}, ...query},
+      version
+    });
+
+    let server = new ComponentServer(Movie, {hideInternalErrors: false});
+
+    expect(await server.receive(request({'get=>': {'()': ['abc123']}}))).toStrictEqual({
+      result: {
+        __error: "Cannot find the movie (id: 'abc123')",
+        name: 'NotFoundError',
+        code: 'MOVIE_NOT_FOUND',
+        status: 404,
+        expose: true
+      }
+    });
+
+    expect(await server.receive(request({secret: true}))).toStrictEqual({
+      result: {
+        secret: {
+          __error: "Cannot get the value of an attribute that is not allowed (name: 'secret')",
+          name: 'ForbiddenError',
+          code: 'FORBIDDEN',
+          status: 403,
+          expose: true
+        }
+      }
+    });
+
+    expect(await server.receive(request({'crash=>': {'()': []}}))).toStrictEqual({
+      result: {__error: 'Cannot connect to the database (password: 123456)'}
+    });
+
+    let error: any;
+
+    try {
+      await server.receive(request({'get=>': {'()': ['abc123']}}, 2));
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error?.name).toBe('VersionMismatchError');
+
+    expect(server.getErrorResponse(error)).toStrictEqual({
+      status: 412,
+      body: {
+        message:
+          "The component client version (2) doesn't match the component server version (undefined)",
+        name: 'VersionMismatchError',
+        code: 'COMPONENT_CLIENT_VERSION_DOES_NOT_MATCH_COMPONENT_SERVER_VERSION',
+        status: 412,
+        expose: true
+      }
+    });
+
+    expect(server.getErrorResponse(new Error('Something went wrong'))).toStrictEqual({
+      status: 500,
+      body: {message: 'Something went wrong'}
+    });
+
+    // In production, the internal errors are hidden
+    server = new ComponentServer(Movie, {hideInternalErrors: true});
+
+    expect(await server.receive(request({'crash=>': {'()': []}}))).toStrictEqual({
+      result: {
+        __error: 'An internal error occurred',
+        name: 'InternalError',
+        code: 'INTERNAL_ERROR',
+        status: 500,
+        expose: false
+      }
+    });
+
+    expect(await server.receive(request({'get=>': {'()': ['abc123']}}))).toStrictEqual({
+      result: {
+        __error: "Cannot find the movie (id: 'abc123')",
+        name: 'NotFoundError',
+        code: 'MOVIE_NOT_FOUND',
+        status: 404,
+        expose: true
+      }
+    });
+
+    expect(server.getErrorResponse(new Error('Something went wrong'))).toStrictEqual({
+      status: 500,
+      body: {
+        message: 'An internal error occurred',
+        name: 'InternalError',
+        code: 'INTERNAL_ERROR',
+        status: 500,
+        expose: false
+      }
+    });
+  });
+
+  test('Handling validation errors', async () => {
+    const {notEmpty, minLength} = validators;
+
+    class User extends Component {
+      @expose({get: true, set: true})
+      @attribute('string', {validators: [notEmpty()]})
+      name = '';
+
+      @attribute('string', {validators: [minLength(8)]}) password = 'abc123';
+
+      @expose({call: true}) @method() static register() {
+        new User().validate();
+      }
+    }
+
+    registerValidationMessages('fr', {
+      notEmpty: 'La valeur ne peut pas être vide'
+    });
+
+    const server = new ComponentServer(User);
+
+    const request = {query: {'<=': {__component: 'typeof User'}, 'register=>': {'()': []}}};
+
+    const getFailures = async (context?: PlainObject) =>
+      ((await server.receive(request, {context})) as any).result.failures;
+
+    // The value of an attribute that is not exposed for the 'get' operation is not sent back
+    expect(await getFailures()).toStrictEqual([
+      {
+        path: 'name',
+        validator: 'notEmpty',
+        arguments: [],
+        value: '',
+        message: 'The value cannot be empty'
+      },
+      {
+        path: 'password',
+        validator: 'minLength',
+        arguments: [8],
+        message: 'The value must contain at least 8 character(s)'
+      }
+    ]);
+
+    // The messages are built with the locale of the request context
+    expect(await getFailures({locale: 'fr'})).toStrictEqual([
+      {
+        path: 'name',
+        validator: 'notEmpty',
+        arguments: [],
+        value: '',
+        message: 'La valeur ne peut pas être vide'
+      },
+      {
+        path: 'password',
+        validator: 'minLength',
+        arguments: [8],
+        message: 'The value must contain at least 8 character(s)'
+      }
+    ]);
+
+    expect((await getFailures())[0].message).toBe('The value cannot be empty');
+  });
 });
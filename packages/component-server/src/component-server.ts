@@ -6,14 +6,19 @@ import {
   PropertyFilter,
   Attribute,
   PropertyOperation,
+  isComponentClass,
   isComponentClassOrInstance,
   assertIsComponentClass,
   serialize,
-  deserialize
+  deserialize,
+  ForbiddenError,
+  VersionMismatchError,
+  InternalError,
+  createValidationFailures
 } from '@layr/component';
 import {invokeQuery} from '@deepr/runtime';
 import {possiblyAsync} from 'possibly-async';
-import {PlainObject} from 'core-helpers';
+import {PlainObject, hasOwnProperty, isPlainObject, getTypeOf} from 'core-helpers';
 import debugModule from 'debug';
 
 // To display the debug log, set this environment:
@@ -28,11 +33,84 @@ import {isComponentServerInstance} from './utilities';
 
 export interface ComponentServerLike {
   receive: ComponentServer['receive'];
+  subscribe?: ComponentServer['subscribe'];
 }
 
+export type ComponentServerRequest = {
+  query: PlainObject;
+  components?: PlainObject[];
+  version?: number;
+};
+
+export type ComponentServerResponse = {result?: unknown; components?: PlainObject[]};
+
+export type ComponentServerSubscription = {unsubscribe: () => void};
+
+/**
+ * @typedef ComponentServerRequestContext
+ *
+ * A plain object holding some information about the request that is handled by a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server). The context is created for each request by the adapter in front of the component server (e.g., [`component-koa-middleware`](https://layrjs.com/docs/v1/reference/component-koa-middleware)), and it can be read by the component methods and the role resolvers with the [`getRequestContext()`](https://layrjs.com/docs/v1/reference/component-server#get-request-context-function) function.
+ *
+ * The object has the following properties:
+ *
+ * * `headers`: A plain object representing the headers of the request (e.g., `{authorization: 'Bearer abc123'}`). The names of the headers are in lowercase.
+ * * `ip`: A string representing the IP address of the client (if available).
+ * * `user`: Anything representing the authenticated user. This property is typically set by a [middleware](https://layrjs.com/docs/v1/reference/component-server#component-server-middleware-type) (e.g., after verifying a bearer token).
+ * * `locale`: A string representing the locale used to build the messages of the [validation failures](https://layrjs.com/docs/v1/reference/validator#validation-failure-type) sent to the client (e.g., `'fr'`). This property can be set by a middleware (e.g., from the `accept-language` header), and the [current validation locale](https://layrjs.com/docs/v1/reference/validator#set-validation-locale-function) is used when it is not set.
+ *
+ * The middleware can add any other property to the context.
+ */
+export type ComponentServerRequestContext = {
+  headers: {[name: string]: string | string[] | undefined};
+  ip?: string;
+  user?: any;
+  locale?: string;
+  [name: string]: any;
+};
+
+/**
+ * @typedef ComponentServerMiddleware
+ *
+ * A plain object allowing to hook into the handling of the requests received by a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server). The object can have the following methods:
+ *
+ * * `before(request, context)`: Called (possibly asynchronously) before a request is handled. It's a good place to authenticate a user and set the `user` property of the [`context`](https://layrjs.com/docs/v1/reference/component-server#component-server-request-context-type). Throwing an error rejects the request.
+ * * `after(response, request, context)`: Called (possibly asynchronously) after a request is handled (except for a subscription request). If a value is returned, it replaces the response.
+ * * `onError(error, request, context)`: Called (synchronously) when an error is thrown while handling a request, including the errors thrown by the invoked methods. If an error is returned, it replaces the original error, which is useful to hide some internal errors or to add some attributes such as `code` or `expose`.
+ *
+ * The `before()` methods are called in the order of the middleware, and the `after()` methods are called in the reverse order.
+ */
+export type ComponentServerMiddleware = {
+  before?: (
+    request: ComponentServerRequest,
+    context: ComponentServerRequestContext
+  ) => void | PromiseLike<void>;
+  after?: (
+    response: ComponentServerResponse,
+    request: ComponentServerRequest,
+    context: ComponentServerRequestContext
+  ) => ComponentServerResponse | void | PromiseLike<ComponentServerResponse | void>;
+  onError?: (
+    error: any,
+    request: ComponentServerRequest,
+    context: ComponentServerRequestContext
+  ) => any;
+};
+
 export type ComponentServerOptions = {
   name?: string;
   version?: number;
+  middleware?: ComponentServerMiddleware[];
+  hideInternalErrors?: boolean;
+};
+
+export type ComponentServerReceiveOptions = {
+  context?: Partial<ComponentServerRequestContext>;
+};
+
+// `onError` is called when a subscription that has started cannot be continued (e.g., when a
+// transport cannot restore it after a connection loss), so it is never called by a local server
+export type ComponentServerSubscribeOptions = ComponentServerReceiveOptions & {
+  onError?: (error: any) => void;
 };
 
 /**
@@ -45,12 +123,16 @@ export class ComponentServer {
   _introspectedComponent: IntrospectedComponent;
   _name: string | undefined;
   _version: number | undefined;
+  _middleware: ComponentServerMiddleware[];
+  _hideInternalErrors: boolean;
 
   /**
    * Creates a component server.
    *
    * @param component The root [`Component`](https://layrjs.com/docs/v1/reference/component) class to serve.
    * @param [options.version] A number specifying the version of the returned component server (default: `undefined`).
+   * @param [options.middleware] An array of [`ComponentServerMiddleware`](https://layrjs.com/docs/v1/reference/component-server#component-server-middleware-type) to hook into the handling of the requests (default: `[]`).
+   * @param [options.hideInternalErrors] A boolean specifying whether the errors that are not exposed (i.e., the errors without an `expose` attribute set to `true`) should be replaced by an [`InternalError`](https://layrjs.com/docs/v1/reference/layr-error) before being sent to the clients (default: `true` when the `NODE_ENV` environment variable is `'production'`, and `false` otherwise).
    *
    * @returns A `ComponentServer` instance.
    *
@@ -59,7 +141,12 @@ export class ComponentServer {
    * @category Creation
    */
   constructor(component: typeof Component, options: ComponentServerOptions = {}) {
-    const {name, version} = options;
+    const {
+      name,
+      version,
+      middleware = [],
+      hideInternalErrors = process.env.NODE_ENV === 'production'
+    } = options;
 
     assertIsComponentClass(component);
 
@@ -75,9 +162,198 @@ export class ComponentServer {
     this._introspectedComponent = introspectedComponent;
     this._name = name;
     this._version = version;
+    this._middleware = [];
+    this._hideInternalErrors = hideInternalErrors;
+
+    for (const middlewareItem of middleware) {
+      this.use(middlewareItem);
+    }
+  }
+
+  // === Middleware ===
+
+  /**
+   * Adds a [`ComponentServerMiddleware`](https://layrjs.com/docs/v1/reference/component-server#component-server-middleware-type) to the component server.
+   *
+   * @param middleware A `ComponentServerMiddleware` object.
+   *
+   * @returns The current `ComponentServer` instance.
+   *
+   * @example
+   * ```
+   * const server = new ComponentServer(Backend);
+   *
+   * server.use({
+   *   async before(request, context) {
+   *     const token = context.headers.authorization?.replace(/^Bearer /, '');
+   *
+   *     if (token !== undefined) {
+   *       context.user = await verifyToken(token);
+   *     }
+   *   },
+   *
+   *   onError(error) {
+   *     if (!error.expose) {
+   *       return new Error('An internal error occurred');
+   *     }
+   *   }
+   * });
+   * ```
+   *
+   * @category Middleware
+   */
+  use(middleware: ComponentServerMiddleware) {
+    if (!isPlainObject(middleware)) {
+      throw new Error(
+        `Expected a component server middleware to be a plain object, but received a value of type '${getTypeOf(
+          middleware
+        )}'`
+      );
+    }
+
+    for (const name of ['before', 'after', 'onError'] as const) {
+      if (middleware[name] !== undefined && typeof middleware[name] !== 'function') {
+        throw new Error(
+          `Expected the '${name}' property of a component server middleware to be a function, but received a value of type '${getTypeOf(
+            middleware[name]
+          )}'`
+        );
+      }
+    }
+
+    this._middleware.push(middleware);
+
+    return this;
+  }
+
+  _handleRequest<T>(
+    request: ComponentServerRequest,
+    context: ComponentServerRequestContext,
+    handler: () => T | PromiseLike<T>,
+    {runAfterHooks}: {runAfterHooks: boolean}
+  ): T | PromiseLike<T> {
+    return possiblyAsync.invoke(
+      () =>
+        possiblyAsync(
+          possiblyAsync.forEach(this._middleware, (middleware) =>
+            middleware.before?.(request, context)
+          ),
+          () =>
+            possiblyAsync(handler(), (response) => {
+              if (!runAfterHooks) {
+                return response;
+              }
+
+              return possiblyAsync(
+                possiblyAsync.forEach([...this._middleware].reverse(), (middleware) =>
+                  possiblyAsync(
+                    middleware.after?.(response as any, request, context),
+                    (newResponse) => {
+                      if (newResponse !== undefined) {
+                        response = newResponse as any;
+                      }
+                    }
+                  )
+                ),
+                () => response
+              );
+            })
+        ),
+      (response) => response,
+      (error) => {
+        throw this._mapError(error, request, context);
+      }
+    );
+  }
+
+  _mappedErrors = new WeakSet<object>();
+
+  _mapError(error: any, request: ComponentServerRequest, context: ComponentServerRequestContext) {
+    // An error returned by an invoked method is mapped before being rethrown (e.g., by a
+    // subscription request), so make sure it is not mapped twice
+    if (typeof error === 'object' && error !== null && this._mappedErrors.has(error)) {
+      return error;
+    }
+
+    // The messages of the validation failures are built with the validation locale of the
+    // process, so they are rebuilt with the locale of the request
+    if (
+      context.locale !== undefined &&
+      Array.isArray(error?.failedValidators) &&
+      Array.isArray(error?.failures)
+    ) {
+      const localizedFailures = createValidationFailures(error.failedValidators, {
+        locale: context.locale
+      });
+
+      error.failures = error.failures.map((failure: PlainObject, index: number) => ({
+        ...failure,
+        message: localizedFailures[index].message
+      }));
+    }
+
+    for (const middleware of this._middleware) {
+      if (middleware.onError !== undefined) {
+        const mappedError = middleware.onError(error, request, context);
+
+        if (mappedError !== undefined) {
+          error = mappedError;
+        }
+      }
+    }
+
+    if (this._hideInternalErrors && error?.expose !== true) {
+      error = new InternalError();
+    }
+
+    if (typeof error === 'object' && error !== null) {
+      this._mappedErrors.add(error);
+    }
+
+    return error;
   }
 
-  receive(request: {query: PlainObject; components?: PlainObject[]; version?: number}) {
+  /**
+   * Returns the HTTP response that an adapter (e.g., [`component-koa-middleware`](https://layrjs.com/docs/v1/reference/component-koa-middleware)) should send when an error rejects a whole request.
+   *
+   * The status of the response is the `status` attribute of the error (e.g., `404` for a [`NotFoundError`](https://layrjs.com/docs/v1/reference/layr-error)), or `500` if the error has no status. The body of the response is a plain object of the shape `{message, ...attributes}` that a [`ComponentHTTPClient`](https://layrjs.com/docs/v1/reference/component-http-client) can turn back into an error. When the component server hides the internal errors, the errors that are not exposed are replaced by an [`InternalError`](https://layrjs.com/docs/v1/reference/layr-error).
+   *
+   * @param error The error that rejected the request.
+   *
+   * @returns A plain object of the shape `{status, body}`.
+   *
+   * @category Errors
+   */
+  getErrorResponse(error: any): {status: number; body: PlainObject} {
+    if (this._hideInternalErrors && error?.expose !== true) {
+      error = new InternalError();
+    }
+
+    const status = error?.status ?? error?.statusCode;
+
+    const {message = 'An error occurred while handling a request', ...attributes} =
+      typeof error === 'object' && error !== null ? {...error, message: error.message} : {};
+
+    return {
+      status: typeof status === 'number' && status >= 400 && status < 600 ? status : 500,
+      body: {message, ...attributes}
+    };
+  }
+
+  // === Requests ===
+
+  receive(
+    request: ComponentServerRequest,
+    options: ComponentServerReceiveOptions = {}
+  ): ComponentServerResponse | PromiseLike<ComponentServerResponse> {
+    const context = normalizeRequestContext(options.context);
+
+    return this._handleRequest(request, context, () => this._receive(request, context), {
+      runAfterHooks: true
+    });
+  }
+
+  _receive(request: ComponentServerRequest, context: ComponentServerRequestContext) {
     const {
       query: serializedQuery,
       components: serializedComponents,
@@ -86,9 +362,147 @@ export class ComponentServer {
 
     this.validateVersion(clientVersion);
 
+    const {
+      deeprRoot,
+      componentGetter,
+      getFilter,
+      setFilter,
+      authorizer,
+      errorHandler
+    } = this._createInvocationContext({request, context});
+
+    debugRequest({serializedQuery, serializedComponents});
+
+    return possiblyAsync(
+      this._deserializeRequest(
+        {serializedQuery, serializedComponents},
+        {componentGetter, attributeFilter: setFilter}
+      ),
+      ({deserializedQuery, deserializedComponents}) =>
+        possiblyAsync(
+          invokeQuery(deeprRoot, deserializedQuery, {authorizer, errorHandler}),
+          (result) =>
+            possiblyAsync(
+              this._serializeResponse(
+                {result, components: deserializedComponents},
+                {attributeFilter: getFilter}
+              ),
+              ({serializedResult, serializedComponents}) => {
+                debugResponse({serializedResult, serializedComponents});
+
+                return {
+                  ...(serializedResult !== undefined && {result: serializedResult}),
+                  ...(serializedComponents !== undefined && {components: serializedComponents})
+                } as ComponentServerResponse;
+              }
+            )
+        )
+    );
+  }
+
+  // Handles a request invoking a method that expects a listener as last argument (e.g.,
+  // the `subscribe()` method of the storable components). The listener is provided by the
+  // server, and each value it receives is serialized and pushed to the specified function.
+  // The invoked method should return an object with an `unsubscribe()` method.
+  subscribe(
+    request: ComponentServerRequest,
+    listener: (response: ComponentServerResponse) => void,
+    options: ComponentServerSubscribeOptions = {}
+  ): ComponentServerSubscription | PromiseLike<ComponentServerSubscription> {
+    const context = normalizeRequestContext(options.context);
+
+    return this._handleRequest(
+      request,
+      context,
+      () => this._subscribe(request, listener, context),
+      {runAfterHooks: false}
+    );
+  }
+
+  _subscribe(
+    request: ComponentServerRequest,
+    listener: (response: ComponentServerResponse) => void,
+    context: ComponentServerRequestContext
+  ) {
+    const {
+      query: serializedQuery,
+      components: serializedComponents,
+      version: clientVersion
+    } = request;
+
+    this.validateVersion(clientVersion);
+
+    const {
+      deeprRoot,
+      componentGetter,
+      getFilter,
+      setFilter,
+      authorizer,
+      errorHandler
+    } = this._createInvocationContext({request, context});
+
+    const push = (value: unknown) =>
+      possiblyAsync(
+        this._serializeResponse(
+          {result: value, components: undefined},
+          {attributeFilter: getFilter}
+        ),
+        ({serializedResult, serializedComponents}) => {
+          debugPush({serializedResult, serializedComponents});
+
+          listener({
+            ...(serializedResult !== undefined && {result: serializedResult}),
+            ...(serializedComponents !== undefined && {components: serializedComponents})
+          });
+        }
+      );
+
+    debugRequest({serializedQuery, serializedComponents});
+
+    return possiblyAsync(
+      this._deserializeRequest(
+        {serializedQuery, serializedComponents},
+        {componentGetter, attributeFilter: setFilter}
+      ),
+      ({deserializedQuery}) =>
+        possiblyAsync(
+          invokeQuery(deeprRoot, addListenerToQuery(deserializedQuery, push), {
+            authorizer,
+            errorHandler
+          }),
+          (subscription: any) => {
+            if (subscription instanceof Error) {
+              throw subscription;
+            }
+
+            if (typeof subscription?.unsubscribe !== 'function') {
+              throw new Error(
+                `Expected the method invoked by a subscription request to return an object with an 'unsubscribe()' method`
+              );
+            }
+
+            return {unsubscribe: () => subscription.unsubscribe() as void};
+          }
+        )
+    );
+  }
+
+  _createInvocationContext({
+    request,
+    context
+  }: {
+    request: ComponentServerRequest;
+    context: ComponentServerRequestContext;
+  }) {
+    const {query: serializedQuery, components: serializedComponents} = request;
+
     const forkedComponent = this._component.fork();
     const deeprRoot = this.getDeeprRoot();
 
+    // The forked root component is the provider of all the components used by the request,
+    // so the request context can be found from any of them (see `getRequestContext()`)
+    Object.defineProperty(forkedComponent, '__requestContext', {value: context});
+
     const componentGetter = (type: string) => forkedComponent.getComponentOfType(type);
 
     const getFilter = function (attribute: Attribute) {
@@ -99,7 +513,7 @@ export class ComponentServer {
       return attribute.operationIsAllowed('set');
     };
 
-    const authorizer = function (this: any, name: string, operation: string, _params?: any[]) {
+    const operationIsAllowed = function (this: any, name: string, operation: string) {
       if (this === deeprRoot && name === 'introspect' && operation === 'call') {
         return true;
       }
@@ -115,43 +529,33 @@ export class ComponentServer {
       return false;
     };
 
-    const errorHandler = function (error: Error) {
+    // Throw a `ForbiddenError` rather than letting Deepr throw a regular error,
+    // so the client can tell an authorization failure from other errors
+    const authorizer = function (this: any, name: string, operation: string, _params?: any[]) {
+      return possiblyAsync(operationIsAllowed.call(this, name, operation), (isAllowed) => {
+        if (!isAllowed) {
+          throw new ForbiddenError(
+            operation === 'call'
+              ? `Cannot execute a method that is not allowed (name: '${name}')`
+              : `Cannot get the value of an attribute that is not allowed (name: '${name}')`
+          );
+        }
+
+        return true;
+      });
+    };
+
+    const errorHandler = (error: Error) => {
       debugError(
         `An error occurred while invoking a query (query: %o, components: %o)\n%s`,
         serializedQuery,
         serializedComponents,
         error.stack
       );
-      return error;
+      return this._mapError(error, request, context);
     };
 
-    debugRequest({serializedQuery, serializedComponents});
-
-    return possiblyAsync(
-      this._deserializeRequest(
-        {serializedQuery, serializedComponents},
-        {componentGetter, attributeFilter: setFilter}
-      ),
-      ({deserializedQuery, deserializedComponents}) =>
-        possiblyAsync(
-          invokeQuery(deeprRoot, deserializedQuery, {authorizer, errorHandler}),
-          (result) =>
-            possiblyAsync(
-              this._serializeResponse(
-                {result, components: deserializedComponents},
-                {attributeFilter: getFilter}
-              ),
-              ({serializedResult, serializedComponents}) => {
-                debugResponse({serializedResult, serializedComponents});
-
-                return {
-                  ...(serializedResult !== undefined && {result: serializedResult}),
-                  ...(serializedComponents !== undefined && {components: serializedComponents})
-                };
-              }
-            )
-        )
-    );
+    return {deeprRoot, componentGetter, getFilter, setFilter, authorizer, errorHandler};
   }
 
   _deserializeRequest(
@@ -197,7 +601,10 @@ export class ComponentServer {
   ) {
     const serializedComponents: ComponentSet = new Set();
     const componentDependencies: ComponentSet = new Set(components);
-    const serializedResult =
+
+    // The result is serialized asynchronously when the attribute filter is asynchronous
+    // (e.g., when it resolves some roles with an asynchronous resolver)
+    return possiblyAsync(
       result !== undefined
         ? serialize(result, {
             attributeFilter,
@@ -206,8 +613,27 @@ export class ComponentServer {
             serializeFunctions: true,
             target: -1
           })
-        : undefined;
+        : undefined,
+      (serializedResult) =>
+        this._serializeComponentDependencies(
+          {serializedResult, serializedComponents, componentDependencies},
+          {attributeFilter}
+        )
+    );
+  }
 
+  _serializeComponentDependencies(
+    {
+      serializedResult,
+      serializedComponents,
+      componentDependencies
+    }: {
+      serializedResult: unknown;
+      serializedComponents: ComponentSet;
+      componentDependencies: ComponentSet;
+    },
+    {attributeFilter}: {attributeFilter: PropertyFilter}
+  ) {
     let serializedComponentDependencies: PlainObject[] | undefined;
     const handledComponentDependencies = new Set(serializedComponents);
 
@@ -264,11 +690,9 @@ export class ComponentServer {
     const serverVersion = this._version;
 
     if (clientVersion !== serverVersion) {
-      throw Object.assign(
-        new Error(
-          `The component client version (${clientVersion}) doesn't match the component server version (${serverVersion})`
-        ),
-        {code: 'COMPONENT_CLIENT_VERSION_DOES_NOT_MATCH_COMPONENT_SERVER_VERSION', expose: true}
+      throw new VersionMismatchError(
+        `The component client version (${clientVersion}) doesn't match the component server version (${serverVersion})`,
+        {code: 'COMPONENT_CLIENT_VERSION_DOES_NOT_MATCH_COMPONENT_SERVER_VERSION'}
       );
     }
   }
@@ -304,6 +728,72 @@ export function ensureComponentServer(
   return new ComponentServer(componentOrComponentServer, options);
 }
 
+/**
+ * Returns the [`ComponentServerRequestContext`](https://layrjs.com/docs/v1/reference/component-server#component-server-request-context-type) of the request that is being handled by a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server).
+ *
+ * The context can be read from any component class or instance involved in the request, so this function can be called in a component method or in a role resolver.
+ *
+ * @param componentClassOrInstance A component class or instance (typically, `this` in a method).
+ *
+ * @returns A `ComponentServerRequestContext` object, or `undefined` if the component is not used by a request received by a component server (e.g., when a method is called locally).
+ *
+ * @example
+ * ```
+ * import {Component, method, expose} from '@layr/component';
+ * import {getRequestContext} from '@layr/component-server';
+ *
+ * class Movie extends Component {
+ *   @expose({call: true}) @method() static whoAmI() {
+ *     return getRequestContext(this)?.user?.name;
+ *   }
+ * }
+ * ```
+ *
+ * @category Functions
+ */
+export function getRequestContext(
+  componentClassOrInstance: typeof Component | Component
+): ComponentServerRequestContext | undefined {
+  let component: typeof Component | undefined = isComponentClass(componentClassOrInstance)
+    ? componentClassOrInstance
+    : componentClassOrInstance.constructor;
+
+  while (component !== undefined) {
+    if (hasOwnProperty(component, '__requestContext')) {
+      return (component as any).__requestContext;
+    }
+
+    component = component.__getComponentProvider();
+  }
+
+  return undefined;
+}
+
+function normalizeRequestContext(
+  context: Partial<ComponentServerRequestContext> = {}
+): ComponentServerRequestContext {
+  if (!isPlainObject(context)) {
+    throw new Error(
+      `Expected a request context to be a plain object, but received a value of type '${getTypeOf(
+        context
+      )}'`
+    );
+  }
+
+  return {...context, headers: {...context.headers}};
+}
+
+// {'<=': Movie, 'subscribe=>': {'()': [query]}} => {'<=': Movie, 'subscribe=>': {'()': [query, listener]}}
+function addListenerToQuery(query: PlainObject, listener: Function) {
+  for (const [key, value] of Object.entries(query)) {
+    if (key.endsWith('=>') && Array.isArray(value?.['()'])) {
+      return {...query, [key]: {...value, '()': [...value['()'], listener]}};
+    }
+  }
+
+  throw new Error(`A subscription request should invoke a method`);
+}
+
 function debugRequest({
   serializedQuery,
   serializedComponents
@@ -322,6 +812,24 @@ function debugRequest({
   debug(message, ...values);
 }
 
+function debugPush({
+  serializedResult,
+  serializedComponents
+}: {
+  serializedResult: unknown;
+  serializedComponents: PlainObject[] | undefined;
+}) {
+  let message = 'Pushing value: %o';
+  const values = [serializedResult];
+
+  if (serializedComponents !== undefined) {
+    message += ' (components: %o)';
+    values.push(serializedComponents);
+  }
+
+  debug(message, ...values);
+}
+
 function debugResponse({
   serializedResult,
   serializedComponents
@@ -1,2 +1,4 @@
 export * from './component-server';
+export * from './rate-limiter';
+export * from './query-cost';
 export * from './utilities';
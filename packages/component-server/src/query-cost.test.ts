@@ -0,0 +1,188 @@
+import {Component, method, expose, QueryCostExceededError} from '@layr/component';
+
+import {ComponentServer} from './component-server';
+import {analyzeQueryCost, createQueryCostMiddleware} from './query-cost';
+
+describe('Query cost', () => {
+  test('analyzeQueryCost()', async () => {
+    expect(analyzeQueryCost({'<=': {__component: 'typeof Movie'}, 'title': true})).toBe(0);
+
+    expect(
+      analyzeQueryCost({'<=': {__component: 'Movie', id: 'abc123'}, 'save=>': {'()': []}})
+    ).toBe(1);
+
+    expect(
+      analyzeQueryCost({
+        '<=': {__component: 'typeof Movie'},
+        'find=>': {
+          '()': [{}, {title: true}, {limit: 10}],
+          'getReviews=>': {'()': []}
+        }
+      })
+    ).toBe(21);
+
+    // Without a limit, the default limit is used
+    expect(
+      analyzeQueryCost(
+        {'<=': {__component: 'typeof Movie'}, 'find=>': {'()': [{}, {title: true}]}},
+        {defaultFindLimit: 50}
+      )
+    ).toBe(51);
+
+    // Nested finds multiply each other
+    expect(
+      analyzeQueryCost(
+        {
+          '<=': {__component: 'typeof Movie'},
+          'find=>movies': {
+            '()': [{}, {}, {limit: 5}],
+            'director': {'find=>': {'()': [{}, {}, {limit: 2}]}}
+          }
+        },
+        {methodCosts: {find: 3}}
+      )
+    ).toBe(3 + 5 + 5 * (3 + 2));
+
+    // Optional keys are analyzed like regular keys
+    expect(
+      analyzeQueryCost({
+        '<=': {__component: 'typeof Movie'},
+        'find?=>': {'()': [{}, {title: true}, {limit: 10}]}
+      })
+    ).toBe(11);
+
+    // Each query of an array is analyzed
+    expect(
+      analyzeQueryCost({
+        '<=': {__component: 'typeof Movie'},
+        'find=>': [{'()': [{}, {}, {limit: 10}]}, {'()': [{}, {}, {limit: 20}]}]
+      })
+    ).toBe(11 + 21);
+
+    // Each parallel query is analyzed
+    expect(
+      analyzeQueryCost({
+        '<=': {__component: 'typeof Movie'},
+        'find=>': {'||': [{'()': [{}, {}, {limit: 10}]}, {'()': [{}, {}, {limit: 20}]}]}
+      })
+    ).toBe(11 + 21);
+
+    // The other methods returning several items are analyzed like find()
+    expect(
+      analyzeQueryCost({
+        '<=': {__component: 'typeof Movie'},
+        'findPage=>': {'()': [{}, {title: true}, {limit: 30}], 'components': {title: true}}
+      })
+    ).toBe(31);
+
+    expect(
+      analyzeQueryCost({
+        '<=': {__component: 'typeof Movie'},
+        'findPage=>': {'()': [{}, {title: true}, {pageSize: 30}]}
+      })
+    ).toBe(31);
+
+    expect(
+      analyzeQueryCost(
+        {
+          '<=': {__component: 'typeof Movie'},
+          'aggregate=>': {'()': [{}, {groupBy: 'country'}]}
+        },
+        {defaultFindLimit: 50}
+      )
+    ).toBe(51);
+
+    expect(
+      analyzeQueryCost({
+        '<=': {__component: 'typeof Movie'},
+        'subscribe=>': {'()': [{}, {title: true}]}
+      })
+    ).toBe(101);
+
+    expect(
+      analyzeQueryCost({
+        '||': [
+          {'<=': {__component: 'typeof Movie'}, 'find=>': {'()': [{}, {}, {limit: 10}]}},
+          {'<=': {__component: 'typeof Movie'}, 'find=>': {'()': [{}, {}, {limit: 20}]}}
+        ]
+      })
+    ).toBe(11 + 21);
+  });
+
+  test('Rejecting the expensive queries', async () => {
+    class Movie extends Component {
+      @expose({call: true}) @method() static find(
+        _query: object,
+        _attributeSelector: object,
+        {limit = 100}: {limit?: number} = {}
+      ) {
+        return Array.from({length: Math.min(limit, 3)}, (_, index) => `Movie #${index + 1}`);
+      }
+
+      @expose({call: true}) @method() static generateReport() {
+        return 'Report';
+      }
+    }
+
+    const server = new ComponentServer(Movie, {
+      middleware: [createQueryCostMiddleware({maxCost: 10, methodCosts: {generateReport: 20}})]
+    });
+
+    expect(
+      await server.receive({
+        query: {
+          '<=': {__component: 'typeof Movie'},
+          'find=>': {'()': [{}, {}, {limit: 2}]}
+        }
+      })
+    ).toStrictEqual({result: ['Movie #1', 'Movie #2']});
+
+    let error: any;
+
+    try {
+      await server.receive({
+        query: {'<=': {__component: 'typeof Movie'}, 'find=>': {'()': [{}, {}]}}
+      });
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(QueryCostExceededError);
+    expect(error?.message).toBe('The cost of the query (101) exceeds the maximum cost (10)');
+    expect(error?.code).toBe('QUERY_COST_EXCEEDED');
+    expect(error?.status).toBe(400);
+    expect(error?.cost).toBe(101);
+    expect(error?.maxCost).toBe(10);
+
+    expect(() =>
+      server.receive({
+        query: {'<=': {__component: 'typeof Movie'}, 'generateReport=>': {'()': []}}
+      })
+    ).toThrow('The cost of the query (20) exceeds the maximum cost (10)');
+
+    // The limits of findPage() and aggregate() count as well
+    expect(() =>
+      server.receive({
+        query: {
+          '<=': {__component: 'typeof Movie'},
+          'findPage=>': {'()': [{}, true, {limit: 1e9}]}
+        }
+      })
+    ).toThrow('The cost of the query (1000000001) exceeds the maximum cost (10)');
+
+    expect(() =>
+      server.receive({
+        query: {
+          '<=': {__component: 'typeof Movie'},
+          'aggregate=>': {'()': [{}, {groupBy: 'year'}, {limit: 50}]}
+        }
+      })
+    ).toThrow('The cost of the query (51) exceeds the maximum cost (10)');
+
+    expect(() =>
+      server.receive({
+        query: {'<=': {__component: 'typeof Movie'}, 'aggregate=>': {'()': [{}, {groupBy: 'year'}]}}
+      })
+    ).toThrow('The cost of the query (101) exceeds the maximum cost (10)');
+  });
+});
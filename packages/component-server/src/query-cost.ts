@@ -0,0 +1,167 @@
+import {QueryCostExceededError} from '@layr/component';
+import {PlainObject, isPlainObject, hasOwnProperty, getTypeOf} from 'core-helpers';
+
+import type {ComponentServerMiddleware} from './component-server';
+
+export type QueryCostAnalysisOptions = {
+  methodCosts?: {[methodName: string]: number};
+  defaultFindLimit?: number;
+};
+
+export type QueryCostOptions = QueryCostAnalysisOptions & {
+  maxCost: number;
+};
+
+const DEFAULT_METHOD_COST = 1;
+
+const DEFAULT_FIND_LIMIT = 100;
+
+// The methods that can return several components (or aggregation rows), with the position
+// of the argument specifying their options (`undefined` when there is no limit option)
+const COLLECTION_METHODS: {[methodName: string]: number | undefined} = {
+  find: 2,
+  findPage: 2,
+  aggregate: 2,
+  subscribe: undefined
+};
+
+/**
+ * Estimates the cost of a serialized query sent to a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server).
+ *
+ * Each method invocation costs `1` (or the cost specified in the `methodCosts` option), and an invocation of a method returning several items (i.e., `find()`, `findPage()`, `aggregate()`, or `subscribe()`) costs, in addition, the number of items it can return (i.e., the `limit` or `pageSize` specified in its options, or the `defaultFindLimit` option when no limit is specified). Since a subquery applied to the result of such an invocation is executed for each returned item, the cost of the subquery is multiplied by this number.
+ *
+ * @param query A plain object representing a serialized [Deepr](https://github.com/deeprjs/deepr) query.
+ * @param [options.methodCosts] A plain object specifying the cost of some methods (e.g., `{generateReport: 10}`). The cost of the other methods is `1`.
+ * @param [options.defaultFindLimit] A number specifying the number of items that an invocation of `find()`, `findPage()`, `aggregate()`, or `subscribe()` is expected to return when no limit is specified (default: `100`).
+ *
+ * @returns A number.
+ *
+ * @example
+ * ```
+ * import {analyzeQueryCost} from '@layr/component-server';
+ *
+ * analyzeQueryCost({
+ *   '<=': {__component: 'typeof Movie'},
+ *   'find=>': {
+ *     '()': [{}, {title: true}, {limit: 10}],
+ *     'getReviews=>': {'()': []}
+ *   }
+ * }); // => 21 (1 for `find()`, 10 for the found movies, and 10 for `getReviews()`)
+ * ```
+ *
+ * @category Functions
+ */
+export function analyzeQueryCost(query: PlainObject, options: QueryCostAnalysisOptions = {}) {
+  const {methodCosts = {}, defaultFindLimit = DEFAULT_FIND_LIMIT} = options;
+
+  // Walk the query the same way Deepr parses it so that the alternative forms of a query
+  // (arrays, parallel queries, and optional keys) cannot be used to bypass the analysis
+  const analyze = (query: unknown, sourceKey: string, multiplier: number): number => {
+    if (Array.isArray(query)) {
+      return query.reduce((cost, query) => cost + analyze(query, sourceKey, multiplier), 0);
+    }
+
+    if (!isPlainObject(query)) {
+      return 0;
+    }
+
+    let cost = 0;
+    let subqueryMultiplier = multiplier;
+
+    if (hasOwnProperty(query, '()')) {
+      const methodName = sourceKey;
+
+      cost +=
+        multiplier *
+        (hasOwnProperty(methodCosts, methodName) ? methodCosts[methodName] : DEFAULT_METHOD_COST);
+
+      if (hasOwnProperty(COLLECTION_METHODS, methodName)) {
+        const args = query['()'];
+        const optionsPosition = COLLECTION_METHODS[methodName];
+        const options =
+          Array.isArray(args) && optionsPosition !== undefined ? args[optionsPosition] : undefined;
+        const limit = isPlainObject(options) ? options.limit ?? options.pageSize : undefined;
+        const expectedCount = typeof limit === 'number' && limit >= 0 ? limit : defaultFindLimit;
+
+        cost += multiplier * expectedCount;
+        subqueryMultiplier = multiplier * expectedCount;
+      }
+    }
+
+    for (const [key, subquery] of Object.entries(query)) {
+      if (key === '<=' || key === '()' || key === '[]') {
+        continue;
+      }
+
+      if (key === '||') {
+        // The parallel queries are applied to the same source as the query containing them
+        cost += analyze(subquery, sourceKey, multiplier);
+        continue;
+      }
+
+      cost += analyze(subquery, parseSourceKey(key), subqueryMultiplier);
+    }
+
+    return cost;
+  };
+
+  return analyze(query, '', 1);
+}
+
+// 'find=>', 'find?=>', or 'find=>movies' => 'find'
+function parseSourceKey(key: string) {
+  let sourceKey = key.split('=>')[0];
+
+  if (sourceKey.endsWith('?')) {
+    sourceKey = sourceKey.slice(0, -1);
+  }
+
+  return sourceKey;
+}
+
+/**
+ * Creates a [`ComponentServerMiddleware`](https://layrjs.com/docs/v1/reference/component-server#component-server-middleware-type) rejecting the queries that are too expensive to execute.
+ *
+ * The cost of each query is estimated with [`analyzeQueryCost()`](https://layrjs.com/docs/v1/reference/component-server#analyze-query-cost-function), and the queries costing more than `maxCost` are rejected with a [`QueryCostExceededError`](https://layrjs.com/docs/v1/reference/layr-error).
+ *
+ * @param options.maxCost A number specifying the maximum cost of a query.
+ * @param [options.methodCosts] A plain object specifying the cost of some methods (see [`analyzeQueryCost()`](https://layrjs.com/docs/v1/reference/component-server#analyze-query-cost-function)).
+ * @param [options.defaultFindLimit] A number specifying the number of items that an invocation of `find()`, `findPage()`, `aggregate()`, or `subscribe()` is expected to return when no limit is specified (default: `100`).
+ *
+ * @returns A `ComponentServerMiddleware` object.
+ *
+ * @example
+ * ```
+ * import {ComponentServer, createQueryCostMiddleware} from '@layr/component-server';
+ *
+ * const server = new ComponentServer(Backend, {
+ *   middleware: [createQueryCostMiddleware({maxCost: 1000, methodCosts: {generateReport: 100}})]
+ * });
+ * ```
+ *
+ * @category Functions
+ */
+export function createQueryCostMiddleware(options: QueryCostOptions): ComponentServerMiddleware {
+  const {maxCost, ...analysisOptions} = options;
+
+  if (!(typeof maxCost === 'number' && maxCost >= 0)) {
+    throw new Error(
+      `Expected the 'maxCost' option of a query cost middleware to be a positive number, but received a value of type '${getTypeOf(
+        maxCost
+      )}'`
+    );
+  }
+
+  return {
+    before(request) {
+      const cost = analyzeQueryCost(request.query, analysisOptions);
+
+      if (cost > maxCost) {
+        throw new QueryCostExceededError(
+          `The cost of the query (${cost}) exceeds the maximum cost (${maxCost})`,
+          {cost, maxCost}
+        );
+      }
+    }
+  };
+}
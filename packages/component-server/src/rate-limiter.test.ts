@@ -0,0 +1,91 @@
+import {Component, method, expose, RateLimitExceededError} from '@layr/component';
+
+import {ComponentServer} from './component-server';
+import {createRateLimitMiddleware, MemoryRateLimitStore} from './rate-limiter';
+
+describe('Rate limiter', () => {
+  class Movie extends Component {
+    @expose({call: true}) @method() static count() {
+      return 3;
+    }
+  }
+
+  const query = {'<=': {__component: 'typeof Movie'}, 'count=>': {'()': []}};
+
+  test('Limiting the requests of a client', async () => {
+    let now = 1_000_000;
+
+    const dateNowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    try {
+      const server = new ComponentServer(Movie, {
+        middleware: [createRateLimitMiddleware({max: 2, duration: 10_000})]
+      });
+
+      const alice = {context: {headers: {}, ip: '1.1.1.1'}};
+      const bob = {context: {headers: {}, ip: '2.2.2.2'}};
+
+      expect(await server.receive({query}, alice)).toStrictEqual({result: 3});
+      expect(await server.receive({query}, alice)).toStrictEqual({result: 3});
+
+      now += 4_000;
+
+      let error: any;
+
+      try {
+        await server.receive({query}, alice);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeInstanceOf(RateLimitExceededError);
+      expect(error?.message).toBe('Too many requests (limit: 2 requests per 10000 ms)');
+      expect(error?.code).toBe('RATE_LIMIT_EXCEEDED');
+      expect(error?.status).toBe(429);
+      expect(error?.retryAfter).toBe(6);
+
+      // The other clients are not affected
+      expect(await server.receive({query}, bob)).toStrictEqual({result: 3});
+
+      // The requests without a client key are not limited
+      expect(await server.receive({query})).toStrictEqual({result: 3});
+
+      // A new window is started when the current one has ended
+      now += 6_000;
+
+      expect(await server.receive({query}, alice)).toStrictEqual({result: 3});
+    } finally {
+      dateNowSpy.mockRestore();
+    }
+  });
+
+  test('Using a custom key and an asynchronous store', async () => {
+    const memoryStore = new MemoryRateLimitStore();
+    const incrementedKeys: string[] = [];
+
+    const server = new ComponentServer(Movie, {
+      middleware: [
+        createRateLimitMiddleware({
+          max: 1,
+          getKey: (_request, context) => context.headers['x-api-key'] as string | undefined,
+          store: {
+            async increment(key, duration) {
+              incrementedKeys.push(key);
+              return memoryStore.increment(key, duration);
+            }
+          }
+        })
+      ]
+    });
+
+    const options = {context: {headers: {'x-api-key': 'abc123'}}};
+
+    expect(await server.receive({query}, options)).toStrictEqual({result: 3});
+    await expect(server.receive({query}, options)).rejects.toThrow('Too many requests');
+    expect(incrementedKeys).toStrictEqual(['abc123', 'abc123']);
+
+    expect(() => createRateLimitMiddleware({max: 0})).toThrow(
+      "Expected the 'max' option of a rate limit to be a positive number, but received a value of type 'number'"
+    );
+  });
+});
@@ -0,0 +1,160 @@
+import {RateLimitExceededError} from '@layr/component';
+import {possiblyAsync} from 'possibly-async';
+import {getTypeOf} from 'core-helpers';
+
+import type {
+  ComponentServerMiddleware,
+  ComponentServerRequest,
+  ComponentServerRequestContext
+} from './component-server';
+
+/**
+ * @typedef RateLimitCounter
+ *
+ * A plain object representing the number of requests made by a client during the current window of a rate limit.
+ *
+ * The object has the following properties:
+ *
+ * * `count`: A number representing the number of requests made during the current window (including the current request).
+ * * `resetsOn`: A number representing the time (in milliseconds since the Unix epoch) at which the current window ends.
+ */
+export type RateLimitCounter = {count: number; resetsOn: number};
+
+/**
+ * @typedef RateLimitStore
+ *
+ * An interface describing where the counters of a rate limit are kept. Layr provides an in-memory store ([`MemoryRateLimitStore`](https://layrjs.com/docs/v1/reference/component-server#memory-rate-limit-store-class)), and you can implement your own store (e.g., with Redis to share the counters between several server instances) by providing an object with the following method:
+ *
+ * * `increment(key, duration)`: Increments (possibly asynchronously) the counter identified by `key` and returns a [`RateLimitCounter`](https://layrjs.com/docs/v1/reference/component-server#rate-limit-counter-type). If the counter doesn't exist or if its window has ended, a new counter should be started with a window of `duration` milliseconds.
+ */
+export interface RateLimitStore {
+  increment(key: string, duration: number): RateLimitCounter | PromiseLike<RateLimitCounter>;
+}
+
+/**
+ * A [`RateLimitStore`](https://layrjs.com/docs/v1/reference/component-server#rate-limit-store-type) keeping the counters in memory. The counters are not shared between several server instances, so this store is only suitable for a single process.
+ */
+export class MemoryRateLimitStore implements RateLimitStore {
+  _counters = new Map<string, RateLimitCounter>();
+
+  increment(key: string, duration: number) {
+    const now = Date.now();
+
+    this._removeExpiredCounters(now);
+
+    let counter = this._counters.get(key);
+
+    if (counter === undefined) {
+      counter = {count: 0, resetsOn: now + duration};
+      this._counters.set(key, counter);
+    }
+
+    counter.count++;
+
+    return {...counter};
+  }
+
+  _removeExpiredCounters(now: number) {
+    for (const [key, counter] of this._counters) {
+      if (counter.resetsOn <= now) {
+        this._counters.delete(key);
+      }
+    }
+  }
+}
+
+export type RateLimitOptions = {
+  max: number;
+  duration?: number;
+  getKey?: (
+    request: ComponentServerRequest,
+    context: ComponentServerRequestContext
+  ) => string | undefined;
+  store?: RateLimitStore;
+};
+
+const DEFAULT_RATE_LIMIT_DURATION = 60 * 1000; // 1 minute
+
+/**
+ * Creates a [`ComponentServerMiddleware`](https://layrjs.com/docs/v1/reference/component-server#component-server-middleware-type) limiting the number of requests that a client can send to a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) during a window of time.
+ *
+ * When a client exceeds the limit, the request is rejected with a [`RateLimitExceededError`](https://layrjs.com/docs/v1/reference/layr-error).
+ *
+ * @param options.max A number specifying the maximum number of requests that a client can send during a window.
+ * @param [options.duration] A number specifying the duration of a window in milliseconds (default: `60000`).
+ * @param [options.getKey] A function that is called with the request and its [context](https://layrjs.com/docs/v1/reference/component-server#component-server-request-context-type) to get a string identifying the client (default: a function returning the `id` of `context.user` if any, or `context.ip`). If the function returns `undefined`, the request is not limited.
+ * @param [options.store] A [`RateLimitStore`](https://layrjs.com/docs/v1/reference/component-server#rate-limit-store-type) keeping the counters (default: a new [`MemoryRateLimitStore`](https://layrjs.com/docs/v1/reference/component-server#memory-rate-limit-store-class)).
+ *
+ * @returns A `ComponentServerMiddleware` object.
+ *
+ * @example
+ * ```
+ * import {ComponentServer, createRateLimitMiddleware} from '@layr/component-server';
+ *
+ * const server = new ComponentServer(Backend, {
+ *   middleware: [createRateLimitMiddleware({max: 100, duration: 60 * 1000})]
+ * });
+ * ```
+ *
+ * @category Functions
+ */
+export function createRateLimitMiddleware(options: RateLimitOptions): ComponentServerMiddleware {
+  const {
+    max,
+    duration = DEFAULT_RATE_LIMIT_DURATION,
+    getKey = getDefaultRateLimitKey,
+    store = new MemoryRateLimitStore()
+  } = options;
+
+  if (!(typeof max === 'number' && max > 0)) {
+    throw new Error(
+      `Expected the 'max' option of a rate limit to be a positive number, but received a value of type '${getTypeOf(
+        max
+      )}'`
+    );
+  }
+
+  if (!(typeof duration === 'number' && duration > 0)) {
+    throw new Error(
+      `Expected the 'duration' option of a rate limit to be a positive number, but received a value of type '${getTypeOf(
+        duration
+      )}'`
+    );
+  }
+
+  return {
+    before(request, context) {
+      const key = getKey(request, context);
+
+      if (key === undefined) {
+        return;
+      }
+
+      return possiblyAsync(store.increment(key, duration), ({count, resetsOn}) => {
+        if (count > max) {
+          throw new RateLimitExceededError(
+            `Too many requests (limit: ${max} requests per ${duration} ms)`,
+            {retryAfter: Math.max(Math.ceil((resetsOn - Date.now()) / 1000), 0)}
+          );
+        }
+      });
+    }
+  };
+}
+
+function getDefaultRateLimitKey(
+  _request: ComponentServerRequest,
+  context: ComponentServerRequestContext
+) {
+  const userId = context.user?.id;
+
+  if (userId !== undefined) {
+    return `user:${userId}`;
+  }
+
+  if (context.ip !== undefined) {
+    return `ip:${context.ip}`;
+  }
+
+  return undefined;
+}
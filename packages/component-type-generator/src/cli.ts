@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+import {writeFileSync} from 'fs';
+import {resolve} from 'path';
+
+import {generateTypeDeclarationsFromServer} from './component-type-generator';
+
+const USAGE = `Usage:
+  layr-generate-types <url> [options]
+  layr-generate-types --module <path> [--export <name>] [options]
+
+Options:
+  --output <file>    Write the declarations to the specified file (default: standard output)
+  --version <n>      Specify the expected version of the component server`;
+
+async function main(args: string[]) {
+  let url: string | undefined;
+  let modulePath: string | undefined;
+  let exportName = 'default';
+  let outputPath: string | undefined;
+  let version: number | undefined;
+
+  const getOptionValue = (option: string) => {
+    const value = args.shift();
+
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`A value is expected for the '${option}' option`);
+    }
+
+    return value;
+  };
+
+  while (args.length > 0) {
+    const arg = args.shift()!;
+
+    if (arg === '--module') {
+      modulePath = getOptionValue(arg);
+    } else if (arg === '--export') {
+      exportName = getOptionValue(arg);
+    } else if (arg === '--output') {
+      outputPath = getOptionValue(arg);
+    } else if (arg === '--version') {
+      version = Number(getOptionValue(arg));
+
+      if (!Number.isInteger(version)) {
+        throw new Error(`The '--version' option must be an integer`);
+      }
+    } else if (arg === '--help') {
+      console.log(USAGE);
+      return;
+    } else if (!arg.startsWith('--') && url === undefined) {
+      url = arg;
+    } else {
+      throw new Error(`Unexpected argument: '${arg}'\n\n${USAGE}`);
+    }
+  }
+
+  let source;
+
+  if (url !== undefined && modulePath === undefined) {
+    source = url;
+  } else if (modulePath !== undefined && url === undefined) {
+    const exports = require(resolve(modulePath));
+
+    source = exports[exportName];
+
+    if (source === undefined) {
+      throw new Error(`The module '${modulePath}' doesn't export '${exportName}'`);
+    }
+  } else {
+    throw new Error(`Please specify either a URL or a module\n\n${USAGE}`);
+  }
+
+  const declarations = await generateTypeDeclarationsFromServer(source, {version});
+
+  if (outputPath !== undefined) {
+    writeFileSync(resolve(outputPath), declarations);
+  } else {
+    process.stdout.write(declarations);
+  }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
@@ -0,0 +1,181 @@
+import {
+  Component,
+  EmbeddedComponent,
+  provide,
+  consume,
+  primaryIdentifier,
+  attribute,
+  method,
+  expose
+} from '@layr/component';
+import {ComponentServer} from '@layr/component-server';
+
+import {
+  generateTypeDeclarations,
+  generateTypeDeclarationsFromServer
+} from './component-type-generator';
+
+describe('ComponentTypeGenerator', () => {
+  const getBackend = () => {
+    class Address extends EmbeddedComponent {
+      @expose({get: true, set: true}) @attribute('string') city!: string;
+
+      @attribute('string') secret?: string;
+    }
+
+    class Person extends Component {
+      @expose({get: true, set: true}) @primaryIdentifier() id!: string;
+
+      @expose({get: true}) @attribute('string') fullName!: string;
+    }
+
+    class Movie extends Component {
+      @consume() static Person: typeof Person;
+      @consume() static Address: typeof Address;
+
+      @expose({get: true}) @attribute('number') static limit = 100;
+
+      @expose({get: true, set: true}) @primaryIdentifier() id!: string;
+
+      @expose({get: true, set: true}) @attribute('string') title = '';
+
+      @expose({get: true, set: true}) @attribute('number?') rating?: number;
+
+      @expose({get: true, set: true}) @attribute('string[]') tags: string[] = [];
+
+      @expose({get: true, set: true}) @attribute('Date?[]') showTimes: (Date | undefined)[] = [];
+
+      @expose({get: true, set: true}) @attribute('Person?') director?: Person;
+
+      @expose({get: true, set: true}) @attribute('Address?') address?: Address;
+
+      @expose({get: true}) @attribute('object') metadata = {};
+
+      @expose({get: true, set: true}) @attribute("'draft'|'published'") status = 'draft';
+
+      @expose({get: true, set: true}) @attribute('decimal') price = '0';
+
+      @expose({get: true, set: true}) @attribute('bigint?') viewCount?: bigint;
+
+      @expose({get: true, set: true})
+      @attribute('(Person|string)[]')
+      cast: (Person | string)[] = [];
+
+      @attribute('string') internalNote = '';
+
+      @expose({call: true}) @method() static search() {}
+
+      @expose({call: true}) @method() play() {}
+
+      @method() prepare() {}
+    }
+
+    class Backend extends Component {
+      @provide() static Movie = Movie;
+      @provide() static Person = Person;
+      @provide() static Address = Address;
+    }
+
+    return Backend;
+  };
+
+  const expectedDeclarations = `// This file was generated from the introspection of a component server. Don't edit it manually.
+
+import {Component, EmbeddedComponent} from '@layr/component';
+
+export declare class Backend extends Component {
+  static Movie: typeof Movie;
+  static Person: typeof Person;
+  static Address: typeof Address;
+}
+
+export declare class Movie extends Component {
+  static Person: typeof Person;
+  static Address: typeof Address;
+  static limit: number;
+  static search(...args: any[]): Promise<any>;
+  id: string;
+  title: string;
+  rating?: number;
+  tags: string[];
+  showTimes: (Date | undefined)[];
+  director?: Person;
+  address?: Address;
+  metadata: {[key: string]: any};
+  status: 'draft' | 'published';
+  price: string;
+  viewCount?: bigint;
+  cast: (Person | string)[];
+  play(...args: any[]): Promise<any>;
+}
+
+export declare class Person extends Component {
+  id: string;
+  fullName: string;
+}
+
+export declare class Address extends EmbeddedComponent {
+  city: string;
+}
+`;
+
+  test('generateTypeDeclarations()', async () => {
+    const Backend = getBackend();
+
+    const {result} = (await new ComponentServer(Backend).receive({
+      query: {'introspect=>': {'()': []}}
+    })) as any;
+
+    expect(generateTypeDeclarations(result.component)).toBe(expectedDeclarations);
+
+    expect(
+      generateTypeDeclarations({
+        name: 'Movie',
+        mixins: ['Localizable', 'Storable'],
+        prototype: {properties: [{name: 'id', type: 'PrimaryIdentifierAttribute'}]}
+      })
+    )
+      .toBe(`// This file was generated from the introspection of a component server. Don't edit it manually.
+
+import {StorableComponent} from '@layr/storable';
+
+export declare class Movie extends StorableComponent {
+  id: any;
+}
+`);
+
+    expect(
+      generateTypeDeclarations(
+        {name: 'Movie', mixins: ['Localizable']},
+        {mixinTypes: {Localizable: {module: './localizable', className: 'LocalizableComponent'}}}
+      )
+    )
+      .toBe(`// This file was generated from the introspection of a component server. Don't edit it manually.
+
+import {LocalizableComponent} from './localizable';
+
+export declare class Movie extends LocalizableComponent {}
+`);
+
+    // @ts-expect-error
+    expect(() => generateTypeDeclarations('Movie')).toThrow(
+      "Expected an introspected component, but received a value of type 'string'"
+    );
+  });
+
+  test('generateTypeDeclarationsFromServer()', async () => {
+    const Backend = getBackend();
+
+    expect(await generateTypeDeclarationsFromServer(Backend)).toBe(expectedDeclarations);
+
+    const server = new ComponentServer(Backend, {version: 2});
+
+    expect(await generateTypeDeclarationsFromServer(server, {version: 2})).toBe(
+      expectedDeclarations
+    );
+
+    await expect(generateTypeDeclarationsFromServer(server, {version: 1})).rejects.toThrow(
+      "The component client version (1) doesn't match the component server version (2)"
+    );
+  });
+});
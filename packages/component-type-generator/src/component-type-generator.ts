@@ -0,0 +1,348 @@
+import type {
+  Component,
+  IntrospectedComponent,
+  IntrospectedAttribute,
+  IntrospectedValueType
+} from '@layr/component';
+import {splitUnionSpecifier, isLiteralSpecifier} from '@layr/component';
+import {ComponentServer} from '@layr/component-server';
+import type {ComponentServerLike} from '@layr/component-server';
+import {getTypeOf, isPlainObject} from 'core-helpers';
+import fetch from 'cross-fetch';
+
+/**
+ * @typedef MixinTypeMap
+ *
+ * A plain object of the shape `{[mixinName]: {module, className}}` specifying, for each component mixin (e.g., `'Storable'`), the module and the name of the class that the generated declarations should extend.
+ *
+ * By default, the following mixins are supported:
+ *
+ * ```
+ * {
+ *   Storable: {module: '@layr/storable', className: 'StorableComponent'},
+ *   Routable: {module: '@layr/routable', className: 'RoutableComponent'}
+ * }
+ * ```
+ */
+export type MixinTypeMap = {[mixinName: string]: {module: string; className: string}};
+
+export type GenerateTypeDeclarationsOptions = {mixinTypes?: MixinTypeMap};
+
+const DEFAULT_MIXIN_TYPES: MixinTypeMap = {
+  Storable: {module: '@layr/storable', className: 'StorableComponent'},
+  Routable: {module: '@layr/routable', className: 'RoutableComponent'}
+};
+
+const PRIMITIVE_TYPES: {[valueType: string]: string} = {
+  any: 'any',
+  boolean: 'boolean',
+  number: 'number',
+  string: 'string',
+  object: '{[key: string]: any}',
+  Date: 'Date',
+  RegExp: 'RegExp',
+  decimal: 'string', // The decimals are represented by strings to avoid the rounding errors
+  bigint: 'bigint'
+};
+
+/**
+ * Generates the TypeScript declarations (i.e., the content of a `.d.ts` file) of a tree of introspected components.
+ *
+ * Each component of the tree (i.e., the root component and the components it provides) is declared as a class having the exposed attributes (with their value types), the exposed methods, and the provided and consumed components. Since the exposed methods are called remotely, they are declared as functions returning a promise.
+ *
+ * @param introspectedComponent An object returned by [`Component.introspect()`](https://layrjs.com/docs/v1/reference/component#introspect-class-method) (or by the `introspect()` query of a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server)).
+ * @param [options.mixinTypes] A [`MixinTypeMap`](https://layrjs.com/docs/v1/reference/component-type-generator#mixin-type-map-type) specifying the classes that should be extended by the components built with a mixin (default: the `Storable` and `Routable` mixins are supported).
+ *
+ * @returns A string.
+ *
+ * @example
+ * ```
+ * import {ComponentServer} from '@layr/component-server';
+ * import {generateTypeDeclarations} from '@layr/component-type-generator';
+ *
+ * const server = new ComponentServer(Backend);
+ *
+ * const {result} = await server.receive({query: {'introspect=>': {'()': []}}});
+ *
+ * generateTypeDeclarations(result.component);
+ * ```
+ *
+ * @category Functions
+ */
+export function generateTypeDeclarations(
+  introspectedComponent: IntrospectedComponent,
+  options: GenerateTypeDeclarationsOptions = {}
+) {
+  if (!isPlainObject(introspectedComponent)) {
+    throw new Error(
+      `Expected an introspected component, but received a value of type '${getTypeOf(
+        introspectedComponent
+      )}'`
+    );
+  }
+
+  const mixinTypes = {...DEFAULT_MIXIN_TYPES, ...options.mixinTypes};
+
+  const introspectedComponents = new Array<IntrospectedComponent>();
+
+  const collectComponents = (introspectedComponent: IntrospectedComponent) => {
+    introspectedComponents.push(introspectedComponent);
+
+    for (const providedComponent of introspectedComponent.providedComponents ?? []) {
+      collectComponents(providedComponent);
+    }
+  };
+
+  collectComponents(introspectedComponent);
+
+  const componentImports = new Set<string>();
+  const mixinImports = new Map<string, Set<string>>();
+
+  const declarations = introspectedComponents.map((introspectedComponent) => {
+    const baseClassName = getBaseClassName(introspectedComponent, mixinTypes);
+
+    if (baseClassName.module === '@layr/component') {
+      componentImports.add(baseClassName.className);
+    } else {
+      let classNames = mixinImports.get(baseClassName.module);
+
+      if (classNames === undefined) {
+        classNames = new Set();
+        mixinImports.set(baseClassName.module, classNames);
+      }
+
+      classNames.add(baseClassName.className);
+    }
+
+    return generateClassDeclaration(introspectedComponent, baseClassName.className);
+  });
+
+  const imports = new Array<string>();
+
+  if (componentImports.size > 0) {
+    imports.push(
+      `import {${Array.from(componentImports).sort().join(', ')}} from '@layr/component';`
+    );
+  }
+
+  for (const module of Array.from(mixinImports.keys()).sort()) {
+    imports.push(
+      `import {${Array.from(mixinImports.get(module)!).sort().join(', ')}} from '${module}';`
+    );
+  }
+
+  return [
+    `// This file was generated from the introspection of a component server. Don't edit it manually.`,
+    '',
+    ...imports,
+    '',
+    declarations.join('\n\n'),
+    ''
+  ].join('\n');
+}
+
+function getBaseClassName(introspectedComponent: IntrospectedComponent, mixinTypes: MixinTypeMap) {
+  // A TypeScript class can only extend one class, so the first mixin with a known type is used
+  for (const mixin of introspectedComponent.mixins ?? []) {
+    const mixinType = mixinTypes[mixin];
+
+    if (mixinType !== undefined) {
+      return mixinType;
+    }
+  }
+
+  return {
+    module: '@layr/component',
+    className: introspectedComponent.isEmbedded ? 'EmbeddedComponent' : 'Component'
+  };
+}
+
+function generateClassDeclaration(
+  introspectedComponent: IntrospectedComponent,
+  baseClassName: string
+) {
+  const {
+    name,
+    properties = [],
+    prototype: {properties: prototypeProperties = []} = {}
+  } = introspectedComponent;
+
+  const members = new Array<string>();
+
+  const componentNames = new Set([
+    ...(introspectedComponent.providedComponents ?? []).map(({name}) => name),
+    ...(introspectedComponent.consumedComponents ?? [])
+  ]);
+
+  for (const componentName of componentNames) {
+    members.push(`static ${componentName}: typeof ${componentName};`);
+  }
+
+  for (const property of properties) {
+    members.push(`static ${generatePropertyDeclaration(property)}`);
+  }
+
+  for (const property of prototypeProperties) {
+    members.push(generatePropertyDeclaration(property));
+  }
+
+  if (members.length === 0) {
+    return `export declare class ${name} extends ${baseClassName} {}`;
+  }
+
+  return [
+    `export declare class ${name} extends ${baseClassName} {`,
+    ...members.map((member) => `  ${member}`),
+    '}'
+  ].join('\n');
+}
+
+function generatePropertyDeclaration(property: {name: string; type: string}) {
+  const {name, type} = property;
+
+  if (type === 'Method') {
+    return `${name}(...args: any[]): Promise<any>;`;
+  }
+
+  if (type.endsWith('Attribute')) {
+    const {isOptional, type: valueType} = generateValueType(property as IntrospectedAttribute);
+
+    return `${name}${isOptional ? '?' : ''}: ${valueType};`;
+  }
+
+  return `${name}: any;`;
+}
+
+// 'string' => {type: 'string', isOptional: false}
+// 'number?' => {type: 'number', isOptional: true}
+// 'Movie[]' => {type: 'Movie[]', isOptional: false}
+// 'typeof Movie' => {type: 'typeof Movie', isOptional: false}
+// "('draft'|'published')?" => {type: "'draft' | 'published'", isOptional: true}
+function generateValueType({
+  valueType = 'any'
+}: IntrospectedValueType): {
+  type: string;
+  isOptional: boolean;
+} {
+  let specifier = valueType;
+  let isOptional = false;
+
+  const memberSpecifiers = splitUnionSpecifier(specifier);
+
+  if (memberSpecifiers.length > 1) {
+    return {type: generateUnionType(memberSpecifiers), isOptional};
+  }
+
+  if (specifier.endsWith('?')) {
+    specifier = specifier.slice(0, -1) || 'any';
+    isOptional = true;
+  }
+
+  if (specifier.endsWith('[]')) {
+    const itemType = generateValueType({valueType: specifier.slice(0, -2)});
+
+    const type = itemType.isOptional
+      ? `(${itemType.type} | undefined)[]`
+      : /[ |]/.test(itemType.type)
+      ? `(${itemType.type})[]`
+      : `${itemType.type}[]`;
+
+    return {type, isOptional};
+  }
+
+  if (specifier.startsWith('(') && specifier.endsWith(')')) {
+    return {type: generateUnionType(splitUnionSpecifier(specifier.slice(1, -1))), isOptional};
+  }
+
+  // A literal such as "'draft'" or '42' is a valid type
+  if (isLiteralSpecifier(specifier)) {
+    return {type: specifier, isOptional};
+  }
+
+  const primitiveType = PRIMITIVE_TYPES[specifier];
+
+  if (primitiveType !== undefined) {
+    return {type: primitiveType, isOptional};
+  }
+
+  // A component type such as 'Movie' or 'typeof Movie'
+  return {type: specifier, isOptional};
+}
+
+// ["'draft'", "'published'"] => "'draft' | 'published'"
+function generateUnionType(memberSpecifiers: string[]) {
+  return memberSpecifiers
+    .map((memberSpecifier) => generateValueType({valueType: memberSpecifier}).type)
+    .join(' | ');
+}
+
+/**
+ * Generates the TypeScript declarations of the components served by a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) (see [`generateTypeDeclarations()`](https://layrjs.com/docs/v1/reference/component-type-generator#generate-type-declarations-function)).
+ *
+ * @param componentOrComponentServer A root [`Component`](https://layrjs.com/docs/v1/reference/component) class (an instance of a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) will be created under the hood), a `ComponentServer` instance, or a string specifying the URL of a running component server (e.g., `'http://localhost:3210'`).
+ * @param [options.version] A number specifying the expected version of the component server (default: `undefined`).
+ * @param [options.mixinTypes] A [`MixinTypeMap`](https://layrjs.com/docs/v1/reference/component-type-generator#mixin-type-map-type) (see [`generateTypeDeclarations()`](https://layrjs.com/docs/v1/reference/component-type-generator#generate-type-declarations-function)).
+ *
+ * @returns A promise resolving to a string.
+ *
+ * @example
+ * ```
+ * import {generateTypeDeclarationsFromServer} from '@layr/component-type-generator';
+ *
+ * const declarations = await generateTypeDeclarationsFromServer('http://localhost:3210');
+ * ```
+ *
+ * @category Functions
+ * @async
+ */
+export async function generateTypeDeclarationsFromServer(
+  componentOrComponentServer: typeof Component | ComponentServerLike | string,
+  options: GenerateTypeDeclarationsOptions & {version?: number} = {}
+) {
+  const {version, ...generateTypeDeclarationsOptions} = options;
+
+  const componentServer =
+    typeof componentOrComponentServer === 'string'
+      ? createRemoteComponentServer(componentOrComponentServer)
+      : typeof (componentOrComponentServer as ComponentServerLike).receive === 'function'
+      ? (componentOrComponentServer as ComponentServerLike)
+      : new ComponentServer(componentOrComponentServer as typeof Component);
+
+  const response = await componentServer.receive({
+    query: {'introspect=>': {'()': []}},
+    version
+  });
+
+  const introspectedComponent = (response.result as any)?.component;
+
+  if (introspectedComponent === undefined) {
+    throw new Error(`The component server didn't return an introspected component`);
+  }
+
+  return generateTypeDeclarations(introspectedComponent, generateTypeDeclarationsOptions);
+}
+
+function createRemoteComponentServer(url: string): ComponentServerLike {
+  return {
+    async receive(request) {
+      const fetchResponse = await fetch(url, {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify(request)
+      });
+
+      const response = await fetchResponse.json();
+
+      if (fetchResponse.status !== 200) {
+        const {
+          message = 'An error occurred while sending query to remote components',
+          ...attributes
+        } = response ?? {};
+
+        throw Object.assign(new Error(message), attributes);
+      }
+
+      return response;
+    }
+  } as ComponentServerLike;
+}
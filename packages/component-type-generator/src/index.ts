@@ -0,0 +1 @@
+export * from './component-type-generator';
@@ -0,0 +1,282 @@
+import {isComponentClass} from '@layr/component';
+import WebSocket from 'ws';
+import isEqual from 'lodash/isEqual';
+import type {PlainObject} from 'core-helpers';
+
+import {ComponentWebSocketClient} from './component-websocket-client';
+
+const SERVER_PORT = 4444;
+
+describe('ComponentWebSocketClient', () => {
+  let server: WebSocket.Server | undefined;
+  const receivedMessages: PlainObject[] = [];
+  let rejectSubscriptions = false;
+
+  beforeAll(() => {
+    return new Promise<void>((resolve) => {
+      server = new WebSocket.Server({port: SERVER_PORT}, resolve);
+
+      server.on('connection', (socket) => {
+        const send = (message: PlainObject) => {
+          socket.send(JSON.stringify(message));
+        };
+
+        socket.on('message', (data) => {
+          const message = JSON.parse(data.toString());
+          const {id, type, request} = message;
+
+          receivedMessages.push(message);
+
+          if (type === 'unsubscribe') {
+            return;
+          }
+
+          const {query, version: clientVersion} = request;
+
+          const serverVersion = 1;
+
+          if (clientVersion !== serverVersion) {
+            send({
+              id,
+              error: {
+                message: `The component client version (${clientVersion}) doesn't match the component server version (${serverVersion})`,
+                code: 'COMPONENT_CLIENT_VERSION_DOES_NOT_MATCH_COMPONENT_SERVER_VERSION',
+                expose: true
+              }
+            });
+            return;
+          }
+
+          if (isEqual(query, {'introspect=>': {'()': []}})) {
+            send({
+              id,
+              response: {
+                result: {
+                  component: {
+                    name: 'Movie',
+                    properties: [
+                      {
+                        name: 'limit',
+                        type: 'Attribute',
+                        valueType: 'number',
+                        value: 100,
+                        exposure: {get: true}
+                      },
+                      {name: 'getTitle', type: 'Method', exposure: {call: true}},
+                      {name: 'getTitleSlowly', type: 'Method', exposure: {call: true}},
+                      {name: 'hang', type: 'Method', exposure: {call: true}},
+                      {name: 'watch', type: 'Method', exposure: {call: true}}
+                    ]
+                  }
+                }
+              }
+            });
+          } else if ('getTitle=>' in query) {
+            send({id, response: {result: 'Inception'}});
+          } else if ('getTitleSlowly=>' in query) {
+            setTimeout(() => {
+              send({id, response: {result: 'The Matrix'}});
+            }, 50);
+          } else if ('hang=>' in query) {
+            // Never respond
+          } else if (type === 'subscribe' && 'watch=>' in query && rejectSubscriptions) {
+            send({id, error: {message: 'The subscription cannot be restored'}});
+          } else if (type === 'subscribe' && 'watch=>' in query) {
+            send({id, response: {}});
+            send({id, push: {result: `Pushed value #${receivedMessages.length}`}});
+          } else {
+            send({id, error: {message: `Received an unknown query: ${JSON.stringify(query)}`}});
+          }
+        });
+      });
+    });
+  });
+
+  afterAll(() => {
+    if (server === undefined) {
+      return;
+    }
+
+    return new Promise((resolve) => {
+      server!.close(() => {
+        server = undefined;
+        resolve();
+      });
+    });
+  });
+
+  test('Getting components', async () => {
+    let client = new ComponentWebSocketClient(`ws://localhost:${SERVER_PORT}`);
+
+    try {
+      await expect(client.getComponent()).rejects.toThrow(
+        "The component client version (undefined) doesn't match the component server version (1)"
+      );
+    } finally {
+      client.close();
+    }
+
+    client = new ComponentWebSocketClient(`ws://localhost:${SERVER_PORT}`, {version: 1});
+
+    try {
+      const Movie = await client.getComponent();
+
+      expect(isComponentClass(Movie)).toBe(true);
+      expect(Movie.getComponentName()).toBe('Movie');
+
+      const attribute = Movie.getAttribute('limit');
+
+      expect(attribute.getValue()).toBe(100);
+      expect(attribute.getExposure()).toEqual({get: true});
+    } finally {
+      client.close();
+    }
+  });
+
+  test('Sending concurrent queries', async () => {
+    const client = new ComponentWebSocketClient(`ws://localhost:${SERVER_PORT}`, {version: 1});
+
+    try {
+      const Movie = (await client.getComponent()) as any;
+
+      const order: string[] = [];
+
+      const results = await Promise.all([
+        Movie.getTitleSlowly().then((title: string) => {
+          order.push(title);
+          return title;
+        }),
+        Movie.getTitle().then((title: string) => {
+          order.push(title);
+          return title;
+        })
+      ]);
+
+      expect(results).toStrictEqual(['The Matrix', 'Inception']);
+      expect(order).toStrictEqual(['Inception', 'The Matrix']);
+    } finally {
+      client.close();
+    }
+
+    await expect(client.send({'introspect=>': {'()': []}})).rejects.toThrow(
+      'The component WebSocket client has been closed'
+    );
+  });
+
+  test('Subscribing and reconnecting', async () => {
+    const client = new ComponentWebSocketClient(`ws://localhost:${SERVER_PORT}`, {
+      version: 1,
+      reconnectionDelay: 10
+    });
+
+    try {
+      const Movie = (await client.getComponent()) as any;
+
+      const values: string[] = [];
+
+      receivedMessages.length = 0;
+
+      const subscription = await Movie.watch((value: string) => {
+        values.push(value);
+      });
+
+      await waitFor(() => values.length === 1);
+
+      expect(values).toStrictEqual(['Pushed value #1']);
+
+      // A query waiting for a response when the connection is lost is rejected
+      const hangingQuery = Movie.hang();
+
+      await waitFor(() => receivedMessages.length === 2);
+
+      for (const socket of server!.clients) {
+        socket.terminate();
+      }
+
+      await expect(hangingQuery).rejects.toThrow(
+        'The connection with the component server has been lost'
+      );
+
+      // The subscriptions are restored when the connection is reestablished
+      await waitFor(() => values.length === 2);
+
+      expect(values).toStrictEqual(['Pushed value #1', 'Pushed value #3']);
+      expect(receivedMessages[2].id).toBe(receivedMessages[0].id);
+      expect(receivedMessages[2].type).toBe('subscribe');
+
+      // The queries work again
+      expect(await Movie.getTitle()).toBe('Inception');
+
+      subscription.unsubscribe();
+
+      await waitFor(() => receivedMessages.length === 5);
+
+      expect(receivedMessages[4]).toStrictEqual({id: receivedMessages[0].id, type: 'unsubscribe'});
+    } finally {
+      client.close();
+    }
+  });
+
+  test('Handling subscription errors', async () => {
+    const client = new ComponentWebSocketClient(`ws://localhost:${SERVER_PORT}`, {
+      version: 1,
+      reconnectionDelay: 10
+    });
+
+    try {
+      const Movie = (await client.getComponent()) as any;
+
+      const values: string[] = [];
+      const errors: Error[] = [];
+
+      receivedMessages.length = 0;
+
+      await Movie.watch(
+        (value: string) => {
+          values.push(value);
+          throw new Error('Cannot handle the value');
+        },
+        (error: Error) => {
+          errors.push(error);
+        }
+      );
+
+      // An error thrown by the listener is passed to the error listener
+      await waitFor(() => errors.length === 1);
+
+      expect(values).toStrictEqual(['Pushed value #1']);
+      expect(errors[0].message).toBe('Cannot handle the value');
+
+      // A subscription that cannot be restored after a reconnection is ended
+      rejectSubscriptions = true;
+
+      for (const socket of server!.clients) {
+        socket.terminate();
+      }
+
+      await waitFor(() => errors.length === 2);
+
+      expect(errors[1].message).toBe('The subscription cannot be restored');
+
+      for (const socket of server!.clients) {
+        socket.terminate();
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      expect(await Movie.getTitle()).toBe('Inception');
+
+      // The subscription is not resent after the next reconnections
+      expect(receivedMessages.filter(({type}) => type === 'subscribe')).toHaveLength(2);
+    } finally {
+      rejectSubscriptions = false;
+      client.close();
+    }
+  });
+});
+
+async function waitFor(condition: () => boolean) {
+  for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
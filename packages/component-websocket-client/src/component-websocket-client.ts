@@ -0,0 +1,438 @@
+import {ComponentClient, ComponentClientOptions} from '@layr/component-client';
+import WebSocket from 'isomorphic-ws';
+import {PlainObject, isPlainObject} from 'core-helpers';
+import debugModule from 'debug';
+
+const debug = debugModule('layr:component-websocket-client');
+// To display the debug log, set this environment:
+// DEBUG=layr:component-websocket-client DEBUG_DEPTH=10
+
+const DEFAULT_RECONNECTION_DELAY = 500; // 0.5 second
+const DEFAULT_MAXIMUM_RECONNECTION_DELAY = 30 * 1000; // 30 seconds
+
+export type ComponentWebSocketClientOptions = ComponentClientOptions & {
+  reconnectionDelay?: number;
+  maximumReconnectionDelay?: number;
+};
+
+/**
+ * *Inherits from [`ComponentClient`](https://layrjs.com/docs/v1/reference/component-client).*
+ *
+ * A class allowing to access a root [`Component`](https://layrjs.com/docs/v1/reference/component) that is served by a [`ComponentWebSocketServer`](https://layrjs.com/docs/v1/reference/component-websocket-server).
+ *
+ * All the queries are sent through a single WebSocket connection, which is automatically reestablished when it is lost. Since the connection remains open, the component server can push some values to the client, which makes it possible to use the methods expecting a listener such as the [`subscribe()`](https://layrjs.com/docs/v1/reference/storable#subscribe-class-method) method of the storable components.
+ *
+ * #### Usage
+ *
+ * Create an instance of `ComponentWebSocketClient` by specifying the URL of the component server, and use the [`getComponent()`](https://layrjs.com/docs/v1/reference/component-websocket-client#get-component-instance-method) method to get the served component.
+ *
+ * **Example:**
+ *
+ * ```
+ * // backend.js
+ *
+ * import {Component, attribute, method, expose} from '@layr/component';
+ * import {ComponentWebSocketServer} from '@layr/component-websocket-server';
+ *
+ * export class Movie extends Component {
+ *   @expose({get: true, set: true}) @attribute('string') title;
+ *
+ *   @expose({call: true}) @method() async play() {
+ *     return `Playing `${this.title}`...`;
+ *   }
+ * }
+ *
+ * const server = new ComponentWebSocketServer(Movie, {port: 3210});
+ *
+ * server.start();
+ * ```
+ *
+ * ```
+ * // frontend.js
+ *
+ * import {ComponentWebSocketClient} from '@layr/component-websocket-client';
+ *
+ * (async () => {
+ *   const client = new ComponentWebSocketClient('ws://localhost:3210');
+ *
+ *   const Movie = await client.getComponent();
+ *
+ *   const movie = new Movie({title: 'Inception'});
+ *
+ *   await movie.play(); // => 'Playing Inception...'
+ *
+ *   client.close();
+ * })();
+ * ```
+ */
+export class ComponentWebSocketClient extends ComponentClient {
+  _connection: WebSocketConnection;
+
+  /**
+   * Creates a component WebSocket client. The connection is opened when the first query is sent.
+   *
+   * @param url A string specifying the URL of the component server to connect to (e.g., `'ws://localhost:3210'`).
+   * @param [options.version] A number specifying the expected version of the component server (default: `undefined`). If a version is specified, an error is thrown when a request is sent and the component server has a different version. The thrown error is a [`VersionMismatchError`](https://layrjs.com/docs/v1/reference/layr-error) instance with a `code` attribute set to `'COMPONENT_CLIENT_VERSION_DOES_NOT_MATCH_COMPONENT_SERVER_VERSION'`.
+   * @param [options.mixins] An array of the component mixins (e.g., [`Storable`](https://layrjs.com/docs/v1/reference/storable)) to use when constructing the components exposed by the component server (default: `[]`).
+   * @param [options.reconnectionDelay] A number specifying how many milliseconds to wait before trying to reestablish a lost connection (default: `500`). The delay is doubled after each failed attempt.
+   * @param [options.maximumReconnectionDelay] A number specifying the maximum number of milliseconds to wait between two attempts to reestablish a lost connection (default: `30000`).
+   *
+   * @returns A `ComponentWebSocketClient` instance.
+   *
+   * @category Creation
+   */
+  constructor(url: string, options: ComponentWebSocketClientOptions = {}) {
+    const {
+      reconnectionDelay = DEFAULT_RECONNECTION_DELAY,
+      maximumReconnectionDelay = DEFAULT_MAXIMUM_RECONNECTION_DELAY,
+      ...componentClientOptions
+    } = options;
+
+    const connection = new WebSocketConnection(url, {reconnectionDelay, maximumReconnectionDelay});
+
+    super(createComponentServer(connection), componentClientOptions);
+
+    this._connection = connection;
+  }
+
+  /**
+   * @method getComponent
+   *
+   * Gets the component that is served by the component server.
+   *
+   * @returns A [`Component`](https://layrjs.com/docs/v1/reference/component) class.
+   *
+   * @examplelink See an [example of use](https://layrjs.com/docs/v1/reference/component-websocket-client#usage) above.
+   *
+   * @category Getting the Served Component
+   * @async
+   */
+
+  /**
+   * Closes the connection with the component server. The queries that are waiting for a response are rejected, and the subscriptions are ended.
+   *
+   * @category Closing the Connection
+   */
+  close() {
+    this._connection.close();
+  }
+}
+
+function createComponentServer(connection: WebSocketConnection) {
+  return {
+    receive(request: {query: PlainObject; components?: PlainObject[]; version?: number}) {
+      return connection.send('receive', request);
+    },
+
+    async subscribe(
+      request: {query: PlainObject; components?: PlainObject[]; version?: number},
+      listener: (response: {result?: unknown; components?: PlainObject[]}) => void,
+      options: {onError?: (error: any) => void} = {}
+    ) {
+      return await connection.subscribe(request, listener, options);
+    }
+  };
+}
+
+type PendingRequest = {resolve: (response: any) => void; reject: (error: Error) => void};
+
+type Subscription = {
+  request: PlainObject;
+  listener: (push: any) => void;
+  onError: ((error: any) => void) | undefined;
+};
+
+// A WebSocket connection multiplexing the messages of several queries (see the
+// `ComponentWebSocketServer` class for a description of the messages)
+class WebSocketConnection {
+  _url: string;
+  _reconnectionDelay: number;
+  _maximumReconnectionDelay: number;
+
+  constructor(
+    url: string,
+    {
+      reconnectionDelay,
+      maximumReconnectionDelay
+    }: {reconnectionDelay: number; maximumReconnectionDelay: number}
+  ) {
+    this._url = url;
+    this._reconnectionDelay = reconnectionDelay;
+    this._maximumReconnectionDelay = maximumReconnectionDelay;
+  }
+
+  _socket: WebSocket | undefined;
+  _isOpen = false;
+  _isClosed = false;
+  _reconnectionAttempt = 0;
+  _reconnectionTimeout: ReturnType<typeof setTimeout> | undefined;
+  _lastId = 0;
+  _pendingRequests = new Map<number, PendingRequest>();
+  _subscriptions = new Map<number, Subscription>();
+  // The messages that are waiting for the connection to be open
+  _outbox: PlainObject[] = [];
+
+  send(type: string, request: PlainObject) {
+    return new Promise<any>((resolve, reject) => {
+      this._assertIsNotClosed();
+
+      const id = ++this._lastId;
+
+      this._pendingRequests.set(id, {resolve, reject});
+      this._post({id, type, request});
+    });
+  }
+
+  subscribe(
+    request: PlainObject,
+    listener: Subscription['listener'],
+    {onError}: {onError?: Subscription['onError']} = {}
+  ) {
+    return new Promise<{unsubscribe: () => void}>((resolve, reject) => {
+      this._assertIsNotClosed();
+
+      const id = ++this._lastId;
+
+      const unsubscribe = () => {
+        if (!this._subscriptions.has(id)) {
+          return;
+        }
+
+        this._subscriptions.delete(id);
+
+        if (this._isOpen) {
+          this._post({id, type: 'unsubscribe'});
+        }
+      };
+
+      this._pendingRequests.set(id, {
+        resolve: () => resolve({unsubscribe}),
+        reject: (error) => {
+          this._subscriptions.delete(id);
+          reject(error);
+        }
+      });
+
+      // The subscriptions are not posted through the outbox because they are sent
+      // every time the connection is (re)opened
+      this._subscriptions.set(id, {request, listener, onError});
+
+      if (this._isOpen) {
+        this._sendMessage({id, type: 'subscribe', request});
+      } else {
+        this._connect();
+      }
+    });
+  }
+
+  close() {
+    if (this._isClosed) {
+      return;
+    }
+
+    this._isClosed = true;
+
+    if (this._reconnectionTimeout !== undefined) {
+      clearTimeout(this._reconnectionTimeout);
+      this._reconnectionTimeout = undefined;
+    }
+
+    this._socket?.close();
+    this._socket = undefined;
+    this._isOpen = false;
+
+    this._rejectPendingRequests(
+      Object.assign(new Error('The component WebSocket client has been closed'), {
+        code: 'COMPONENT_WEBSOCKET_CLIENT_CLOSED'
+      })
+    );
+
+    this._subscriptions.clear();
+    this._outbox = [];
+  }
+
+  _assertIsNotClosed() {
+    if (this._isClosed) {
+      throw Object.assign(new Error('The component WebSocket client has been closed'), {
+        code: 'COMPONENT_WEBSOCKET_CLIENT_CLOSED'
+      });
+    }
+  }
+
+  _post(message: PlainObject) {
+    if (this._isOpen) {
+      this._sendMessage(message);
+    } else {
+      this._outbox.push(message);
+      this._connect();
+    }
+  }
+
+  _sendMessage(message: PlainObject) {
+    this._socket!.send(JSON.stringify(message));
+  }
+
+  _connect() {
+    if (this._socket !== undefined || this._reconnectionTimeout !== undefined) {
+      return;
+    }
+
+    debug(`Connecting to ${this._url}`);
+
+    const socket = new WebSocket(this._url);
+
+    socket.onopen = () => {
+      debug(`Connection opened`);
+
+      this._isOpen = true;
+      this._reconnectionAttempt = 0;
+
+      for (const [id, {request}] of this._subscriptions) {
+        this._sendMessage({id, type: 'subscribe', request});
+      }
+
+      const outbox = this._outbox;
+      this._outbox = [];
+
+      for (const message of outbox) {
+        this._sendMessage(message);
+      }
+    };
+
+    socket.onmessage = (event) => {
+      this._handleMessage(event.data.toString());
+    };
+
+    socket.onerror = (event) => {
+      debug(`An error occurred with the connection (%s)`, (event as any).message);
+    };
+
+    socket.onclose = () => {
+      if (this._socket !== socket) {
+        return; // The connection has been closed by the client
+      }
+
+      debug(`Connection lost`);
+
+      this._socket = undefined;
+      this._isOpen = false;
+
+      // The queries that have been sent cannot be resent safely because they may have been
+      // executed by the server, but the subscriptions are restored when the connection is reopened
+      this._rejectPendingRequests(
+        Object.assign(new Error('The connection with the component server has been lost'), {
+          code: 'COMPONENT_WEBSOCKET_CLIENT_CONNECTION_LOST'
+        }),
+        {excludeSubscriptions: true}
+      );
+
+      this._scheduleReconnection();
+    };
+
+    this._socket = socket;
+  }
+
+  _scheduleReconnection() {
+    const delay = Math.min(
+      this._reconnectionDelay * Math.pow(2, this._reconnectionAttempt),
+      this._maximumReconnectionDelay
+    );
+
+    this._reconnectionAttempt++;
+
+    debug(`Reconnecting in ${delay} ms`);
+
+    this._reconnectionTimeout = setTimeout(() => {
+      this._reconnectionTimeout = undefined;
+      this._connect();
+    }, delay);
+  }
+
+  _handleMessage(data: string) {
+    let message: unknown;
+
+    try {
+      message = JSON.parse(data);
+    } catch {
+      message = undefined;
+    }
+
+    if (!isPlainObject(message)) {
+      debug('Received an invalid message: %o', data);
+      return;
+    }
+
+    const {id} = message;
+
+    if ('push' in message) {
+      const subscription = this._subscriptions.get(id);
+
+      if (subscription === undefined) {
+        return;
+      }
+
+      // An error thrown by a listener should not break the handling of the next messages
+      try {
+        subscription.listener(message.push);
+      } catch (error) {
+        if (subscription.onError !== undefined) {
+          subscription.onError(error);
+        } else {
+          debug('An error occurred while calling a subscription listener (%s)', error?.message);
+        }
+      }
+
+      return;
+    }
+
+    const pendingRequest = this._pendingRequests.get(id);
+
+    if (pendingRequest !== undefined) {
+      this._pendingRequests.delete(id);
+
+      if ('error' in message) {
+        pendingRequest.reject(createError(message.error));
+        return;
+      }
+
+      pendingRequest.resolve(message.response);
+      return;
+    }
+
+    // A subscription that has been resent after a reconnection failed, so it cannot be
+    // continued and there is no point in resending it after the next reconnections
+    const subscription = this._subscriptions.get(id);
+
+    if (subscription !== undefined && 'error' in message) {
+      this._subscriptions.delete(id);
+
+      const error = createError(message.error);
+
+      if (subscription.onError !== undefined) {
+        subscription.onError(error);
+      } else {
+        debug('A subscription could not be restored (%s)', error.message);
+      }
+    }
+  }
+
+  _rejectPendingRequests(error: Error, {excludeSubscriptions = false} = {}) {
+    for (const [id, {reject}] of Array.from(this._pendingRequests)) {
+      if (excludeSubscriptions && this._subscriptions.has(id)) {
+        continue;
+      }
+
+      this._pendingRequests.delete(id);
+      reject(error);
+    }
+  }
+}
+
+function createError(serializedError: any) {
+  const {
+    message = 'An error occurred while sending query to remote components',
+    ...attributes
+  } = isPlainObject(serializedError) ? serializedError : {};
+
+  return Object.assign(new Error(message), attributes);
+}
@@ -0,0 +1,247 @@
+import {Component, attribute, method, expose} from '@layr/component';
+import WebSocket from 'ws';
+import type {PlainObject} from 'core-helpers';
+
+import {ComponentWebSocketServer} from './component-websocket-server';
+
+const SERVER_PORT = 4444;
+
+describe('ComponentWebSocketServer', () => {
+  const listeners = new Set<Function>();
+
+  class Movie extends Component {
+    @expose({get: true}) @attribute('number') static limit = 100;
+
+    @expose({call: true}) @method() static async slowlyGetLimit() {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      return this.limit;
+    }
+
+    @expose({call: true}) @method() static watch(listener: Function) {
+      listeners.add(listener);
+
+      return {
+        unsubscribe() {
+          listeners.delete(listener);
+        }
+      };
+    }
+
+    static notify(title: string) {
+      for (const listener of listeners) {
+        listener(title);
+      }
+    }
+  }
+
+  let server: ComponentWebSocketServer;
+
+  beforeAll(async () => {
+    server = new ComponentWebSocketServer(Movie, {port: SERVER_PORT, version: 1});
+
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+  });
+
+  test('Handling queries', async () => {
+    const connection = await connect();
+
+    try {
+      // The queries are handled concurrently, and the responses can be sent in any order
+      connection.send({
+        id: 1,
+        type: 'receive',
+        request: {
+          query: {'<=': {__component: 'typeof Movie'}, 'slowlyGetLimit=>': {'()': []}},
+          version: 1
+        }
+      });
+
+      connection.send({
+        id: 2,
+        type: 'receive',
+        request: {query: {'introspect=>': {'()': []}}, version: 1}
+      });
+
+      expect(await connection.receive()).toStrictEqual({
+        id: 2,
+        response: {
+          result: {
+            component: {
+              name: 'Movie',
+              properties: [
+                {
+                  name: 'limit',
+                  type: 'Attribute',
+                  valueType: 'number',
+                  value: 100,
+                  exposure: {get: true}
+                },
+                {name: 'slowlyGetLimit', type: 'Method', exposure: {call: true}},
+                {name: 'watch', type: 'Method', exposure: {call: true}}
+              ]
+            }
+          }
+        }
+      });
+
+      expect(await connection.receive()).toStrictEqual({
+        id: 1,
+        response: {result: 100, components: [{__component: 'typeof Movie', limit: 100}]}
+      });
+
+      connection.send({
+        id: 3,
+        type: 'receive',
+        request: {query: {'introspect=>': {'()': []}}, version: 2}
+      });
+
+      expect(await connection.receive()).toStrictEqual({
+        id: 3,
+        error: {
+          message:
+            "The component client version (2) doesn't match the component server version (1)",
+          name: 'VersionMismatchError',
+          code: 'COMPONENT_CLIENT_VERSION_DOES_NOT_MATCH_COMPONENT_SERVER_VERSION',
+          status: 412,
+          expose: true
+        }
+      });
+    } finally {
+      await connection.close();
+    }
+  });
+
+  test('Pushing values', async () => {
+    const connection = await connect();
+
+    try {
+      connection.send({
+        id: 1,
+        type: 'subscribe',
+        request: {
+          query: {'<=': {__component: 'typeof Movie'}, 'watch=>': {'()': []}},
+          version: 1
+        }
+      });
+
+      expect(await connection.receive()).toStrictEqual({id: 1, response: {}});
+
+      Movie.notify('Inception');
+
+      expect(await connection.receive()).toStrictEqual({id: 1, push: {result: 'Inception'}});
+
+      connection.send({id: 1, type: 'unsubscribe'});
+
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      expect(listeners.size).toBe(0);
+
+      // The subscriptions are ended when the connection is closed
+      connection.send({
+        id: 2,
+        type: 'subscribe',
+        request: {
+          query: {'<=': {__component: 'typeof Movie'}, 'watch=>': {'()': []}},
+          version: 1
+        }
+      });
+
+      expect(await connection.receive()).toStrictEqual({id: 2, response: {}});
+
+      expect(listeners.size).toBe(1);
+    } finally {
+      await connection.close();
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(listeners.size).toBe(0);
+  });
+
+  test('Handling invalid messages', async () => {
+    const connection = await connect();
+
+    try {
+      for (const message of ['null', '42', '[]', '{}', '{"id": 1}', 'invalid']) {
+        connection.sendRaw(message);
+
+        const {id, error} = await connection.receive();
+
+        expect(id).toBe(message === '{"id": 1}' ? 1 : undefined);
+        expect(error).toMatchObject({
+          message: 'Received an invalid message',
+          code: 'COMPONENT_WEBSOCKET_SERVER_INVALID_MESSAGE'
+        });
+      }
+
+      // The connection is still working
+      connection.send({
+        id: 2,
+        type: 'receive',
+        request: {query: {'<=': {__component: 'typeof Movie'}, 'limit': true}, version: 1}
+      });
+
+      expect(await connection.receive()).toStrictEqual({
+        id: 2,
+        response: {
+          result: {limit: 100},
+          components: [{__component: 'typeof Movie', limit: 100}]
+        }
+      });
+    } finally {
+      await connection.close();
+    }
+  });
+});
+
+async function connect() {
+  const socket = new WebSocket(`ws://localhost:${SERVER_PORT}`);
+
+  const messages: PlainObject[] = [];
+  let waitingReceiver: ((message: PlainObject) => void) | undefined;
+
+  socket.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+
+    if (waitingReceiver !== undefined) {
+      const receiver = waitingReceiver;
+      waitingReceiver = undefined;
+      receiver(message);
+    } else {
+      messages.push(message);
+    }
+  });
+
+  await new Promise((resolve) => socket.once('open', resolve));
+
+  return {
+    send(message: PlainObject) {
+      socket.send(JSON.stringify(message));
+    },
+
+    sendRaw(data: string) {
+      socket.send(data);
+    },
+
+    receive() {
+      if (messages.length > 0) {
+        return Promise.resolve(messages.shift()!);
+      }
+
+      return new Promise<PlainObject>((resolve) => {
+        waitingReceiver = resolve;
+      });
+    },
+
+    close() {
+      return new Promise((resolve) => {
+        socket.once('close', resolve);
+        socket.close();
+      });
+    }
+  };
+}
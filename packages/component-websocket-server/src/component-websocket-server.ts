@@ -0,0 +1,311 @@
+import WebSocket from 'ws';
+import type {Server as HTTPServer, IncomingMessage} from 'http';
+import type {Component} from '@layr/component';
+import type {ComponentServer, ComponentServerOptions} from '@layr/component-server';
+import {ensureComponentServer} from '@layr/component-server';
+import {PlainObject, isPlainObject} from 'core-helpers';
+import debugModule from 'debug';
+
+const debug = debugModule('layr:component-websocket-server');
+// To display the debug log, set this environment:
+// DEBUG=layr:component-websocket-server DEBUG_DEPTH=10
+
+const DEFAULT_PORT = 3333;
+
+export type ComponentWebSocketServerOptions = {
+  port?: number;
+  server?: HTTPServer;
+  path?: string;
+} & ComponentServerOptions;
+
+/**
+ * A class allowing to serve a root [`Component`](https://layrjs.com/docs/v1/reference/component) over a WebSocket connection so it can be accessed by a [`ComponentWebSocketClient`](https://layrjs.com/docs/v1/reference/component-websocket-client).
+ *
+ * Unlike a [`ComponentHTTPServer`](https://layrjs.com/docs/v1/reference/component-http-server), a `ComponentWebSocketServer` keeps a connection open with each client, so the queries sent by a client don't have to go through a new HTTP request, and the values produced by the methods expecting a listener (e.g., the [`subscribe()`](https://layrjs.com/docs/v1/reference/storable#subscribe-class-method) method of the storable components) can be pushed to the client.
+ *
+ * #### Usage
+ *
+ * Create an instance of `ComponentWebSocketServer` by specifying the root [`Component`](https://layrjs.com/docs/v1/reference/component) you want to serve, and use the [`start()`](https://layrjs.com/docs/v1/reference/component-websocket-server#start-instance-method) method to start the server.
+ *
+ * **Example:**
+ *
+ * ```
+ * import {Component} from '@layr/component';
+ * import {ComponentWebSocketServer} from '@layr/component-websocket-server';
+ *
+ * class Movie extends Component {
+ *   // ...
+ * }
+ *
+ * const server = new ComponentWebSocketServer(Movie, {port: 3210});
+ *
+ * await server.start();
+ * ```
+ *
+ * If you want to serve your component from an existing HTTP server (e.g., a server created with Express or Koa), you can use the `server` option:
+ *
+ * ```
+ * const httpServer = app.listen(3210);
+ *
+ * // Serve the `Movie` component at a specific URL ('ws://localhost:3210/ws')
+ * const server = new ComponentWebSocketServer(Movie, {server: httpServer, path: '/ws'});
+ *
+ * await server.start();
+ * ```
+ *
+ * See an example of use in [`ComponentWebSocketClient`](https://layrjs.com/docs/v1/reference/component-websocket-client).
+ */
+export class ComponentWebSocketServer {
+  _componentServer: ComponentServer;
+  _port: number;
+  _server: HTTPServer | undefined;
+  _path: string | undefined;
+
+  /**
+   * Creates a component WebSocket server.
+   *
+   * @param componentOrComponentServer The root [`Component`](https://layrjs.com/docs/v1/reference/component) class to serve. An instance of a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) will be created under the hood. Alternatively, you can pass an existing instance of a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server).
+   * @param [options.port] A number specifying the TCP port to listen to (default: `3333`). This option is ignored when the `server` option is specified.
+   * @param [options.server] An existing Node.js HTTP server to attach to (default: `undefined`).
+   * @param [options.path] A string specifying the URL path of the WebSocket endpoint (default: `undefined`, which means that any path is accepted).
+   * @param [options.version] A number specifying the version of the created [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) (default: `undefined`).
+   *
+   * @returns A `ComponentWebSocketServer` instance.
+   *
+   * @category Creation
+   */
+  constructor(
+    componentOrComponentServer: typeof Component | ComponentServer,
+    options: ComponentWebSocketServerOptions = {}
+  ) {
+    const componentServer = ensureComponentServer(componentOrComponentServer, options);
+
+    const {port = DEFAULT_PORT, server, path} = options;
+
+    this._componentServer = componentServer;
+    this._port = port;
+    this._server = server;
+    this._path = path;
+  }
+
+  _webSocketServer: WebSocket.Server | undefined;
+
+  /**
+   * Starts the component WebSocket server.
+   *
+   * @example
+   * ```
+   * const server = new ComponentWebSocketServer(Movie, {port: 3210});
+   *
+   * await server.start();
+   * ```
+   *
+   * @category Methods
+   * @async
+   */
+  start() {
+    if (this._webSocketServer !== undefined) {
+      throw new Error('The component WebSocket server is already started');
+    }
+
+    return new Promise<void>((resolve) => {
+      let webSocketServer: WebSocket.Server;
+
+      if (this._server !== undefined) {
+        webSocketServer = new WebSocket.Server({server: this._server, path: this._path});
+        debug(`Component WebSocket server attached to an HTTP server`);
+        resolve();
+      } else {
+        webSocketServer = new WebSocket.Server({port: this._port, path: this._path}, () => {
+          debug(`Component WebSocket server started (port: ${this._port})`);
+          resolve();
+        });
+      }
+
+      webSocketServer.on('connection', (socket, request) => {
+        this._handleConnection(socket, request);
+      });
+
+      this._webSocketServer = webSocketServer;
+    });
+  }
+
+  /**
+   * Stops the component WebSocket server. The connections that are still open are closed.
+   *
+   * @category Methods
+   * @async
+   */
+  stop() {
+    const webSocketServer = this._webSocketServer;
+
+    if (webSocketServer === undefined) {
+      throw new Error('The component WebSocket server is not started');
+    }
+
+    for (const socket of webSocketServer.clients) {
+      socket.close();
+    }
+
+    return new Promise<void>((resolve) => {
+      webSocketServer.close(() => {
+        this._webSocketServer = undefined;
+        debug(`Component WebSocket server stopped`);
+        resolve();
+      });
+    });
+  }
+
+  // The messages exchanged through a connection are JSON objects of the following shape:
+  //
+  // - Client -> server:
+  //   - {id, type: 'receive', request}: Sends a query to the component server
+  //   - {id, type: 'subscribe', request}: Sends a query invoking a method expecting a listener
+  //   - {id, type: 'unsubscribe'}: Ends a subscription
+  //
+  // - Server -> client:
+  //   - {id, response}: The response to a 'receive' or 'subscribe' message
+  //   - {id, error}: An error that occurred while handling a 'receive' or 'subscribe' message
+  //   - {id, push}: A value pushed by a subscription
+  //
+  // The `id` of a message is chosen by the client, so that several queries can be
+  // handled concurrently through the same connection
+  //
+  // The request context passed to the component server is made of the headers of
+  // the HTTP request that opened the connection
+  _handleConnection(socket: WebSocket, upgradeRequest: IncomingMessage) {
+    const subscriptions = new Map<unknown, Promise<{unsubscribe: () => void} | undefined>>();
+
+    const send = (message: PlainObject) => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    };
+
+    const sendError = (id: unknown, error: any) => {
+      send({id, error: this._componentServer.getErrorResponse(error).body});
+    };
+
+    const unsubscribe = (id: unknown) => {
+      const subscription = subscriptions.get(id);
+
+      if (subscription === undefined) {
+        return;
+      }
+
+      subscriptions.delete(id);
+
+      subscription.then((subscription) => {
+        subscription?.unsubscribe();
+      });
+    };
+
+    debug('Connection opened');
+
+    const handleMessage = async (data: WebSocket.Data) => {
+      let message: unknown;
+
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        message = undefined;
+      }
+
+      if (!(isPlainObject(message) && typeof message.type === 'string')) {
+        debug('Received an invalid message: %o', data);
+        sendError(
+          isPlainObject(message) ? message.id : undefined,
+          Object.assign(new Error('Received an invalid message'), {
+            code: 'COMPONENT_WEBSOCKET_SERVER_INVALID_MESSAGE',
+            expose: true
+          })
+        );
+        return;
+      }
+
+      const {id, type, request} = message;
+
+      const context = {
+        headers: upgradeRequest.headers,
+        ip: upgradeRequest.socket.remoteAddress
+      };
+
+      if (type === 'receive') {
+        try {
+          send({id, response: await this._componentServer.receive(request, {context})});
+        } catch (error) {
+          sendError(id, error);
+        }
+
+        return;
+      }
+
+      if (type === 'subscribe') {
+        // A client may subscribe again with the same id after a reconnection
+        unsubscribe(id);
+
+        const subscription: Promise<{unsubscribe: () => void} | undefined> = Promise.resolve()
+          .then(() =>
+            this._componentServer.subscribe(
+              request,
+              (push) => {
+                send({id, push});
+              },
+              {context}
+            )
+          )
+          .then(
+            (subscription) => {
+              send({id, response: {}});
+
+              return subscription;
+            },
+            (error) => {
+              if (subscriptions.get(id) === subscription) {
+                subscriptions.delete(id);
+              }
+
+              sendError(id, error);
+
+              return undefined;
+            }
+          );
+
+        subscriptions.set(id, subscription);
+
+        return;
+      }
+
+      if (type === 'unsubscribe') {
+        unsubscribe(id);
+        return;
+      }
+
+      sendError(id, new Error(`Received a message of an unknown type ('${type}')`));
+    };
+
+    socket.on('message', async (data) => {
+      // Since a message may come from an unauthenticated client, an error occurring while
+      // handling it should never crash the server
+      try {
+        await handleMessage(data);
+      } catch (error) {
+        debug('An error occurred while handling a message (%s)', error?.message);
+
+        try {
+          sendError(undefined, error);
+        } catch {
+          // The error cannot be sent to the client
+        }
+      }
+    });
+
+    socket.on('close', () => {
+      for (const id of Array.from(subscriptions.keys())) {
+        unsubscribe(id);
+      }
+
+      debug('Connection closed');
+    });
+  }
+}
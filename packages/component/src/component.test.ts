@@ -10,7 +10,7 @@ import {
   isMethodInstance
 } from './properties';
 import {validators} from './validation';
-import {attribute, method, expose, provide, consume} from './decorators';
+import {attribute, method, expose, provide, consume, validator} from './decorators';
 import {isComponentClass, isComponentInstance} from './utilities';
 
 describe('Component', () => {
@@ -996,8 +996,10 @@ describe('Component', () => {
         "The following error(s) occurred while validating the component 'Movie': The validator `notEmpty()` failed (path: 'title')"
       );
       expect(movie.isValid()).toBe(false);
-      expect(movie.runValidators()).toEqual([{validator: notEmpty, path: 'title'}]);
-      expect(movie.runValidators({title: true})).toEqual([{validator: notEmpty, path: 'title'}]);
+      expect(movie.runValidators()).toEqual([{validator: notEmpty, path: 'title', value: ''}]);
+      expect(movie.runValidators({title: true})).toEqual([
+        {validator: notEmpty, path: 'title', value: ''}
+      ]);
       expect(movie.runValidators({tags: true})).toEqual([]);
 
       movie.title = 'Inception';
@@ -1024,8 +1026,10 @@ describe('Component', () => {
         "The following error(s) occurred while validating the component 'Movie': The validator `notEmpty()` failed (path: 'tags[2]')"
       );
       expect(movie.isValid()).toBe(false);
-      expect(movie.runValidators()).toEqual([{validator: notEmpty, path: 'tags[2]'}]);
-      expect(movie.runValidators({tags: true})).toEqual([{validator: notEmpty, path: 'tags[2]'}]);
+      expect(movie.runValidators()).toEqual([{validator: notEmpty, path: 'tags[2]', value: ''}]);
+      expect(movie.runValidators({tags: true})).toEqual([
+        {validator: notEmpty, path: 'tags[2]', value: ''}
+      ]);
       expect(movie.runValidators({title: true})).toEqual([]);
 
       movie.tags.push('sci-fi');
@@ -1035,8 +1039,8 @@ describe('Component', () => {
       );
       expect(movie.isValid()).toBe(false);
       expect(movie.runValidators()).toEqual([
-        {validator: maxLength, path: 'tags'},
-        {validator: notEmpty, path: 'tags[2]'}
+        {validator: maxLength, path: 'tags', value: ['action', 'adventure', '', 'sci-fi']},
+        {validator: notEmpty, path: 'tags[2]', value: ''}
       ]);
 
       movie.tags.splice(2, 1);
@@ -1047,9 +1051,11 @@ describe('Component', () => {
         "The following error(s) occurred while validating the component 'Movie': The validator `notEmpty()` failed (path: 'director.name')"
       );
       expect(movie.isValid()).toBe(false);
-      expect(movie.runValidators()).toEqual([{validator: notEmpty, path: 'director.name'}]);
+      expect(movie.runValidators()).toEqual([
+        {validator: notEmpty, path: 'director.name', value: ''}
+      ]);
       expect(movie.runValidators({director: {name: true}})).toEqual([
-        {validator: notEmpty, path: 'director.name'}
+        {validator: notEmpty, path: 'director.name', value: ''}
       ]);
       expect(movie.runValidators({director: {country: true}})).toEqual([]);
 
@@ -1065,7 +1071,9 @@ describe('Component', () => {
         "The following error(s) occurred while validating the component 'Movie': The validator `notEmpty()` failed (path: 'actors[0].name')"
       );
       expect(movie.isValid()).toBe(false);
-      expect(movie.runValidators()).toEqual([{validator: notEmpty, path: 'actors[0].name'}]);
+      expect(movie.runValidators()).toEqual([
+        {validator: notEmpty, path: 'actors[0].name', value: ''}
+      ]);
 
       movie.actors[0].name = 'Leonardo DiCaprio';
 
@@ -1073,6 +1081,253 @@ describe('Component', () => {
       expect(movie.isValid()).toBe(true);
       expect(movie.runValidators()).toEqual([]);
     });
+
+    test('Component validation', async () => {
+      @validator((event: Event) => event.endDate > event.startDate, {
+        path: 'endDate',
+        message: 'The end date must come after the start date'
+      })
+      class Event extends Component {
+        @attribute('Date') startDate!: Date;
+        @attribute('Date') endDate!: Date;
+        @attribute('string') title = '';
+      }
+
+      const [{validator: dateValidator}] = Event.prototype.getComponentValidators();
+
+      expect(dateValidator.getMessage()).toBe('The end date must come after the start date');
+      expect(Event.getComponentValidators()).toEqual([]);
+
+      const event = new Event({
+        startDate: new Date('2020-01-02'),
+        endDate: new Date('2020-01-01')
+      });
+
+      expect(() => event.validate()).toThrow(
+        "The following error(s) occurred while validating the component 'Event': The end date must come after the start date (path: 'endDate')"
+      );
+      expect(event.isValid()).toBe(false);
+      expect(event.runValidators()).toEqual([
+        {validator: dateValidator, path: 'endDate', value: new Date('2020-01-01')}
+      ]);
+      expect(event.runValidators({endDate: true})).toEqual([
+        {validator: dateValidator, path: 'endDate', value: new Date('2020-01-01')}
+      ]);
+      expect(event.runValidators({title: true})).toEqual([]);
+
+      event.endDate = new Date('2020-01-03');
+
+      expect(() => event.validate()).not.toThrow();
+      expect(event.isValid()).toBe(true);
+
+      // A validator is inherited by the subclasses, and a subclass can add its own validators
+
+      const notEmpty = (event: Event) => event.title !== '';
+
+      class Meeting extends Event {}
+
+      Meeting.prototype.addComponentValidator(notEmpty);
+
+      expect(Meeting.prototype.getComponentValidators()).toHaveLength(2);
+      expect(Event.prototype.getComponentValidators()).toHaveLength(1);
+
+      const meeting = new Meeting({
+        startDate: new Date('2020-01-01'),
+        endDate: new Date('2020-01-02')
+      });
+
+      expect(meeting.runValidators()).toEqual([
+        {
+          validator: Meeting.prototype.getComponentValidators()[1].validator,
+          path: '',
+          value: undefined
+        }
+      ]);
+      expect(() => meeting.validate()).toThrow(
+        "The following error(s) occurred while validating the component 'Meeting': The validator `notEmpty()` failed (path: '')"
+      );
+
+      meeting.title = 'Daily meeting';
+
+      expect(meeting.isValid()).toBe(true);
+
+      expect(() => Event.prototype.addComponentValidator('notEmpty' as any)).toThrow(
+        "The specified validator is not a function (component: 'Event')"
+      );
+      expect(() => validator(notEmpty)((class Meeting {} as unknown) as typeof Component)).toThrow(
+        '@validator() must be used as a component class decorator'
+      );
+    });
+
+    test('Asynchronous validation', async () => {
+      const takenEmails = ['hello@example.com'];
+
+      const isAvailable = async (email: string) => {
+        await sleep(5);
+        return !takenEmails.includes(email);
+      };
+
+      @validator(async (user: User) => (await isAvailable(user.email)) || user.isAdmin, {
+        path: 'email',
+        message: 'This email address is already used'
+      })
+      class User extends EmbeddedComponent {
+        @attribute('string', {validators: [isAvailable]}) email = '';
+        @attribute('boolean') isAdmin = false;
+      }
+
+      class Organization extends Component {
+        @provide() static User = User;
+
+        @attribute('User[]') members: User[] = [];
+      }
+
+      const user = new User({email: 'hello@example.com'});
+
+      expect(() => user.validate()).toThrow(
+        "Cannot run some asynchronous validators synchronously, please use an asynchronous method such as validateAsync(), isValidAsync(), or runValidatorsAsync() (component: 'Organization.User')"
+      );
+      expect(() => user.isValid()).toThrow('Cannot run some asynchronous validators synchronously');
+      expect(() => user.runValidators()).toThrow(
+        'Cannot run some asynchronous validators synchronously'
+      );
+      expect(() => user.getAttribute('email').validate()).toThrow(
+        "Cannot run some asynchronous validators synchronously, please use an asynchronous method such as validateAsync(), isValidAsync(), or runValidatorsAsync() (attribute: 'Organization.User.prototype.email')"
+      );
+
+      const [{validator: availabilityValidator}] = User.prototype.getComponentValidators();
+      const attributeValidator = user.getAttribute('email').getValueType().getValidators()[0];
+
+      await expect(user.validateAsync()).rejects.toThrow(
+        "The following error(s) occurred while validating the component 'User': The validator `isAvailable()` failed (path: 'email'), This email address is already used (path: 'email')"
+      );
+      expect(await user.isValidAsync()).toBe(false);
+      expect(await user.runValidatorsAsync()).toEqual([
+        {validator: attributeValidator, path: 'email', value: 'hello@example.com'},
+        {validator: availabilityValidator, path: 'email', value: 'hello@example.com'}
+      ]);
+      expect(await user.runValidatorsAsync({isAdmin: true})).toEqual([]);
+
+      user.isAdmin = true;
+
+      expect(await user.runValidatorsAsync()).toEqual([
+        {validator: attributeValidator, path: 'email', value: 'hello@example.com'}
+      ]);
+
+      user.email = 'hi@example.com';
+
+      await expect(user.validateAsync()).resolves.toBeUndefined();
+      expect(await user.isValidAsync()).toBe(true);
+
+      // The synchronous validators can be run asynchronously as well
+
+      user.isAdmin = false;
+
+      expect(await user.runValidatorsAsync({isAdmin: true})).toEqual([]);
+
+      // The failures of the embedded components are reported with their path
+
+      const organization = new Organization({
+        members: [new User({email: 'hi@example.com'}), new User({email: 'hello@example.com'})]
+      });
+
+      expect(await organization.runValidatorsAsync()).toEqual([
+        {validator: attributeValidator, path: 'members[1].email', value: 'hello@example.com'},
+        {validator: availabilityValidator, path: 'members[1].email', value: 'hello@example.com'}
+      ]);
+    });
+
+    test('Dirty state', async () => {
+      class Details extends EmbeddedComponent {
+        @attribute('number?') duration?: number;
+        @attribute('string?') country?: string;
+      }
+
+      class Movie extends Component {
+        @provide() static Details = Details;
+
+        @attribute('string') title = '';
+        @attribute('string?') subtitle?: string;
+        @attribute('string[]') tags: string[] = [];
+        @attribute('Details') details!: Details;
+      }
+
+      const getDirtyAttributeNames = (component: Component) =>
+        Array.from(component.getDirtyAttributes(), (attribute) => attribute.getName());
+
+      // A new component is dirty
+      const movie = new Movie({details: new Details()});
+
+      expect(movie.isDirty()).toBe(true);
+      expect(getDirtyAttributeNames(movie)).toEqual(['title', 'subtitle', 'tags', 'details']);
+
+      movie.resetDirtyState();
+
+      expect(movie.isDirty()).toBe(false);
+      expect(movie.details.isDirty()).toBe(false);
+
+      movie.title = 'Inception';
+
+      expect(movie.getAttribute('title').isDirty()).toBe(true);
+      expect(getDirtyAttributeNames(movie)).toEqual(['title']);
+
+      // Array mutations
+      movie.resetDirtyState();
+      movie.tags.push('action');
+
+      expect(getDirtyAttributeNames(movie)).toEqual(['tags']);
+
+      // Embedded components
+      movie.resetDirtyState();
+      movie.details.duration = 120;
+
+      expect(getDirtyAttributeNames(movie)).toEqual(['details']);
+      expect(getDirtyAttributeNames(movie.details)).toEqual(['duration']);
+
+      // Unset attributes
+      movie.resetDirtyState();
+      movie.getAttribute('subtitle').unsetValue();
+
+      expect(getDirtyAttributeNames(movie)).toEqual(['subtitle']);
+
+      // The values coming from an upper layer are clean
+      movie.getAttribute('title').setValue('Inception 2', {source: 1});
+      movie.getAttribute('subtitle').setValue(undefined, {source: 1});
+
+      expect(movie.isDirty()).toBe(false);
+
+      // Forking, cloning, and merging
+      movie.title = 'Inception 3';
+
+      const movieFork = movie.fork();
+
+      expect(getDirtyAttributeNames(movieFork)).toEqual(['title']);
+
+      movieFork.resetDirtyState();
+      movieFork.tags = ['drama'];
+
+      expect(getDirtyAttributeNames(movie)).toEqual(['title']);
+      expect(getDirtyAttributeNames(movieFork)).toEqual(['tags']);
+
+      movie.merge(movieFork);
+
+      expect(getDirtyAttributeNames(movie)).toEqual(['tags']);
+
+      expect(getDirtyAttributeNames(movie.clone())).toEqual(['tags']);
+
+      // Component classes
+      class Config extends Component {
+        @attribute('number') static limit = 100;
+      }
+
+      Config.limit = 200;
+
+      expect(Config.isDirty()).toBe(true);
+
+      Config.resetDirtyState();
+
+      expect(Config.isDirty()).toBe(false);
+    });
   });
 
   describe('Methods', () => {
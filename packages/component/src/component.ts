@@ -11,10 +11,12 @@ import {
 } from 'core-helpers';
 import {possiblyAsync} from 'possibly-async';
 import cuid from 'cuid';
+import get from 'lodash/get';
 
 import {
   Property,
   PropertyOptions,
+  PropertyOperation,
   PropertyOperationSetting,
   PropertyFilter,
   PropertyFilterSync,
@@ -50,6 +52,18 @@ import {ForkOptions} from './forking';
 import {merge, MergeOptions} from './merging';
 import {SerializeOptions} from './serialization';
 import {deserialize, DeserializeOptions} from './deserialization';
+import {
+  Validator,
+  ValidatorFunction,
+  isValidatorInstance,
+  runValidators,
+  FailedValidator,
+  PossiblyAsyncFailedValidators,
+  concatFailedValidators,
+  prefixFailedValidators,
+  ensureSynchronousValidation,
+  createValidationError
+} from './validation';
 import {
   isComponentClass,
   isComponentInstance,
@@ -62,8 +76,7 @@ import {
   getComponentNameFromComponentInstanceType,
   assertIsComponentType,
   getComponentClassTypeFromComponentName,
-  getComponentInstanceTypeFromComponentName,
-  joinAttributePath
+  getComponentInstanceTypeFromComponentName
 } from './utilities';
 
 export type ComponentSet = Set<typeof Component | Component>;
@@ -72,6 +85,8 @@ export type ComponentGetter = (type: string) => typeof Component | Component;
 
 export type ComponentMixin = (Base: typeof Component) => typeof Component;
 
+export type ComponentValidator = {validator: Validator; path: string};
+
 export type TraverseAttributesIteratee = (attribute: Attribute) => void;
 
 export type TraverseAttributesOptions = {
@@ -1127,7 +1142,8 @@ export class Component extends Observable(Object) {
   }
 
   resolvePropertyOperationSetting(
-    setting: PropertyOperationSetting
+    setting: PropertyOperationSetting,
+    _options: {property?: Property; operation?: PropertyOperation} = {}
   ): PromiseLikeable<boolean | undefined> {
     if (setting === true) {
       return true;
@@ -1407,6 +1423,154 @@ export class Component extends Observable(Object) {
     }
   }
 
+  // === Dirty state ===
+
+  /**
+   * Returns whether some attributes of the component have changed since the component was loaded or saved (or since the last call to [`resetDirtyState()`](https://layrjs.com/docs/v1/reference/component#reset-dirty-state-dual-method)). See the [`isDirty()`](https://layrjs.com/docs/v1/reference/attribute#is-dirty-instance-method) method of the `Attribute` class to learn how the dirty state of an attribute is determined.
+   *
+   * Since the changes of an embedded component are propagated to the attribute containing it, a component is dirty when some of its embedded components are dirty.
+   *
+   * @returns A boolean.
+   *
+   * @example
+   * ```
+   * const movie = await Movie.get('abc123');
+   * movie.isDirty(); // => false
+   * movie.title = 'Inception 2';
+   * movie.isDirty(); // => true
+   * await movie.save();
+   * movie.isDirty(); // => false
+   * ```
+   *
+   * @category Dirty State
+   */
+  static get isDirty() {
+    return this.prototype.isDirty;
+  }
+
+  /**
+   * Returns whether some attributes of the component have changed since the component was loaded or saved (or since the last call to [`resetDirtyState()`](https://layrjs.com/docs/v1/reference/component#reset-dirty-state-dual-method)). See the [`isDirty()`](https://layrjs.com/docs/v1/reference/attribute#is-dirty-instance-method) method of the `Attribute` class to learn how the dirty state of an attribute is determined.
+   *
+   * Since the changes of an embedded component are propagated to the attribute containing it, a component is dirty when some of its embedded components are dirty.
+   *
+   * @returns A boolean.
+   *
+   * @example
+   * ```
+   * const movie = await Movie.get('abc123');
+   * movie.isDirty(); // => false
+   * movie.title = 'Inception 2';
+   * movie.isDirty(); // => true
+   * await movie.save();
+   * movie.isDirty(); // => false
+   * ```
+   *
+   * @category Dirty State
+   */
+  isDirty() {
+    for (const attribute of this.getAttributes()) {
+      if (attribute.isDirty()) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Returns an iterator providing the attributes of the component that have changed since the component was loaded or saved (or since the last call to [`resetDirtyState()`](https://layrjs.com/docs/v1/reference/component#reset-dirty-state-dual-method)).
+   *
+   * When a [storable component](https://layrjs.com/docs/v1/reference/storable#storable-component-class) is saved, only the dirty attributes are sent to the backend or the store.
+   *
+   * @returns An [`Attribute`](https://layrjs.com/docs/v1/reference/attribute) instance iterator.
+   *
+   * @example
+   * ```
+   * movie.title = 'Inception 2';
+   *
+   * for (const attr of movie.getDirtyAttributes()) {
+   *   console.log(attr.getName());
+   * }
+   *
+   * // Should output:
+   * // title
+   * ```
+   *
+   * @category Dirty State
+   */
+  static get getDirtyAttributes() {
+    return this.prototype.getDirtyAttributes;
+  }
+
+  /**
+   * Returns an iterator providing the attributes of the component that have changed since the component was loaded or saved (or since the last call to [`resetDirtyState()`](https://layrjs.com/docs/v1/reference/component#reset-dirty-state-dual-method)).
+   *
+   * When a [storable component](https://layrjs.com/docs/v1/reference/storable#storable-component-class) is saved, only the dirty attributes are sent to the backend or the store.
+   *
+   * @returns An [`Attribute`](https://layrjs.com/docs/v1/reference/attribute) instance iterator.
+   *
+   * @example
+   * ```
+   * movie.title = 'Inception 2';
+   *
+   * for (const attr of movie.getDirtyAttributes()) {
+   *   console.log(attr.getName());
+   * }
+   *
+   * // Should output:
+   * // title
+   * ```
+   *
+   * @category Dirty State
+   */
+  getDirtyAttributes() {
+    return this.getAttributes({filter: (attribute) => (attribute as Attribute).isDirty()});
+  }
+
+  /**
+   * Marks all the attributes of the component (including the attributes of its embedded components) as clean, so the current values are considered as unchanged.
+   *
+   * @example
+   * ```
+   * movie.title = 'Inception 2';
+   * movie.isDirty(); // => true
+   * movie.resetDirtyState();
+   * movie.isDirty(); // => false
+   * ```
+   *
+   * @category Dirty State
+   */
+  static get resetDirtyState() {
+    return this.prototype.resetDirtyState;
+  }
+
+  /**
+   * Marks all the attributes of the component (including the attributes of its embedded components) as clean, so the current values are considered as unchanged.
+   *
+   * @example
+   * ```
+   * movie.title = 'Inception 2';
+   * movie.isDirty(); // => true
+   * movie.resetDirtyState();
+   * movie.isDirty(); // => false
+   * ```
+   *
+   * @category Dirty State
+   */
+  resetDirtyState() {
+    for (const attribute of this.getAttributes()) {
+      attribute.markAsClean();
+    }
+
+    // Embedded components
+    this.traverseAttributes(
+      (attribute) => {
+        attribute.markAsClean();
+      },
+      {setAttributesOnly: true}
+    );
+  }
+
   // === Identifier attributes ===
 
   /**
@@ -2212,7 +2376,10 @@ export class Component extends Observable(Object) {
           continue;
         }
 
-        if (_skipUnchangedAttributes && attribute.getValueSource() === target) {
+        if (
+          _skipUnchangedAttributes &&
+          (target === 1 ? !attribute.isDirty() : attribute.getValueSource() === target)
+        ) {
           continue;
         }
 
@@ -2263,8 +2430,149 @@ export class Component extends Observable(Object) {
 
   // === Validation ===
 
+  static __componentValidators?: ComponentValidator[];
+
+  __componentValidators?: ComponentValidator[];
+
+  /**
+   * Returns the validators that have been added to the component with the [`@validator()`](https://layrjs.com/docs/v1/reference/component#validator-decorator) decorator or the [`addComponentValidator()`](https://layrjs.com/docs/v1/reference/component#add-component-validator-dual-method) method.
+   *
+   * @returns An array of plain objects of the shape `{validator, path}` where `validator` is a [`Validator`](https://layrjs.com/docs/v1/reference/validator) instance and `path` is a string representing the path of the attribute where a failure is reported.
+   *
+   * @example
+   * ```
+   * // See the `Event` definition in the `addComponentValidator()` example
+   *
+   * Event.prototype.getComponentValidators(); // => [{validator: ..., path: 'endDate'}]
+   * ```
+   *
+   * @category Validation
+   */
+  static get getComponentValidators() {
+    return this.prototype.getComponentValidators;
+  }
+
+  /**
+   * Returns the validators that have been added to the component with the [`@validator()`](https://layrjs.com/docs/v1/reference/component#validator-decorator) decorator or the [`addComponentValidator()`](https://layrjs.com/docs/v1/reference/component#add-component-validator-dual-method) method.
+   *
+   * @returns An array of plain objects of the shape `{validator, path}` where `validator` is a [`Validator`](https://layrjs.com/docs/v1/reference/validator) instance and `path` is a string representing the path of the attribute where a failure is reported.
+   *
+   * @example
+   * ```
+   * // See the `Event` definition in the `addComponentValidator()` example
+   *
+   * Event.prototype.getComponentValidators(); // => [{validator: ..., path: 'endDate'}]
+   * ```
+   *
+   * @category Validation
+   */
+  getComponentValidators() {
+    return this.__componentValidators ?? [];
+  }
+
+  /**
+   * Adds a validator to the component. Unlike the validators of an attribute, a component validator is called with the whole component as first parameter, so it can validate several attributes together. Also, a component validator can be asynchronous (e.g., to check that an email address is not already used by querying a store).
+   *
+   * Note that the component validators are not transmitted to the clients, so they are only run in the environment where they are defined (typically, the backend).
+   *
+   * Typically, you add some validators to a component with the [`@validator()`](https://layrjs.com/docs/v1/reference/component#validator-decorator) decorator.
+   *
+   * @param validator A function (possibly asynchronous) that is called with the component and returns a boolean indicating whether the validation has succeeded, or a [`Validator`](https://layrjs.com/docs/v1/reference/validator) instance.
+   * @param [options.path] A string representing the path of the attribute where a failure is reported (default: `''`, which means that a failure is reported for the whole component). If a path is specified, the validator is only run when the attribute at the beginning of the path is set and selected for validation.
+   * @param [options.message] A string specifying the message of the error that is thrown in case of failed validation (default: a message generated from the name of the function).
+   *
+   * @example
+   * ```
+   * import {Component, attribute} from '﹫layr/component';
+   *
+   * class Event extends Component {
+   *   ﹫attribute('Date') startDate;
+   *   ﹫attribute('Date') endDate;
+   * }
+   *
+   * Event.prototype.addComponentValidator((event) => event.endDate > event.startDate, {
+   *   path: 'endDate',
+   *   message: 'The end date must come after the start date'
+   * });
+   *
+   * const event = new Event({startDate: new Date('2020-01-02'), endDate: new Date('2020-01-01')});
+   *
+   * event.runValidators(); // => [{validator: ..., path: 'endDate', value: endDate}]
+   * ```
+   *
+   * @category Validation
+   */
+  static get addComponentValidator() {
+    return this.prototype.addComponentValidator;
+  }
+
+  /**
+   * Adds a validator to the component. Unlike the validators of an attribute, a component validator is called with the whole component as first parameter, so it can validate several attributes together. Also, a component validator can be asynchronous (e.g., to check that an email address is not already used by querying a store).
+   *
+   * Note that the component validators are not transmitted to the clients, so they are only run in the environment where they are defined (typically, the backend).
+   *
+   * Typically, you add some validators to a component with the [`@validator()`](https://layrjs.com/docs/v1/reference/component#validator-decorator) decorator.
+   *
+   * @param validator A function (possibly asynchronous) that is called with the component and returns a boolean indicating whether the validation has succeeded, or a [`Validator`](https://layrjs.com/docs/v1/reference/validator) instance.
+   * @param [options.path] A string representing the path of the attribute where a failure is reported (default: `''`, which means that a failure is reported for the whole component). If a path is specified, the validator is only run when the attribute at the beginning of the path is set and selected for validation.
+   * @param [options.message] A string specifying the message of the error that is thrown in case of failed validation (default: a message generated from the name of the function).
+   *
+   * @example
+   * ```
+   * import {Component, attribute} from '﹫layr/component';
+   *
+   * class Event extends Component {
+   *   ﹫attribute('Date') startDate;
+   *   ﹫attribute('Date') endDate;
+   * }
+   *
+   * Event.prototype.addComponentValidator((event) => event.endDate > event.startDate, {
+   *   path: 'endDate',
+   *   message: 'The end date must come after the start date'
+   * });
+   *
+   * const event = new Event({startDate: new Date('2020-01-02'), endDate: new Date('2020-01-01')});
+   *
+   * event.runValidators(); // => [{validator: ..., path: 'endDate', value: endDate}]
+   * ```
+   *
+   * @category Validation
+   */
+  addComponentValidator(
+    validator: Validator | ValidatorFunction,
+    options: {path?: string; message?: string} = {}
+  ) {
+    const {path = '', message} = options;
+
+    if (typeof path !== 'string') {
+      throw new Error(
+        `Expected the path of a component validator to be a string, but received a value of type '${getTypeOf(
+          path
+        )}' (${this.describeComponent()})`
+      );
+    }
+
+    if (!isValidatorInstance(validator)) {
+      if (typeof validator !== 'function') {
+        throw new Error(`The specified validator is not a function (${this.describeComponent()})`);
+      }
+
+      validator = new Validator(validator, {message});
+    }
+
+    if (!hasOwnProperty(this, '__componentValidators')) {
+      Object.defineProperty(this, '__componentValidators', {
+        value: [...(this.__componentValidators ?? [])]
+      });
+    }
+
+    this.__componentValidators!.push({validator, path});
+  }
+
   /**
-   * Validates the attributes of the component. If an attribute doesn't pass the validation, an error is thrown. The error is a JavaScript `Error` instance with a `failedValidators` custom attribute which contains the result of the [`runValidators()`](https://layrjs.com/docs/v1/reference/component#run-validators-dual-method) method.
+   * Validates the attributes of the component. If an attribute doesn't pass the validation, an error is thrown. The error is a [`ValidationError`](https://layrjs.com/docs/v1/reference/layr-error) instance with a `failures` custom attribute which contains an array of [`ValidationFailure`](https://layrjs.com/docs/v1/reference/validator#validation-failure-type) objects (that can be sent to a client), and a non-enumerable `failedValidators` custom attribute which contains the result of the [`runValidators()`](https://layrjs.com/docs/v1/reference/component#run-validators-dual-method) method.
+   *
+   * Note that an error is thrown if some [asynchronous validators](https://layrjs.com/docs/v1/reference/validator#custom-validation-functions) are involved. In this case, use the [`validateAsync()`](https://layrjs.com/docs/v1/reference/component#validate-async-dual-method) method instead.
    *
    * @param [attributeSelector] An [`AttributeSelector`](https://layrjs.com/docs/v1/reference/attribute-selector) specifying the attributes to be validated (default: `true`, which means that all the attributes will be validated).
    *
@@ -2285,7 +2593,7 @@ export class Component extends Observable(Object) {
    * movie.title; // => 'Inception'
    * movie.validate(); // All good!
    * movie.title = '';
-   * movie.validate(); // Error {failedValidators: [{validator: ..., path: 'title'}]}
+   * movie.validate(); // Error {failures: [{path: 'title', validator: 'notEmpty', ...}]}
    * ```
    *
    * @example
@@ -2305,7 +2613,7 @@ export class Component extends Observable(Object) {
    * movie.title; // => 'Inception'
    * movie.validate(); // All good!
    * movie.title = '';
-   * movie.validate(); // Error {failedValidators: [{validator: ..., path: 'title'}]}
+   * movie.validate(); // Error {failures: [{path: 'title', validator: 'notEmpty', ...}]}
    * ```
    *
    * @category Validation
@@ -2315,7 +2623,9 @@ export class Component extends Observable(Object) {
   }
 
   /**
-   * Validates the attributes of the component. If an attribute doesn't pass the validation, an error is thrown. The error is a JavaScript `Error` instance with a `failedValidators` custom attribute which contains the result of the [`runValidators()`](https://layrjs.com/docs/v1/reference/component#run-validators-dual-method) method.
+   * Validates the attributes of the component. If an attribute doesn't pass the validation, an error is thrown. The error is a [`ValidationError`](https://layrjs.com/docs/v1/reference/layr-error) instance with a `failures` custom attribute which contains an array of [`ValidationFailure`](https://layrjs.com/docs/v1/reference/validator#validation-failure-type) objects (that can be sent to a client), and a non-enumerable `failedValidators` custom attribute which contains the result of the [`runValidators()`](https://layrjs.com/docs/v1/reference/component#run-validators-dual-method) method.
+   *
+   * Note that an error is thrown if some [asynchronous validators](https://layrjs.com/docs/v1/reference/validator#custom-validation-functions) are involved. In this case, use the [`validateAsync()`](https://layrjs.com/docs/v1/reference/component#validate-async-dual-method) method instead.
    *
    * @param [attributeSelector] An [`AttributeSelector`](https://layrjs.com/docs/v1/reference/attribute-selector) specifying the attributes to be validated (default: `true`, which means that all the attributes will be validated).
    *
@@ -2336,7 +2646,7 @@ export class Component extends Observable(Object) {
    * movie.title; // => 'Inception'
    * movie.validate(); // All good!
    * movie.title = '';
-   * movie.validate(); // Error {failedValidators: [{validator: ..., path: 'title'}]}
+   * movie.validate(); // Error {failures: [{path: 'title', validator: 'notEmpty', ...}]}
    * ```
    *
    * @example
@@ -2356,7 +2666,7 @@ export class Component extends Observable(Object) {
    * movie.title; // => 'Inception'
    * movie.validate(); // All good!
    * movie.title = '';
-   * movie.validate(); // Error {failedValidators: [{validator: ..., path: 'title'}]}
+   * movie.validate(); // Error {failures: [{path: 'title', validator: 'notEmpty', ...}]}
    * ```
    *
    * @category Validation
@@ -2364,29 +2674,72 @@ export class Component extends Observable(Object) {
   validate(attributeSelector: AttributeSelector = true) {
     const failedValidators = this.runValidators(attributeSelector);
 
+    this.__throwValidationError(failedValidators);
+  }
+
+  /**
+   * Validates the attributes of the component asynchronously. Use this method instead of [`validate()`](https://layrjs.com/docs/v1/reference/component#validate-dual-method) when some [asynchronous validators](https://layrjs.com/docs/v1/reference/validator#custom-validation-functions) are involved.
+   *
+   * @param [attributeSelector] An [`AttributeSelector`](https://layrjs.com/docs/v1/reference/attribute-selector) specifying the attributes to be validated (default: `true`, which means that all the attributes will be validated).
+   *
+   * @returns A promise that is rejected with a [`ValidationError`](https://layrjs.com/docs/v1/reference/layr-error) if an attribute doesn't pass the validation.
+   *
+   * @example
+   * ```
+   * // See the `User` definition in the `@validator()` example
+   *
+   * await user.validateAsync(); // Error {failures: [{path: 'email', ...}]}
+   * ```
+   *
+   * @category Validation
+   */
+  static get validateAsync() {
+    return this.prototype.validateAsync;
+  }
+
+  /**
+   * Validates the attributes of the component asynchronously. Use this method instead of [`validate()`](https://layrjs.com/docs/v1/reference/component#validate-dual-method) when some [asynchronous validators](https://layrjs.com/docs/v1/reference/validator#custom-validation-functions) are involved.
+   *
+   * @param [attributeSelector] An [`AttributeSelector`](https://layrjs.com/docs/v1/reference/attribute-selector) specifying the attributes to be validated (default: `true`, which means that all the attributes will be validated).
+   *
+   * @returns A promise that is rejected with a [`ValidationError`](https://layrjs.com/docs/v1/reference/layr-error) if an attribute doesn't pass the validation.
+   *
+   * @example
+   * ```
+   * // See the `User` definition in the `@validator()` example
+   *
+   * await user.validateAsync(); // Error {failures: [{path: 'email', ...}]}
+   * ```
+   *
+   * @category Validation
+   */
+  async validateAsync(attributeSelector: AttributeSelector = true) {
+    const failedValidators = await this.runValidatorsAsync(attributeSelector);
+
+    this.__throwValidationError(failedValidators);
+  }
+
+  static get __throwValidationError() {
+    return this.prototype.__throwValidationError;
+  }
+
+  __throwValidationError(failedValidators: FailedValidator[]) {
     if (failedValidators.length === 0) {
       return;
     }
 
-    const details = failedValidators
-      .map(({validator, path}) => `${validator.getMessage()} (path: '${path}')`)
-      .join(', ');
-
-    const error = Object.assign(
-      new Error(
-        `The following error(s) occurred while validating the component '${ensureComponentClass(
-          this
-        ).getComponentName()}': ${details}`
-      ),
-      {failedValidators}
+    throw createValidationError(
+      failedValidators,
+      `the component '${ensureComponentClass(this).getComponentName()}'`,
+      this
     );
-
-    throw error;
   }
 
   /**
    * Returns whether the attributes of the component are valid.
    *
+   * Note that an error is thrown if some [asynchronous validators](https://layrjs.com/docs/v1/reference/validator#custom-validation-functions) are involved. In this case, use the [`isValidAsync()`](https://layrjs.com/docs/v1/reference/component#is-valid-async-dual-method) method instead.
+   *
    * @param [attributeSelector] An [`AttributeSelector`](https://layrjs.com/docs/v1/reference/attribute-selector) specifying the attributes to be checked (default: `true`, which means that all the attributes will be checked).
    *
    * @returns A boolean.
@@ -2410,6 +2763,8 @@ export class Component extends Observable(Object) {
   /**
    * Returns whether the attributes of the component are valid.
    *
+   * Note that an error is thrown if some [asynchronous validators](https://layrjs.com/docs/v1/reference/validator#custom-validation-functions) are involved. In this case, use the [`isValidAsync()`](https://layrjs.com/docs/v1/reference/component#is-valid-async-dual-method) method instead.
+   *
    * @param [attributeSelector] An [`AttributeSelector`](https://layrjs.com/docs/v1/reference/attribute-selector) specifying the attributes to be checked (default: `true`, which means that all the attributes will be checked).
    *
    * @returns A boolean.
@@ -2433,11 +2788,55 @@ export class Component extends Observable(Object) {
   }
 
   /**
-   * Runs the validators for all the set attributes of the component.
+   * Returns asynchronously whether the attributes of the component are valid. Use this method instead of [`isValid()`](https://layrjs.com/docs/v1/reference/component#is-valid-dual-method) when some [asynchronous validators](https://layrjs.com/docs/v1/reference/validator#custom-validation-functions) are involved.
+   *
+   * @param [attributeSelector] An [`AttributeSelector`](https://layrjs.com/docs/v1/reference/attribute-selector) specifying the attributes to be checked (default: `true`, which means that all the attributes will be checked).
+   *
+   * @returns A promise resolving to a boolean.
+   *
+   * @example
+   * ```
+   * // See the `User` definition in the `@validator()` example
+   *
+   * await user.isValidAsync(); // => false
+   * ```
+   *
+   * @category Validation
+   */
+  static get isValidAsync() {
+    return this.prototype.isValidAsync;
+  }
+
+  /**
+   * Returns asynchronously whether the attributes of the component are valid. Use this method instead of [`isValid()`](https://layrjs.com/docs/v1/reference/component#is-valid-dual-method) when some [asynchronous validators](https://layrjs.com/docs/v1/reference/validator#custom-validation-functions) are involved.
+   *
+   * @param [attributeSelector] An [`AttributeSelector`](https://layrjs.com/docs/v1/reference/attribute-selector) specifying the attributes to be checked (default: `true`, which means that all the attributes will be checked).
+   *
+   * @returns A promise resolving to a boolean.
+   *
+   * @example
+   * ```
+   * // See the `User` definition in the `@validator()` example
+   *
+   * await user.isValidAsync(); // => false
+   * ```
+   *
+   * @category Validation
+   */
+  async isValidAsync(attributeSelector: AttributeSelector = true) {
+    const failedValidators = await this.runValidatorsAsync(attributeSelector);
+
+    return failedValidators.length === 0;
+  }
+
+  /**
+   * Runs the validators for all the set attributes of the component, and the [component validators](https://layrjs.com/docs/v1/reference/component#add-component-validator-dual-method).
+   *
+   * Note that an error is thrown if some [asynchronous validators](https://layrjs.com/docs/v1/reference/validator#custom-validation-functions) are involved. In this case, use the [`runValidatorsAsync()`](https://layrjs.com/docs/v1/reference/component#run-validators-async-dual-method) method instead.
    *
    * @param [attributeSelector] An [`AttributeSelector`](https://layrjs.com/docs/v1/reference/attribute-selector) specifying the attributes to be validated (default: `true`, which means that all the attributes will be validated).
    *
-   * @returns An array containing the validators that have failed. Each item is a plain object composed of a `validator` (a [`Validator`](https://layrjs.com/docs/v1/reference/validator) instance) and a `path` (a string representing the path of the attribute containing the validator that has failed).
+   * @returns An array containing the validators that have failed. Each item is a plain object composed of a `validator` (a [`Validator`](https://layrjs.com/docs/v1/reference/validator) instance), a `path` (a string representing the path of the attribute containing the validator that has failed), and a `value` (the value that has failed the validation).
    *
    * @example
    * ```
@@ -2446,7 +2845,7 @@ export class Component extends Observable(Object) {
    * movie.title; // => 'Inception'
    * movie.runValidators(); // => []
    * movie.title = '';
-   * movie.runValidators(); // => [{validator: ..., path: 'title'}]
+   * movie.runValidators(); // => [{validator: ..., path: 'title', value: ''}]
    * ```
    *
    * @category Validation
@@ -2456,11 +2855,13 @@ export class Component extends Observable(Object) {
   }
 
   /**
-   * Runs the validators for all the set attributes of the component.
+   * Runs the validators for all the set attributes of the component, and the [component validators](https://layrjs.com/docs/v1/reference/component#add-component-validator-dual-method).
+   *
+   * Note that an error is thrown if some [asynchronous validators](https://layrjs.com/docs/v1/reference/validator#custom-validation-functions) are involved. In this case, use the [`runValidatorsAsync()`](https://layrjs.com/docs/v1/reference/component#run-validators-async-dual-method) method instead.
    *
    * @param [attributeSelector] An [`AttributeSelector`](https://layrjs.com/docs/v1/reference/attribute-selector) specifying the attributes to be validated (default: `true`, which means that all the attributes will be validated).
    *
-   * @returns An array containing the validators that have failed. Each item is a plain object composed of a `validator` (a [`Validator`](https://layrjs.com/docs/v1/reference/validator) instance) and a `path` (a string representing the path of the attribute containing the validator that has failed).
+   * @returns An array containing the validators that have failed. Each item is a plain object composed of a `validator` (a [`Validator`](https://layrjs.com/docs/v1/reference/validator) instance), a `path` (a string representing the path of the attribute containing the validator that has failed), and a `value` (the value that has failed the validation).
    *
    * @example
    * ```
@@ -2469,12 +2870,63 @@ export class Component extends Observable(Object) {
    * movie.title; // => 'Inception'
    * movie.runValidators(); // => []
    * movie.title = '';
-   * movie.runValidators(); // => [{validator: ..., path: 'title'}]
+   * movie.runValidators(); // => [{validator: ..., path: 'title', value: ''}]
    * ```
    *
    * @category Validation
    */
   runValidators(attributeSelector: AttributeSelector = true) {
+    return ensureSynchronousValidation(
+      this.__runValidators(attributeSelector),
+      this.describeComponent()
+    );
+  }
+
+  /**
+   * Runs asynchronously the validators for all the set attributes of the component, and the [component validators](https://layrjs.com/docs/v1/reference/component#add-component-validator-dual-method). Use this method instead of [`runValidators()`](https://layrjs.com/docs/v1/reference/component#run-validators-dual-method) when some [asynchronous validators](https://layrjs.com/docs/v1/reference/validator#custom-validation-functions) are involved.
+   *
+   * @param [attributeSelector] An [`AttributeSelector`](https://layrjs.com/docs/v1/reference/attribute-selector) specifying the attributes to be validated (default: `true`, which means that all the attributes will be validated).
+   *
+   * @returns A promise resolving to an array containing the validators that have failed (see [`runValidators()`](https://layrjs.com/docs/v1/reference/component#run-validators-dual-method)).
+   *
+   * @example
+   * ```
+   * // See the `User` definition in the `@validator()` example
+   *
+   * await user.runValidatorsAsync(); // => [{validator: ..., path: 'email'}]
+   * ```
+   *
+   * @category Validation
+   */
+  static get runValidatorsAsync() {
+    return this.prototype.runValidatorsAsync;
+  }
+
+  /**
+   * Runs asynchronously the validators for all the set attributes of the component, and the [component validators](https://layrjs.com/docs/v1/reference/component#add-component-validator-dual-method). Use this method instead of [`runValidators()`](https://layrjs.com/docs/v1/reference/component#run-validators-dual-method) when some [asynchronous validators](https://layrjs.com/docs/v1/reference/validator#custom-validation-functions) are involved.
+   *
+   * @param [attributeSelector] An [`AttributeSelector`](https://layrjs.com/docs/v1/reference/attribute-selector) specifying the attributes to be validated (default: `true`, which means that all the attributes will be validated).
+   *
+   * @returns A promise resolving to an array containing the validators that have failed (see [`runValidators()`](https://layrjs.com/docs/v1/reference/component#run-validators-dual-method)).
+   *
+   * @example
+   * ```
+   * // See the `User` definition in the `@validator()` example
+   *
+   * await user.runValidatorsAsync(); // => [{validator: ..., path: 'email'}]
+   * ```
+   *
+   * @category Validation
+   */
+  async runValidatorsAsync(attributeSelector: AttributeSelector = true) {
+    return await this.__runValidators(attributeSelector);
+  }
+
+  static get __runValidators() {
+    return this.prototype.__runValidators;
+  }
+
+  __runValidators(attributeSelector: AttributeSelector = true): PossiblyAsyncFailedValidators {
     attributeSelector = this.resolveAttributeSelector(attributeSelector);
 
     const failedValidators = [];
@@ -2488,14 +2940,33 @@ export class Component extends Observable(Object) {
         continue;
       }
 
-      const attributeFailedValidators = attribute.runValidators(subattributeSelector);
+      const attributeFailedValidators = attribute.__runValidators(subattributeSelector);
+
+      failedValidators.push(prefixFailedValidators(attributeFailedValidators, name));
+    }
+
+    for (const {validator, path} of this.getComponentValidators()) {
+      if (path !== '') {
+        const name = path.split(/[.[]/)[0];
 
-      for (const {validator, path} of attributeFailedValidators) {
-        failedValidators.push({validator, path: joinAttributePath([name, path])});
+        if (
+          !(this.hasAttribute(name) && this.getAttribute(name).isSet()) ||
+          getFromAttributeSelector(attributeSelector, name) === false
+        ) {
+          continue;
+        }
       }
+
+      const value = path !== '' ? get(this, path) : undefined;
+
+      failedValidators.push(
+        possiblyAsync(runValidators([validator], this), (componentFailedValidators) =>
+          componentFailedValidators.map((validator) => ({validator, path, value}))
+        )
+      );
     }
 
-    return failedValidators;
+    return concatFailedValidators(failedValidators);
   }
 
   // === Method Properties ===
@@ -3287,7 +3758,14 @@ export class Component extends Observable(Object) {
       const value = attribute.getValue();
       const source = attribute.getValueSource();
       const clonedValue = clone(value, options);
-      clonedComponent.getAttribute(name).setValue(clonedValue, {source});
+      const clonedAttribute = clonedComponent.getAttribute(name);
+      clonedAttribute.setValue(clonedValue, {source});
+
+      if (attribute.isDirty()) {
+        clonedAttribute.markAsDirty();
+      } else {
+        clonedAttribute.markAsClean();
+      }
     }
 
     return possiblyAsync(clonedComponent.initialize(), () => clonedComponent);
@@ -3609,6 +4087,12 @@ export class Component extends Observable(Object) {
       const mergedValue = merge(value, forkedValue, options);
 
       attribute.setValue(mergedValue, {source: forkedAttribute.getValueSource()});
+
+      if (forkedAttribute.isDirty()) {
+        attribute.markAsDirty();
+      } else {
+        attribute.markAsClean();
+      }
     }
   }
 
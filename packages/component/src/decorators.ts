@@ -11,6 +11,7 @@ import {
   MethodOptions,
   PropertyExposure
 } from './properties';
+import type {Validator, ValidatorFunction} from './validation';
 import {isComponentClassOrInstance, isComponentClass, isComponentInstance} from './utilities';
 import {
   getConstructorSourceCode,
@@ -508,6 +509,71 @@ export function expose(exposure: ClassExposure | PropertyExposure = {}) {
   };
 }
 
+/**
+ * Adds a validator to a component class so that several attributes can be validated together, or an attribute can be validated asynchronously (e.g., by querying a store). See the [`addComponentValidator()`](https://layrjs.com/docs/v1/reference/component#add-component-validator-dual-method) method for details.
+ *
+ * @param validator A function (possibly asynchronous) that is called with a component instance and returns a boolean indicating whether the validation has succeeded, or a [`Validator`](https://layrjs.com/docs/v1/reference/validator) instance.
+ * @param [options.path] A string representing the path of the attribute where a failure is reported (default: `''`, which means that a failure is reported for the whole component).
+ * @param [options.message] A string specifying the message of the error that is thrown in case of failed validation.
+ *
+ * @example
+ * ```
+ * // JS
+ *
+ * import {Component, attribute, validator} from '﹫layr/component';
+ * import {Storable} from '﹫layr/storable';
+ *
+ * ﹫validator(
+ *   async (user) => {
+ *     const existingUsers = await user.constructor.find({email: user.email}, {});
+ *     return existingUsers.every((existingUser) => existingUser.id === user.id);
+ *   },
+ *   {path: 'email', message: 'This email address is already used'}
+ * )
+ * class User extends Storable(Component) {
+ *   ﹫attribute('string') email;
+ * }
+ *
+ * await user.save(); // Error {failedValidators: [{validator: ..., path: 'email'}]}
+ * ```
+ *
+ * @example
+ * ```
+ * // TS
+ *
+ * import {Component, attribute, validator} from '﹫layr/component';
+ * import {Storable} from '﹫layr/storable';
+ *
+ * ﹫validator(
+ *   async (user: User) => {
+ *     const existingUsers = await User.find({email: user.email}, {});
+ *     return existingUsers.every((existingUser) => existingUser.id === user.id);
+ *   },
+ *   {path: 'email', message: 'This email address is already used'}
+ * )
+ * class User extends Storable(Component) {
+ *   ﹫attribute('string') email!: string;
+ * }
+ *
+ * await user.save(); // Error {failedValidators: [{validator: ..., path: 'email'}]}
+ * ```
+ *
+ * @category Decorators
+ * @decorator
+ */
+export function validator(
+  validator: Validator | ValidatorFunction,
+  options: {path?: string; message?: string} = {}
+) {
+  return function (target: typeof Component) {
+    if (!isComponentClass(target)) {
+      throw new Error(`@validator() must be used as a component class decorator`);
+    }
+
+    target.prototype.addComponentValidator(validator, options);
+  };
+}
+
 /**
  * Provides a component so it can be easily accessed from the current component or from any component that is "consuming" it using the [`@consume()`](https://layrjs.com/docs/v1/reference/component#consume-decorator) decorator.
  *
@@ -357,6 +357,28 @@ describe('Deserialization', () => {
     expect(otherMovie.duration).toBe(120);
   });
 
+  test('Tagged values', async () => {
+    expect(deserialize({__bigint: '9007199254740993'})).toBe(9007199254740993n);
+    expect(deserialize([{__bigint: '1'}, {amount: {__bigint: '2'}}])).toStrictEqual([
+      1n,
+      {amount: 2n}
+    ]);
+
+    // An object with other keys is not a tagged value
+    expect(deserialize({__bigint: '1', other: true})).toStrictEqual({__bigint: '1', other: true});
+
+    class Account extends Component {
+      @attribute('bigint?') balance?: bigint;
+    }
+
+    const account = deserialize(
+      {__component: 'Account', balance: {__bigint: '100'}},
+      {componentGetter: () => Account.prototype}
+    ) as Account;
+
+    expect(account.balance).toBe(100n);
+  });
+
   test('Functions', async () => {
     let serializedFunction: any = {
       __function: 'function sum(a, b) { return a + b; }'
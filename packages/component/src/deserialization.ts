@@ -8,6 +8,7 @@ import {PlainObject} from 'core-helpers';
 
 import type {Component, ComponentSet, ComponentGetter} from './component';
 import type {PropertyFilter} from './properties';
+import {deserializeTaggedValue} from './properties/value-types/registry';
 import {isComponentClass} from './utilities';
 
 export type DeserializeOptions = SimpleDeserializeOptions & {
@@ -112,6 +113,13 @@ export function deserialize(value: any, options: DeserializeOptions = {}) {
       }
     }
 
+    const taggedValue = deserializeTaggedValue(object);
+
+    if (taggedValue !== undefined) {
+      // The value of a tagged object may be a primitive (e.g., a bigint)
+      return taggedValue.value as object;
+    }
+
     const {__component: componentType, ...attributes} = object;
 
     if (componentType === undefined) {
@@ -0,0 +1,84 @@
+import {
+  LayrError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  InternalError,
+  registerLayrErrorClass,
+  restoreLayrError,
+  isLayrError
+} from './errors';
+
+describe('Errors', () => {
+  test('Creating errors', async () => {
+    let error = new NotFoundError();
+
+    expect(error).toBeInstanceOf(LayrError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toBe('The requested resource cannot be found');
+    expect(error.name).toBe('NotFoundError');
+    expect(error.code).toBe('NOT_FOUND');
+    expect(error.status).toBe(404);
+    expect(error.expose).toBe(true);
+
+    error = new NotFoundError('Cannot find the movie', {code: 'MOVIE_NOT_FOUND', id: 'abc123'});
+
+    expect(error.message).toBe('Cannot find the movie');
+    expect(error.code).toBe('MOVIE_NOT_FOUND');
+    expect(error.status).toBe(404);
+    expect((error as any).id).toBe('abc123');
+
+    error = new InternalError();
+
+    expect(error.code).toBe('INTERNAL_ERROR');
+    expect(error.status).toBe(500);
+    expect(error.expose).toBe(false);
+
+    expect(isLayrError(new ValidationError())).toBe(true);
+    expect(isLayrError(new Error())).toBe(false);
+  });
+
+  test('restoreLayrError()', async () => {
+    // Simulate an error that went through `serialize()` and `deserialize()`
+    const deserializedError = Object.assign(new Error('Cannot save the movie'), {
+      ...new ConflictError('Cannot save the movie', {code: 'MOVIE_ALREADY_EXISTS', id: 'abc123'})
+    });
+
+    expect(deserializedError).not.toBeInstanceOf(LayrError);
+
+    const error = restoreLayrError(deserializedError);
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.message).toBe('Cannot save the movie');
+    expect(error.code).toBe('MOVIE_ALREADY_EXISTS');
+    expect(error.status).toBe(409);
+    expect(error.id).toBe('abc123');
+
+    const regularError = Object.assign(new Error('Something went wrong'), {code: 'OOPS'});
+
+    expect(restoreLayrError(regularError)).toBe(regularError);
+
+    class SeatAlreadyBookedError extends ConflictError {
+      static errorName = 'SeatAlreadyBookedError';
+      static defaultCode = 'SEAT_ALREADY_BOOKED';
+    }
+
+    const serializedError = {...new SeatAlreadyBookedError('The seat is already booked')};
+
+    expect(
+      restoreLayrError(Object.assign(new Error('The seat is already booked'), serializedError))
+    ).not.toBeInstanceOf(SeatAlreadyBookedError);
+
+    registerLayrErrorClass(SeatAlreadyBookedError);
+
+    const restoredError = restoreLayrError(
+      Object.assign(new Error('The seat is already booked'), serializedError)
+    );
+
+    expect(restoredError).toBeInstanceOf(SeatAlreadyBookedError);
+    expect(restoredError.code).toBe('SEAT_ALREADY_BOOKED');
+
+    // @ts-expect-error
+    expect(() => registerLayrErrorClass(Error)).toThrow("Expected a class extending 'LayrError'");
+  });
+});
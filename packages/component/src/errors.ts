@@ -0,0 +1,277 @@
+/**
+ * @typedef LayrErrorAttributes
+ *
+ * A plain object specifying the attributes of a [`LayrError`](https://layrjs.com/docs/v1/reference/layr-error). The object can have the following properties:
+ *
+ * * `code`: A string overriding the default code of the error class (e.g., `'MOVIE_NOT_FOUND'`).
+ * * `status`: A number overriding the HTTP status code associated with the error class.
+ * * `expose`: A boolean specifying whether the message of the error can be sent to a client.
+ *
+ * Any other property is copied to the error, and it is sent to the client along with the message.
+ */
+export type LayrErrorAttributes = {
+  code?: string;
+  status?: number;
+  expose?: boolean;
+  [name: string]: any;
+};
+
+/**
+ * The base class of the errors with a stable code that can cross the boundary between a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) and a [`ComponentClient`](https://layrjs.com/docs/v1/reference/component-client).
+ *
+ * When a `LayrError` is thrown by a method invoked through a component server, the error is sent to the client with its `name`, `code`, and other attributes, and the component client rethrows an error of the same class. Also, the HTTP adapters (e.g., [`component-koa-middleware`](https://layrjs.com/docs/v1/reference/component-koa-middleware)) use the `status` of the error as the HTTP status code of the response when the error rejects a whole request.
+ *
+ * Layr provides the following error classes:
+ *
+ * | Class | Default code | HTTP status |
+ * | --- | --- | --- |
+ * | `ValidationError` | `'VALIDATION_ERROR'` | `400` |
+ * | `ForbiddenError` | `'FORBIDDEN'` | `403` |
+ * | `NotFoundError` | `'NOT_FOUND'` | `404` |
+ * | `ConflictError` | `'CONFLICT'` | `409` |
+ * | `VersionMismatchError` | `'VERSION_MISMATCH'` | `412` |
+ * | `QueryCostExceededError` | `'QUERY_COST_EXCEEDED'` | `400` |
+ * | `RateLimitExceededError` | `'RATE_LIMIT_EXCEEDED'` | `429` |
+ * | `InternalError` | `'INTERNAL_ERROR'` | `500` |
+ *
+ * The message of an `InternalError` is not exposed to the clients by default, whereas the message of the other errors is.
+ *
+ * You can define your own error classes by extending one of these classes and registering them with [`registerLayrErrorClass()`](https://layrjs.com/docs/v1/reference/layr-error#register-layr-error-class-function) on both sides of the boundary.
+ *
+ * @example
+ * ```
+ * import {Component, method, expose, NotFoundError} from '@layr/component';
+ *
+ * class Movie extends Component {
+ *   ﹫expose({call: true}) ﹫method() static async getPoster(id) {
+ *     const poster = await loadPoster(id);
+ *
+ *     if (poster === undefined) {
+ *       throw new NotFoundError(`Cannot find the poster of a movie (id: '${id}')`, {
+ *         code: 'POSTER_NOT_FOUND'
+ *       });
+ *     }
+ *
+ *     return poster;
+ *   }
+ * }
+ *
+ * // Client side
+ *
+ * try {
+ *   await Movie.getPoster('abc123');
+ * } catch (error) {
+ *   error instanceof NotFoundError; // => true
+ *   error.code; // => 'POSTER_NOT_FOUND'
+ * }
+ * ```
+ */
+export class LayrError extends Error {
+  static errorName = 'LayrError';
+  static defaultCode = 'LAYR_ERROR';
+  static defaultStatus = 500;
+  static defaultExpose = true;
+  static defaultMessage = 'An error occurred';
+
+  name!: string;
+  code!: string;
+  status!: number;
+  expose!: boolean;
+
+  /**
+   * Creates an error.
+   *
+   * @param [message] A string specifying the message of the error (default: a message depending on the error class).
+   * @param [attributes] A [`LayrErrorAttributes`](https://layrjs.com/docs/v1/reference/layr-error#layr-error-attributes-type) object.
+   *
+   * @returns An instance of the error class.
+   *
+   * @category Creation
+   */
+  constructor(message?: string, attributes: LayrErrorAttributes = {}) {
+    const errorClass = new.target as typeof LayrError;
+
+    super(message ?? errorClass.defaultMessage);
+
+    const {
+      code = errorClass.defaultCode,
+      status = errorClass.defaultStatus,
+      expose = errorClass.defaultExpose,
+      ...otherAttributes
+    } = attributes;
+
+    // The name of the class is not used because it can be changed by a minifier
+    this.name = errorClass.errorName;
+    this.code = code;
+    this.status = status;
+    this.expose = expose;
+
+    Object.assign(this, otherAttributes);
+  }
+}
+
+/**
+ * A [`LayrError`](https://layrjs.com/docs/v1/reference/layr-error) thrown when some values are invalid (e.g., when a component that is about to be saved has some invalid attributes).
+ *
+ * When the error is thrown by a validation method such as [`validate()`](https://layrjs.com/docs/v1/reference/component#validate-dual-method), it has a `failures` attribute containing an array of [`ValidationFailure`](https://layrjs.com/docs/v1/reference/validator#validation-failure-type) objects, which are sent to the client along with the message.
+ */
+export class ValidationError extends LayrError {
+  static errorName = 'ValidationError';
+  static defaultCode = 'VALIDATION_ERROR';
+  static defaultStatus = 400;
+  static defaultMessage = 'A validation error occurred';
+}
+
+/**
+ * A [`LayrError`](https://layrjs.com/docs/v1/reference/layr-error) thrown when an operation is not allowed (e.g., when a client accesses an attribute that is not exposed to its roles).
+ */
+export class ForbiddenError extends LayrError {
+  static errorName = 'ForbiddenError';
+  static defaultCode = 'FORBIDDEN';
+  static defaultStatus = 403;
+  static defaultMessage = 'The operation is not allowed';
+}
+
+/**
+ * A [`LayrError`](https://layrjs.com/docs/v1/reference/layr-error) thrown when something cannot be found (e.g., when a component is missing from a store).
+ */
+export class NotFoundError extends LayrError {
+  static errorName = 'NotFoundError';
+  static defaultCode = 'NOT_FOUND';
+  static defaultStatus = 404;
+  static defaultMessage = 'The requested resource cannot be found';
+}
+
+/**
+ * A [`LayrError`](https://layrjs.com/docs/v1/reference/layr-error) thrown when an operation conflicts with the current state of something (e.g., when a new component already exists in a store).
+ */
+export class ConflictError extends LayrError {
+  static errorName = 'ConflictError';
+  static defaultCode = 'CONFLICT';
+  static defaultStatus = 409;
+  static defaultMessage = 'A conflict occurred';
+}
+
+/**
+ * A [`LayrError`](https://layrjs.com/docs/v1/reference/layr-error) thrown when the version of a component client doesn't match the version of a component server.
+ */
+export class VersionMismatchError extends LayrError {
+  static errorName = 'VersionMismatchError';
+  static defaultCode = 'VERSION_MISMATCH';
+  static defaultStatus = 412;
+  static defaultMessage = "The version of the client doesn't match the version of the server";
+}
+
+/**
+ * A [`LayrError`](https://layrjs.com/docs/v1/reference/layr-error) thrown by a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) when the estimated cost of a query exceeds the maximum cost allowed by a [query cost middleware](https://layrjs.com/docs/v1/reference/component-server#create-query-cost-middleware-function). The error has a `cost` attribute and a `maxCost` attribute.
+ */
+export class QueryCostExceededError extends LayrError {
+  static errorName = 'QueryCostExceededError';
+  static defaultCode = 'QUERY_COST_EXCEEDED';
+  static defaultStatus = 400;
+  static defaultMessage = 'The cost of the query exceeds the maximum cost';
+
+  cost!: number;
+  maxCost!: number;
+}
+
+/**
+ * A [`LayrError`](https://layrjs.com/docs/v1/reference/layr-error) thrown by a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) when a client has made too many requests according to a [rate limit middleware](https://layrjs.com/docs/v1/reference/component-server#create-rate-limit-middleware-function). The error has a `retryAfter` attribute representing the number of seconds until the client can make a request again.
+ */
+export class RateLimitExceededError extends LayrError {
+  static errorName = 'RateLimitExceededError';
+  static defaultCode = 'RATE_LIMIT_EXCEEDED';
+  static defaultStatus = 429;
+  static defaultMessage = 'Too many requests';
+
+  retryAfter!: number;
+}
+
+/**
+ * A [`LayrError`](https://layrjs.com/docs/v1/reference/layr-error) representing an unexpected error. The message of an `InternalError` is not exposed to the clients by default.
+ */
+export class InternalError extends LayrError {
+  static errorName = 'InternalError';
+  static defaultCode = 'INTERNAL_ERROR';
+  static defaultStatus = 500;
+  static defaultExpose = false;
+  static defaultMessage = 'An internal error occurred';
+}
+
+const layrErrorClasses = new Map<string, typeof LayrError>();
+
+/**
+ * Registers a custom [`LayrError`](https://layrjs.com/docs/v1/reference/layr-error) class so that [`restoreLayrError()`](https://layrjs.com/docs/v1/reference/layr-error#restore-layr-error-function) can recreate its instances. The class must define a static `errorName` property that is unique among the registered classes.
+ *
+ * @param errorClass A class extending `LayrError`.
+ *
+ * @example
+ * ```
+ * import {ConflictError, registerLayrErrorClass} from '@layr/component';
+ *
+ * class SeatAlreadyBookedError extends ConflictError {
+ *   static errorName = 'SeatAlreadyBookedError';
+ *   static defaultCode = 'SEAT_ALREADY_BOOKED';
+ * }
+ *
+ * registerLayrErrorClass(SeatAlreadyBookedError);
+ * ```
+ *
+ * @category Functions
+ */
+export function registerLayrErrorClass(errorClass: typeof LayrError) {
+  if (!isLayrErrorClass(errorClass)) {
+    throw new Error(`Expected a class extending 'LayrError'`);
+  }
+
+  layrErrorClasses.set(errorClass.errorName, errorClass);
+}
+
+for (const errorClass of [
+  LayrError,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  VersionMismatchError,
+  QueryCostExceededError,
+  RateLimitExceededError,
+  InternalError
+]) {
+  registerLayrErrorClass(errorClass);
+}
+
+/**
+ * Recreates a [`LayrError`](https://layrjs.com/docs/v1/reference/layr-error) from a plain `Error` that has been deserialized (e.g., after being received from a component server). The class of the recreated error is determined by the `name` attribute of the specified error.
+ *
+ * @param error An `Error` instance.
+ *
+ * @returns An instance of a `LayrError` class, or the specified error if it doesn't represent a registered `LayrError` class.
+ *
+ * @category Functions
+ */
+export function restoreLayrError(error: any) {
+  if (isLayrError(error) || !(error instanceof Error)) {
+    return error;
+  }
+
+  const errorClass = layrErrorClasses.get(error.name);
+
+  if (errorClass === undefined) {
+    return error;
+  }
+
+  const {name, ...attributes} = error as Error & LayrErrorAttributes;
+
+  return new errorClass(error.message, attributes);
+}
+
+export function isLayrErrorClass(value: any): value is typeof LayrError {
+  return (
+    typeof value === 'function' && (value === LayrError || value.prototype instanceof LayrError)
+  );
+}
+
+export function isLayrError(value: any): value is LayrError {
+  return value instanceof LayrError;
+}
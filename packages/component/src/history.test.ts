@@ -0,0 +1,363 @@
+import {Component} from './component';
+import {EmbeddedComponent} from './embedded-component';
+import {History} from './history';
+import {attribute, provide} from './decorators';
+
+describe('History', () => {
+  class Scene extends EmbeddedComponent {
+    @attribute('string') title = '';
+  }
+
+  class Director extends Component {
+    @attribute('string') fullName = '';
+  }
+
+  class Script extends Component {
+    @provide() static Scene = Scene;
+    @provide() static Director = Director;
+
+    @attribute('string') title = '';
+    @attribute('number?') year?: number;
+    @attribute('string[]') tags: string[] = [];
+    @attribute('Scene[]') scenes: Scene[] = [];
+    @attribute('Director?') director?: Director;
+  }
+
+  // The changes made synchronously are grouped into a single entry
+  const nextEntry = () => Promise.resolve();
+
+  test('Undo and redo', async () => {
+    const script = new Script();
+    const history = new History(script);
+
+    expect(history.getComponent()).toBe(script);
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(false);
+    expect(history.undo()).toBe(false);
+
+    script.title = 'Inception';
+    await nextEntry();
+    script.year = 2010;
+
+    expect(history.canUndo()).toBe(true);
+
+    expect(history.undo()).toBe(true);
+    expect(script.year).toBeUndefined();
+    expect(script.title).toBe('Inception');
+    expect(history.canRedo()).toBe(true);
+
+    expect(history.undo()).toBe(true);
+    expect(script.title).toBe('');
+    expect(history.canUndo()).toBe(false);
+
+    expect(history.redo()).toBe(true);
+    expect(script.title).toBe('Inception');
+
+    // Recording a new change discards the changes that can be redone
+    script.title = 'Inception 2';
+
+    expect(history.canRedo()).toBe(false);
+    expect(history.redo()).toBe(false);
+
+    history.undo();
+
+    expect(script.title).toBe('Inception');
+
+    // Unset attributes
+    script.getAttribute('year').unsetValue();
+
+    expect(script.getAttribute('year').isSet()).toBe(false);
+
+    history.undo();
+
+    expect(script.getAttribute('year').isSet()).toBe(true);
+    expect(script.year).toBeUndefined();
+
+    history.redo();
+
+    expect(script.getAttribute('year').isSet()).toBe(false);
+
+    history.clear();
+
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(false);
+  });
+
+  test('Arrays and embedded components', async () => {
+    const script = new Script({scenes: [new Scene({title: 'Dream'})]});
+    const history = new History(script);
+
+    script.tags.push('action');
+    await nextEntry();
+    script.tags.push('sci-fi');
+
+    expect(script.tags).toStrictEqual(['action', 'sci-fi']);
+
+    history.undo();
+
+    expect(script.tags).toStrictEqual(['action']);
+
+    history.undo();
+
+    expect(script.tags).toStrictEqual([]);
+
+    history.redo();
+    history.redo();
+
+    expect(script.tags).toStrictEqual(['action', 'sci-fi']);
+
+    const scene = script.scenes[0];
+    scene.title = 'Limbo';
+    await nextEntry();
+    script.scenes.push(new Scene({title: 'Kick'}));
+
+    history.undo();
+
+    expect(script.scenes.map(({title}) => title)).toStrictEqual(['Limbo']);
+    expect(script.scenes[0]).toBe(scene);
+
+    history.undo();
+
+    expect(scene.title).toBe('Dream');
+
+    // The restored components are still observed
+    script.scenes[0].title = 'Snow Fortress';
+
+    history.undo();
+
+    expect(scene.title).toBe('Dream');
+
+    history.redo();
+
+    expect(scene.title).toBe('Snow Fortress');
+
+    script.scenes.splice(0, 1);
+
+    expect(script.scenes).toHaveLength(0);
+
+    history.undo();
+
+    expect(script.scenes).toHaveLength(1);
+    expect(script.scenes[0]).toBe(scene);
+
+    script.scenes.unshift(new Scene({title: 'Kick'}));
+    script.scenes.reverse();
+
+    expect(script.scenes.map(({title}) => title)).toStrictEqual(['Snow Fortress', 'Kick']);
+
+    history.undo();
+
+    expect(script.scenes.map(({title}) => title)).toStrictEqual(['Snow Fortress']);
+    expect(history.canUndo()).toBe(true);
+  });
+
+  test('Referenced components', async () => {
+    const director = new Director({fullName: 'Christopher Nolan'});
+    const script = new Script();
+    const history = new History(script);
+
+    script.director = director;
+
+    // The changes of a referenced component are not recorded
+    director.fullName = 'Chris Nolan';
+
+    history.undo();
+
+    expect(script.director).toBeUndefined();
+    expect(director.fullName).toBe('Chris Nolan');
+    expect(history.canUndo()).toBe(false);
+  });
+
+  test('Transactions', async () => {
+    const script = new Script({scenes: [new Scene({title: 'Dream'})]});
+    const history = new History(script);
+
+    script.title = 'Inception';
+    script.year = 2010;
+
+    history.undo();
+
+    expect(script.title).toBe('');
+    expect(script.year).toBeUndefined();
+    expect(history.canUndo()).toBe(false);
+
+    const result = history.transaction(() => {
+      script.title = 'Inception';
+      script.title = 'Inception 2';
+      script.scenes[0].title = 'Limbo';
+
+      history.transaction(() => {
+        script.year = 2010;
+      });
+
+      expect(history.isInTransaction()).toBe(true);
+      expect(() => history.undo()).toThrow('Cannot undo while a transaction is in progress');
+
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(history.isInTransaction()).toBe(false);
+
+    history.undo();
+
+    expect(script.title).toBe('');
+    expect(script.year).toBeUndefined();
+    expect(script.scenes[0].title).toBe('Dream');
+    expect(history.canUndo()).toBe(false);
+
+    history.redo();
+
+    expect(script.title).toBe('Inception 2');
+    expect(script.year).toBe(2010);
+    expect(script.scenes[0].title).toBe('Limbo');
+
+    // Changes that cancel each other out are not recorded
+    history.transaction(() => {
+      script.title = 'Interstellar';
+      script.title = 'Inception 2';
+    });
+
+    history.undo();
+
+    expect(script.title).toBe('');
+
+    // Asynchronous transactions
+    await history.transaction(async () => {
+      script.title = 'Tenet';
+      await Promise.resolve();
+      script.year = 2020;
+    });
+
+    history.undo();
+
+    expect(script.title).toBe('');
+    expect(script.year).toBeUndefined();
+
+    // A transaction is ended when an error is thrown
+    expect(() =>
+      history.transaction(() => {
+        script.title = 'Memento';
+        throw new Error('Something went wrong');
+      })
+    ).toThrow('Something went wrong');
+
+    expect(history.isInTransaction()).toBe(false);
+
+    history.undo();
+
+    expect(script.title).toBe('');
+
+    expect(() => history.endTransaction()).toThrow(
+      'Cannot end a transaction that has not been started'
+    );
+  });
+
+  test('Value sources', async () => {
+    const script = new Script();
+    const history = new History(script);
+
+    // The values coming from an upper layer are not recorded
+    script.getAttribute('title').setValue('Inception', {source: 1});
+
+    expect(history.canUndo()).toBe(false);
+
+    script.title = 'Inception 2';
+
+    history.undo();
+
+    expect(script.title).toBe('Inception');
+  });
+
+  test('Observers', async () => {
+    const script = new Script();
+    const history = new History(script);
+
+    const observer = jest.fn();
+    history.addObserver(observer);
+
+    script.title = 'Inception';
+
+    expect(observer).toHaveBeenCalledTimes(0);
+
+    await nextEntry();
+
+    expect(observer).toHaveBeenCalledTimes(1);
+
+    history.undo();
+
+    expect(observer).toHaveBeenCalledTimes(2);
+
+    history.redo();
+
+    expect(observer).toHaveBeenCalledTimes(3);
+
+    history.stop();
+
+    script.title = 'Inception 2';
+
+    expect(observer).toHaveBeenCalledTimes(3);
+    expect(history.canUndo()).toBe(true);
+
+    // The recorded changes can still be undone
+    history.undo();
+
+    expect(script.title).toBe('');
+
+    // The changes made while the history was stopped are not recorded
+    script.title = 'Inception 2';
+    await nextEntry();
+
+    history.start();
+
+    expect(history.canUndo()).toBe(false);
+
+    script.title = 'Inception 3';
+    await nextEntry();
+
+    expect(observer).toHaveBeenCalledTimes(5);
+    expect(history.canUndo()).toBe(true);
+
+    history.undo();
+
+    expect(script.title).toBe('Inception 2');
+  });
+
+  test('Forks', async () => {
+    const script = new Script({title: 'Inception'});
+    const scriptFork = script.fork();
+    const history = new History(scriptFork);
+
+    scriptFork.title = 'Inception 2';
+    await nextEntry();
+    scriptFork.tags.push('action');
+
+    expect(script.title).toBe('Inception');
+    expect(script.tags).toStrictEqual([]);
+
+    history.undo();
+
+    expect(scriptFork.tags).toStrictEqual([]);
+
+    history.stop();
+    script.merge(scriptFork);
+
+    expect(script.title).toBe('Inception 2');
+  });
+
+  test('Maximum length', async () => {
+    const script = new Script();
+    const history = new History(script, {maxLength: 2});
+
+    script.title = 'A';
+    await nextEntry();
+    script.title = 'B';
+    await nextEntry();
+    script.title = 'C';
+
+    expect(history.undo()).toBe(true);
+    expect(history.undo()).toBe(true);
+    expect(history.undo()).toBe(false);
+    expect(script.title).toBe('A');
+  });
+});
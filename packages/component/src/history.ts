@@ -0,0 +1,596 @@
+import {Observable} from '@layr/observable';
+import {isPlainObject} from 'core-helpers';
+
+import type {Component} from './component';
+import {isPromiseLike} from './validation/validator';
+import {isComponentInstance, assertIsComponentInstance} from './utilities';
+
+export type HistoryOptions = {maxLength?: number};
+
+type AttributeChange = {
+  component: Component;
+  attributeName: string;
+  previousValue: unknown;
+  newValue: unknown;
+};
+
+type HistoryEntry = AttributeChange[];
+
+type Snapshot = Map<Component, Map<string, unknown>>;
+
+const UNSET = Symbol('UNSET');
+
+/**
+ * *Inherits from [`Observable`](https://layrjs.com/docs/v1/reference/observable#observable-class).*
+ *
+ * Records the changes of the attributes of a component so they can be undone and redone. The changes of the [embedded components](https://layrjs.com/docs/v1/reference/embedded-component) (including the ones contained in arrays or plain objects) are recorded as well, whereas the changes of the referenced components are ignored.
+ *
+ * The changes made synchronously (e.g., in an event handler) are grouped into a single history entry, so a method such as `splice()` that mutates an array several times is undone at once. To group some changes made asynchronously, use the [`transaction()`](https://layrjs.com/docs/v1/reference/history#transaction-instance-method) method.
+ *
+ * Only the changes made in the current layer are recorded. So, when some values come from an upper layer (e.g., when a component is loaded from a backend), the [value source](https://layrjs.com/docs/v1/reference/attribute#value-source-type) of the attributes is `1`, and the values are considered as the new starting point of the history.
+ *
+ * A history is an [observable](https://layrjs.com/docs/v1/reference/observable#observable-class), and its observers are called each time a change is recorded and each time the history moves (i.e., when [`undo()`](https://layrjs.com/docs/v1/reference/history#undo-instance-method) or [`redo()`](https://layrjs.com/docs/v1/reference/history#redo-instance-method) is called). So in a React view, you can use the [`useObserve()`](https://layrjs.com/docs/v1/reference/react-integration#use-observe-react-hook) hook (or the [`useHistory()`](https://layrjs.com/docs/v1/reference/react-integration#use-history-react-hook) hook that creates a history and observes it) to enable or disable some "Undo" and "Redo" buttons.
+ *
+ * Note that each change causes a snapshot of the component attributes to be taken, so you should avoid recording the history of a component containing a huge number of embedded components.
+ *
+ * @example
+ * ```
+ * import {Component, EmbeddedComponent, History, provide, attribute} from '﹫layr/component';
+ *
+ * class Scene extends EmbeddedComponent {
+ *   ﹫attribute('string') title = '';
+ * }
+ *
+ * class Script extends Component {
+ *   ﹫provide() static Scene = Scene;
+ *
+ *   ﹫attribute('string') title = '';
+ *   ﹫attribute('Scene[]') scenes = [];
+ * }
+ *
+ * const script = new Script();
+ * const history = new History(script);
+ *
+ * script.title = 'Inception';
+ * script.scenes.push(new Scene({title: 'Limbo'}));
+ *
+ * history.undo();
+ * script.title; // => ''
+ * script.scenes.length; // => 0
+ *
+ * history.redo();
+ * script.title; // => 'Inception'
+ * script.scenes.length; // => 1
+ *
+ * // Group some asynchronous changes into a single history entry
+ * await history.transaction(async () => {
+ *   script.title = await fetchTitle();
+ *   script.scenes[0].title = await fetchSceneTitle();
+ * });
+ *
+ * // A fork can be edited and merged when the user is done with it
+ * const scriptFork = script.fork();
+ * const forkHistory = new History(scriptFork);
+ * // ...
+ * forkHistory.stop();
+ * script.merge(scriptFork);
+ * ```
+ */
+export class History extends Observable(Object) {
+  _component: Component;
+  _maxLength: number;
+  _snapshot: Snapshot;
+  _undoEntries: HistoryEntry[] = [];
+  _redoEntries: HistoryEntry[] = [];
+  _transactionDepth = 0;
+  _pendingChanges: AttributeChange[] = [];
+  _flushIsScheduled = false;
+  _isApplyingChanges = false;
+  _isStopped = true;
+
+  /**
+   * Creates a history for a component, and starts recording the changes of its attributes.
+   *
+   * @param component A [`Component`](https://layrjs.com/docs/v1/reference/component) instance.
+   * @param [options.maxLength] A number specifying the maximum number of entries that can be undone (default: `100`). When the limit is reached, the oldest entries are discarded.
+   *
+   * @returns The [`History`](https://layrjs.com/docs/v1/reference/history) instance that was created.
+   *
+   * @example
+   * ```
+   * const history = new History(movie, {maxLength: 50});
+   * ```
+   *
+   * @category Creation
+   */
+  constructor(component: Component, options: HistoryOptions = {}) {
+    super();
+
+    assertIsComponentInstance(component);
+
+    const {maxLength = 100} = options;
+
+    this._component = component;
+    this._maxLength = maxLength;
+    this._snapshot = takeSnapshot(component);
+
+    this._onChange = this._onChange.bind(this);
+    this.start();
+  }
+
+  /**
+   * Returns the component that is recorded by the history.
+   *
+   * @returns A [`Component`](https://layrjs.com/docs/v1/reference/component) instance.
+   *
+   * @category Methods
+   */
+  getComponent() {
+    return this._component;
+  }
+
+  /**
+   * Restarts recording the changes of the component after the history has been [stopped](https://layrjs.com/docs/v1/reference/history#stop-instance-method). The changes made while the history was stopped are not recorded. If the history is already recording, nothing happens.
+   *
+   * @category Methods
+   */
+  start() {
+    if (this._isStopped) {
+      this._snapshot = takeSnapshot(this._component);
+      this._component.addObserver(this._onChange);
+      this._isStopped = false;
+    }
+  }
+
+  /**
+   * Stops recording the changes of the component. The recorded entries remain available, and they can still be undone or redone.
+   *
+   * @category Methods
+   */
+  stop() {
+    if (!this._isStopped) {
+      this._flushPendingChanges();
+      this._component.removeObserver(this._onChange);
+      this._isStopped = true;
+    }
+  }
+
+  // === Undo/redo ===
+
+  /**
+   * Returns whether some changes can be undone.
+   *
+   * @returns A boolean.
+   *
+   * @category Undo/Redo
+   */
+  canUndo() {
+    this._flushPendingChanges();
+
+    return this._undoEntries.length > 0;
+  }
+
+  /**
+   * Undoes the last recorded changes. If there is nothing to undo, nothing happens.
+   *
+   * @returns A boolean specifying whether some changes have been undone.
+   *
+   * @example
+   * ```
+   * movie.title = 'Inception 2';
+   * history.undo(); // => true
+   * movie.title; // => 'Inception'
+   * ```
+   *
+   * @category Undo/Redo
+   */
+  undo() {
+    this._assertNoTransaction('undo');
+    this._flushPendingChanges();
+
+    const entry = this._undoEntries.pop();
+
+    if (entry === undefined) {
+      return false;
+    }
+
+    this._applyChanges(
+      entry
+        .slice()
+        .reverse()
+        .map(({component, attributeName, previousValue}) => ({
+          component,
+          attributeName,
+          value: previousValue
+        }))
+    );
+
+    this._redoEntries.push(entry);
+    this.callObservers();
+
+    return true;
+  }
+
+  /**
+   * Returns whether some undone changes can be redone.
+   *
+   * @returns A boolean.
+   *
+   * @category Undo/Redo
+   */
+  canRedo() {
+    this._flushPendingChanges();
+
+    return this._redoEntries.length > 0;
+  }
+
+  /**
+   * Redoes the last undone changes. If there is nothing to redo, nothing happens.
+   *
+   * Note that recording some new changes discards the changes that can be redone.
+   *
+   * @returns A boolean specifying whether some changes have been redone.
+   *
+   * @example
+   * ```
+   * history.undo();
+   * history.redo(); // => true
+   * movie.title; // => 'Inception 2'
+   * ```
+   *
+   * @category Undo/Redo
+   */
+  redo() {
+    this._assertNoTransaction('redo');
+    this._flushPendingChanges();
+
+    const entry = this._redoEntries.pop();
+
+    if (entry === undefined) {
+      return false;
+    }
+
+    this._applyChanges(
+      entry.map(({component, attributeName, newValue}) => ({
+        component,
+        attributeName,
+        value: newValue
+      }))
+    );
+
+    this._undoEntries.push(entry);
+    this.callObservers();
+
+    return true;
+  }
+
+  /**
+   * Removes all the recorded entries. The current state of the component becomes the new starting point of the history.
+   *
+   * @category Undo/Redo
+   */
+  clear() {
+    this._assertNoTransaction('clear');
+
+    this._undoEntries = [];
+    this._redoEntries = [];
+    this._pendingChanges = [];
+    this._snapshot = takeSnapshot(this._component);
+    this.callObservers();
+  }
+
+  _applyChanges(changes: {component: Component; attributeName: string; value: unknown}[]) {
+    this._isApplyingChanges = true;
+
+    try {
+      for (const {component, attributeName, value} of changes) {
+        const attribute = component.getAttribute(attributeName);
+
+        if (value === UNSET) {
+          attribute.unsetValue();
+        } else {
+          attribute.setValue(restoreValue(value));
+        }
+      }
+    } finally {
+      this._isApplyingChanges = false;
+    }
+
+    this._snapshot = takeSnapshot(this._component);
+  }
+
+  // === Transactions ===
+
+  /**
+   * Runs a function and groups all the changes made by the function into a single history entry, so they can be undone or redone at once. This is mostly useful for asynchronous functions, since the changes made synchronously are already grouped. Transactions can be nested, and in this case, the changes are grouped into the entry of the outermost transaction.
+   *
+   * @param func A function that can be synchronous or asynchronous.
+   *
+   * @returns The value returned by the function.
+   *
+   * @example
+   * ```
+   * history.transaction(() => {
+   *   movie.title = 'Inception 2';
+   *   movie.year = 2030;
+   * });
+   *
+   * history.undo(); // Both `title` and `year` are restored
+   *
+   * await history.transaction(async () => {
+   *   movie.title = await fetchTitle();
+   *   movie.year = await fetchYear();
+   * });
+   * ```
+   *
+   * @category Transactions
+   */
+  transaction<Result>(func: () => Result): Result {
+    this.startTransaction();
+
+    let result: Result;
+
+    try {
+      result = func();
+    } catch (error) {
+      this.endTransaction();
+      throw error;
+    }
+
+    if (isPromiseLike(result)) {
+      return (result.then(
+        (value) => {
+          this.endTransaction();
+          return value;
+        },
+        (error) => {
+          this.endTransaction();
+          throw error;
+        }
+      ) as unknown) as Result;
+    }
+
+    this.endTransaction();
+
+    return result;
+  }
+
+  /**
+   * Starts a transaction. All the changes made until [`endTransaction()`](https://layrjs.com/docs/v1/reference/history#end-transaction-instance-method) is called are grouped into a single history entry.
+   *
+   * Prefer the [`transaction()`](https://layrjs.com/docs/v1/reference/history#transaction-instance-method) method which ensures that the transaction is ended even when an error is thrown.
+   *
+   * @category Transactions
+   */
+  startTransaction() {
+    this._transactionDepth++;
+  }
+
+  /**
+   * Ends a transaction started with [`startTransaction()`](https://layrjs.com/docs/v1/reference/history#start-transaction-instance-method).
+   *
+   * @category Transactions
+   */
+  endTransaction() {
+    if (this._transactionDepth === 0) {
+      throw new Error(`Cannot end a transaction that has not been started`);
+    }
+
+    this._transactionDepth--;
+
+    if (this._transactionDepth === 0) {
+      this._flushPendingChanges();
+    }
+  }
+
+  /**
+   * Returns whether a transaction is in progress.
+   *
+   * @returns A boolean.
+   *
+   * @category Transactions
+   */
+  isInTransaction() {
+    return this._transactionDepth > 0;
+  }
+
+  _assertNoTransaction(action: string) {
+    if (this._transactionDepth > 0) {
+      throw new Error(`Cannot ${action} while a transaction is in progress`);
+    }
+  }
+
+  // === Recording ===
+
+  _onChange({source = 0}: {source?: number}) {
+    if (this._isApplyingChanges) {
+      return;
+    }
+
+    const snapshot = takeSnapshot(this._component);
+    const changes = diffSnapshots(this._snapshot, snapshot);
+    this._snapshot = snapshot;
+
+    if (source !== 0 || changes.length === 0) {
+      return;
+    }
+
+    this._pendingChanges.push(...changes);
+
+    if (!this._flushIsScheduled) {
+      this._flushIsScheduled = true;
+
+      Promise.resolve().then(() => {
+        this._flushIsScheduled = false;
+        this._flushPendingChanges();
+      });
+    }
+  }
+
+  _flushPendingChanges() {
+    if (this._transactionDepth > 0 || this._pendingChanges.length === 0) {
+      return;
+    }
+
+    const entry = compactChanges(this._pendingChanges);
+    this._pendingChanges = [];
+
+    if (entry.length === 0) {
+      return;
+    }
+
+    this._undoEntries.push(entry);
+
+    if (this._undoEntries.length > this._maxLength) {
+      this._undoEntries.shift();
+    }
+
+    this._redoEntries = [];
+    this.callObservers();
+  }
+}
+
+function takeSnapshot(rootComponent: Component) {
+  const snapshot: Snapshot = new Map();
+
+  const snapshotComponent = function (component: Component) {
+    if (snapshot.has(component)) {
+      return;
+    }
+
+    const values = new Map<string, unknown>();
+    snapshot.set(component, values);
+
+    for (const attribute of component.getAttributes()) {
+      if (
+        attribute._getter !== undefined ||
+        attribute._setter !== undefined ||
+        attribute.isControlled()
+      ) {
+        continue;
+      }
+
+      values.set(
+        attribute.getName(),
+        attribute.isSet() ? snapshotValue(attribute.getValue()) : UNSET
+      );
+    }
+  };
+
+  const snapshotValue = function (value: unknown): unknown {
+    if (isComponentInstance(value)) {
+      // The changes of an embedded component are recorded in its own snapshot
+      if (value.constructor.isEmbedded()) {
+        snapshotComponent(value);
+      }
+
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(snapshotValue);
+    }
+
+    if (isPlainObject(value)) {
+      const object: {[key: string]: unknown} = {};
+
+      for (const [key, item] of Object.entries(value as object)) {
+        object[key] = snapshotValue(item);
+      }
+
+      return object;
+    }
+
+    return value;
+  };
+
+  snapshotComponent(rootComponent);
+
+  return snapshot;
+}
+
+function diffSnapshots(previousSnapshot: Snapshot, snapshot: Snapshot) {
+  const changes: AttributeChange[] = [];
+
+  for (const [component, values] of snapshot) {
+    const previousValues = previousSnapshot.get(component);
+
+    if (previousValues === undefined) {
+      // A component that was added (its addition is recorded in its parent)
+      continue;
+    }
+
+    for (const [attributeName, newValue] of values) {
+      const previousValue = previousValues.has(attributeName)
+        ? previousValues.get(attributeName)
+        : UNSET;
+
+      if (!valuesAreEqual(previousValue, newValue)) {
+        changes.push({component, attributeName, previousValue, newValue});
+      }
+    }
+  }
+
+  return changes;
+}
+
+function compactChanges(changes: AttributeChange[]) {
+  const compactedChanges: AttributeChange[] = [];
+
+  for (const change of changes) {
+    const existingChange = compactedChanges.find(
+      ({component, attributeName}) =>
+        component === change.component && attributeName === change.attributeName
+    );
+
+    if (existingChange !== undefined) {
+      existingChange.newValue = change.newValue;
+    } else {
+      compactedChanges.push({...change});
+    }
+  }
+
+  return compactedChanges.filter(
+    ({previousValue, newValue}) => !valuesAreEqual(previousValue, newValue)
+  );
+}
+
+function valuesAreEqual(value: unknown, otherValue: unknown): boolean {
+  if (Array.isArray(value) && Array.isArray(otherValue)) {
+    return (
+      value.length === otherValue.length &&
+      value.every((item, index) => valuesAreEqual(item, otherValue[index]))
+    );
+  }
+
+  if (isPlainObject(value) && isPlainObject(otherValue)) {
+    const keys = Object.keys(value as object);
+    const otherKeys = Object.keys(otherValue as object);
+
+    return (
+      keys.length === otherKeys.length &&
+      keys.every((key) => valuesAreEqual((value as any)[key], (otherValue as any)[key]))
+    );
+  }
+
+  return (value as any)?.valueOf() === (otherValue as any)?.valueOf();
+}
+
+// Arrays and plain objects are recreated so the snapshots are never mutated
+function restoreValue(value: unknown): unknown {
+  if (Array.isArray(value)) {
+    return value.map(restoreValue);
+  }
+
+  if (isPlainObject(value)) {
+    const object: {[key: string]: unknown} = {};
+
+    for (const [key, item] of Object.entries(value as object)) {
+      object[key] = restoreValue(item);
+    }
+
+    return object;
+  }
+
+  return value;
+}
@@ -1,5 +1,9 @@
 import {Component} from './component';
-import {IdentityMap} from './identity-map';
+import {
+  IdentityMap,
+  addIdentityMapChangeListener,
+  removeIdentityMapChangeListener
+} from './identity-map';
 import {primaryIdentifier, secondaryIdentifier} from './decorators';
 
 describe('Identity map', () => {
@@ -161,4 +165,45 @@ describe('Identity map', () => {
 
     expect(Array.from(identityMap.getComponents())).toEqual([user1, user2]);
   });
+
+  test('Change listeners', async () => {
+    class User extends Component {
+      @primaryIdentifier() id!: string;
+      @secondaryIdentifier() email!: string;
+    }
+
+    const identityMap = User.getIdentityMap();
+
+    const undoers: (() => void)[] = [];
+    const listener = (undo: () => void) => {
+      undoers.push(undo);
+    };
+
+    const user1 = new User({id: 'user1', email: '1@user.com'});
+
+    addIdentityMapChangeListener(listener);
+
+    const user2 = new User({id: 'user2', email: '2@user.com'});
+    user1.email = '1@example.com';
+    identityMap.removeComponent(user1);
+
+    removeIdentityMapChangeListener(listener);
+
+    expect(undoers).toHaveLength(6);
+
+    // A change made after the recorded changes is not undone
+    const user3 = new User({id: 'user3', email: '1@user.com'});
+
+    for (const undo of undoers.reverse()) {
+      undo();
+    }
+
+    expect(identityMap.getComponent({id: 'user1'})).toBe(user1);
+    expect(identityMap.getComponent({email: '1@example.com'})).toBeUndefined();
+    expect(identityMap.getComponent({email: '1@user.com'})).toBe(user3);
+    expect(identityMap.getComponent({id: 'user2'})).toBeUndefined();
+    expect(identityMap.getComponent({email: '2@user.com'})).toBeUndefined();
+    expect(identityMap.getComponent({id: 'user3'})).toBe(user3);
+    expect(user2.isAttached()).toBe(true);
+  });
 });
@@ -4,6 +4,22 @@ import type {Component} from './component';
 
 type IdentifierValue = string | number;
 
+type IdentityMapIndex = {[value: string]: Component};
+
+// A listener is called each time an identity map is changed with a function that can undo the
+// change (e.g., a store records the changes made by a transaction so it can roll them back)
+export type IdentityMapChangeListener = (undo: () => void) => void;
+
+const identityMapChangeListeners = new Set<IdentityMapChangeListener>();
+
+export function addIdentityMapChangeListener(listener: IdentityMapChangeListener) {
+  identityMapChangeListeners.add(listener);
+}
+
+export function removeIdentityMapChangeListener(listener: IdentityMapChangeListener) {
+  identityMapChangeListeners.delete(listener);
+}
+
 /**
  * A class to manage the instances of the [`Component`](https://layrjs.com/docs/v1/reference/component) classes that are identifiable.
  *
@@ -185,7 +201,7 @@ export class IdentityMap {
         );
       }
 
-      index[value] = component;
+      this._setIndexEntry(index, value, component);
     }
   }
 
@@ -208,7 +224,7 @@ export class IdentityMap {
     const index = this._getIndex(attributeName);
 
     if (previousValue !== undefined) {
-      delete index[previousValue];
+      this._deleteIndexEntry(index, previousValue);
     }
 
     if (newValue !== undefined) {
@@ -220,7 +236,7 @@ export class IdentityMap {
         );
       }
 
-      index[newValue] = component;
+      this._setIndexEntry(index, newValue, component);
     }
   }
 
@@ -237,7 +253,7 @@ export class IdentityMap {
       const name = identifierAttribute.getName();
       const value = identifierAttribute.getValue() as IdentifierValue;
       const index = this._getIndex(name);
-      delete index[value];
+      this._deleteIndexEntry(index, value);
     }
   }
 
@@ -283,7 +299,43 @@ export class IdentityMap {
     return indexes[name];
   }
 
-  _indexes!: {[name: string]: {[value: string]: Component}};
+  _setIndexEntry(index: IdentityMapIndex, value: IdentifierValue, component: Component) {
+    const previousComponent = hasOwnProperty(index, value) ? index[value] : undefined;
+
+    index[value] = component;
+
+    callIdentityMapChangeListeners(() => {
+      if (index[value] !== component) {
+        return; // The entry has been changed since then
+      }
+
+      if (previousComponent !== undefined) {
+        index[value] = previousComponent;
+      } else {
+        delete index[value];
+      }
+    });
+  }
+
+  _deleteIndexEntry(index: IdentityMapIndex, value: IdentifierValue) {
+    if (!hasOwnProperty(index, value)) {
+      return;
+    }
+
+    const previousComponent = index[value];
+
+    delete index[value];
+
+    callIdentityMapChangeListeners(() => {
+      if (hasOwnProperty(index, value)) {
+        return; // The entry has been changed since then
+      }
+
+      index[value] = previousComponent;
+    });
+  }
+
+  _indexes!: {[name: string]: IdentityMapIndex};
 
   _getIndexes() {
     if (!this._indexes) {
@@ -295,3 +347,9 @@ export class IdentityMap {
     return this._indexes;
   }
 }
+
+function callIdentityMapChangeListeners(undo: () => void) {
+  for (const listener of identityMapChangeListeners) {
+    listener(undo);
+  }
+}
@@ -3,7 +3,9 @@ export * from './component';
 export * from './decorators';
 export * from './deserialization';
 export * from './embedded-component';
+export * from './errors';
 export * from './forking';
+export * from './history';
 export * from './identity-map';
 export * from './merging';
 export * from './properties';
@@ -209,7 +209,7 @@ describe('Attribute', () => {
       "The following error(s) occurred while validating the attribute 'title': The validator `notEmpty()` failed (path: '')"
     );
     expect(attribute.isValid()).toBe(false);
-    expect(attribute.runValidators()).toEqual([{validator: notEmpty, path: ''}]);
+    expect(attribute.runValidators()).toEqual([{validator: notEmpty, path: '', value: ''}]);
 
     attribute.setValue(undefined);
 
@@ -217,7 +217,7 @@ describe('Attribute', () => {
       "The following error(s) occurred while validating the attribute 'title': The validator `notEmpty()` failed (path: '')"
     );
     expect(attribute.isValid()).toBe(false);
-    expect(attribute.runValidators()).toEqual([{validator: notEmpty, path: ''}]);
+    expect(attribute.runValidators()).toEqual([{validator: notEmpty, path: '', value: undefined}]);
   });
 
   test('Observability', async () => {
@@ -25,6 +25,7 @@ import {
 import {fork} from '../forking';
 import {AttributeSelector} from './attribute-selector';
 import type {Validator, ValidatorFunction} from '../validation';
+import {ensureSynchronousValidation, createValidationError} from '../validation';
 import {SerializeOptions} from '../serialization';
 import {isComponentClass, isComponentInstance, ensureComponentClass} from '../utilities';
 
@@ -382,6 +383,7 @@ export class Attribute extends Observable(Property) {
       value = createObservable(value);
     }
 
+    const wasSet = this._isSet === true;
     const previousValue = this.getValue({throwIfUnset: false});
     this._value = value;
     this._isSet = true;
@@ -400,6 +402,9 @@ export class Attribute extends Observable(Property) {
 
     if (valueHasChanged || source !== this._source) {
       this.callObservers({source});
+    } else if (!wasSet) {
+      // Setting an unset attribute is a change even if the value is `undefined`
+      this._isDirty = source !== 1;
     }
 
     return {previousValue, newValue: value};
@@ -523,6 +528,52 @@ export class Attribute extends Observable(Property) {
    * @category Value Source
    */
 
+  // === Dirty state ===
+
+  _isDirty = false;
+
+  /**
+   * Returns whether the value of the attribute has changed since it was loaded or saved (or since the last call to [`markAsClean()`](https://layrjs.com/docs/v1/reference/attribute#mark-as-clean-instance-method)).
+   *
+   * The dirty state is driven by the changes of the attribute (including the changes of an embedded component or an array contained in the attribute): a change coming from the current layer or a lower layer marks the attribute as dirty, whereas a change coming from an upper layer (i.e., a change with a [value source](https://layrjs.com/docs/v1/reference/attribute#value-source-type) of `1`, such as when a [storable component](https://layrjs.com/docs/v1/reference/storable#storable-component-class) is loaded or saved) marks the attribute as clean.
+   *
+   * @returns A boolean.
+   *
+   * @example
+   * ```
+   * const movie = await Movie.get('abc123');
+   * const title = movie.getAttribute('title');
+   * title.isDirty(); // => false
+   * movie.title = 'Inception 2';
+   * title.isDirty(); // => true
+   * await movie.save();
+   * title.isDirty(); // => false
+   * ```
+   *
+   * @category Dirty State
+   */
+  isDirty() {
+    return this._isDirty;
+  }
+
+  /**
+   * Marks the attribute as dirty.
+   *
+   * @category Dirty State
+   */
+  markAsDirty() {
+    this._isDirty = true;
+  }
+
+  /**
+   * Marks the attribute as clean (i.e., not dirty).
+   *
+   * @category Dirty State
+   */
+  markAsClean() {
+    this._isDirty = false;
+  }
+
   // === Default value ===
 
   _default?: unknown;
@@ -596,6 +647,8 @@ export class Attribute extends Observable(Property) {
       this._source = source;
     }
 
+    this._isDirty = source !== 1;
+
     this.getParent().callObservers(payload);
   }
 
@@ -640,7 +693,7 @@ export class Attribute extends Observable(Property) {
   // === Validation ===
 
   /**
-   * Validates the value of the attribute. If the value doesn't pass the validation, an error is thrown. The error is a JavaScript `Error` instance with a `failedValidators` custom attribute which contains the result of the [`runValidators()`](https://layrjs.com/docs/v1/reference/attribute#run-validators-instance-method) method.
+   * Validates the value of the attribute. If the value doesn't pass the validation, an error is thrown. The error is a [`ValidationError`](https://layrjs.com/docs/v1/reference/layr-error) instance with a `failures` custom attribute which contains an array of [`ValidationFailure`](https://layrjs.com/docs/v1/reference/validator#validation-failure-type) objects, and a non-enumerable `failedValidators` custom attribute which contains the result of the [`runValidators()`](https://layrjs.com/docs/v1/reference/attribute#run-validators-instance-method) method.
    *
    * @param [attributeSelector] In case the value of the attribute is a component, your can pass an [`AttributeSelector`](https://layrjs.com/docs/v1/reference/attribute-selector) specifying the component's attributes to be validated (default: `true`, which means that all the component's attributes will be validated).
    *
@@ -662,7 +715,7 @@ export class Attribute extends Observable(Property) {
    * title.getValue(); // => 'Inception'
    * title.validate(); // All good!
    * title.setValue('');
-   * title.validate(); // => Error {failedValidators: [{validator: ..., path: ''}]}
+   * title.validate(); // => Error {failures: [{path: '', validator: 'notEmpty', ...}]}
    * ```
    *
    * @example
@@ -683,7 +736,7 @@ export class Attribute extends Observable(Property) {
    * title.getValue(); // => 'Inception'
    * title.validate(); // All good!
    * title.setValue('');
-   * title.validate(); // => Error {failedValidators: [{validator: ..., path: ''}]}
+   * title.validate(); // => Error {failures: [{path: '', validator: 'notEmpty', ...}]}
    * ```
    *
    * @category Validation
@@ -695,18 +748,7 @@ export class Attribute extends Observable(Property) {
       return;
     }
 
-    const details = failedValidators
-      .map(({validator, path}) => `${validator.getMessage()} (path: '${path}')`)
-      .join(', ');
-
-    const error = Object.assign(
-      new Error(
-        `The following error(s) occurred while validating the attribute '${this.getName()}': ${details}`
-      ),
-      {failedValidators}
-    );
-
-    throw error;
+    throw createValidationError(failedValidators, `the attribute '${this.getName()}'`, this);
   }
 
   /**
@@ -739,7 +781,9 @@ export class Attribute extends Observable(Property) {
    *
    * @param [attributeSelector] In case the value of the attribute is a component, your can pass an [`AttributeSelector`](https://layrjs.com/docs/v1/reference/attribute-selector) specifying the component's attributes to be validated (default: `true`, which means that all the component's attributes will be validated).
    *
-   * @returns An array containing the validators that have failed. Each item is a plain object composed of a `validator` (a [`Validator`](https://layrjs.com/docs/v1/reference/validator) instance) and a `path` (a string representing the path of the attribute containing the validator that has failed).
+   * @returns An array containing the validators that have failed. Each item is a plain object composed of a `validator` (a [`Validator`](https://layrjs.com/docs/v1/reference/validator) instance) and a `path` (a string representing the path of the attribute containing the validator that has failed), and a `value` (the value that has failed the validation).
+   *
+   * Note that an error is thrown if some [asynchronous validators](https://layrjs.com/docs/v1/reference/validator#custom-validation-functions) are involved. In this case, use the [`runValidatorsAsync()`](https://layrjs.com/docs/v1/reference/component#run-validators-async-dual-method) method of the component instead.
    *
    * @example
    * ```
@@ -748,12 +792,16 @@ export class Attribute extends Observable(Property) {
    * title.getValue(); // => 'Inception'
    * title.runValidators(); // => []
    * title.setValue('');
-   * title.runValidators(); // => [{validator: ..., path: ''}]
+   * title.runValidators(); // => [{validator: ..., path: '', value: ''}]
    * ```
    *
    * @category Validation
    */
   runValidators(attributeSelector: AttributeSelector = true) {
+    return ensureSynchronousValidation(this.__runValidators(attributeSelector), this.describe());
+  }
+
+  __runValidators(attributeSelector: AttributeSelector = true) {
     if (!this.isSet()) {
       throw new Error(`Cannot run the validators of an unset attribute (${this.describe()})`);
     }
@@ -210,7 +210,7 @@ export class Property {
     }
 
     return possiblyAsync(
-      this._parent.resolvePropertyOperationSetting(setting),
+      this._parent.resolvePropertyOperationSetting(setting, {property: this, operation}),
       (resolvedSetting) => resolvedSetting === true
     );
   }
@@ -14,7 +14,7 @@ import {
   intersectAttributeSelectors
 } from '../attribute-selector';
 import {SerializeOptions} from '../../serialization';
-import {joinAttributePath} from '../../utilities';
+import {concatFailedValidators, prefixFailedValidators} from '../../validation';
 
 export class ArrayValueType extends ValueType {
   _itemType: ValueType;
@@ -30,7 +30,13 @@ export class ArrayValueType extends ValueType {
   }
 
   toString() {
-    return `${this.getItemType().toString()}[]${super.toString()}`;
+    let itemType = this.getItemType().toString();
+
+    if (itemType.includes('|') && !itemType.endsWith(')?')) {
+      itemType = `(${itemType})`; // A union such as "(string|number)[]"
+    }
+
+    return `${itemType}[]${super.toString()}`;
   }
 
   checkValue(values: unknown[], attribute: Attribute) {
@@ -123,7 +129,7 @@ export class ArrayValueType extends ValueType {
   }
 
   runValidators(values: unknown[] | undefined, attributeSelector?: AttributeSelector) {
-    const failedValidators = super.runValidators(values, attributeSelector);
+    const failedValidators = [super.runValidators(values, attributeSelector)];
 
     if (values !== undefined) {
       const itemType = this.getItemType();
@@ -131,13 +137,11 @@ export class ArrayValueType extends ValueType {
       values.forEach((value, index) => {
         const failedItemValidators = itemType.runValidators(value, attributeSelector);
 
-        for (const {validator, path} of failedItemValidators) {
-          failedValidators.push({validator, path: joinAttributePath([`[${index}]`, path])});
-        }
+        failedValidators.push(prefixFailedValidators(failedItemValidators, `[${index}]`));
       });
     }
 
-    return failedValidators;
+    return concatFailedValidators(failedValidators);
   }
 
   serializeValue(items: unknown, attribute: Attribute, options: SerializeOptions = {}) {
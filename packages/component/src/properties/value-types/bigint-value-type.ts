@@ -0,0 +1,34 @@
+import {ValueType} from './value-type';
+import type {Attribute} from '../attribute';
+
+export class BigIntValueType extends ValueType {
+  static serializationTag = '__bigint';
+
+  static isTaggedValue(value: unknown) {
+    return typeof value === 'bigint';
+  }
+
+  static serializeTaggedValue(value: bigint) {
+    return value.toString();
+  }
+
+  static deserializeTaggedValue(serializedValue: string) {
+    return BigInt(serializedValue);
+  }
+
+  toString() {
+    return `bigint${super.toString()}`;
+  }
+
+  _checkValue(value: unknown, attribute: Attribute) {
+    return super._checkValue(value, attribute) ?? typeof value === 'bigint';
+  }
+
+  static isBigIntValueType(value: any): value is BigIntValueType {
+    return isBigIntValueTypeInstance(value);
+  }
+}
+
+export function isBigIntValueTypeInstance(value: any): value is BigIntValueType {
+  return typeof value?.constructor?.isBigIntValueType === 'function';
+}
@@ -7,6 +7,7 @@ import type {
 import type {Attribute} from '../attribute';
 import type {AttributeSelector} from '../attribute-selector';
 import {SerializeOptions} from '../../serialization';
+import {concatFailedValidators} from '../../validation';
 import {
   isComponentClassOrInstance,
   isComponentClass,
@@ -106,8 +107,8 @@ export class ComponentValueType extends ValueType {
     const failedValidators = super.runValidators(value, attributeSelector);
 
     if (isComponentClassOrInstance(value)) {
-      const componentFailedValidators = value.runValidators(attributeSelector);
-      failedValidators.push(...componentFailedValidators);
+      const componentFailedValidators = value.__runValidators(attributeSelector);
+      return concatFailedValidators([failedValidators, componentFailedValidators]);
     }
 
     return failedValidators;
@@ -0,0 +1,27 @@
+import {ValueType} from './value-type';
+import type {Attribute} from '../attribute';
+
+const DECIMAL_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// The values are represented by strings (e.g., '19.99') so that they are not subject
+// to the rounding errors of the floating-point numbers
+export class DecimalValueType extends ValueType {
+  toString() {
+    return `decimal${super.toString()}`;
+  }
+
+  _checkValue(value: unknown, attribute: Attribute) {
+    return (
+      super._checkValue(value, attribute) ??
+      (typeof value === 'string' && DECIMAL_PATTERN.test(value))
+    );
+  }
+
+  static isDecimalValueType(value: any): value is DecimalValueType {
+    return isDecimalValueTypeInstance(value);
+  }
+}
+
+export function isDecimalValueTypeInstance(value: any): value is DecimalValueType {
+  return typeof value?.constructor?.isDecimalValueType === 'function';
+}
@@ -0,0 +1,39 @@
+import {ValueType, ValueTypeOptions} from './value-type';
+import type {Attribute} from '../attribute';
+
+export type EnumValue = string | number;
+
+export class EnumValueType extends ValueType {
+  _values: EnumValue[];
+
+  constructor(values: EnumValue[], attribute: Attribute, options: ValueTypeOptions = {}) {
+    super(attribute, options);
+
+    this._values = values;
+  }
+
+  getValues() {
+    return this._values;
+  }
+
+  // ['draft', 'published'] => "'draft'|'published'"
+  toString() {
+    const values = this.getValues()
+      .map((value) => (typeof value === 'string' ? `'${value}'` : String(value)))
+      .join('|');
+
+    return this.isOptional() ? `(${values})?` : values;
+  }
+
+  _checkValue(value: unknown, attribute: Attribute) {
+    return super._checkValue(value, attribute) ?? this.getValues().includes(value as EnumValue);
+  }
+
+  static isEnumValueType(value: any): value is EnumValueType {
+    return isEnumValueTypeInstance(value);
+  }
+}
+
+export function isEnumValueTypeInstance(value: any): value is EnumValueType {
+  return typeof value?.constructor?.isEnumValueType === 'function';
+}
@@ -6,6 +6,12 @@ import {isAnyValueTypeInstance} from './any-value-type';
 import {isNumberValueTypeInstance} from './number-value-type';
 import {isStringValueTypeInstance} from './string-value-type';
 import {ArrayValueType, isArrayValueTypeInstance} from './array-value-type';
+import {isDecimalValueTypeInstance} from './decimal-value-type';
+import {isBigIntValueTypeInstance} from './bigint-value-type';
+import {EnumValueType, isEnumValueTypeInstance} from './enum-value-type';
+import {UnionValueType, isUnionValueTypeInstance} from './union-value-type';
+import {ValueType} from './value-type';
+import {registerValueType, getRegisteredValueType} from './registry';
 
 describe('Factory', () => {
   class TestComponent extends Component {}
@@ -97,14 +103,153 @@ describe('Factory', () => {
     );
   });
 
+  test('Built-in custom types', async () => {
+    let type = createValueType('decimal?', attribute);
+
+    expect(isDecimalValueTypeInstance(type)).toBe(true);
+    expect(type.isOptional()).toBe(true);
+
+    type = createValueType('bigint[]', attribute);
+
+    expect(isBigIntValueTypeInstance((type as ArrayValueType).getItemType())).toBe(true);
+
+    // Enums
+
+    type = createValueType("'draft'|'published'|'archived'", attribute);
+
+    expect(isEnumValueTypeInstance(type)).toBe(true);
+    expect((type as EnumValueType).getValues()).toEqual(['draft', 'published', 'archived']);
+    expect(type.isOptional()).toBe(false);
+
+    type = createValueType('(1|2|3)?', attribute);
+
+    expect(isEnumValueTypeInstance(type)).toBe(true);
+    expect((type as EnumValueType).getValues()).toEqual([1, 2, 3]);
+    expect(type.isOptional()).toBe(true);
+    expect(type.toString()).toBe('(1|2|3)?');
+
+    type = createValueType("'auto'", attribute);
+
+    expect(isEnumValueTypeInstance(type)).toBe(true);
+    expect((type as EnumValueType).getValues()).toEqual(['auto']);
+
+    // Unions
+
+    type = createValueType('string|number[]', attribute);
+
+    expect(isUnionValueTypeInstance(type)).toBe(true);
+    expect(type.toString()).toBe('string|number[]');
+
+    let memberTypes = (type as UnionValueType).getMemberTypes();
+
+    expect(isStringValueTypeInstance(memberTypes[0])).toBe(true);
+    expect(isArrayValueTypeInstance(memberTypes[1])).toBe(true);
+
+    type = createValueType("(number|'auto'|'none')[]?", attribute);
+
+    expect(isArrayValueTypeInstance(type)).toBe(true);
+    expect(type.isOptional()).toBe(true);
+    expect(type.toString()).toBe("(number|'auto'|'none')[]?");
+
+    const itemType = (type as ArrayValueType).getItemType();
+
+    expect(isUnionValueTypeInstance(itemType)).toBe(true);
+    expect(itemType.isOptional()).toBe(false);
+
+    memberTypes = (itemType as UnionValueType).getMemberTypes();
+
+    expect(isNumberValueTypeInstance(memberTypes[0])).toBe(true);
+    expect(isEnumValueTypeInstance(memberTypes[1])).toBe(true);
+    expect((memberTypes[1] as EnumValueType).getValues()).toEqual(['auto', 'none']);
+
+    type = createValueType('(string[])?', attribute);
+
+    expect(isArrayValueTypeInstance(type)).toBe(true);
+    expect(type.isOptional()).toBe(true);
+
+    expect(() => createValueType('string|number?', attribute)).toThrow(
+      "The members of a union type cannot be optional, but the union itself can be made optional (e.g., '(string|number)?') (attribute: 'TestComponent.prototype.testAttribute', type: 'string|number?')"
+    );
+    expect(() => createValueType("'draft'|status", attribute)).toThrow(
+      "The specified type is invalid (attribute: 'TestComponent.prototype.testAttribute', type: 'status')"
+    );
+  });
+
+  test('registerValueType()', async () => {
+    class Money {
+      constructor(public amount: number, public currency: string) {}
+    }
+
+    class MoneyValueType extends ValueType {
+      static serializationTag = '__money';
+
+      static isTaggedValue(value: unknown) {
+        return value instanceof Money;
+      }
+
+      static serializeTaggedValue(money: Money) {
+        return `${money.amount} ${money.currency}`;
+      }
+
+      static deserializeTaggedValue(string: string) {
+        const [amount, currency] = string.split(' ');
+        return new Money(Number(amount), currency);
+      }
+
+      toString() {
+        return `Money${super.toString()}`;
+      }
+
+      _checkValue(value: unknown, attribute: Attribute) {
+        return super._checkValue(value, attribute) ?? value instanceof Money;
+      }
+    }
+
+    expect(getRegisteredValueType('Money')).toBeUndefined();
+
+    registerValueType('Money', MoneyValueType);
+
+    expect(getRegisteredValueType('Money')).toBe(MoneyValueType);
+
+    const type = createValueType('Money?', attribute);
+
+    expect(type).toBeInstanceOf(MoneyValueType);
+    expect(type.toString()).toBe('Money?');
+    expect(() => type.checkValue(new Money(100, 'USD'), attribute)).not.toThrow();
+    expect(() => type.checkValue(100, attribute)).toThrow(
+      "Cannot assign a value of an unexpected type (attribute: 'TestComponent.prototype.testAttribute', expected type: 'Money?', received type: 'number')"
+    );
+
+    expect(() => registerValueType('Money', MoneyValueType)).toThrow(
+      "A value type with the same name is already registered (name: 'Money')"
+    );
+    expect(() => registerValueType('number', MoneyValueType)).toThrow(
+      "A value type with the same name is already registered (name: 'number')"
+    );
+    expect(() => registerValueType('Money[]', MoneyValueType)).toThrow(
+      "The name of a value type is invalid (name: 'Money[]')"
+    );
+    expect(() => registerValueType('Price', Money as any)).toThrow(
+      "Expected a class extending 'ValueType' (name: 'Price')"
+    );
+
+    class PriceValueType extends MoneyValueType {}
+
+    expect(() => registerValueType('Price', PriceValueType)).toThrow(
+      "A value type with the same serialization tag is already registered (name: 'Price', tag: '__money')"
+    );
+  });
+
   test('Validation', async () => {
     const notEmpty = validators.notEmpty();
 
     let type = createValueType('string', attribute, {validators: [notEmpty]});
 
     expect(type.runValidators('Inception')).toEqual([]);
-    expect(type.runValidators('')).toEqual([{validator: notEmpty, path: ''}]);
-    expect(type.runValidators(undefined)).toEqual([{validator: notEmpty, path: ''}]);
+    expect(type.runValidators('')).toEqual([{validator: notEmpty, path: '', value: ''}]);
+    expect(type.runValidators(undefined)).toEqual([
+      {validator: notEmpty, path: '', value: undefined}
+    ]);
 
     type = createValueType('string[]', attribute, {
       validators: [notEmpty],
@@ -112,17 +257,21 @@ describe('Factory', () => {
     });
 
     expect(type.runValidators(['Inception'])).toEqual([]);
-    expect(type.runValidators([])).toEqual([{validator: notEmpty, path: ''}]);
-    expect(type.runValidators(undefined)).toEqual([{validator: notEmpty, path: ''}]);
-    expect(type.runValidators(['Inception', ''])).toEqual([{validator: notEmpty, path: '[1]'}]);
+    expect(type.runValidators([])).toEqual([{validator: notEmpty, path: '', value: []}]);
+    expect(type.runValidators(undefined)).toEqual([
+      {validator: notEmpty, path: '', value: undefined}
+    ]);
+    expect(type.runValidators(['Inception', ''])).toEqual([
+      {validator: notEmpty, path: '[1]', value: ''}
+    ]);
     expect(type.runValidators(['Inception', undefined])).toEqual([
-      {validator: notEmpty, path: '[1]'}
+      {validator: notEmpty, path: '[1]', value: undefined}
     ]);
 
     type = createValueType('string[][]', attribute, {items: {items: {validators: [notEmpty]}}});
 
     expect(type.runValidators([['Inception', '']])).toEqual([
-      {validator: notEmpty, path: '[0][1]'}
+      {validator: notEmpty, path: '[0][1]', value: ''}
     ]);
   });
 });
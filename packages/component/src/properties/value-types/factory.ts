@@ -7,22 +7,29 @@ import {StringValueType} from './string-value-type';
 import {ObjectValueType} from './object-value-type';
 import {DateValueType} from './date-value-type';
 import {RegExpValueType} from './regexp-value-type';
+import {DecimalValueType} from './decimal-value-type';
+import {BigIntValueType} from './bigint-value-type';
 import {ArrayValueType} from './array-value-type';
 import {ComponentValueType} from './component-value-type';
+import {EnumValueType, EnumValue} from './enum-value-type';
+import {UnionValueType} from './union-value-type';
+import {registerValueType, getRegisteredValueType} from './registry';
 import {Validator, ValidatorFunction} from '../../validation';
 import {isComponentType} from '../../utilities';
 
-const VALUE_TYPE_MAP = new Map(
-  Object.entries({
-    any: AnyValueType,
-    boolean: BooleanValueType,
-    number: NumberValueType,
-    string: StringValueType,
-    object: ObjectValueType,
-    Date: DateValueType,
-    RegExp: RegExpValueType
-  })
-);
+for (const [name, valueTypeClass] of Object.entries({
+  any: AnyValueType,
+  boolean: BooleanValueType,
+  number: NumberValueType,
+  string: StringValueType,
+  object: ObjectValueType,
+  Date: DateValueType,
+  RegExp: RegExpValueType,
+  decimal: DecimalValueType,
+  bigint: BigIntValueType
+})) {
+  registerValueType(name, valueTypeClass);
+}
 
 export type UnintrospectedValueType = {
   valueType?: string;
@@ -43,6 +50,17 @@ export function createValueType(
   const {validators = [], items} = options;
 
   let type = specifier ? specifier : 'any';
+
+  // The union operator has the lowest precedence (e.g., 'string|number[]' means a string or
+  // an array of numbers), and parentheses can be used to group the members of a union
+  const memberSpecifiers = splitUnionSpecifier(type);
+
+  if (memberSpecifiers.length > 1) {
+    assertNoItemsOption(items, attribute, specifier);
+
+    return createUnionValueType(memberSpecifiers, attribute, {isOptional: false, validators});
+  }
+
   let isOptional: boolean;
 
   if (type.endsWith('?')) {
@@ -62,13 +80,20 @@ export function createValueType(
     return new ArrayValueType(itemType, attribute, {isOptional, validators});
   }
 
-  if (items !== undefined) {
-    throw new Error(
-      `The 'items' option cannot be specified for a type that is not an array (${attribute.describe()}, type: '${specifier}')`
-    );
+  assertNoItemsOption(items, attribute, specifier);
+
+  if (type.startsWith('(') && type.endsWith(')')) {
+    return createUnionValueType(splitUnionSpecifier(type.slice(1, -1)), attribute, {
+      isOptional,
+      validators
+    });
+  }
+
+  if (isLiteralSpecifier(type)) {
+    return new EnumValueType([parseLiteralSpecifier(type)], attribute, {isOptional, validators});
   }
 
-  const ValueTypeClass = VALUE_TYPE_MAP.get(type);
+  const ValueTypeClass = getRegisteredValueType(type);
 
   if (ValueTypeClass !== undefined) {
     return new ValueTypeClass(attribute, {isOptional, validators});
@@ -83,6 +108,105 @@ export function createValueType(
   return new ComponentValueType(type, attribute, {isOptional, validators});
 }
 
+function createUnionValueType(
+  memberSpecifiers: string[],
+  attribute: Attribute,
+  {isOptional, validators}: {isOptional: boolean; validators: (Validator | ValidatorFunction)[]}
+) {
+  if (memberSpecifiers.length === 1 && !isLiteralSpecifier(memberSpecifiers[0])) {
+    // A parenthesized type such as '(number[])?'
+    return createValueType(`${memberSpecifiers[0]}${isOptional ? '?' : ''}`, attribute, {
+      validators
+    });
+  }
+
+  const memberTypes: ValueType[] = [];
+  const enumValues: EnumValue[] = [];
+  let enumIndex: number | undefined;
+
+  for (const memberSpecifier of memberSpecifiers) {
+    // The literals are grouped into a single enum (e.g., "'draft'|'published'")
+    if (isLiteralSpecifier(memberSpecifier)) {
+      if (enumIndex === undefined) {
+        enumIndex = memberTypes.length;
+      }
+
+      enumValues.push(parseLiteralSpecifier(memberSpecifier));
+      continue;
+    }
+
+    const memberType = createValueType(memberSpecifier, attribute);
+
+    if (memberType.isOptional()) {
+      throw new Error(
+        `The members of a union type cannot be optional, but the union itself can be made optional (e.g., '(string|number)?') (${attribute.describe()}, type: '${memberSpecifiers.join(
+          '|'
+        )}')`
+      );
+    }
+
+    memberTypes.push(memberType);
+  }
+
+  if (memberTypes.length === 0) {
+    return new EnumValueType(enumValues, attribute, {isOptional, validators});
+  }
+
+  if (enumIndex !== undefined) {
+    memberTypes.splice(enumIndex, 0, new EnumValueType(enumValues, attribute));
+  }
+
+  return new UnionValueType(memberTypes, attribute, {isOptional, validators});
+}
+
+// "string|(number|'auto')[]" => ['string', "(number|'auto')[]"]
+export function splitUnionSpecifier(specifier: string) {
+  const memberSpecifiers: string[] = [];
+
+  let depth = 0;
+  let start = 0;
+
+  for (let index = 0; index < specifier.length; index++) {
+    const character = specifier[index];
+
+    if (character === '(') {
+      depth++;
+    } else if (character === ')') {
+      depth--;
+    } else if (character === '|' && depth === 0) {
+      memberSpecifiers.push(specifier.slice(start, index));
+      start = index + 1;
+    }
+  }
+
+  memberSpecifiers.push(specifier.slice(start));
+
+  return memberSpecifiers;
+}
+
+// "'draft'" or '42'
+export function isLiteralSpecifier(specifier: string) {
+  return /^'[^'|()]*'$/.test(specifier) || /^-?\d+(\.\d+)?$/.test(specifier);
+}
+
+// "'draft'" => 'draft'
+// '42' => 42
+export function parseLiteralSpecifier(specifier: string): EnumValue {
+  return specifier.startsWith("'") ? specifier.slice(1, -1) : Number(specifier);
+}
+
+function assertNoItemsOption(
+  items: CreateValueTypeOptions | undefined,
+  attribute: Attribute,
+  specifier: string | undefined
+) {
+  if (items !== undefined) {
+    throw new Error(
+      `The 'items' option cannot be specified for a type that is not an array (${attribute.describe()}, type: '${specifier}')`
+    );
+  }
+}
+
 export function unintrospectValueType({
   valueType,
   validators: introspectedValidators,
@@ -1,11 +1,16 @@
 export * from './any-value-type';
 export * from './array-value-type';
+export * from './bigint-value-type';
 export * from './boolean-value-type';
 export * from './component-value-type';
 export * from './date-value-type';
+export * from './decimal-value-type';
+export * from './enum-value-type';
 export * from './factory';
 export * from './number-value-type';
 export * from './object-value-type';
 export * from './regexp-value-type';
+export * from './registry';
 export * from './string-value-type';
+export * from './union-value-type';
 export * from './value-type';
@@ -0,0 +1,151 @@
+import type {ValueType} from './value-type';
+
+export type ValueTypeClass = typeof ValueType;
+
+const valueTypeClasses = new Map<string, ValueTypeClass>();
+
+const taggedValueTypeClasses = new Map<string, ValueTypeClass>();
+
+/**
+ * Registers a custom [`ValueType`](https://layrjs.com/docs/v1/reference/value-type) class so that it can be used to specify the type of an attribute.
+ *
+ * The class should extend `ValueType`, and it can override the following methods:
+ *
+ * * `toString()`: Returns the name of the type followed by `super.toString()` (which returns `'?'` if the type is optional).
+ * * `_checkValue(value, attribute)`: Returns `super._checkValue(value, attribute)` if it is not `undefined` (which means that `value` is `undefined`), or a boolean specifying whether `value` is of the expected type.
+ *
+ * If the values of the type cannot be represented in JSON, the class should also define the following static members so that the values can be sent to a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) and saved to a [`Store`](https://layrjs.com/docs/v1/reference/store):
+ *
+ * * `serializationTag`: A string starting with `'__'` (e.g., `'__money'`) used to identify the serialized values. A serialized value is a plain object of the shape `{[serializationTag]: serializedValue}`, and it is stored as is in the stores (so, in a query, such a value can only be compared for equality).
+ * * `isTaggedValue(value)`: Returns whether `value` should be serialized with the tag.
+ * * `serializeTaggedValue(value)`: Returns a JSON representation of `value`.
+ * * `deserializeTaggedValue(serializedValue)`: Returns the value represented by `serializedValue`.
+ *
+ * Note that the same classes should be registered in the frontend and the backend, because the type of the attributes is transmitted as a string when a [`ComponentClient`](https://layrjs.com/docs/v1/reference/component-client) introspects a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server).
+ *
+ * @param name A string representing the name of the type (e.g., `'Money'`).
+ * @param valueTypeClass A class extending `ValueType`.
+ *
+ * @example
+ * ```
+ * import {Component, ValueType, registerValueType, attribute} from '﹫layr/component';
+ *
+ * class Money {
+ *   constructor(amount, currency) {
+ *     this.amount = amount;
+ *     this.currency = currency;
+ *   }
+ * }
+ *
+ * class MoneyValueType extends ValueType {
+ *   static serializationTag = '__money';
+ *
+ *   static isTaggedValue(value) {
+ *     return value instanceof Money;
+ *   }
+ *
+ *   static serializeTaggedValue(money) {
+ *     return `${money.amount} ${money.currency}`;
+ *   }
+ *
+ *   static deserializeTaggedValue(string) {
+ *     const [amount, currency] = string.split(' ');
+ *     return new Money(Number(amount), currency);
+ *   }
+ *
+ *   toString() {
+ *     return `Money${super.toString()}`;
+ *   }
+ *
+ *   _checkValue(value, attribute) {
+ *     return super._checkValue(value, attribute) ?? value instanceof Money;
+ *   }
+ * }
+ *
+ * registerValueType('Money', MoneyValueType);
+ *
+ * class Movie extends Component {
+ *   ﹫attribute('Money?') budget;
+ * }
+ * ```
+ *
+ * @category Functions
+ */
+export function registerValueType(name: string, valueTypeClass: ValueTypeClass) {
+  if (!/^[A-Za-z_$][\w$]*$/.test(name)) {
+    throw new Error(`The name of a value type is invalid (name: '${name}')`);
+  }
+
+  if (typeof valueTypeClass?.isValueType !== 'function') {
+    throw new Error(`Expected a class extending 'ValueType' (name: '${name}')`);
+  }
+
+  if (valueTypeClasses.has(name)) {
+    throw new Error(`A value type with the same name is already registered (name: '${name}')`);
+  }
+
+  const tag = valueTypeClass.serializationTag;
+
+  if (tag !== undefined) {
+    if (!tag.startsWith('__')) {
+      throw new Error(
+        `The serialization tag of a value type should start with '__' (name: '${name}', tag: '${tag}')`
+      );
+    }
+
+    if (taggedValueTypeClasses.has(tag)) {
+      throw new Error(
+        `A value type with the same serialization tag is already registered (name: '${name}', tag: '${tag}')`
+      );
+    }
+
+    taggedValueTypeClasses.set(tag, valueTypeClass);
+  }
+
+  valueTypeClasses.set(name, valueTypeClass);
+}
+
+/**
+ * Returns the [`ValueType`](https://layrjs.com/docs/v1/reference/value-type) class registered with a specific name.
+ *
+ * @param name A string representing the name of a type (e.g., `'number'` or `'Money'`).
+ *
+ * @returns A class extending `ValueType`, or `undefined` if no class is registered with the specified name.
+ *
+ * @category Functions
+ */
+export function getRegisteredValueType(name: string) {
+  return valueTypeClasses.get(name);
+}
+
+export function getTaggedValueTypes() {
+  return taggedValueTypeClasses;
+}
+
+// {__bigint: '123'} => 123n
+export function deserializeTaggedValue(object: object): {value: unknown} | undefined {
+  const keys = Object.keys(object);
+
+  if (keys.length !== 1) {
+    return undefined;
+  }
+
+  const valueTypeClass = taggedValueTypeClasses.get(keys[0]);
+
+  if (valueTypeClass === undefined) {
+    return undefined;
+  }
+
+  return {value: valueTypeClass.deserializeTaggedValue((object as any)[keys[0]])};
+}
+
+// 123n => {__bigint: '123'}
+export function serializeTaggedValue(value: unknown): {value: object} | undefined {
+  for (const [tag, valueTypeClass] of taggedValueTypeClasses) {
+    if (valueTypeClass.isTaggedValue(value)) {
+      return {value: {[tag]: valueTypeClass.serializeTaggedValue(value)}};
+    }
+  }
+
+  return undefined;
+}
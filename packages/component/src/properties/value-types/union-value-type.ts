@@ -0,0 +1,111 @@
+import {ValueType, ValueTypeOptions} from './value-type';
+import type {
+  TraverseAttributesIteratee,
+  TraverseAttributesOptions,
+  ResolveAttributeSelectorOptions
+} from '../../component';
+import type {Attribute} from '../attribute';
+import type {AttributeSelector} from '../attribute-selector';
+import {SerializeOptions} from '../../serialization';
+import {concatFailedValidators} from '../../validation';
+import {isComponentClassOrInstance} from '../../utilities';
+
+export class UnionValueType extends ValueType {
+  _memberTypes: ValueType[];
+
+  constructor(memberTypes: ValueType[], attribute: Attribute, options: ValueTypeOptions = {}) {
+    super(attribute, options);
+
+    this._memberTypes = memberTypes;
+  }
+
+  getMemberTypes() {
+    return this._memberTypes;
+  }
+
+  // Returns the first member type matching the specified value
+  getMemberTypeOfValue(value: unknown, attribute: Attribute) {
+    return this.getMemberTypes().find(
+      (memberType) => memberType._checkValue(value, attribute) === true
+    );
+  }
+
+  // [string, number] => 'string|number'
+  toString() {
+    const memberTypes = this.getMemberTypes()
+      .map((memberType) => memberType.toString())
+      .join('|');
+
+    return this.isOptional() ? `(${memberTypes})?` : memberTypes;
+  }
+
+  _checkValue(value: unknown, attribute: Attribute) {
+    return (
+      super._checkValue(value, attribute) ??
+      this.getMemberTypeOfValue(value, attribute) !== undefined
+    );
+  }
+
+  _traverseAttributes(
+    iteratee: TraverseAttributesIteratee,
+    attribute: Attribute,
+    value: unknown,
+    options: TraverseAttributesOptions
+  ) {
+    const memberType = this.getMemberTypeOfValue(value, attribute);
+
+    if (memberType !== undefined) {
+      memberType._traverseAttributes(iteratee, attribute, value, options);
+    }
+  }
+
+  _resolveAttributeSelector(
+    normalizedAttributeSelector: AttributeSelector,
+    attribute: Attribute,
+    value: unknown,
+    options: ResolveAttributeSelectorOptions
+  ): AttributeSelector {
+    const memberType = this.getMemberTypeOfValue(value, attribute);
+
+    if (memberType !== undefined) {
+      return memberType._resolveAttributeSelector(
+        normalizedAttributeSelector,
+        attribute,
+        value,
+        options
+      );
+    }
+
+    return super._resolveAttributeSelector(normalizedAttributeSelector, attribute, value, options);
+  }
+
+  runValidators(value: unknown, attributeSelector?: AttributeSelector) {
+    const failedValidators = super.runValidators(value, attributeSelector);
+
+    // The member types have no validators, but a component may have some
+    if (isComponentClassOrInstance(value)) {
+      const componentFailedValidators = value.__runValidators(attributeSelector);
+      return concatFailedValidators([failedValidators, componentFailedValidators]);
+    }
+
+    return failedValidators;
+  }
+
+  serializeValue(value: unknown, attribute: Attribute, options: SerializeOptions = {}) {
+    const memberType = this.getMemberTypeOfValue(value, attribute);
+
+    if (memberType !== undefined) {
+      return memberType.serializeValue(value, attribute, options);
+    }
+
+    return super.serializeValue(value, attribute, options);
+  }
+
+  static isUnionValueType(value: any): value is UnionValueType {
+    return isUnionValueTypeInstance(value);
+  }
+}
+
+export function isUnionValueTypeInstance(value: any): value is UnionValueType {
+  return typeof value?.constructor?.isUnionValueType === 'function';
+}
@@ -10,6 +10,10 @@ import {DateValueType, isDateValueTypeInstance} from './date-value-type';
 import {RegExpValueType, isRegExpValueTypeInstance} from './regexp-value-type';
 import {ArrayValueType, isArrayValueTypeInstance} from './array-value-type';
 import {ComponentValueType, isComponentValueTypeInstance} from './component-value-type';
+import {DecimalValueType, isDecimalValueTypeInstance} from './decimal-value-type';
+import {BigIntValueType, isBigIntValueTypeInstance} from './bigint-value-type';
+import {EnumValueType, isEnumValueTypeInstance} from './enum-value-type';
+import {UnionValueType, isUnionValueTypeInstance} from './union-value-type';
 
 describe('ValueType', () => {
   class TestComponent extends Component {}
@@ -211,6 +215,140 @@ describe('ValueType', () => {
     expect(() => type.checkValue(undefined, attribute)).not.toThrow();
   });
 
+  test('DecimalValueType', async () => {
+    let type = new DecimalValueType(attribute);
+
+    expect(isDecimalValueTypeInstance(type)).toBe(true);
+
+    expect(type.toString()).toBe('decimal');
+
+    expect(() => type.checkValue('19.99', attribute)).not.toThrow();
+    expect(() => type.checkValue('-5', attribute)).not.toThrow();
+    expect(() => type.checkValue('1.2.3', attribute)).toThrow(
+      "Cannot assign a value of an unexpected type (attribute: 'TestComponent.prototype.testAttribute', expected type: 'decimal', received type: 'string')"
+    );
+    expect(() => type.checkValue(19.99, attribute)).toThrow(
+      "Cannot assign a value of an unexpected type (attribute: 'TestComponent.prototype.testAttribute', expected type: 'decimal', received type: 'number')"
+    );
+    expect(() => type.checkValue(undefined, attribute)).toThrow(
+      "Cannot assign a value of an unexpected type (attribute: 'TestComponent.prototype.testAttribute', expected type: 'decimal', received type: 'undefined')"
+    );
+
+    type = new DecimalValueType(attribute, {isOptional: true});
+
+    expect(type.toString()).toBe('decimal?');
+
+    expect(() => type.checkValue('19.99', attribute)).not.toThrow();
+    expect(() => type.checkValue(undefined, attribute)).not.toThrow();
+  });
+
+  test('BigIntValueType', async () => {
+    let type = new BigIntValueType(attribute);
+
+    expect(isBigIntValueTypeInstance(type)).toBe(true);
+
+    expect(type.toString()).toBe('bigint');
+
+    expect(() => type.checkValue(9007199254740993n, attribute)).not.toThrow();
+    expect(() => type.checkValue(1, attribute)).toThrow(
+      "Cannot assign a value of an unexpected type (attribute: 'TestComponent.prototype.testAttribute', expected type: 'bigint', received type: 'number')"
+    );
+    expect(() => type.checkValue(undefined, attribute)).toThrow(
+      "Cannot assign a value of an unexpected type (attribute: 'TestComponent.prototype.testAttribute', expected type: 'bigint', received type: 'undefined')"
+    );
+
+    type = new BigIntValueType(attribute, {isOptional: true});
+
+    expect(type.toString()).toBe('bigint?');
+
+    expect(() => type.checkValue(1n, attribute)).not.toThrow();
+    expect(() => type.checkValue(undefined, attribute)).not.toThrow();
+
+    expect(BigIntValueType.serializeTaggedValue(9007199254740993n)).toBe('9007199254740993');
+    expect(BigIntValueType.deserializeTaggedValue('9007199254740993')).toBe(9007199254740993n);
+  });
+
+  test('EnumValueType', async () => {
+    let type = new EnumValueType(['draft', 'published', 0], attribute);
+
+    expect(isEnumValueTypeInstance(type)).toBe(true);
+
+    expect(type.getValues()).toEqual(['draft', 'published', 0]);
+    expect(type.toString()).toBe("'draft'|'published'|0");
+
+    expect(() => type.checkValue('draft', attribute)).not.toThrow();
+    expect(() => type.checkValue(0, attribute)).not.toThrow();
+    expect(() => type.checkValue('archived', attribute)).toThrow(
+      "Cannot assign a value of an unexpected type (attribute: 'TestComponent.prototype.testAttribute', expected type: ''draft'|'published'|0', received type: 'string')"
+    );
+    expect(() => type.checkValue(undefined, attribute)).toThrow(
+      "Cannot assign a value of an unexpected type (attribute: 'TestComponent.prototype.testAttribute', expected type: ''draft'|'published'|0', received type: 'undefined')"
+    );
+
+    type = new EnumValueType(['draft', 'published'], attribute, {isOptional: true});
+
+    expect(type.toString()).toBe("('draft'|'published')?");
+
+    expect(() => type.checkValue('published', attribute)).not.toThrow();
+    expect(() => type.checkValue(undefined, attribute)).not.toThrow();
+  });
+
+  test('UnionValueType', async () => {
+    class Movie extends Component {}
+
+    class Actor extends Component {}
+
+    class App extends Component {
+      @provide() static Movie = Movie;
+      @provide() static Actor = Actor;
+    }
+
+    const attribute = new Attribute('testAttribute', App);
+
+    const numberType = new NumberValueType(attribute);
+    const movieType = new ComponentValueType('Movie', attribute);
+    const autoType = new EnumValueType(['auto'], attribute);
+
+    let type = new UnionValueType([numberType, movieType, autoType], attribute);
+
+    expect(isUnionValueTypeInstance(type)).toBe(true);
+
+    expect(type.getMemberTypes()).toEqual([numberType, movieType, autoType]);
+    expect(type.toString()).toBe("number|Movie|'auto'");
+
+    const movie = new Movie();
+
+    expect(type.getMemberTypeOfValue(1, attribute)).toBe(numberType);
+    expect(type.getMemberTypeOfValue(movie, attribute)).toBe(movieType);
+    expect(type.getMemberTypeOfValue('auto', attribute)).toBe(autoType);
+    expect(type.getMemberTypeOfValue('manual', attribute)).toBeUndefined();
+
+    expect(() => type.checkValue(1, attribute)).not.toThrow();
+    expect(() => type.checkValue(movie, attribute)).not.toThrow();
+    expect(() => type.checkValue('auto', attribute)).not.toThrow();
+    expect(() => type.checkValue(new Actor(), attribute)).toThrow(
+      "Cannot assign a value of an unexpected type (attribute: 'App.testAttribute', expected type: 'number|Movie|'auto'', received type: 'Actor')"
+    );
+    expect(() => type.checkValue(undefined, attribute)).toThrow(
+      "Cannot assign a value of an unexpected type (attribute: 'App.testAttribute', expected type: 'number|Movie|'auto'', received type: 'undefined')"
+    );
+
+    type = new UnionValueType([numberType, movieType], attribute, {isOptional: true});
+
+    expect(type.toString()).toBe('(number|Movie)?');
+
+    expect(() => type.checkValue(1, attribute)).not.toThrow();
+    expect(() => type.checkValue(undefined, attribute)).not.toThrow();
+
+    expect(new ArrayValueType(type, attribute).toString()).toBe('(number|Movie)?[]');
+    expect(
+      new ArrayValueType(
+        new UnionValueType([numberType, movieType], attribute),
+        attribute
+      ).toString()
+    ).toBe('(number|Movie)[]');
+  });
+
   test('ArrayValueType', async () => {
     let itemType = new NumberValueType(attribute);
     let type = new ArrayValueType(itemType, attribute);
@@ -1,4 +1,5 @@
 import {getTypeOf} from 'core-helpers';
+import {possiblyAsync} from 'possibly-async';
 
 import type {
   TraverseAttributesIteratee,
@@ -12,7 +13,8 @@ import {
   ValidatorFunction,
   IntrospectedValidator,
   runValidators,
-  normalizeValidator
+  normalizeValidator,
+  PossiblyAsyncFailedValidators
 } from '../../validation';
 import {serialize, SerializeOptions} from '../../serialization';
 
@@ -122,6 +124,24 @@ export type ValueTypeOptions = {
  * * `'boolean'`: A boolean.
  * * `'number'`: A floating-point number.
  * * `'string'`: A string.
+ * * `'decimal'`: A string representing a decimal number with an arbitrary precision (e.g., `'19.99'`).
+ * * `'bigint'`: A JavaScript `BigInt`.
+ *
+ * ##### Literals
+ *
+ * To restrict a value to a set of literals (i.e., an enum), specify the allowed strings (in single quotes) or numbers separated by a vertical bar (`'|'`):
+ *
+ * * `"'draft'|'published'|'archived'"`: One of the strings `'draft'`, `'published'`, or `'archived'`.
+ * * `'1|2|3'`: One of the numbers `1`, `2`, or `3`.
+ *
+ * ##### Unions
+ *
+ * To specify a value that can be of several types, separate the types with a vertical bar (`'|'`). Like in TypeScript, the vertical bar has the lowest precedence, so you can use parentheses to group some types:
+ *
+ * * `'string|number'`: A string or a number.
+ * * `"number|'auto'"`: A number or the string `'auto'`.
+ * * `'(string|number)[]'`: An array of strings or numbers.
+ * * `'(Movie|Actor)?'`: A reference to a `Movie` or an `Actor` component instance, or `undefined`.
  *
  * ##### Arrays
  *
@@ -168,6 +188,10 @@ export type ValueTypeOptions = {
  * In some rare occasions, you may want to define an attribute that can handle any type of values. To do so, you can specify the string `'any'`:
  *
  * * `'any'`: Any type of values.
+ *
+ * ##### Custom Types
+ *
+ * You can add your own types with the [`registerValueType()`](https://layrjs.com/docs/v1/reference/value-type#register-value-type-function) function.
  */
 export class ValueType {
   _isOptional: boolean | undefined;
@@ -287,20 +311,19 @@ export class ValueType {
   }
 
   isValidValue(value: unknown) {
-    const failedValidators = this.runValidators(value);
-
-    return failedValidators.length === 0;
+    return possiblyAsync(
+      this.runValidators(value),
+      (failedValidators) => failedValidators.length === 0
+    );
   }
 
-  runValidators(value: unknown, _attributeSelector?: AttributeSelector) {
-    const failedValidators = runValidators(this.getValidators(), value);
-
-    const failedValidatorsWithPath = failedValidators.map((failedValidator) => ({
-      validator: failedValidator,
-      path: ''
-    }));
-
-    return failedValidatorsWithPath;
+  runValidators(
+    value: unknown,
+    _attributeSelector?: AttributeSelector
+  ): PossiblyAsyncFailedValidators {
+    return possiblyAsync(runValidators(this.getValidators(), value), (failedValidators) =>
+      failedValidators.map((failedValidator) => ({validator: failedValidator, path: '', value}))
+    );
   }
 
   serializeValue(value: unknown, _attribute: Attribute, options: SerializeOptions = {}) {
@@ -318,4 +341,30 @@ export class ValueType {
 
     return introspectedValueType;
   }
+  // === Serialization tags ===
+
+  // See `registerValueType()`
+  static serializationTag: string | undefined;
+
+  static isTaggedValue(_value: unknown) {
+    return false;
+  }
+
+  static serializeTaggedValue(value: unknown): unknown {
+    return value;
+  }
+
+  static deserializeTaggedValue(serializedValue: unknown): unknown {
+    return serializedValue;
+  }
+
+  // === Utilities ===
+
+  static isValueType(value: any): value is ValueType {
+    return isValueTypeInstance(value);
+  }
+}
+
+export function isValueTypeInstance(value: any): value is ValueType {
+  return typeof value?.constructor?.isValueType === 'function';
 }
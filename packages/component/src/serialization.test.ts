@@ -419,6 +419,26 @@ describe('Serialization', () => {
     expect(Array.from(componentDependencies)).toEqual([Cinema, Movie]);
   });
 
+  test('Tagged values', async () => {
+    expect(serialize(9007199254740993n)).toStrictEqual({__bigint: '9007199254740993'});
+    expect(serialize([1n, {amount: 2n}])).toStrictEqual([
+      {__bigint: '1'},
+      {amount: {__bigint: '2'}}
+    ]);
+
+    class Account extends Component {
+      @attribute('bigint') balance = 100n;
+      @attribute('(bigint|string)[]') history = [1n, 'reset'];
+    }
+
+    expect(new Account().serialize()).toStrictEqual({
+      __component: 'Account',
+      __new: true,
+      balance: {__bigint: '100'},
+      history: [{__bigint: '1'}, 'reset']
+    });
+  });
+
   test('Functions', async () => {
     function sum(a: number, b: number) {
       return a + b;
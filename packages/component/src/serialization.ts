@@ -4,10 +4,12 @@ import {
   SerializeResult
 } from 'simple-serialization';
 import {possiblyAsync} from 'possibly-async';
-import {isES2015Class} from 'core-helpers';
+import {isES2015Class, isPlainObject} from 'core-helpers';
+import mapValues from 'lodash/mapValues';
 
 import type {ComponentSet} from './component';
 import type {PropertyFilter, AttributeSelector} from './properties';
+import {serializeTaggedValue} from './properties/value-types/registry';
 import {isComponentClassOrInstance} from './utilities';
 
 export type SerializeOptions = SimpleSerializeOptions & {
@@ -112,7 +114,56 @@ export function serialize(value: any, options: SerializeOptions = {}) {
     };
   }
 
-  return simpleSerialize(value, {...otherOptions, objectSerializer, functionSerializer});
+  return simpleSerialize(tagValues(value), {
+    ...otherOptions,
+    objectSerializer,
+    functionSerializer
+  });
+}
+
+// Since simple-serialization leaves the primitive values (e.g., bigints) untouched, the values
+// of the value types having a serialization tag are tagged before the serialization
+// (e.g., `{amount: 123n}` => `{amount: {__bigint: '123'}}`)
+function tagValues(value: unknown): unknown {
+  const taggedValue = serializeTaggedValue(value);
+
+  if (taggedValue !== undefined) {
+    return taggedValue.value;
+  }
+
+  if (Array.isArray(value)) {
+    let hasTaggedItems = false;
+
+    const items = value.map((item) => {
+      const taggedItem = tagValues(item);
+
+      if (taggedItem !== item) {
+        hasTaggedItems = true;
+      }
+
+      return taggedItem;
+    });
+
+    return hasTaggedItems ? items : value;
+  }
+
+  if (isPlainObject(value)) {
+    let hasTaggedAttributes = false;
+
+    const attributes = mapValues(value, (attributeValue) => {
+      const taggedAttributeValue = tagValues(attributeValue);
+
+      if (taggedAttributeValue !== attributeValue) {
+        hasTaggedAttributes = true;
+      }
+
+      return taggedAttributeValue;
+    });
+
+    return hasTaggedAttributes ? attributes : value;
+  }
+
+  return value;
 }
 
 export function serializeFunction(func: Function) {
@@ -1,3 +1,4 @@
+export * from './messages';
 export * from './utilities';
 export * from './validator-builders';
 export * from './validator';
@@ -0,0 +1,298 @@
+import {Component} from '../component';
+import {EmbeddedComponent} from '../embedded-component';
+import {attribute, expose, validator, provide} from '../decorators';
+import {ValidationError} from '../errors';
+import {validators} from './validator-builders';
+import {
+  createValidationFailures,
+  registerValidationMessages,
+  setValidationLocale,
+  getValidationLocale,
+  localizeValidationFailure
+} from './messages';
+
+describe('Messages', () => {
+  const {notEmpty, maxLength, range, match} = validators;
+
+  afterEach(() => {
+    setValidationLocale('en');
+  });
+
+  test('createValidationFailures()', async () => {
+    expect(
+      createValidationFailures([
+        {validator: notEmpty(), path: 'title', value: ''},
+        {validator: maxLength(3), path: 'tags', value: ['a', 'b', 'c', 'd']},
+        {validator: maxLength(3), path: 'code', value: 'abcd'},
+        {validator: range([1, 5]), path: 'rating', value: 7},
+        {validator: match(/^\d+$/), path: 'reference', value: 'abc'}
+      ])
+    ).toStrictEqual([
+      {
+        path: 'title',
+        validator: 'notEmpty',
+        arguments: [],
+        value: '',
+        message: 'The value cannot be empty'
+      },
+      {
+        path: 'tags',
+        validator: 'maxLength',
+        arguments: [3],
+        value: ['a', 'b', 'c', 'd'],
+        message: 'The value cannot contain more than 3 item(s)'
+      },
+      {
+        path: 'code',
+        validator: 'maxLength',
+        arguments: [3],
+        value: 'abcd',
+        message: 'The value cannot contain more than 3 character(s)'
+      },
+      {
+        path: 'rating',
+        validator: 'range',
+        arguments: [[1, 5]],
+        value: 7,
+        message: 'The value must be between 1 and 5'
+      },
+      {
+        path: 'reference',
+        validator: 'match',
+        arguments: [/^\d+$/],
+        value: 'abc',
+        message: 'The value has an invalid format'
+      }
+    ]);
+
+    // Custom messages
+
+    expect(
+      createValidationFailures([
+        {validator: maxLength(16, 'A username cannot exceed 16 characters'), path: '', value: ''}
+      ])[0].message
+    ).toBe('A username cannot exceed 16 characters');
+
+    // Custom validators
+
+    function isEven(value: number) {
+      return value % 2 === 0;
+    }
+
+    class Movie extends Component {
+      @attribute('number', {validators: [isEven]}) count = 1;
+    }
+
+    const [failure] = createValidationFailures(new Movie().runValidators());
+
+    expect(failure).toStrictEqual({
+      path: 'count',
+      validator: 'isEven',
+      arguments: [],
+      value: 1,
+      message: 'The validator `isEven()` failed'
+    });
+
+    // Components are not included in the failures
+
+    class Director extends Component {}
+
+    expect(
+      createValidationFailures([{validator: notEmpty(), path: 'director', value: new Director()}])
+    ).toStrictEqual([
+      {
+        path: 'director',
+        validator: 'notEmpty',
+        arguments: [],
+        message: 'The value cannot be empty'
+      }
+    ]);
+  });
+
+  test('Localization', async () => {
+    expect(getValidationLocale()).toBe('en');
+
+    registerValidationMessages('fr', {
+      notEmpty: 'La valeur ne peut pas être vide',
+      maxLength: ({arguments: [maxLength]}) => `La valeur ne peut pas dépasser ${maxLength}`
+    });
+
+    setValidationLocale('fr-CA');
+
+    expect(getValidationLocale()).toBe('fr-CA');
+
+    const failures = createValidationFailures([
+      {validator: notEmpty(), path: 'title', value: ''},
+      {validator: maxLength(3), path: 'tags', value: ['a', 'b', 'c', 'd']},
+      {validator: range([1, 5]), path: 'rating', value: 7}
+    ]);
+
+    // The messages that are missing in a locale are taken from the 'en' locale
+    expect(failures.map(({message}) => message)).toEqual([
+      'La valeur ne peut pas être vide',
+      'La valeur ne peut pas dépasser 3',
+      'The value must be between 1 and 5'
+    ]);
+
+    setValidationLocale('en');
+
+    // The locale can be specified for a single call
+    expect(
+      createValidationFailures([{validator: notEmpty(), path: 'title', value: ''}], {
+        locale: 'fr'
+      })[0].message
+    ).toBe('La valeur ne peut pas être vide');
+    expect(
+      createValidationFailures([{validator: notEmpty(), path: 'title', value: ''}])[0].message
+    ).toBe('The value cannot be empty');
+
+    expect(localizeValidationFailure(failures[0])).toBe('The value cannot be empty');
+    expect(localizeValidationFailure(failures[0], {locale: 'fr'})).toBe(
+      'La valeur ne peut pas être vide'
+    );
+    expect(localizeValidationFailure(failures[2], {locale: 'de'})).toBe(
+      'The value must be between 1 and 5'
+    );
+
+    expect(() => setValidationLocale('french')).toThrow(
+      "The specified locale is invalid (locale: 'french')"
+    );
+    expect(() => registerValidationMessages('', {})).toThrow(
+      "The specified locale is invalid (locale: '')"
+    );
+  });
+
+  test('Validation errors', async () => {
+    class Movie extends Component {
+      @expose({get: true}) @attribute('string', {validators: [notEmpty()]}) title = '';
+      @expose({get: true}) @attribute('number', {validators: [range([1, 5])]}) rating = 7;
+    }
+
+    const movie = new Movie();
+
+    let error: any;
+
+    try {
+      movie.validate();
+    } catch (caughtError) {
+      error = caughtError;
+    }
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.failures).toStrictEqual([
+      {
+        path: 'title',
+        validator: 'notEmpty',
+        arguments: [],
+        value: '',
+        message: 'The value cannot be empty'
+      },
+      {
+        path: 'rating',
+        validator: 'range',
+        arguments: [[1, 5]],
+        value: 7,
+        message: 'The value must be between 1 and 5'
+      }
+    ]);
+
+    // The failed validators are available but they are not enumerable
+    expect(error.failedValidators).toEqual(movie.runValidators());
+    expect(Object.keys(error)).not.toContain('failedValidators');
+  });
+
+  test('Hiding the values of the attributes that are not exposed', async () => {
+    function passwordIsNotUsername(user: User) {
+      return user.password !== user.username;
+    }
+
+    class Profile extends EmbeddedComponent {
+      @expose({get: true}) @attribute('string', {validators: [maxLength(3)]}) bio = 'abcd';
+    }
+
+    @validator(passwordIsNotUsername, {
+      path: 'password',
+      message: 'The password cannot be the username'
+    })
+    class User extends Component {
+      @expose({get: true, set: true})
+      @attribute('string', {validators: [maxLength(3)]})
+      username = 'john';
+
+      @attribute('string', {validators: [match(/\d/)]}) password = 'john';
+
+      @expose({set: true}) @attribute('string[]', {validators: [maxLength(1)]}) tokens = [
+        'abc',
+        'def'
+      ];
+
+      @provide() static Profile = Profile;
+
+      @attribute('Profile?') profile?: Profile;
+    }
+
+    let error: any;
+
+    const user = new User();
+    user.profile = new Profile();
+
+    try {
+      user.validate();
+    } catch (caughtError) {
+      error = caughtError;
+    }
+
+    expect(error.failures).toStrictEqual([
+      {
+        path: 'username',
+        validator: 'maxLength',
+        arguments: [3],
+        value: 'john',
+        message: 'The value cannot contain more than 3 character(s)'
+      },
+      {
+        path: 'password',
+        validator: 'match',
+        arguments: [/\d/],
+        message: 'The value has an invalid format'
+      },
+      // The messages are built before the values are omitted
+      {
+        path: 'tokens',
+        validator: 'maxLength',
+        arguments: [1],
+        message: 'The value cannot contain more than 1 item(s)'
+      },
+      {
+        path: 'profile.bio',
+        validator: 'maxLength',
+        arguments: [3],
+        message: 'The value cannot contain more than 3 character(s)'
+      },
+      {
+        path: 'password',
+        validator: 'passwordIsNotUsername',
+        arguments: [],
+        message: 'The password cannot be the username'
+      }
+    ]);
+
+    // The failed validators still include the values
+    expect(error.failedValidators[1].value).toBe('john');
+
+    try {
+      user.getAttribute('profile').validate();
+    } catch (caughtError) {
+      error = caughtError;
+    }
+
+    expect(error.failures).toStrictEqual([
+      {
+        path: 'bio',
+        validator: 'maxLength',
+        arguments: [3],
+        message: 'The value cannot contain more than 3 character(s)'
+      }
+    ]);
+  });
+});
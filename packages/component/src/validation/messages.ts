@@ -0,0 +1,200 @@
+import {hasOwnProperty} from 'core-helpers';
+
+import type {FailedValidator} from './utilities';
+import {isComponentClassOrInstance} from '../utilities';
+
+/**
+ * @typedef ValidationFailure
+ *
+ * A plain object describing a validation failure. Unlike the items returned by [`runValidators()`](https://layrjs.com/docs/v1/reference/component#run-validators-dual-method), a validation failure only contains some serializable values, so it can be sent to a client by a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) (see the `failures` attribute of a [`ValidationError`](https://layrjs.com/docs/v1/reference/layr-error)).
+ *
+ * The object has the following properties:
+ *
+ * * `path`: A string representing the path of the attribute that has failed the validation (e.g., `'title'`, `'tags[2]'`, or `'director.name'`). The path is an empty string when a [component validator](https://layrjs.com/docs/v1/reference/component#validator-decorator) without a path has failed.
+ * * `validator`: A string representing the name of the validator that has failed (e.g., `'maxLength'`).
+ * * `arguments`: An array containing the arguments of the validator (e.g., `[30]`).
+ * * `value`: The value that has failed the validation. This property is omitted when the value is a component. In the `failures` of a [`ValidationError`](https://layrjs.com/docs/v1/reference/layr-error), it is also omitted when an attribute leading to the value is not [exposed](https://layrjs.com/docs/v1/reference/property#exposure-type) for the `get` operation, so a client never receives a value that it cannot get.
+ * * `message`: A string representing a message that can be displayed to the user. The message comes from the [message catalog](https://layrjs.com/docs/v1/reference/validator#localized-messages) of the [current locale](https://layrjs.com/docs/v1/reference/validator#set-validation-locale-function) (a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) uses the `locale` of the [request context](https://layrjs.com/docs/v1/reference/component-server#component-server-request-context-type) instead), unless a custom message was specified when the validator was created.
+ */
+export type ValidationFailure = {
+  path: string;
+  validator: string;
+  arguments: any[];
+  value?: unknown;
+  message: string;
+};
+
+/**
+ * @typedef ValidationMessage
+ *
+ * A string, or a function that is called with a [`ValidationFailure`](https://layrjs.com/docs/v1/reference/validator#validation-failure-type) (without the `message` property) and returns a string.
+ */
+export type ValidationMessage = string | ((failure: Omit<ValidationFailure, 'message'>) => string);
+
+export type ValidationMessages = {[validatorName: string]: ValidationMessage};
+
+const describeLength = (value: unknown) => (Array.isArray(value) ? 'item(s)' : 'character(s)');
+
+const DEFAULT_LOCALE = 'en';
+
+const validationMessages: {[locale: string]: ValidationMessages} = {
+  [DEFAULT_LOCALE]: {
+    integer: 'The value must be an integer',
+    positive: 'The value must be greater than or equal to 0',
+    negative: 'The value must be less than 0',
+    lessThan: ({arguments: [number]}) => `The value must be less than ${number}`,
+    lessThanOrEqual: ({arguments: [number]}) => `The value must be less than or equal to ${number}`,
+    greaterThan: ({arguments: [number]}) => `The value must be greater than ${number}`,
+    greaterThanOrEqual: ({arguments: [number]}) =>
+      `The value must be greater than or equal to ${number}`,
+    range: ({arguments: [[min, max]]}) => `The value must be between ${min} and ${max}`,
+    notEmpty: 'The value cannot be empty',
+    minLength: ({arguments: [minLength], value}) =>
+      `The value must contain at least ${minLength} ${describeLength(value)}`,
+    maxLength: ({arguments: [maxLength], value}) =>
+      `The value cannot contain more than ${maxLength} ${describeLength(value)}`,
+    rangeLength: ({arguments: [[minLength, maxLength]], value}) =>
+      `The value must contain between ${minLength} and ${maxLength} ${describeLength(value)}`,
+    match: 'The value has an invalid format',
+    required: 'A value is required',
+    anyOf: ({arguments: [array]}) => `The value must be one of the following: ${array.join(', ')}`,
+    noneOf: ({arguments: [array]}) =>
+      `The value cannot be one of the following: ${array.join(', ')}`
+  }
+};
+
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * Adds some messages to the message catalog of a locale. The messages are used to build the [`ValidationFailure`](https://layrjs.com/docs/v1/reference/validator#validation-failure-type) objects, so they can be displayed to the users.
+ *
+ * Layr provides some English messages (locale `'en'`) for the [built-in validators](https://layrjs.com/docs/v1/reference/validator#built-in-validator-builders), and you can add some messages for your own validators (identified by the name of their function), or for some other locales.
+ *
+ * @param locale A string representing a locale (e.g., `'fr'` or `'fr-CA'`).
+ * @param messages A plain object of the shape `{[validatorName]: message}` where `message` is a [`ValidationMessage`](https://layrjs.com/docs/v1/reference/validator#validation-message-type).
+ *
+ * @example
+ * ```
+ * import {registerValidationMessages, setValidationLocale} from '﹫layr/component';
+ *
+ * registerValidationMessages('fr', {
+ *   notEmpty: 'La valeur ne peut pas être vide',
+ *   maxLength: ({arguments: [maxLength]}) => `La valeur ne peut pas dépasser ${maxLength} caractères`
+ * });
+ *
+ * setValidationLocale('fr');
+ * ```
+ *
+ * @category Functions
+ */
+export function registerValidationMessages(locale: string, messages: ValidationMessages) {
+  assertIsLocale(locale);
+
+  validationMessages[locale] = {...validationMessages[locale], ...messages};
+}
+
+/**
+ * Specifies the locale used to build the messages of the [`ValidationFailure`](https://layrjs.com/docs/v1/reference/validator#validation-failure-type) objects (default: `'en'`).
+ *
+ * @param locale A string representing a locale (e.g., `'fr'` or `'fr-CA'`).
+ *
+ * @category Functions
+ */
+export function setValidationLocale(locale: string) {
+  assertIsLocale(locale);
+
+  currentLocale = locale;
+}
+
+/**
+ * Returns the locale used to build the messages of the [`ValidationFailure`](https://layrjs.com/docs/v1/reference/validator#validation-failure-type) objects.
+ *
+ * @returns A string.
+ *
+ * @category Functions
+ */
+export function getValidationLocale() {
+  return currentLocale;
+}
+
+/**
+ * Returns the message of a [`ValidationFailure`](https://layrjs.com/docs/v1/reference/validator#validation-failure-type) in a specific locale. This is useful in a frontend to translate the failures received from a backend.
+ *
+ * The message is searched in the message catalog of the specified locale, then in the message catalog of its language (e.g., `'fr'` for `'fr-CA'`). If no message can be found, the `message` property of the failure is returned.
+ *
+ * @param failure A `ValidationFailure` object.
+ * @param [options.locale] A string representing a locale (default: the [current locale](https://layrjs.com/docs/v1/reference/validator#set-validation-locale-function)).
+ *
+ * @returns A string.
+ *
+ * @example
+ * ```
+ * try {
+ *   await movie.save();
+ * } catch (error) {
+ *   if (error instanceof ValidationError) {
+ *     for (const failure of error.failures) {
+ *       showFieldError(failure.path, localizeValidationFailure(failure, {locale: 'fr'}));
+ *     }
+ *   }
+ * }
+ * ```
+ *
+ * @category Functions
+ */
+export function localizeValidationFailure(
+  failure: ValidationFailure,
+  options: {locale?: string} = {}
+) {
+  const {locale = currentLocale} = options;
+
+  return findValidationMessage(failure, locale) ?? failure.message;
+}
+
+export function createValidationFailures(
+  failedValidators: FailedValidator[],
+  options: {locale?: string} = {}
+) {
+  const {locale = currentLocale} = options;
+
+  return failedValidators.map(({validator, path, value}) => {
+    const failure: Omit<ValidationFailure, 'message'> = {
+      path,
+      validator: validator.getName(),
+      arguments: validator.getArguments()
+    };
+
+    if (!isComponentClassOrInstance(value)) {
+      failure.value = value;
+    }
+
+    const message = validator.hasCustomMessage()
+      ? validator.getMessage()
+      : findValidationMessage(failure, locale) ??
+        findValidationMessage(failure, DEFAULT_LOCALE) ??
+        validator.getMessage();
+
+    return {...failure, message} as ValidationFailure;
+  });
+}
+
+function findValidationMessage(failure: Omit<ValidationFailure, 'message'>, locale: string) {
+  const language = locale.split('-')[0];
+
+  for (const candidateLocale of language !== locale ? [locale, language] : [locale]) {
+    const messages = validationMessages[candidateLocale];
+
+    if (messages !== undefined && hasOwnProperty(messages, failure.validator)) {
+      const message = messages[failure.validator];
+      return typeof message === 'function' ? message(failure) : message;
+    }
+  }
+
+  return undefined;
+}
+
+function assertIsLocale(locale: string) {
+  if (!(typeof locale === 'string' && /^[a-z]{2,3}(-[A-Za-z0-9]+)*$/.test(locale))) {
+    throw new Error(`The specified locale is invalid (locale: '${locale}')`);
+  }
+}
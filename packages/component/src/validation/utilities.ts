@@ -1,6 +1,16 @@
+import {hasOwnProperty} from 'core-helpers';
+
 import {validators, ValidatorBuilder} from './validator-builders';
-import {Validator, ValidatorFunction, isValidatorInstance} from './validator';
+import {Validator, ValidatorFunction, isValidatorInstance, isPromiseLike} from './validator';
+import type {Component} from '../component';
 import type {Attribute} from '../properties';
+import {createValidationFailures} from './messages';
+import {ValidationError} from '../errors';
+import {joinAttributePath, isComponentClassOrInstance} from '../utilities';
+
+export type FailedValidator = {validator: Validator; path: string; value: unknown};
+
+export type PossiblyAsyncFailedValidators = FailedValidator[] | PromiseLike<FailedValidator[]>;
 
 export function normalizeValidator(validator: Validator | ValidatorFunction, attribute: Attribute) {
   if (isValidatorInstance(validator)) {
@@ -19,3 +29,124 @@ export function normalizeValidator(validator: Validator | ValidatorFunction, att
 
   return new Validator(validator);
 }
+
+// Concatenates some groups of failed validators, and returns a promise
+// if one of the groups is the result of an asynchronous validation
+export function concatFailedValidators(
+  groups: PossiblyAsyncFailedValidators[]
+): PossiblyAsyncFailedValidators {
+  const concat = (groups: FailedValidator[][]) => ([] as FailedValidator[]).concat(...groups);
+
+  if (groups.some(isPromiseLike)) {
+    return Promise.all(groups).then(concat);
+  }
+
+  return concat(groups as FailedValidator[][]);
+}
+
+export function prefixFailedValidators(
+  failedValidators: PossiblyAsyncFailedValidators,
+  prefix: string
+): PossiblyAsyncFailedValidators {
+  const prefix_ = (failedValidators: FailedValidator[]) =>
+    failedValidators.map(({validator, path, value}) => ({
+      validator,
+      path: joinAttributePath([prefix, path]),
+      value
+    }));
+
+  if (isPromiseLike(failedValidators)) {
+    return Promise.resolve(failedValidators).then(prefix_);
+  }
+
+  return prefix_(failedValidators);
+}
+
+export function ensureSynchronousValidation(
+  failedValidators: PossiblyAsyncFailedValidators,
+  description: string
+) {
+  if (isPromiseLike(failedValidators)) {
+    // Avoid an unhandled rejection since the result is discarded
+    failedValidators.then(undefined, () => {});
+
+    throw new Error(
+      `Cannot run some asynchronous validators synchronously, please use an asynchronous method such as validateAsync(), isValidAsync(), or runValidatorsAsync() (${description})`
+    );
+  }
+
+  return failedValidators;
+}
+
+export function createValidationError(
+  failedValidators: FailedValidator[],
+  subject: string,
+  validatedObject: typeof Component | Component | Attribute
+) {
+  const details = failedValidators
+    .map(({validator, path}) => `${validator.getMessage()} (path: '${path}')`)
+    .join(', ');
+
+  // The failures may be sent to a client, so they shouldn't include the values that the
+  // client cannot get (the messages are built before since they may depend on the values)
+  const failures = createValidationFailures(failedValidators).map((failure) => {
+    if (hasOwnProperty(failure, 'value') && !valueIsExposed(validatedObject, failure.path)) {
+      const {value: _value, ...failureWithoutValue} = failure;
+      return failureWithoutValue;
+    }
+
+    return failure;
+  });
+
+  const error = new ValidationError(
+    `The following error(s) occurred while validating ${subject}: ${details}`,
+    {failures}
+  );
+
+  // The validators cannot be serialized, so the client gets the failures only
+  Object.defineProperty(error, 'failedValidators', {
+    value: failedValidators,
+    writable: true,
+    configurable: true
+  });
+
+  return error as ValidationError & {failedValidators: FailedValidator[]};
+}
+
+// Returns whether all the attributes leading to a path (e.g., 'director.name' or 'tags[2]')
+// are exposed for the 'get' operation
+function valueIsExposed(
+  validatedObject: typeof Component | Component | Attribute,
+  path: string
+): boolean {
+  let value: unknown = validatedObject;
+
+  if (!isComponentClassOrInstance(validatedObject)) {
+    if (validatedObject.getExposure()?.get === undefined) {
+      return false;
+    }
+
+    value = validatedObject.isSet() ? validatedObject.getValue() : undefined;
+  }
+
+  for (const name of path.match(/[^.[\]]+/g) ?? []) {
+    if (Array.isArray(value) && /^\d+$/.test(name)) {
+      value = value[Number(name)];
+      continue;
+    }
+
+    if (!(isComponentClassOrInstance(value) && value.hasAttribute(name))) {
+      return false;
+    }
+
+    const attribute = value.getAttribute(name);
+
+    if (attribute.getExposure()?.get === undefined) {
+      return false;
+    }
+
+    value = attribute.isSet() ? attribute.getValue() : undefined;
+  }
+
+  return true;
+}
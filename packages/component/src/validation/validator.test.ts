@@ -58,6 +58,19 @@ describe('Validator', () => {
 
     expect(runValidators([validator], 7)).toEqual([]);
     expect(runValidators([validator], 3)).toEqual([validator]);
+
+    const asyncValidator = new Validator(async (value: number) => value % 2 === 1, {
+      name: 'odd'
+    });
+
+    expect(await asyncValidator.run(7)).toBe(true);
+    expect(await asyncValidator.run(8)).toBe(false);
+
+    expect(await runValidators([validator, asyncValidator], 7)).toEqual([]);
+    expect(await runValidators([validator, asyncValidator], 4)).toEqual([
+      validator,
+      asyncValidator
+    ]);
   });
 
   test('Introspection', async () => {
@@ -1,6 +1,6 @@
 import {hasOwnProperty, getFunctionName} from 'core-helpers';
 
-export type ValidatorFunction = (value: any, ...args: any[]) => boolean;
+export type ValidatorFunction = (value: any, ...args: any[]) => boolean | PromiseLike<boolean>;
 
 type ValidatorOptions = {
   name?: string;
@@ -167,12 +167,42 @@ export type IntrospectedValidator = {
  *   ﹫attribute('number', {validators: [(value) => value % 2 === 1]}) value!: number;
  * }
  * ```
+ *
+ * A custom validation function can also be asynchronous (i.e., it can return a promise resolving to a boolean). In this case, the validation should be performed with an asynchronous method such as [`validateAsync()`](https://layrjs.com/docs/v1/reference/component#validate-async-dual-method), which is automatically called by the [`save()`](https://layrjs.com/docs/v1/reference/storable#save-instance-method) method of the storable components. Calling a synchronous method such as [`validate()`](https://layrjs.com/docs/v1/reference/component#validate-dual-method) when an asynchronous validator is involved throws an error.
+ *
+ * #### Component Validators
+ *
+ * To validate several attributes together (e.g., to check that an end date comes after a start date), you can add some validators to a component with the [`@validator()`](https://layrjs.com/docs/v1/reference/component#validator-decorator) decorator. A component validator is called with the component instance as first parameter, and it can be asynchronous as well (e.g., to check that an email address is not already used by querying a store).
+ *
+ * **Example:**
+ *
+ * ```
+ * import {Component, attribute, validator} from '﹫layr/component';
+ *
+ * ﹫validator((event) => event.endDate > event.startDate, {
+ *   path: 'endDate',
+ *   message: 'The end date must come after the start date'
+ * })
+ * class Event extends Component {
+ *   ﹫attribute('Date') startDate;
+ *   ﹫attribute('Date') endDate;
+ * }
+ * ```
+ *
+ * #### Localized Messages
+ *
+ * When a validation fails, a [`ValidationError`](https://layrjs.com/docs/v1/reference/layr-error) is thrown with a `failures` attribute containing some [`ValidationFailure`](https://layrjs.com/docs/v1/reference/validator#validation-failure-type) objects. Each failure specifies the path of the invalid attribute, the name and the arguments of the validator, the invalid value, and a message that can be displayed to the user.
+ *
+ * The messages come from a catalog that provides some English messages for the built-in validators. You can add some messages for other locales (or for your custom validators) with the [`registerValidationMessages()`](https://layrjs.com/docs/v1/reference/validator#register-validation-messages-function) function, and select the locale used by the validation methods with the [`setValidationLocale()`](https://layrjs.com/docs/v1/reference/validator#set-validation-locale-function) function. Since the failures contain everything needed to rebuild a message, a frontend can also translate the failures received from a backend with the [`localizeValidationFailure()`](https://layrjs.com/docs/v1/reference/validator#localize-validation-failure-function) function.
+ *
+ * Note that the custom failed validation messages (specified when a validator is built) are used as is, regardless of the locale.
  */
 export class Validator {
   _function: ValidatorFunction;
   _name: string;
   _arguments: any[];
   _message: string;
+  _hasCustomMessage: boolean;
 
   constructor(func: ValidatorFunction, options: ValidatorOptions = {}) {
     let {name, arguments: args = [], message} = options;
@@ -181,15 +211,15 @@ export class Validator {
       name = getFunctionName(func) || 'anonymous';
     }
 
-    if (message === undefined) {
-      const signature = `${name}(${stringifyArguments(args)})`;
-      message = `The validator \`${signature}\` failed`;
-    }
+    const signature = `${name}(${stringifyArguments(args)})`;
+    const defaultMessage = `The validator \`${signature}\` failed`;
 
     this._function = func;
     this._name = name;
     this._arguments = args;
-    this._message = message;
+    this._message = message ?? defaultMessage;
+    // The default message is included in the introspection, so it may be specified by a client
+    this._hasCustomMessage = message !== undefined && message !== defaultMessage;
   }
 
   /**
@@ -257,10 +287,14 @@ export class Validator {
     return this._message;
   }
 
+  hasCustomMessage() {
+    return this._hasCustomMessage;
+  }
+
   /**
    * Runs the validator against the specified value.
    *
-   * @returns `true` if the validation has succeeded, `false` otherwise.
+   * @returns `true` if the validation has succeeded, `false` otherwise (or a promise resolving to a boolean in the case of an asynchronous validation function).
    *
    * @example
    * ```
@@ -309,16 +343,24 @@ export function isSerializedValidator(object: object) {
   return object !== undefined && hasOwnProperty(object, '__validator');
 }
 
-export function runValidators(validators: Validator[], value: any) {
-  const failedValidators: Validator[] = [];
+export function runValidators(
+  validators: Validator[],
+  value: any
+): Validator[] | PromiseLike<Validator[]> {
+  const results = validators.map((validator) => validator.run(value));
 
-  for (const validator of validators) {
-    if (!validator.run(value)) {
-      failedValidators.push(validator);
-    }
+  const filterFailedValidators = (results: boolean[]) =>
+    validators.filter((_validator, index) => !results[index]);
+
+  if (results.some(isPromiseLike)) {
+    return Promise.all(results).then(filterFailedValidators);
   }
 
-  return failedValidators;
+  return filterFailedValidators(results as boolean[]);
+}
+
+export function isPromiseLike(value: any): value is PromiseLike<unknown> {
+  return typeof value?.then === 'function';
 }
 
 function stringifyArguments(args: any[]) {
@@ -1,10 +1,13 @@
 import Koa from 'koa';
 import mount from 'koa-mount';
 import type {Server} from 'http';
+import fetch from 'cross-fetch';
+import {VersionMismatchError} from '@layr/component';
 import {serveComponent} from '@layr/component-koa-middleware';
 import {ComponentHTTPClient} from '@layr/component-http-client';
 
 import {Counter as BackendCounter} from './counter.fixture';
+import {createMovieBackend} from './movie.fixture';
 
 const SERVER_PORT = 5555;
 
@@ -15,6 +18,7 @@ describe('Koa middleware', () => {
     const app = new Koa();
 
     app.use(mount('/api', serveComponent(BackendCounter)));
+    app.use(mount('/rest-api', serveComponent(createMovieBackend(), {rest: true, openAPI: true})));
 
     return new Promise((resolve) => {
       server = app.listen(SERVER_PORT, resolve);
@@ -42,4 +46,68 @@ describe('Koa middleware', () => {
 
     expect(counter.value).toBe(2);
   });
+
+  test('REST facade and OpenAPI document', async () => {
+    const url = `http://localhost:${SERVER_PORT}/rest-api`;
+
+    let response = await fetch(`${url}/movies/m1`);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toStrictEqual({id: 'm1', title: 'Inception'});
+
+    response = await fetch(`${url}/movies`, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({id: 'm2', title: 'The Matrix'})
+    });
+
+    expect(response.status).toBe(201);
+    expect(await response.json()).toStrictEqual({id: 'm2', title: 'The Matrix'});
+
+    response = await fetch(`${url}/movies?sort=-title`);
+
+    expect(await response.json()).toStrictEqual([
+      {id: 'm2', title: 'The Matrix'},
+      {id: 'm1', title: 'Inception'}
+    ]);
+
+    response = await fetch(`${url}/movies/m2`, {method: 'DELETE'});
+
+    expect(response.status).toBe(204);
+
+    response = await fetch(`${url}/movies/m2`);
+
+    expect(response.status).toBe(404);
+
+    response = await fetch(`${url}/openapi.json`);
+
+    const document = await response.json();
+
+    expect(document.info.title).toBe('Backend');
+    expect(Object.keys(document.paths)).toStrictEqual(['/', '/movies', '/movies/{id}']);
+  });
+
+  test('Errors', async () => {
+    const url = `http://localhost:${SERVER_PORT}/api`;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({query: {'introspect=>': {'()': []}}, version: 2})
+    });
+
+    expect(response.status).toBe(412);
+    expect(await response.json()).toStrictEqual({
+      message:
+        "The component client version (2) doesn't match the component server version (undefined)",
+      name: 'VersionMismatchError',
+      code: 'COMPONENT_CLIENT_VERSION_DOES_NOT_MATCH_COMPONENT_SERVER_VERSION',
+      status: 412,
+      expose: true
+    });
+
+    const client = new ComponentHTTPClient(url, {version: 2});
+
+    await expect(client.getComponent()).rejects.toBeInstanceOf(VersionMismatchError);
+  });
 });
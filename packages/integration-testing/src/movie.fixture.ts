@@ -0,0 +1,33 @@
+import {Component, provide, expose} from '@layr/component';
+import {Storable, primaryIdentifier, attribute} from '@layr/storable';
+import {MemoryStore} from '@layr/memory-store';
+
+export function createMovieBackend(): typeof Component {
+  @expose({
+    get: {call: true},
+    find: {call: true},
+
+    prototype: {
+      load: {call: true},
+      save: {call: true},
+      delete: {call: true}
+    }
+  })
+  class Movie extends Storable(Component) {
+    @expose({get: true, set: true}) @primaryIdentifier() id!: string;
+
+    @expose({get: true, set: true}) @attribute('string') title = '';
+  }
+
+  class Backend extends Component {
+    @provide() static Movie = Movie;
+  }
+
+  const store = new MemoryStore({
+    initialCollections: {Movie: [{__component: 'Movie', id: 'm1', title: 'Inception'}]}
+  });
+
+  store.registerRootComponent(Backend);
+
+  return Backend;
+}
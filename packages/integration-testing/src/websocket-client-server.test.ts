@@ -0,0 +1,41 @@
+import {ComponentWebSocketClient} from '@layr/component-websocket-client';
+import {ComponentWebSocketServer} from '@layr/component-websocket-server';
+
+import {Counter as BackendCounter} from './counter.fixture';
+
+const SERVER_PORT = 4444;
+
+describe('WebSocket client/server', () => {
+  let server: ComponentWebSocketServer;
+
+  beforeAll(async () => {
+    server = new ComponentWebSocketServer(BackendCounter, {port: SERVER_PORT});
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server?.stop();
+  });
+
+  test('Simple component', async () => {
+    const client = new ComponentWebSocketClient(`ws://localhost:${SERVER_PORT}`);
+
+    try {
+      const Counter = (await client.getComponent()) as typeof BackendCounter;
+
+      let counter = new Counter();
+
+      expect(counter.value).toBe(0);
+
+      await Promise.all([counter.increment(), new Counter().increment()]);
+
+      expect(counter.value).toBe(1);
+
+      await counter.increment();
+
+      expect(counter.value).toBe(2);
+    } finally {
+      client.close();
+    }
+  });
+});
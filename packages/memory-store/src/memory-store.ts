@@ -1,11 +1,20 @@
 import {
   Store,
+  StoreOptions,
   CreateDocumentParams,
   ReadDocumentParams,
   UpdateDocumentParams,
   DeleteDocumentParams,
   FindDocumentsParams,
   CountDocumentsParams,
+  AggregateDocumentsParams,
+  MigrateCollectionIndexesParams,
+  evaluateAggregation,
+  sortAggregationRows,
+  Index,
+  buildIndexName,
+  isTextIndex,
+  createUniqueIndexViolationError,
   Document,
   Expression,
   Path,
@@ -14,15 +23,23 @@ import {
 } from '@layr/store';
 import {NormalizedIdentifierDescriptor} from '@layr/component';
 import pull from 'lodash/pull';
+import cloneDeep from 'lodash/cloneDeep';
 import get from 'lodash/get';
+import isEqual from 'lodash/isEqual';
 import set from 'lodash/set';
 import unset from 'lodash/unset';
-import sortOn from 'sort-on';
+import {AsyncLocalStorage} from 'async_hooks';
+
+import {TextIndex} from './text-index';
 
 type Collection = Document[];
 
 type CollectionMap = {[name: string]: Collection};
 
+type IndexMap = {[collectionName: string]: Index[]};
+
+type TextIndexMap = {[collectionName: string]: TextIndex};
+
 /**
  * *Inherits from [`Store`](https://layrjs.com/docs/v1/reference/store).*
  *
@@ -39,6 +56,8 @@ export class MemoryStore extends Store {
    * Creates a [`MemoryStore`](https://layrjs.com/docs/v1/reference/memory-store).
    *
    * @param [options.initialCollections] A plain object specifying the initial data that should be populated into the store. The shape of the objet should be `{[collectionName]: documents}` where `collectionName` is the name of a [storable component](https://layrjs.com/docs/v1/reference/storable#storable-component-class) class, and `documents` is an array of serialized storable component instances.
+   * @param [options.migrations] An array of [`Migration`](https://layrjs.com/docs/v1/reference/store#migration-type) objects that can be applied to the store with the [`migrate()`](https://layrjs.com/docs/v1/reference/store#migrate-instance-method) method (default: `[]`).
+   * @param [options.migrationCollectionName] The name of the collection in which the applied migrations are recorded (default: `'_migrations'`).
    *
    * @returns The [`MemoryStore`](https://layrjs.com/docs/v1/reference/memory-store) instance that was created.
    *
@@ -68,7 +87,7 @@ export class MemoryStore extends Store {
    *
    * @category Creation
    */
-  constructor(options: {initialCollections?: CollectionMap} = {}) {
+  constructor(options: {initialCollections?: CollectionMap} & StoreOptions = {}) {
     const {initialCollections = {}, ...otherOptions} = options;
 
     super(otherOptions);
@@ -96,6 +115,8 @@ export class MemoryStore extends Store {
       this._collections[name] = collection;
     }
 
+    this._removeExpiredDocuments(name, collection);
+
     return collection;
   }
 
@@ -110,8 +131,14 @@ export class MemoryStore extends Store {
       return false;
     }
 
+    this._checkUniqueIndexes(collectionName, collection, document);
+
     collection.push(document);
 
+    this._addUndoAction(() => {
+      pull(collection, document);
+    });
+
     return true;
   }
 
@@ -143,7 +170,8 @@ export class MemoryStore extends Store {
   async updateDocument({
     collectionName,
     identifierDescriptor,
-    documentPatch
+    documentPatch,
+    expectedVersion
   }: UpdateDocumentParams) {
     const collection = this._getCollection(collectionName);
 
@@ -153,22 +181,45 @@ export class MemoryStore extends Store {
       return false;
     }
 
+    if (
+      expectedVersion !== undefined &&
+      get(existingDocument, expectedVersion.path) !== expectedVersion.value
+    ) {
+      return false;
+    }
+
     const {$set, $unset} = documentPatch;
 
+    const updatedDocument = cloneDeep(existingDocument);
+
     if ($set !== undefined) {
       for (const [path, value] of Object.entries($set)) {
-        set(existingDocument, path, value);
+        set(updatedDocument, path, value);
       }
     }
 
     if ($unset !== undefined) {
       for (const [path, value] of Object.entries($unset)) {
         if (value) {
-          unset(existingDocument, path);
+          unset(updatedDocument, path);
         }
       }
     }
 
+    this._checkUniqueIndexes(collectionName, collection, updatedDocument, {
+      excludedDocument: existingDocument
+    });
+
+    collection[collection.indexOf(existingDocument)] = updatedDocument;
+
+    this._addUndoAction(() => {
+      const index = collection.indexOf(updatedDocument);
+
+      if (index !== -1) {
+        collection[index] = existingDocument;
+      }
+    });
+
     return true;
   }
 
@@ -183,6 +234,10 @@ export class MemoryStore extends Store {
 
     pull(collection, document);
 
+    this._addUndoAction(() => {
+      collection.push(document);
+    });
+
     return true;
   }
 
@@ -195,27 +250,47 @@ export class MemoryStore extends Store {
   }: FindDocumentsParams): Promise<Document[]> {
     const collection = this._getCollection(collectionName);
 
-    const documents = await this._findDocuments({collection, expressions, sort, skip, limit});
+    const documents = await this._findDocuments({
+      collectionName,
+      collection,
+      expressions,
+      sort,
+      skip,
+      limit
+    });
 
     return documents;
   }
 
   async _findDocuments({
+    collectionName,
     collection,
     expressions,
     sort,
     skip,
     limit
   }: {
+    collectionName: string;
     collection: Collection;
     expressions: Expression[];
     sort?: SortDescriptor;
     skip?: number;
     limit?: number;
   }): Promise<Document[]> {
-    let documents = filterDocuments(collection, expressions);
+    let documents = collection;
+    let scores: Map<Document, number> | undefined;
+
+    const searchExpression = expressions.find(([, operator]) => operator === '$search');
+
+    if (searchExpression !== undefined) {
+      scores = this._getTextIndex(collectionName, collection).search(searchExpression[2] as string);
+      documents = documents.filter((document) => scores!.has(document));
+      expressions = expressions.filter((expression) => expression !== searchExpression);
+    }
+
+    documents = filterDocuments(documents, expressions);
 
-    documents = sortDocuments(documents, sort);
+    documents = sortDocuments(documents, sort, scores);
 
     documents = skipDocuments(documents, skip);
 
@@ -227,10 +302,195 @@ export class MemoryStore extends Store {
   async countDocuments({collectionName, expressions}: CountDocumentsParams) {
     const collection = this._getCollection(collectionName);
 
-    const documents = await this._findDocuments({collection, expressions});
+    const documents = await this._findDocuments({collectionName, collection, expressions});
 
     return documents.length;
   }
+
+  async aggregateDocuments({
+    collectionName,
+    expressions,
+    groupBy,
+    accumulators,
+    sort,
+    limit
+  }: AggregateDocumentsParams) {
+    const collection = this._getCollection(collectionName);
+
+    const documents = await this._findDocuments({collectionName, collection, expressions});
+
+    let rows = evaluateAggregation(documents, {groupBy, accumulators});
+
+    rows = sortAggregationRows(rows, sort);
+
+    if (limit !== undefined) {
+      rows = rows.slice(0, limit);
+    }
+
+    return cloneDeep(rows);
+  }
+
+  // === Indexes ===
+
+  /**
+   * See the methods that are inherited from the [`Store`](https://layrjs.com/docs/v1/reference/store#indexes) class.
+   *
+   * The indexes are not used to speed up the queries, but the unique indexes are enforced when some documents are created or updated, and the documents matching a TTL index are removed when they expire. A text index is implemented with a simple inverted index where the words are weighted by their TF-IDF (i.e., a word occurring several times in a document but in few documents of the collection gets a higher score).
+   *
+   * @category Indexes
+   */
+
+  _indexes: IndexMap = {};
+
+  async migrateCollectionIndexes({collectionName, indexes}: MigrateCollectionIndexesParams) {
+    const existingIndexes = this._indexes[collectionName] ?? [];
+
+    const existingIndexNames = existingIndexes.map(buildIndexName);
+    const indexNames = indexes.map(buildIndexName);
+
+    const collection = this._getCollection(collectionName);
+
+    for (const index of indexes) {
+      if (index.isUnique && !existingIndexNames.includes(buildIndexName(index))) {
+        const checkedDocuments: Document[] = [];
+
+        for (const document of collection) {
+          checkUniqueIndex(collectionName, index, checkedDocuments, document);
+          checkedDocuments.push(document);
+        }
+      }
+    }
+
+    this._indexes[collectionName] = indexes;
+
+    delete this._textIndexes[collectionName];
+
+    this._removeExpiredDocuments(collectionName, collection);
+
+    return {
+      createdIndexes: indexNames.filter((name) => !existingIndexNames.includes(name)),
+      droppedIndexes: existingIndexNames.filter((name) => !indexNames.includes(name))
+    };
+  }
+
+  _checkUniqueIndexes(
+    collectionName: string,
+    collection: Collection,
+    document: Document,
+    {excludedDocument}: {excludedDocument?: Document} = {}
+  ) {
+    const indexes = this._indexes[collectionName];
+
+    if (indexes === undefined) {
+      return;
+    }
+
+    for (const index of indexes) {
+      if (index.isUnique) {
+        checkUniqueIndex(
+          collectionName,
+          index,
+          collection.filter((otherDocument) => otherDocument !== excludedDocument),
+          document
+        );
+      }
+    }
+  }
+
+  _textIndexes: TextIndexMap = {};
+
+  _getTextIndex(collectionName: string, collection: Collection) {
+    let textIndex = this._textIndexes[collectionName];
+
+    if (textIndex === undefined) {
+      const index = (this._indexes[collectionName] ?? []).find(isTextIndex);
+
+      if (index === undefined) {
+        throw new Error(
+          `Cannot use the operator '$search' on a collection that doesn't have a text index (collection: '${collectionName}')`
+        );
+      }
+
+      textIndex = new TextIndex(Object.keys(index.attributes));
+      this._textIndexes[collectionName] = textIndex;
+    }
+
+    textIndex.synchronize(collection);
+
+    return textIndex;
+  }
+
+  _removeExpiredDocuments(collectionName: string, collection: Collection) {
+    const indexes = this._indexes[collectionName];
+
+    if (indexes === undefined) {
+      return;
+    }
+
+    for (const {attributes, expireAfterSeconds} of indexes) {
+      if (expireAfterSeconds === undefined) {
+        continue;
+      }
+
+      const [path] = Object.keys(attributes);
+      const now = Date.now();
+
+      for (const document of collection.slice()) {
+        const date = get(document, path);
+
+        if (date instanceof Date && date.valueOf() + expireAfterSeconds * 1000 <= now) {
+          pull(collection, document);
+        }
+      }
+    }
+  }
+
+  // === Transactions ===
+
+  /**
+   * See the methods that are inherited from the [`Store`](https://layrjs.com/docs/v1/reference/store#transactions) class.
+   *
+   * The changes made during a transaction are rolled back by undoing them in the reverse order, so the changes made concurrently outside of the transaction are preserved.
+   *
+   * @category Transactions
+   */
+
+  _undoActionStorage = new AsyncLocalStorage<(() => void)[]>();
+
+  _addUndoAction(action: () => void) {
+    this._undoActionStorage.getStore()?.push(action);
+  }
+
+  async runTransaction<Result>(func: () => Promise<Result>) {
+    const undoActions: (() => void)[] = [];
+
+    try {
+      return await this._undoActionStorage.run(undoActions, func);
+    } catch (error) {
+      for (const action of undoActions.reverse()) {
+        action();
+      }
+
+      throw error;
+    }
+  }
+}
+
+function checkUniqueIndex(
+  collectionName: string,
+  index: Index,
+  otherDocuments: Document[],
+  document: Document
+) {
+  // Like MongoDB, consider a missing value as equal to `null`
+  const getValues = (document: Document) =>
+    Object.keys(index.attributes).map((path) => get(document, path) ?? null);
+
+  const values = getValues(document);
+
+  if (otherDocuments.some((otherDocument) => isEqual(getValues(otherDocument), values))) {
+    throw createUniqueIndexViolationError({collectionName, indexName: buildIndexName(index)});
+  }
 }
 
 function filterDocuments(documents: Document[], expressions: Expression[]) {
@@ -269,6 +529,17 @@ function evaluateExpression(
     return attributeValue?.valueOf() !== operand?.valueOf();
   }
 
+  // Like the other stores, a missing value cannot be compared to any other value
+  if (
+    (operator === '$greaterThan' ||
+      operator === '$greaterThanOrEqual' ||
+      operator === '$lessThan' ||
+      operator === '$lessThanOrEqual') &&
+    (attributeValue === undefined || attributeValue === null)
+  ) {
+    return false;
+  }
+
   if (operator === '$greaterThan') {
     return attributeValue > operand;
   }
@@ -396,22 +667,50 @@ function evaluateExpression(
   );
 }
 
-function sortDocuments(documents: Document[], sort: SortDescriptor | undefined) {
+function sortDocuments(
+  documents: Document[],
+  sort: SortDescriptor | undefined,
+  scores: Map<Document, number> | undefined
+) {
   if (sort === undefined) {
     return documents;
   }
 
-  const properties = Object.entries(sort).map(([name, direction]) => {
-    let property = name;
+  const comparators = Object.entries(sort).map(([name, direction]) => {
+    if (name === '$score') {
+      // The '$score' sort key only supports the 'desc' direction
+      return (a: Document, b: Document) => scores!.get(b)! - scores!.get(a)!;
+    }
+
+    const order = direction.toLowerCase() === 'desc' ? -1 : 1;
+
+    return (a: Document, b: Document) => compareValues(get(a, name), get(b, name)) * order;
+  });
+
+  return documents.slice().sort((a, b) => {
+    for (const comparator of comparators) {
+      const result = comparator(a, b);
 
-    if (direction.toLowerCase() === 'desc') {
-      property = `-${property}`;
+      if (result !== 0) {
+        return result;
+      }
     }
 
-    return property;
+    return 0;
   });
+}
+
+// Like the other stores, consider missing values smaller than any other value, and compare
+// the other values the same way as the comparison operators (e.g., '$greaterThan')
+function compareValues(x: any, y: any) {
+  const xIsMissing = x === undefined || x === null;
+  const yIsMissing = y === undefined || y === null;
+
+  if (xIsMissing || yIsMissing) {
+    return xIsMissing ? (yIsMissing ? 0 : -1) : 1;
+  }
 
-  return sortOn(documents, properties);
+  return x < y ? -1 : x > y ? 1 : 0;
 }
 
 function skipDocuments(documents: Document[], skip: number | undefined) {
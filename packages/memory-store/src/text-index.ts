@@ -0,0 +1,116 @@
+import type {Document, Path} from '@layr/store';
+import get from 'lodash/get';
+
+// A simple inverted index mapping each word found in the indexed attributes of
+// some documents to the number of occurrences of the word in each document
+export class TextIndex {
+  _paths: Path[];
+  _postings = new Map<string, Map<Document, number>>();
+  _indexedDocuments = new Map<Document, string[]>();
+
+  constructor(paths: Path[]) {
+    this._paths = paths;
+  }
+
+  // Indexes the documents that were added to the collection, and removes the documents
+  // that are no longer in the collection (the documents are replaced by new objects when
+  // they are updated, and the whole collection can be replaced when a transaction is
+  // rolled back, so it's simpler to synchronize the index before using it)
+  synchronize(collection: Document[]) {
+    const documents = new Set(collection);
+
+    for (const document of this._indexedDocuments.keys()) {
+      if (!documents.has(document)) {
+        this._removeDocument(document);
+      }
+    }
+
+    for (const document of documents) {
+      if (!this._indexedDocuments.has(document)) {
+        this._addDocument(document);
+      }
+    }
+  }
+
+  _addDocument(document: Document) {
+    const words = new Set<string>();
+
+    for (const path of this._paths) {
+      let values = get(document, path);
+
+      if (!Array.isArray(values)) {
+        values = [values];
+      }
+
+      for (const value of values) {
+        if (typeof value !== 'string') {
+          continue;
+        }
+
+        for (const word of tokenize(value)) {
+          let posting = this._postings.get(word);
+
+          if (posting === undefined) {
+            posting = new Map();
+            this._postings.set(word, posting);
+          }
+
+          posting.set(document, (posting.get(document) ?? 0) + 1);
+          words.add(word);
+        }
+      }
+    }
+
+    this._indexedDocuments.set(document, Array.from(words));
+  }
+
+  _removeDocument(document: Document) {
+    for (const word of this._indexedDocuments.get(document)!) {
+      const posting = this._postings.get(word)!;
+
+      posting.delete(document);
+
+      if (posting.size === 0) {
+        this._postings.delete(word);
+      }
+    }
+
+    this._indexedDocuments.delete(document);
+  }
+
+  // Returns the documents containing at least one of the words of the specified text
+  // with their relevance score (i.e., the sum of the TF-IDF weights of the matched words)
+  search(text: string) {
+    const scores = new Map<Document, number>();
+    const documentCount = this._indexedDocuments.size;
+
+    for (const word of new Set(tokenize(text))) {
+      const posting = this._postings.get(word);
+
+      if (posting === undefined) {
+        continue;
+      }
+
+      const inverseDocumentFrequency = Math.log(1 + documentCount / posting.size);
+
+      for (const [document, occurrenceCount] of posting) {
+        scores.set(
+          document,
+          (scores.get(document) ?? 0) + occurrenceCount * inverseDocumentFrequency
+        );
+      }
+    }
+
+    return scores;
+  }
+}
+
+// 'Le Café de Flore' => ['le', 'cafe', 'de', 'flore']
+function tokenize(text: string) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Remove the diacritics
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word !== '');
+}
@@ -1,5 +1,6 @@
 import {
   Store,
+  StoreOptions,
   StorableLike,
   CreateDocumentParams,
   ReadDocumentParams,
@@ -7,6 +8,11 @@ import {
   DeleteDocumentParams,
   FindDocumentsParams,
   CountDocumentsParams,
+  AggregateDocumentsParams,
+  AggregationRow,
+  MigrateCollectionIndexesParams,
+  buildIndexName,
+  createUniqueIndexViolationError,
   Document,
   Query,
   Expression,
@@ -17,12 +23,13 @@ import {
   SortDirection
 } from '@layr/store';
 import {ensureComponentInstance} from '@layr/component';
-import {MongoClient, Db} from 'mongodb';
+import {MongoClient, Db, ClientSession} from 'mongodb';
 import isEmpty from 'lodash/isEmpty';
 import mapKeys from 'lodash/mapKeys';
 import mapValues from 'lodash/mapValues';
 import escapeRegExp from 'lodash/escapeRegExp';
 import debugModule from 'debug';
+import {AsyncLocalStorage} from 'async_hooks';
 
 const debug = debugModule('layr:mongodb-store');
 // To display the debug log, set this environment:
@@ -30,6 +37,10 @@ const debug = debugModule('layr:mongodb-store');
 
 const MONGODB_PRIMARY_IDENTIFIER_ATTRIBUTE_NAME = '_id';
 
+// The field in which the relevance score of a '$text' query is projected so that
+// the documents can be sorted by score
+const MONGODB_SCORE_FIELD_NAME = '__score';
+
 /**
  * *Inherits from [`Store`](https://layrjs.com/docs/v1/reference/store).*
  *
@@ -112,6 +123,8 @@ const MONGODB_PRIMARY_IDENTIFIER_ATTRIBUTE_NAME = '_id';
  * // Delete the movie from the store
  * await movie.delete();
  * ```
+ *
+ * When an existing component is saved, only its [dirty attributes](https://layrjs.com/docs/v1/reference/component#get-dirty-attributes-dual-method) are sent to the database with an `updateOne()` operation using the `$set` and `$unset` operators. The dirty attributes of an embedded component are updated with some nested paths (e.g., `{$set: {'details.duration': 120}}`), so the attributes that have been modified concurrently by another user are not overwritten.
  */
 export class MongoDBStore extends Store {
   private _connectionString: string;
@@ -120,6 +133,8 @@ export class MongoDBStore extends Store {
    * Creates a [`MongoDBStore`](https://layrjs.com/docs/v1/reference/mongodb-store).
    *
    * @param connectionString The [connection string](https://docs.mongodb.com/manual/reference/connection-string/) of the MongoDB database to use.
+   * @param [options.migrations] An array of [`Migration`](https://layrjs.com/docs/v1/reference/store#migration-type) objects that can be applied to the store with the [`migrate()`](https://layrjs.com/docs/v1/reference/store#migrate-instance-method) method (default: `[]`).
+   * @param [options.migrationCollectionName] The name of the collection in which the applied migrations are recorded (default: `'_migrations'`).
    *
    * @returns The [`MongoDBStore`](https://layrjs.com/docs/v1/reference/mongodb-store) instance that was created.
    *
@@ -130,7 +145,7 @@ export class MongoDBStore extends Store {
    *
    * @category Creation
    */
-  constructor(connectionString: string, options = {}) {
+  constructor(connectionString: string, options: StoreOptions = {}) {
     super(options);
 
     this._connectionString = connectionString;
@@ -174,7 +189,9 @@ export class MongoDBStore extends Store {
     try {
       const {insertedCount} = await debugCall(
         async () => {
-          const {insertedCount} = await collection.insertOne(document);
+          const {insertedCount} = await collection.insertOne(document, {
+            session: this._getSession()
+          });
 
           return {insertedCount};
         },
@@ -186,7 +203,13 @@ export class MongoDBStore extends Store {
       return insertedCount === 1;
     } catch (error) {
       if (error.name === 'MongoError' && error.code === 11000) {
-        return false; // The document already exists
+        const indexName = getDuplicateKeyErrorIndexName(error);
+
+        if (indexName === '_id_') {
+          return false; // The document already exists
+        }
+
+        throw createUniqueIndexViolationError({collectionName, indexName});
       }
 
       throw error;
@@ -204,7 +227,7 @@ export class MongoDBStore extends Store {
     const options = {projection};
 
     const document: Document | null = await debugCall(
-      async () => await collection.findOne(query, options),
+      async () => await collection.findOne(query, {...options, session: this._getSession()}),
       'db.%s.findOne(%o, %o)',
       collectionName,
       query,
@@ -221,25 +244,44 @@ export class MongoDBStore extends Store {
   async updateDocument({
     collectionName,
     identifierDescriptor,
-    documentPatch
+    documentPatch,
+    expectedVersion
   }: UpdateDocumentParams) {
     const collection = await this._getCollection(collectionName);
 
-    const filter = identifierDescriptor;
+    // When a version is expected, the document is matched only if its version has not changed,
+    // so that the version is checked and incremented atomically
+    const filter =
+      expectedVersion !== undefined
+        ? {...identifierDescriptor, [expectedVersion.path]: expectedVersion.value}
+        : identifierDescriptor;
 
-    const {matchedCount} = await debugCall(
-      async () => {
-        const {matchedCount, modifiedCount} = await collection.updateOne(filter, documentPatch);
+    try {
+      const {matchedCount} = await debugCall(
+        async () => {
+          const {matchedCount, modifiedCount} = await collection.updateOne(filter, documentPatch, {
+            session: this._getSession()
+          });
 
-        return {matchedCount, modifiedCount};
-      },
-      'db.%s.updateOne(%o, %o)',
-      collectionName,
-      filter,
-      documentPatch
-    );
+          return {matchedCount, modifiedCount};
+        },
+        'db.%s.updateOne(%o, %o)',
+        collectionName,
+        filter,
+        documentPatch
+      );
 
-    return matchedCount === 1;
+      return matchedCount === 1;
+    } catch (error) {
+      if (error.name === 'MongoError' && error.code === 11000) {
+        throw createUniqueIndexViolationError({
+          collectionName,
+          indexName: getDuplicateKeyErrorIndexName(error)
+        });
+      }
+
+      throw error;
+    }
   }
 
   async deleteDocument({collectionName, identifierDescriptor}: DeleteDocumentParams) {
@@ -249,7 +291,7 @@ export class MongoDBStore extends Store {
 
     const {deletedCount} = await debugCall(
       async () => {
-        const {deletedCount} = await collection.deleteOne(filter);
+        const {deletedCount} = await collection.deleteOne(filter, {session: this._getSession()});
 
         return {deletedCount};
       },
@@ -274,11 +316,17 @@ export class MongoDBStore extends Store {
     const mongoQuery = buildMongoQuery(expressions);
     const mongoSort = buildMongoSort(sort);
 
-    const options = {projection};
+    const isSortedByScore = sort !== undefined && '$score' in sort;
+
+    const options = {
+      projection: isSortedByScore
+        ? {...projection, [MONGODB_SCORE_FIELD_NAME]: {$meta: 'textScore'}}
+        : projection
+    };
 
     const documents: Document[] = await debugCall(
       async () => {
-        const cursor = await collection.find(mongoQuery, options);
+        const cursor = await collection.find(mongoQuery, {...options, session: this._getSession()});
 
         if (mongoSort !== undefined) {
           cursor.sort(mongoSort);
@@ -294,6 +342,12 @@ export class MongoDBStore extends Store {
 
         const documents = await cursor.toArray();
 
+        if (isSortedByScore) {
+          for (const document of documents) {
+            delete document[MONGODB_SCORE_FIELD_NAME];
+          }
+        }
+
         return documents;
       },
       'db.%s.find(%o, %o)',
@@ -312,7 +366,9 @@ export class MongoDBStore extends Store {
 
     const documentsCount = await debugCall(
       async () => {
-        const documentsCount = await collection.countDocuments(query);
+        const documentsCount = await collection.countDocuments(query, {
+          session: this._getSession()
+        });
 
         return documentsCount;
       },
@@ -324,6 +380,223 @@ export class MongoDBStore extends Store {
     return documentsCount;
   }
 
+  async aggregateDocuments({
+    collectionName,
+    expressions,
+    groupBy,
+    accumulators,
+    sort,
+    limit
+  }: AggregateDocumentsParams) {
+    const collection = await this._getCollection(collectionName);
+
+    // The grouped attributes and the accumulators are given some internal names (e.g., 'g0'
+    // or 'a0') because MongoDB doesn't allow some characters (e.g., '.') in the field names
+    const groupFieldNames = groupBy.map((_, index) => `g${index}`);
+    const accumulatorEntries = Object.entries(accumulators);
+    const accumulatorFieldNames = accumulatorEntries.map((_, index) => `a${index}`);
+
+    const mongoGroup: Document = {_id: groupBy.length > 0 ? {} : null};
+    const mongoProject: Document = {_id: 0};
+
+    groupBy.forEach((path, index) => {
+      const fieldName = groupFieldNames[index];
+      mongoGroup._id[fieldName] = `$${path}`;
+      mongoProject[fieldName] = `$_id.${fieldName}`;
+    });
+
+    accumulatorEntries.forEach(([_, {operator, path}], index) => {
+      const fieldName = accumulatorFieldNames[index];
+      mongoGroup[fieldName] = operator === '$count' ? {$sum: 1} : {[operator]: `$${path}`};
+      mongoProject[fieldName] = 1;
+    });
+
+    const pipeline: Document[] = [
+      {$match: buildMongoQuery(expressions)},
+      {$group: mongoGroup},
+      {$project: mongoProject}
+    ];
+
+    const mongoSort = buildMongoSort(
+      sort !== undefined
+        ? mapKeys(sort, (_, name) => {
+            const index = groupBy.indexOf(name);
+            return index !== -1
+              ? groupFieldNames[index]
+              : accumulatorFieldNames[accumulatorEntries.findIndex(([key]) => key === name)];
+          })
+        : undefined
+    );
+
+    if (mongoSort !== undefined) {
+      pipeline.push({$sort: mongoSort});
+    }
+
+    if (limit !== undefined) {
+      pipeline.push({$limit: limit});
+    }
+
+    const documents: Document[] = await debugCall(
+      async () => await collection.aggregate(pipeline, {session: this._getSession()}).toArray(),
+      'db.%s.aggregate(%o)',
+      collectionName,
+      pipeline
+    );
+
+    // Like the other stores, return a single group when there are no grouped attributes,
+    // even if there are no documents
+    if (groupBy.length === 0 && documents.length === 0) {
+      documents.push({});
+    }
+
+    return documents.map((document) => {
+      const row: AggregationRow = {};
+
+      groupBy.forEach((path, index) => {
+        row[path] = document[groupFieldNames[index]] ?? null;
+      });
+
+      accumulatorEntries.forEach(([name, {operator}], index) => {
+        const value = document[accumulatorFieldNames[index]];
+        row[name] = value ?? (operator === '$count' || operator === '$sum' ? 0 : null);
+      });
+
+      return row;
+    });
+  }
+
+  // === Indexes ===
+
+  /**
+   * See the methods that are inherited from the [`Store`](https://layrjs.com/docs/v1/reference/store#indexes) class.
+   *
+   * Note that the MongoDB indexes that don't match the indexes defined in the registered storable components are dropped (except the default `_id_` index).
+   *
+   * A text index is created as a MongoDB [text index](https://docs.mongodb.com/manual/core/index-text/), and the [`$search`](https://layrjs.com/docs/v1/reference/query#search) operator is translated into a [`$text`](https://docs.mongodb.com/manual/reference/operator/query/text/) query, so the search follows the MongoDB rules (e.g., some common English words such as 'the' are ignored).
+   *
+   * @category Indexes
+   */
+
+  async migrateCollectionIndexes({collectionName, indexes}: MigrateCollectionIndexesParams) {
+    const database = await this._getDatabase();
+
+    const collections = await database.listCollections({name: collectionName}).toArray();
+
+    if (collections.length === 0) {
+      await debugCall(
+        async () => await database.createCollection(collectionName),
+        'db.createCollection(%o)',
+        collectionName
+      );
+    }
+
+    const collection = await this._getCollection(collectionName);
+
+    const existingIndexNames: string[] = (
+      await debugCall(async () => await collection.indexes(), 'db.%s.getIndexes()', collectionName)
+    )
+      .map(({name}: {name: string}) => name)
+      .filter((name: string) => name !== '_id_');
+
+    const indexNames = indexes.map(buildIndexName);
+
+    const createdIndexes: string[] = [];
+    const droppedIndexes: string[] = [];
+
+    for (const name of existingIndexNames) {
+      if (!indexNames.includes(name)) {
+        await debugCall(
+          async () => await collection.dropIndex(name),
+          'db.%s.dropIndex(%o)',
+          collectionName,
+          name
+        );
+
+        droppedIndexes.push(name);
+      }
+    }
+
+    for (const index of indexes) {
+      const name = buildIndexName(index);
+
+      if (existingIndexNames.includes(name)) {
+        continue;
+      }
+
+      const keys = mapValues(index.attributes, (direction) =>
+        direction === 'text' ? 'text' : direction.toLowerCase() === 'desc' ? -1 : 1
+      );
+
+      const options = {
+        name,
+        unique: index.isUnique,
+        ...(index.expireAfterSeconds !== undefined && {
+          expireAfterSeconds: index.expireAfterSeconds
+        })
+      };
+
+      await debugCall(
+        async () => await collection.createIndex(keys, options),
+        'db.%s.createIndex(%o, %o)',
+        collectionName,
+        keys,
+        options
+      );
+
+      createdIndexes.push(name);
+    }
+
+    return {createdIndexes, droppedIndexes};
+  }
+
+  // === Transactions ===
+
+  /**
+   * See the methods that are inherited from the [`Store`](https://layrjs.com/docs/v1/reference/store#transactions) class.
+   *
+   * Transactions rely on [MongoDB sessions](https://docs.mongodb.com/manual/core/transactions/), so the MongoDB deployment must be a replica set or a sharded cluster.
+   *
+   * @category Transactions
+   */
+
+  private _sessionStorage = new AsyncLocalStorage<ClientSession>();
+
+  private _getSession() {
+    return this._sessionStorage.getStore();
+  }
+
+  async runTransaction<Result>(func: () => Promise<Result>) {
+    const client = await this._getClient();
+
+    const session = client.startSession();
+
+    try {
+      debug('Starting transaction...');
+
+      session.startTransaction();
+
+      let result: Result;
+
+      try {
+        result = await this._sessionStorage.run(session, func);
+      } catch (error) {
+        debug('Aborting transaction...');
+
+        await session.abortTransaction();
+
+        throw error;
+      }
+
+      debug('Committing transaction...');
+
+      await session.commitTransaction();
+
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
   // === Serialization ===
 
   toDocument<Value>(storable: typeof StorableLike | StorableLike, value: Value) {
@@ -334,9 +607,7 @@ export class MongoDBStore extends Store {
         .getPrimaryIdentifierAttribute()
         .getName();
 
-      document = mapKeys(document as any, (_, name) =>
-        name === primaryIdentifierAttributeName ? MONGODB_PRIMARY_IDENTIFIER_ATTRIBUTE_NAME : name
-      ) as Value;
+      document = renamePrimaryIdentifier(document, primaryIdentifierAttributeName) as Value;
     }
 
     return document;
@@ -415,6 +686,13 @@ export class MongoDBStore extends Store {
   }
 }
 
+// 'E11000 duplicate key error collection: test.User index: email_asc_unique dup key: ...' => 'email_asc_unique'
+function getDuplicateKeyErrorIndexName(error: Error) {
+  const matches = error.message.match(/ index: (\S+) dup key/);
+
+  return matches !== null ? matches[1] : undefined;
+}
+
 function buildMongoQuery(expressions: Expression[]) {
   const query: Query = {};
 
@@ -493,6 +771,12 @@ function handleOperator(
     return ['$regex', value];
   }
 
+  // --- Text operators ---
+
+  if (operator === '$search') {
+    return ['$text', {$search: value}];
+  }
+
   // --- Array operators ---
 
   if (operator === '$some') {
@@ -552,8 +836,14 @@ function buildMongoSort(sort: SortDescriptor | undefined) {
     return undefined;
   }
 
-  return mapValues(sort, (direction: SortDirection) =>
-    direction.toLowerCase() === 'desc' ? -1 : 1
+  return mapValues(
+    mapKeys(sort, (_, name) => (name === '$score' ? MONGODB_SCORE_FIELD_NAME : name)),
+    (direction: SortDirection, name) =>
+      name === MONGODB_SCORE_FIELD_NAME
+        ? {$meta: 'textScore'}
+        : direction.toLowerCase() === 'desc'
+        ? -1
+        : 1
   );
 }
 
@@ -581,3 +871,17 @@ async function debugCall<Result>(
 
   return result as Result;
 }
+
+// Renames the primary identifier in the subqueries of the logical operators as well
+// (e.g., `{$or: [{id: 'abc123'}, {id: 'def456'}]}`)
+function renamePrimaryIdentifier(object: any, primaryIdentifierAttributeName: string): any {
+  return mapValues(
+    mapKeys(object, (_, name) =>
+      name === primaryIdentifierAttributeName ? MONGODB_PRIMARY_IDENTIFIER_ATTRIBUTE_NAME : name
+    ),
+    (value, name) =>
+      (name === '$and' || name === '$or' || name === '$nor') && Array.isArray(value)
+        ? value.map((subquery) => renamePrimaryIdentifier(subquery, primaryIdentifierAttributeName))
+        : value
+  );
+}
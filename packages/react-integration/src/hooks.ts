@@ -1,4 +1,5 @@
-import type {Component} from '@layr/component';
+import type {Component, HistoryOptions} from '@layr/component';
+import {History} from '@layr/component';
 import {ObservableType, isObservable} from '@layr/observable';
 import {BrowserRouter} from '@layr/browser-router';
 import {MemoryRouter, MemoryRouterOptions} from '@layr/memory-router';
@@ -194,6 +195,69 @@ export function useObserve(observable: ObservableType) {
   );
 }
 
+/**
+ * Creates a [`History`](https://layrjs.com/docs/v1/reference/history) recording the changes of a component, and observes it so the view where this hook is used is automatically re-rendered when some changes are recorded, undone, or redone.
+ *
+ * The history stops recording the changes when the view is unmounted.
+ *
+ * @param component A [`Component`](https://layrjs.com/docs/v1/reference/component) instance.
+ * @param [options.maxLength] A number specifying the maximum number of entries that can be undone (default: `100`).
+ *
+ * @returns A [`History`](https://layrjs.com/docs/v1/reference/history) instance.
+ *
+ * @example
+ * ```
+ * import {Component, attribute} from '﹫layr/component';
+ * import React from 'react';
+ * import {view, useHistory} from '﹫layr/react-integration';
+ *
+ * class Movie extends Component {
+ *   ﹫attribute('string') title = '';
+ *
+ *   ﹫view() EditorView() {
+ *     const history = useHistory(this);
+ *
+ *     return (
+ *       <div>
+ *         <input value={this.title} onChange={(event) => { this.title = event.target.value; }} />
+ *         <button onClick={() => history.undo()} disabled={!history.canUndo()}>Undo</button>
+ *         <button onClick={() => history.redo()} disabled={!history.canRedo()}>Redo</button>
+ *       </div>
+ *     );
+ *   }
+ * }
+ * ```
+ *
+ * @category Hooks
+ * @reacthook
+ */
+export function useHistory(component: Component, options: HistoryOptions = {}) {
+  const historyRef = useRef<History>();
+
+  if (historyRef.current === undefined || historyRef.current.getComponent() !== component) {
+    // The history only records the changes while the view is mounted (see the effect below),
+    // so a render that is discarded by React doesn't leave an observer on the component
+    historyRef.current = new History(component, options);
+    historyRef.current.stop();
+  }
+
+  const history = historyRef.current;
+
+  const forceUpdate = useForceUpdate();
+
+  useEffect(() => {
+    history.start();
+    history.addObserver(forceUpdate);
+
+    return function () {
+      history.removeObserver(forceUpdate);
+      history.stop();
+    };
+  }, [history]);
+
+  return history;
+}
+
 /**
  * Allows you to define an asynchronous callback and keep track of its execution.
  *
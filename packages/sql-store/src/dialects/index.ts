@@ -0,0 +1,3 @@
+export * from './sql-dialect';
+export * from './sqlite-dialect';
+export * from './postgresql-dialect';
@@ -0,0 +1,233 @@
+import type {
+  Document,
+  Expression,
+  Operator,
+  Operand,
+  Path,
+  SortDescriptor,
+  IndexAttributes
+} from '@layr/store';
+
+import {parseDocument} from '../utilities';
+
+export type SQLRow = {[name: string]: any};
+
+export type SQLParams = unknown[];
+
+export interface SQLConnection {
+  query(sql: string, params?: SQLParams): Promise<SQLRow[]>;
+  execute(sql: string, params?: SQLParams): Promise<number>;
+}
+
+export type SQLBuildContext = {params: SQLParams; aliasCount: number};
+
+export type ItemConditionBuilder<Reference> = (itemReference: Reference) => string;
+
+/**
+ * An abstract class from which the SQL dialects used by a [`SQLStore`](https://layrjs.com/docs/v1/reference/sql-store) are constructed.
+ *
+ * A dialect is responsible for managing the connection to a database, and for translating the expressions produced by [`Store.toDocumentExpressions()`](https://layrjs.com/docs/v1/reference/store) into SQL conditions. Unless you need to support a database other than SQLite or PostgreSQL, you probably won't have to use this class directly.
+ */
+export abstract class SQLDialect<Reference = unknown> implements SQLConnection {
+  // === Connection ===
+
+  abstract connect(): Promise<void>;
+
+  abstract disconnect(): Promise<void>;
+
+  abstract query(sql: string, params?: SQLParams): Promise<SQLRow[]>;
+
+  abstract execute(sql: string, params?: SQLParams): Promise<number>;
+
+  abstract transaction<Result>(
+    func: (connection: SQLConnection) => Promise<Result>
+  ): Promise<Result>;
+
+  // === Tables ===
+
+  abstract buildCreateTableSQL(tableName: string): string;
+
+  // The clause appended to a SELECT statement to lock the selected rows until the end of the
+  // current transaction (if the database supports it)
+  lockRowsClause = '';
+
+  // === Indexes ===
+
+  // The SQL statement returned by this method should select the name of the indexes of
+  // the specified table in a column named 'name'
+  abstract buildListIndexesSQL(tableName: string): {sql: string; params: SQLParams};
+
+  buildCreateIndexSQL(
+    tableName: string,
+    indexName: string,
+    attributes: IndexAttributes,
+    {isUnique = false}: {isUnique?: boolean} = {}
+  ) {
+    const terms = Object.entries(attributes).map(
+      ([path, direction]) =>
+        `${this.buildIndexExpression(path)} ${direction.toLowerCase() === 'desc' ? 'DESC' : 'ASC'}`
+    );
+
+    return `CREATE ${isUnique ? 'UNIQUE ' : ''}INDEX ${this.quoteIdentifier(
+      indexName
+    )} ON ${this.quoteIdentifier(tableName)} (${terms.join(', ')})`;
+  }
+
+  buildDropIndexSQL(indexName: string) {
+    return `DROP INDEX ${this.quoteIdentifier(indexName)}`;
+  }
+
+  // Should return the same SQL expression as the one used in the conditions so that the
+  // database can take advantage of the index
+  abstract buildIndexExpression(path: Path): string;
+
+  abstract isUniqueViolation(error: any): boolean;
+
+  abstract getViolatedIndexName(error: any): string | undefined;
+
+  // === Documents ===
+
+  abstract addDocumentParam(document: Document, context: SQLBuildContext): string;
+
+  decodeDocument(value: unknown) {
+    return parseDocument(value as string | object);
+  }
+
+  // === Conditions ===
+
+  buildWhere(expressions: Expression[], context: SQLBuildContext) {
+    return this._buildConditions(expressions, this.getRootReference(), context);
+  }
+
+  _buildConditions(expressions: Expression[], reference: Reference, context: SQLBuildContext) {
+    if (expressions.length === 0) {
+      return 'TRUE';
+    }
+
+    const conditions = expressions.map((expression) =>
+      this._buildCondition(expression, reference, context)
+    );
+
+    return conditions.length === 1 ? conditions[0] : `(${conditions.join(' AND ')})`;
+  }
+
+  _buildCondition(
+    [path, operator, operand]: Expression,
+    reference: Reference,
+    context: SQLBuildContext
+  ): string {
+    if (path !== '') {
+      reference = this.getSubreference(reference, path);
+    }
+
+    // --- Array operators ---
+
+    if (operator === '$some' || operator === '$every') {
+      const subexpressions = operand as Expression[];
+
+      return this.buildArrayCondition(
+        reference,
+        operator,
+        (itemReference) => this._buildConditions(subexpressions, itemReference, context),
+        context
+      );
+    }
+
+    if (operator === '$length') {
+      return this.buildLengthCondition(reference, operand as number, context);
+    }
+
+    // --- Logical operators ---
+
+    if (operator === '$not') {
+      const subexpressions = operand as Expression[];
+
+      return `NOT (${this._buildConditions(subexpressions, reference, context)})`;
+    }
+
+    if (operator === '$and' || operator === '$or' || operator === '$nor') {
+      const operatorSubexpressions = operand as Expression[][];
+
+      if (operatorSubexpressions.length === 0) {
+        return operator === '$or' ? 'FALSE' : 'TRUE';
+      }
+
+      const conditions = operatorSubexpressions.map((subexpressions) =>
+        this._buildConditions(subexpressions, reference, context)
+      );
+
+      if (operator === '$and') {
+        return `(${conditions.join(' AND ')})`;
+      }
+
+      if (operator === '$or') {
+        return `(${conditions.join(' OR ')})`;
+      }
+
+      return `NOT (${conditions.join(' OR ')})`;
+    }
+
+    // --- Basic and string operators ---
+
+    return this.buildValueCondition(reference, operator, operand, context, {path});
+  }
+
+  abstract getRootReference(): Reference;
+
+  abstract getSubreference(reference: Reference, path: Path): Reference;
+
+  abstract buildValueCondition(
+    reference: Reference,
+    operator: Operator,
+    operand: Operand,
+    context: SQLBuildContext,
+    {path}: {path: Path}
+  ): string;
+
+  abstract buildLengthCondition(
+    reference: Reference,
+    length: number,
+    context: SQLBuildContext
+  ): string;
+
+  abstract buildArrayCondition(
+    reference: Reference,
+    operator: '$some' | '$every',
+    buildItemCondition: ItemConditionBuilder<Reference>,
+    context: SQLBuildContext
+  ): string;
+
+  // === Sorting and pagination ===
+
+  abstract buildOrderBy(sort: SortDescriptor): string;
+
+  abstract buildLimitAndOffset(
+    limit: number | undefined,
+    skip: number | undefined,
+    context: SQLBuildContext
+  ): string;
+
+  // === Utilities ===
+
+  abstract addParam(value: unknown, context: SQLBuildContext): string;
+
+  quoteIdentifier(name: string) {
+    return `"${name.replace(/"/g, '""')}"`;
+  }
+
+  quoteLiteral(value: string) {
+    return `'${value.replace(/'/g, "''")}'`;
+  }
+
+  static isSQLDialect(value: any): value is SQLDialect {
+    return isSQLDialectInstance(value);
+  }
+}
+
+export function isSQLDialectInstance(value: any): value is SQLDialect {
+  return typeof value?.constructor?.isSQLDialect === 'function';
+}
+
+export function createSQLBuildContext(): SQLBuildContext {
+  return {params: [], aliasCount: 0};
+}
@@ -0,0 +1,493 @@
+import type {Document, Operator, Operand, Path, SortDescriptor} from '@layr/store';
+import type {Database} from 'better-sqlite3';
+
+import {
+  SQLDialect,
+  SQLConnection,
+  SQLParams,
+  SQLRow,
+  SQLBuildContext,
+  ItemConditionBuilder
+} from './sql-dialect';
+import {debug, debugCall, stringifyDocument} from '../utilities';
+
+// A reference to a JSON value is made of the SQL expression of the JSON text that contains
+// the value, and the JSON path of the value (starting from an optional SQL expression
+// evaluating to a JSON path, like the 'fullkey' column of the json_each() function)
+type SQLiteReference = {source: string; basePath: string | undefined; path: string};
+
+const ROOT_REFERENCE: SQLiteReference = {source: '"document"', basePath: undefined, path: ''};
+
+const COMPARISON_OPERATORS: {[operator: string]: string | undefined} = {
+  $greaterThan: '>',
+  $greaterThanOrEqual: '>=',
+  $lessThan: '<',
+  $lessThanOrEqual: '<='
+};
+
+/**
+ * *Inherits from [`SQLDialect`](https://layrjs.com/docs/v1/reference/sql-store#sql-dialect-class).*
+ *
+ * A [`SQLDialect`](https://layrjs.com/docs/v1/reference/sql-store#sql-dialect-class) for [SQLite](https://www.sqlite.org/) databases. It relies on the [`better-sqlite3`](https://github.com/JoshuaWise/better-sqlite3) package, so make sure to install it in your project.
+ */
+export class SQLiteDialect extends SQLDialect<SQLiteReference> {
+  _filename: string;
+
+  /**
+   * Creates a [`SQLiteDialect`](https://layrjs.com/docs/v1/reference/sql-store#sqlite-dialect-class).
+   *
+   * @param filename The path of the SQLite database file, or `':memory:'` to use an in-memory database.
+   *
+   * @example
+   * ```
+   * const dialect = new SQLiteDialect('./data.sqlite');
+   * ```
+   */
+  constructor(filename: string) {
+    super();
+
+    this._filename = filename;
+  }
+
+  // === Connection ===
+
+  _database: Database | undefined;
+
+  async connect() {
+    await this._getDatabase();
+  }
+
+  async disconnect() {
+    const database = this._database;
+
+    if (database !== undefined) {
+      this._database = undefined;
+
+      debug(`Closing SQLite database (filename: ${this._filename})`);
+
+      database.close();
+    }
+  }
+
+  async _getDatabase(): Promise<Database> {
+    if (this._database === undefined) {
+      debug(`Opening SQLite database (filename: ${this._filename})`);
+
+      const {default: BetterSQLite3} = await import('better-sqlite3');
+
+      const database = new BetterSQLite3(this._filename);
+
+      const regExpCache = new Map<string, RegExp>();
+
+      database.function(
+        'layr_regexp',
+        {deterministic: true},
+        (source: string, flags: string, value: unknown) => {
+          if (typeof value !== 'string') {
+            return 0;
+          }
+
+          const key = `/${source}/${flags}`;
+          let regExp = regExpCache.get(key);
+
+          if (regExp === undefined) {
+            regExp = new RegExp(source, flags);
+            regExpCache.set(key, regExp);
+          }
+
+          return regExp.test(value) ? 1 : 0;
+        }
+      );
+
+      // Check `this._database` again in case of concurrent execution
+      if (this._database === undefined) {
+        this._database = database;
+      } else {
+        database.close();
+      }
+    }
+
+    return this._database;
+  }
+
+  async query(sql: string, params: SQLParams = []) {
+    const database = await this._getDatabase();
+
+    await this._waitForTransaction();
+
+    return await this._query(database, sql, params);
+  }
+
+  async execute(sql: string, params: SQLParams = []) {
+    const database = await this._getDatabase();
+
+    await this._waitForTransaction();
+
+    return await this._execute(database, sql, params);
+  }
+
+  async _query(database: Database, sql: string, params: SQLParams = []) {
+    return await debugCall(
+      async () => database.prepare(sql).all(...params) as SQLRow[],
+      '%s %o',
+      sql,
+      params
+    );
+  }
+
+  async _execute(database: Database, sql: string, params: SQLParams = []) {
+    return await debugCall(
+      async () => database.prepare(sql).run(...params).changes,
+      '%s %o',
+      sql,
+      params
+    );
+  }
+
+  _transactionQueue: Promise<void> = Promise.resolve();
+
+  _isInTransaction = false;
+
+  // Since the queries are executed on the connection holding the current transaction,
+  // the queries executed outside of the transaction wait until it is over
+  async _waitForTransaction() {
+    while (this._isInTransaction) {
+      await this._transactionQueue;
+    }
+  }
+
+  async transaction<Result>(func: (connection: SQLConnection) => Promise<Result>) {
+    const database = await this._getDatabase();
+
+    // Since a SQLite connection cannot hold several transactions at the same time,
+    // the transactions are serialized
+    const previousTransaction = this._transactionQueue;
+    let releaseTransaction!: () => void;
+    this._transactionQueue = new Promise((resolve) => {
+      releaseTransaction = resolve;
+    });
+
+    await previousTransaction;
+
+    const connection: SQLConnection = {
+      query: (sql, params = []) => this._query(database, sql, params),
+      execute: (sql, params = []) => this._execute(database, sql, params)
+    };
+
+    try {
+      database.exec('BEGIN');
+      this._isInTransaction = true;
+
+      try {
+        const result = await func(connection);
+        database.exec('COMMIT');
+        return result;
+      } catch (error) {
+        database.exec('ROLLBACK');
+        throw error;
+      }
+    } finally {
+      this._isInTransaction = false;
+      releaseTransaction();
+    }
+  }
+
+  // === Tables ===
+
+  buildCreateTableSQL(tableName: string) {
+    // The '_id' column has no type affinity so primary identifiers keep their type
+    return `CREATE TABLE IF NOT EXISTS ${this.quoteIdentifier(
+      tableName
+    )} ("_id" PRIMARY KEY, "document" TEXT NOT NULL)`;
+  }
+
+  // === Indexes ===
+
+  buildListIndexesSQL(tableName: string) {
+    return {
+      sql: `SELECT "name" FROM "sqlite_master" WHERE "type" = 'index' AND "tbl_name" = ?`,
+      params: [tableName]
+    };
+  }
+
+  buildIndexExpression(path: Path) {
+    return this._buildExtraction(this.getSubreference(ROOT_REFERENCE, path));
+  }
+
+  isUniqueViolation(error: any) {
+    return error?.code === 'SQLITE_CONSTRAINT_UNIQUE';
+  }
+
+  // "UNIQUE constraint failed: index 'User:email_asc_unique'" => 'User:email_asc_unique'
+  getViolatedIndexName(error: any) {
+    const matches = String(error?.message).match(/index '([^']+)'/);
+
+    return matches !== null ? matches[1] : undefined;
+  }
+
+  // === Documents ===
+
+  addDocumentParam(document: Document, context: SQLBuildContext) {
+    context.params.push(stringifyDocument(document));
+
+    return '?';
+  }
+
+  // === Conditions ===
+
+  _encodeValue(value: unknown) {
+    if (typeof value === 'boolean') {
+      return value ? 1 : 0; // JSON booleans are extracted as integers
+    }
+
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+
+    return value;
+  }
+
+  getRootReference() {
+    return ROOT_REFERENCE;
+  }
+
+  getSubreference(reference: SQLiteReference, path: Path) {
+    const subpath = path
+      .split('.')
+      .map((key) => `.${quoteJSONPathKey(key)}`)
+      .join('');
+
+    return {...reference, path: reference.path + subpath};
+  }
+
+  buildValueCondition(
+    reference: SQLiteReference,
+    operator: Operator,
+    operand: Operand,
+    context: SQLBuildContext,
+    {path}: {path: Path}
+  ): string {
+    // Dates are stored as `{__date: isoString}` objects
+    const value =
+      operand instanceof Date
+        ? this._buildExtraction(reference, '.__date')
+        : this._buildExtraction(reference);
+
+    // --- Basic operators ---
+
+    if (operator === '$equal') {
+      if (operand === undefined || operand === null) {
+        return `(${value} IS NULL)`;
+      }
+
+      return `(${value} IS ${this.addParam(operand, context)})`;
+    }
+
+    if (operator === '$notEqual') {
+      if (operand === undefined || operand === null) {
+        return `(${value} IS NOT NULL)`;
+      }
+
+      return `(${value} IS NOT ${this.addParam(operand, context)})`;
+    }
+
+    const comparisonOperator = COMPARISON_OPERATORS[operator];
+
+    if (comparisonOperator !== undefined) {
+      // Unlike SQLite, the other stores never consider values of different types as comparable
+      return `COALESCE(${this._buildTypeGuard(
+        reference,
+        operand
+      )} AND ${value} ${comparisonOperator} ${this.addParam(operand, context)}, FALSE)`;
+    }
+
+    if (operator === '$in') {
+      const items = (operand as unknown) as unknown[];
+
+      if (items.length === 0) {
+        return 'FALSE';
+      }
+
+      if (items.some((item) => item === undefined || item === null || item instanceof Date)) {
+        const conditions = items.map((item) =>
+          this.buildValueCondition(reference, '$equal', item as Operand, context, {path})
+        );
+
+        return `(${conditions.join(' OR ')})`;
+      }
+
+      const placeholders = items.map((item) => this.addParam(item, context));
+
+      return `COALESCE(${value} IN (${placeholders.join(', ')}), FALSE)`;
+    }
+
+    // --- String operators ---
+
+    const isText = `${this._buildType(reference)} = 'text'`;
+
+    if (operator === '$includes') {
+      return `COALESCE(${isText} AND instr(${value}, ${this.addParam(
+        operand,
+        context
+      )}) > 0, FALSE)`;
+    }
+
+    if (operator === '$startsWith') {
+      return `COALESCE(${isText} AND substr(${value}, 1, length(${this.addParam(
+        operand,
+        context
+      )})) = ${this.addParam(operand, context)}, FALSE)`;
+    }
+
+    if (operator === '$endsWith') {
+      return `COALESCE(${isText} AND substr(${value}, length(${value}) - length(${this.addParam(
+        operand,
+        context
+      )}) + 1) = ${this.addParam(operand, context)}, FALSE)`;
+    }
+
+    if (operator === '$matches') {
+      const regExp = (operand as unknown) as RegExp;
+
+      return `COALESCE(layr_regexp(${this.addParam(regExp.source, context)}, ${this.addParam(
+        regExp.flags.replace('g', ''),
+        context
+      )}, ${value}), FALSE)`;
+    }
+
+    throw new Error(
+      `A query contains an operator that is not supported (operator: '${operator}', path: '${path}')`
+    );
+  }
+
+  buildLengthCondition(reference: SQLiteReference, length: number, context: SQLBuildContext) {
+    return `COALESCE(${this._buildType(reference)} = 'array' AND json_array_length(${
+      reference.source
+    }, ${this._buildPath(reference)}) = ${this.addParam(length, context)}, FALSE)`;
+  }
+
+  buildArrayCondition(
+    reference: SQLiteReference,
+    operator: '$some' | '$every',
+    buildItemCondition: ItemConditionBuilder<SQLiteReference>,
+    context: SQLBuildContext
+  ) {
+    const alias = `item${++context.aliasCount}`;
+
+    const isArray = `${this._buildType(reference)} = 'array'`;
+    const items = `json_each(${reference.source}, ${this._buildPath(reference)}) AS ${alias}`;
+    const itemReference: SQLiteReference = {
+      source: reference.source,
+      basePath: `${alias}.fullkey`,
+      path: ''
+    };
+
+    if (operator === '$some') {
+      return `COALESCE(${isArray} AND EXISTS (SELECT 1 FROM ${items} WHERE ${buildItemCondition(
+        itemReference
+      )}), FALSE)`;
+    }
+
+    return `COALESCE(${isArray} AND NOT EXISTS (SELECT 1 FROM ${items} WHERE NOT (${buildItemCondition(
+      itemReference
+    )})), FALSE)`;
+  }
+
+  _buildPath(reference: SQLiteReference, suffix = '') {
+    const path = reference.path + suffix;
+
+    if (reference.basePath === undefined) {
+      return this.quoteLiteral(`$${path}`);
+    }
+
+    if (path === '') {
+      return reference.basePath;
+    }
+
+    return `(${reference.basePath} || ${this.quoteLiteral(path)})`;
+  }
+
+  _buildExtraction(reference: SQLiteReference, suffix = '') {
+    return `json_extract(${reference.source}, ${this._buildPath(reference, suffix)})`;
+  }
+
+  _buildType(reference: SQLiteReference, suffix = '') {
+    return `json_type(${reference.source}, ${this._buildPath(reference, suffix)})`;
+  }
+
+  _buildTypeGuard(reference: SQLiteReference, operand: Operand) {
+    if (operand instanceof Date) {
+      return `${this._buildType(reference, '.__date')} = 'text'`;
+    }
+
+    if (typeof operand === 'number') {
+      return `${this._buildType(reference)} IN ('integer', 'real')`;
+    }
+
+    if (typeof operand === 'string') {
+      return `${this._buildType(reference)} = 'text'`;
+    }
+
+    if (typeof operand === 'boolean') {
+      return `${this._buildType(reference)} IN ('true', 'false')`;
+    }
+
+    return 'TRUE';
+  }
+
+  // === Sorting and pagination ===
+
+  buildOrderBy(sort: SortDescriptor) {
+    const terms = Object.entries(sort).map(([path, direction]) => {
+      const reference = this.getSubreference(ROOT_REFERENCE, path);
+
+      // SQLite considers NULL values smaller than any other value
+      return `COALESCE(${this._buildExtraction(reference, '.__date')}, ${this._buildExtraction(
+        reference
+      )}) ${direction.toLowerCase() === 'desc' ? 'DESC' : 'ASC'}`;
+    });
+
+    return terms.join(', ');
+  }
+
+  buildLimitAndOffset(
+    limit: number | undefined,
+    skip: number | undefined,
+    context: SQLBuildContext
+  ) {
+    if (limit === undefined && skip === undefined) {
+      return '';
+    }
+
+    // SQLite requires a LIMIT clause when there is an OFFSET clause
+    let sql = `LIMIT ${this.addParam(limit ?? -1, context)}`;
+
+    if (skip !== undefined) {
+      sql += ` OFFSET ${this.addParam(skip, context)}`;
+    }
+
+    return sql;
+  }
+
+  // === Utilities ===
+
+  addParam(value: unknown, context: SQLBuildContext) {
+    context.params.push(this._encodeValue(value));
+
+    return '?';
+  }
+}
+
+function quoteJSONPathKey(key: string) {
+  if (/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key)) {
+    return key;
+  }
+
+  if (key.includes('"')) {
+    throw new Error(
+      `Cannot use an attribute name containing a double quote in a SQLite query (attribute: '${key}')`
+    );
+  }
+
+  return `"${key}"`;
+}
@@ -0,0 +1,2 @@
+export * from './dialects';
+export * from './sql-store';
@@ -0,0 +1,58 @@
+import type {Document} from '@layr/store';
+import {deserialize} from 'simple-serialization';
+import debugModule from 'debug';
+
+export const debug = debugModule('layr:sql-store');
+// To display the debug log, set this environment:
+// DEBUG=layr:sql-store DEBUG_DEPTH=10
+
+// Dates and regular expressions are tagged the same way `simple-serialization` does,
+// while undefined values are omitted (so that they can be queried as SQL NULL values)
+export function stringifyDocument(document: Document) {
+  return JSON.stringify(document, function (this: any, key: string, value: unknown) {
+    const originalValue = this[key];
+
+    if (originalValue instanceof Date) {
+      return {__date: originalValue.toISOString()};
+    }
+
+    if (originalValue instanceof RegExp) {
+      return {__regExp: originalValue.toString()};
+    }
+
+    return value;
+  });
+}
+
+export function parseDocument(value: string | object) {
+  if (typeof value === 'string') {
+    value = JSON.parse(value);
+  }
+
+  return deserialize(value) as Document;
+}
+
+export async function debugCall<Result>(
+  func: () => Promise<Result>,
+  message: string,
+  ...params: unknown[]
+): Promise<Result> {
+  let result;
+  let error;
+
+  try {
+    result = await func();
+  } catch (err) {
+    error = err;
+  }
+
+  if (error !== undefined) {
+    debug(`${message} => Error`, ...params);
+
+    throw error;
+  }
+
+  debug(`${message} => %o`, ...params, result);
+
+  return result as Result;
+}
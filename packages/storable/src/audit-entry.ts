@@ -0,0 +1,148 @@
+import {Component} from '@layr/component';
+import {hasOwnProperty} from 'core-helpers';
+
+import {Storable} from './storable';
+import type {StorableComponent} from './storable';
+import {primaryIdentifier, attribute, index} from './decorators';
+
+export type AuditOperation = 'create' | 'update' | 'delete';
+
+export type AuditChanges = {[attributeName: string]: {previousValue?: string; newValue?: string}};
+
+export type AuditOptions = {
+  entryComponentName?: string;
+  getUser?: (this: StorableComponent) => string | undefined | PromiseLike<string | undefined>;
+  excludedAttributes?: string[];
+};
+
+export type NormalizedAuditOptions = {
+  entryComponentName: string;
+  getUser: AuditOptions['getUser'];
+  excludedAttributes: string[];
+};
+
+/**
+ * *Inherits from [`StorableComponent`](https://layrjs.com/docs/v1/reference/storable#storable-component-class).*
+ *
+ * A storable component representing an entry of the audit log of some storable components. An entry is recorded each time an audited component (see the [`@audit()`](https://layrjs.com/docs/v1/reference/storable#audit-decorator) decorator) is created, updated, or deleted in a store.
+ *
+ * The entries are stored in a collection named after the `AuditEntry` component. To use another collection, extend the `AuditEntry` class, and specify the name of your subclass with the `entryComponentName` option of the [`@audit()`](https://layrjs.com/docs/v1/reference/storable#audit-decorator) decorator.
+ *
+ * Since `AuditEntry` is a regular storable component, it must be registered in the same store as the audited components (e.g., by providing it in your root component), and you can query the audit log with methods such as [`find()`](https://layrjs.com/docs/v1/reference/storable#find-class-method).
+ *
+ * @example
+ * ```
+ * import {Component, provide} from '﹫layr/component';
+ * import {Storable, AuditEntry, primaryIdentifier, attribute, audit} from '﹫layr/storable';
+ *
+ * ﹫audit({getUser() { return getCurrentUserId(); }})
+ * class Movie extends Storable(Component) {
+ *   ﹫primaryIdentifier() id!: string;
+ *
+ *   ﹫attribute('string') title!: string;
+ * }
+ *
+ * class Application extends Component {
+ *   ﹫provide() static Movie = Movie;
+ *   ﹫provide() static AuditEntry = AuditEntry;
+ * }
+ *
+ * // ...
+ *
+ * const entries = await AuditEntry.find(
+ *   {storableType: 'Movie', storableId: 'abc123'},
+ *   true,
+ *   {sort: {date: 'desc'}}
+ * );
+ *
+ * entries[0].operation; // => 'update'
+ * entries[0].user; // => 'user456'
+ * entries[0].getChange('title'); // => {previousValue: 'Inception', newValue: 'Inception 2'}
+ * ```
+ */
+@index({storableType: 'asc', storableId: 'asc', date: 'desc'})
+export class AuditEntry extends Storable(Component) {
+  /**
+   * A string representing the identifier of the entry.
+   *
+   * @category Attributes
+   */
+  @primaryIdentifier() id!: string;
+
+  /**
+   * A string representing the type of the audited component instance (e.g., `'Movie'`).
+   *
+   * @category Attributes
+   */
+  @attribute('string') storableType!: string;
+
+  /**
+   * A string representing the value of the primary identifier of the audited component.
+   *
+   * @category Attributes
+   */
+  @attribute('string') storableId!: string;
+
+  /**
+   * A string representing the recorded operation (`'create'`, `'update'`, or `'delete'`).
+   *
+   * @category Attributes
+   */
+  @attribute('string') operation!: AuditOperation;
+
+  /**
+   * A plain object of the shape `{[name]: {previousValue, newValue}}` where `name` is the name of a changed attribute, and `previousValue` and `newValue` are the JSON representations of the serialized values of the attribute before and after the operation. Use the [`getChange()`](https://layrjs.com/docs/v1/reference/storable#get-change-instance-method) method to get the serialized values.
+   *
+   * @category Attributes
+   */
+  @attribute('object') changes!: AuditChanges;
+
+  /**
+   * A `Date` representing when the operation was executed.
+   *
+   * @category Attributes
+   */
+  @attribute('Date') date!: Date;
+
+  /**
+   * A string representing the user who executed the operation (as returned by the `getUser()` function specified in the [`@audit()`](https://layrjs.com/docs/v1/reference/storable#audit-decorator) decorator), or `undefined` if the user is unknown.
+   *
+   * @category Attributes
+   */
+  @attribute('string?') user?: string;
+
+  /**
+   * Returns the change of an attribute recorded in the entry.
+   *
+   * @param attributeName The name of an attribute.
+   *
+   * @returns A plain object of the shape `{previousValue, newValue}` where `previousValue` and `newValue` are the serialized values of the attribute before and after the operation, or `undefined` if the attribute didn't change.
+   *
+   * @example
+   * ```
+   * entry.getChange('title'); // => {previousValue: 'Inception', newValue: 'Inception 2'}
+   * entry.getChange('releaseDate'); // => {newValue: {__date: '2010-07-16T00:00:00.000Z'}}
+   * ```
+   *
+   * @category Methods
+   */
+  getChange(attributeName: string) {
+    if (!hasOwnProperty(this.changes, attributeName)) {
+      return undefined;
+    }
+
+    const {previousValue, newValue} = this.changes[attributeName];
+
+    const change: {previousValue?: any; newValue?: any} = {};
+
+    if (previousValue !== undefined) {
+      change.previousValue = JSON.parse(previousValue);
+    }
+
+    if (newValue !== undefined) {
+      change.newValue = JSON.parse(newValue);
+    }
+
+    return change;
+  }
+}
@@ -1,7 +1,7 @@
 import {Component} from '@layr/component';
 
 import {Storable} from './storable';
-import {attribute, method, loader, finder} from './decorators';
+import {attribute, primaryIdentifier, method, loader, finder, index} from './decorators';
 import {isStorableAttributeInstance, isStorableMethodInstance} from './properties';
 
 describe('Decorators', () => {
@@ -90,4 +90,33 @@ describe('Decorators', () => {
     expect(hasAccessLevelMethod.getFinder()).toBe(hasAccessLevelFinder);
     expect(hasAccessLevelMethod.hasFinder()).toBe(true);
   });
+
+  test('@index()', async () => {
+    @index({year: 'desc', title: 'asc'}, {isUnique: true})
+    class Movie extends Storable(Component) {
+      @primaryIdentifier() id!: string;
+      @attribute('string', {index: true}) title = '';
+      @attribute('number') year!: number;
+    }
+
+    expect(Movie.getIndexes()).toStrictEqual([
+      {attributes: {title: 'asc'}, isUnique: false},
+      {attributes: {year: 'desc', title: 'asc'}, isUnique: true}
+    ]);
+
+    expect(Movie.prototype.getStorableAttribute('title').getIndex()).toStrictEqual({
+      direction: 'asc',
+      isUnique: false
+    });
+    expect(Movie.prototype.getStorableAttribute('year').hasIndex()).toBe(false);
+
+    expect(() => {
+      @index({rating: 'asc'})
+      class Film extends Movie {}
+
+      return Film;
+    }).toThrow(
+      "Cannot add an index including an attribute that is missing or computed (component: 'Film', attribute: 'rating')"
+    );
+  });
 });
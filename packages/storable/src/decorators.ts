@@ -8,8 +8,10 @@ import {
   isComponentClassOrInstance,
   isComponentInstance
 } from '@layr/component';
+import type {IndexAttributes, IndexOptions} from '@layr/store';
 
 import {StorableComponent} from './storable';
+import type {AuditOptions} from './audit-entry';
 import {
   StorablePropertyFinder,
   StorableAttribute,
@@ -20,7 +22,7 @@ import {
   StorableMethod,
   StorableMethodOptions
 } from './properties';
-import {isStorableClassOrInstance, isStorableInstance} from './utilities';
+import {isStorableClass, isStorableClassOrInstance, isStorableInstance} from './utilities';
 
 type StorableAttributeDecoratorOptions = Omit<StorableAttributeOptions, 'value' | 'default'>;
 
@@ -195,3 +197,159 @@ export function finder(finder: StorablePropertyFinder) {
     target.getStorableProperty(name).setFinder(finder);
   };
 }
+
+/**
+ * Defines an index for a storable component. Use this decorator to define an index that includes several attributes (i.e., a compound index). To index a single attribute, you can use the `index` option of the [`@attribute()`](https://layrjs.com/docs/v1/reference/storable#attribute-decorator) decorator.
+ *
+ * The indexes are created in the store when you call the [`migrateIndexes()`](https://layrjs.com/docs/v1/reference/store#migrate-indexes-instance-method) method of the store.
+ *
+ * To enable the [`$search`](https://layrjs.com/docs/v1/reference/query#search) operator, define a text index (i.e., an index where all the attributes have the `'text'` direction) that includes the string attributes to be searched. A storable component can have only one text index.
+ *
+ * @param attributes A plain object of the shape `{[name]: direction}` where `name` is the name of a storable attribute and `direction` is the string `'asc'`, `'desc'`, or `'text'`.
+ * @param [options.isUnique] A boolean specifying whether the index should reject the components having the same values as another component for the indexed attributes (default: `false`).
+ * @param [options.expireAfterSeconds] A number specifying that the components should be automatically removed after the specified number of seconds has elapsed since the date stored in the indexed attribute (which should be of type `'Date'`).
+ *
+ * @example
+ * ```
+ * // JS
+ *
+ * import {Component} from '﹫layr/component';
+ * import {Storable, primaryIdentifier, attribute, index} from '﹫layr/storable';
+ *
+ * ﹫index({country: 'asc', year: 'desc'})
+ * ﹫index({title: 'text', description: 'text'})
+ * class Movie extends Storable(Component) {
+ *   ﹫primaryIdentifier() id;
+ *
+ *   ﹫attribute('string') title;
+ *
+ *   ﹫attribute('string') description;
+ *
+ *   ﹫attribute('string') country;
+ *
+ *   ﹫attribute('number') year;
+ * }
+ * ```
+ *
+ * ```
+ * // TS
+ *
+ * import {Component} from '﹫layr/component';
+ * import {Storable, primaryIdentifier, attribute, index} from '﹫layr/storable';
+ *
+ * ﹫index({country: 'asc', year: 'desc'})
+ * ﹫index({title: 'text', description: 'text'})
+ * class Movie extends Storable(Component) {
+ *   ﹫primaryIdentifier() id!: string;
+ *
+ *   ﹫attribute('string') title!: string;
+ *
+ *   ﹫attribute('string') description!: string;
+ *
+ *   ﹫attribute('string') country!: string;
+ *
+ *   ﹫attribute('number') year!: number;
+ * }
+ * ```
+ *
+ * @category Decorators
+ * @decorator
+ */
+export function index(attributes: IndexAttributes, options: IndexOptions = {}) {
+  return function (target: typeof StorableComponent) {
+    if (!isStorableClass(target)) {
+      throw new Error(`@index() must be used as a storable component class decorator`);
+    }
+
+    target.addIndex(attributes, options);
+  };
+}
+
+/**
+ * Enables the audit log of a storable component. Each time an instance of the component is created, updated, or deleted in a store, an [`AuditEntry`](https://layrjs.com/docs/v1/reference/audit-entry) is saved with the changed attributes (with their previous and new values), the date of the operation, and the user who executed it.
+ *
+ * Only the attributes that were actually changed are recorded. The previous values are the ones that the attributes had when they were loaded or saved (the attributes that have never been loaded are retrieved from the store just before the operation is executed), and an entry is saved in the same transaction as the operation, so the store must support transactions. Note that the audit log is written by the component that is registered in a store (i.e., typically, in the backend).
+ *
+ * @param [options.entryComponentName] The name of the [`AuditEntry`](https://layrjs.com/docs/v1/reference/audit-entry) component (or subclass) to use for recording the entries (default: `'AuditEntry'`). Since the entries are stored in a collection named after this component, you can use a subclass of `AuditEntry` to store the entries in another collection.
+ * @param [options.getUser] A function that is called (possibly asynchronously) with the audited component as `this` context to get a string representing the user executing the operation (default: `undefined`, which means that the user is not recorded).
+ * @param [options.excludedAttributes] An array of strings specifying the names of the attributes that should not be recorded (default: `[]`).
+ *
+ * @example
+ * ```
+ * import {Component, provide} from '﹫layr/component';
+ * import {Storable, AuditEntry, primaryIdentifier, attribute, audit} from '﹫layr/storable';
+ *
+ * class MovieAuditEntry extends AuditEntry {}
+ *
+ * ﹫audit({
+ *   entryComponentName: 'MovieAuditEntry',
+ *   getUser() {
+ *     return getRequestContext(this)?.user?.id;
+ *   },
+ *   excludedAttributes: ['viewCount']
+ * })
+ * class Movie extends Storable(Component) {
+ *   ﹫provide() static MovieAuditEntry = MovieAuditEntry;
+ *
+ *   ﹫primaryIdentifier() id!: string;
+ *
+ *   ﹫attribute('string') title!: string;
+ *
+ *   ﹫attribute('number') viewCount = 0;
+ * }
+ * ```
+ *
+ * @category Decorators
+ * @decorator
+ */
+export function audit(options: AuditOptions = {}) {
+  return function (target: typeof StorableComponent) {
+    if (!isStorableClass(target)) {
+      throw new Error(`@audit() must be used as a storable component class decorator`);
+    }
+
+    target.enableAudit(options);
+  };
+}
+
+/**
+ * Enables the soft delete mode of a storable component. In this mode, the [`delete()`](https://layrjs.com/docs/v1/reference/storable#delete-instance-method) method doesn't remove a component from the store. Instead, it sets the `deletedAt` attribute of the component to the current date.
+ *
+ * The components that have been soft deleted are excluded from the results of the [`get()`](https://layrjs.com/docs/v1/reference/storable#get-class-method), [`find()`](https://layrjs.com/docs/v1/reference/storable#find-class-method), [`findPage()`](https://layrjs.com/docs/v1/reference/storable#find-page-class-method), [`count()`](https://layrjs.com/docs/v1/reference/storable#count-class-method), and [`aggregate()`](https://layrjs.com/docs/v1/reference/storable#aggregate-class-method) methods unless the `includeDeleted` option is specified, and they can be restored with the [`restore()`](https://layrjs.com/docs/v1/reference/storable#restore-instance-method) method. Note that the components referencing a soft deleted component can still load it.
+ *
+ * @param [options.attributeName] The name of the attribute storing the date of the deletion (default: `'deletedAt'`). If the storable component doesn't have such an attribute, a storable attribute of type `'Date?'` is added.
+ *
+ * @example
+ * ```
+ * import {Component} from '﹫layr/component';
+ * import {Storable, primaryIdentifier, attribute, softDelete} from '﹫layr/storable';
+ *
+ * ﹫softDelete()
+ * class Movie extends Storable(Component) {
+ *   ﹫primaryIdentifier() id!: string;
+ *
+ *   ﹫attribute('string') title!: string;
+ * }
+ *
+ * const movie = await Movie.get('abc123');
+ *
+ * await movie.delete(); // Sets `movie.deletedAt`
+ *
+ * await Movie.find(); // => [] (the soft deleted movie is excluded)
+ * await Movie.find({}, true, {includeDeleted: true}); // => [movie]
+ *
+ * await movie.restore(); // Unsets `movie.deletedAt`
+ * ```
+ *
+ * @category Decorators
+ * @decorator
+ */
+export function softDelete(options: {attributeName?: string} = {}) {
+  return function (target: typeof StorableComponent) {
+    if (!isStorableClass(target)) {
+      throw new Error(`@softDelete() must be used as a storable component class decorator`);
+    }
+
+    target.enableSoftDelete(options);
+  };
+}
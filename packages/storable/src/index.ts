@@ -1,3 +1,4 @@
+export * from './audit-entry';
 export * from './decorators';
 export * from './properties';
 export * from './storable';
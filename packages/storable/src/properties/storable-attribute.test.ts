@@ -68,6 +68,25 @@ describe('StorableAttribute', () => {
     );
   });
 
+  test('isVersion()', async () => {
+    class Movie extends Storable(Component) {}
+
+    const versionAttribute = new StorableAttribute('version', Movie.prototype, {
+      valueType: 'number?',
+      isVersion: true
+    });
+
+    expect(versionAttribute.isVersion()).toBe(true);
+
+    const titleAttribute = new StorableAttribute('title', Movie.prototype, {valueType: 'string'});
+
+    expect(titleAttribute.isVersion()).toBe(false);
+
+    expect(() => titleAttribute.setIsVersion(true)).toThrow(
+      "The version attribute of a storable component should be a non-computed attribute of type 'number?' (attribute: 'Movie.prototype.title')"
+    );
+  });
+
   test('Introspection', async () => {
     class Movie extends Storable(Component) {}
 
@@ -84,6 +103,20 @@ describe('StorableAttribute', () => {
       value: 100,
       exposure: {get: true}
     });
+
+    expect(
+      new StorableAttribute('version', Movie.prototype, {
+        valueType: 'number?',
+        isVersion: true,
+        exposure: {get: true, set: true}
+      }).introspect()
+    ).toStrictEqual({
+      name: 'version',
+      type: 'StorableAttribute',
+      valueType: 'number?',
+      isVersion: true,
+      exposure: {get: true, set: true}
+    });
   });
 
   test('Unintrospection', async () => {
@@ -99,5 +132,18 @@ describe('StorableAttribute', () => {
       name: 'limit',
       options: {valueType: 'number', value: 100, exposure: {get: true}}
     });
+
+    expect(
+      StorableAttribute.unintrospect({
+        name: 'version',
+        type: 'StorableAttribute',
+        valueType: 'number?',
+        isVersion: true,
+        exposure: {get: true, set: true}
+      })
+    ).toEqual({
+      name: 'version',
+      options: {valueType: 'number?', isVersion: true, exposure: {get: true, set: true}}
+    });
   });
 });
@@ -1,6 +1,12 @@
-import type {Component, AttributeOptions} from '@layr/component';
-import {Attribute} from '@layr/component';
-import {PromiseLikeable, hasOwnProperty, Constructor} from 'core-helpers';
+import type {Component, AttributeOptions, IntrospectedAttribute} from '@layr/component';
+import {
+  Attribute,
+  isDateValueTypeInstance,
+  isNumberValueTypeInstance,
+  isSecondaryIdentifierAttributeInstance
+} from '@layr/component';
+import type {SortDirection} from '@layr/store';
+import {PromiseLikeable, hasOwnProperty, Constructor, isPlainObject, getTypeOf} from 'core-helpers';
 
 // TODO: Find a way to remove this useless import
 // I did that to remove a TypeScript error in the generated declaration file
@@ -19,8 +25,18 @@ export type StorableAttributeOptions = StorablePropertyOptions &
     afterSave?: StorableAttributeHook;
     beforeDelete?: StorableAttributeHook;
     afterDelete?: StorableAttributeHook;
+    index?: StorableAttributeIndex | boolean;
+    isVersion?: boolean;
   };
 
+export type IntrospectedStorableAttribute = IntrospectedAttribute & {isVersion?: boolean};
+
+export type StorableAttributeIndex = {
+  direction?: SortDirection;
+  isUnique?: boolean;
+  expireAfterSeconds?: number;
+};
+
 export type StorableAttributeLoader = () => PromiseLikeable<unknown>;
 
 export type StorableAttributeHook = () => PromiseLikeable<void>;
@@ -338,6 +354,7 @@ export const StorableAttributeMixin = <T extends Constructor<typeof Attribute>>(
      * @param [options.afterSave] A function specifying an "afterSave" [`hook`](https://layrjs.com/docs/v1/reference/storable-attribute#hook-type) for the attribute.
      * @param [options.beforeDelete] A function specifying a "beforeDelete" [`hook`](https://layrjs.com/docs/v1/reference/storable-attribute#hook-type) for the attribute.
      * @param [options.afterDelete] A function specifying an "afterDelete" [`hook`](https://layrjs.com/docs/v1/reference/storable-attribute#hook-type) for the attribute.
+     * @param [options.index] A boolean or an [`Index`](https://layrjs.com/docs/v1/reference/storable-attribute#index-type) object specifying whether the attribute should be indexed in the store (default: `true` for the secondary identifiers, and `false` for the other attributes).
      * @param [options.exposure] A [`PropertyExposure`](https://layrjs.com/docs/v1/reference/property#property-exposure-type) object specifying how the attribute should be exposed to remote access.
      *
      * @returns The [`StorableAttribute`](https://layrjs.com/docs/v1/reference/storable-attribute) instance that was created.
@@ -356,6 +373,8 @@ export const StorableAttributeMixin = <T extends Constructor<typeof Attribute>>(
         afterSave,
         beforeDelete,
         afterDelete,
+        index,
+        isVersion,
         ...otherOptions
       } = options;
 
@@ -388,6 +407,14 @@ export const StorableAttributeMixin = <T extends Constructor<typeof Attribute>>(
       }
 
       super.setOptions(otherOptions);
+
+      if (index !== undefined) {
+        this.setIndex(index);
+      }
+
+      if (isVersion !== undefined) {
+        this.setIsVersion(isVersion);
+      }
     }
 
     // === 'isControlled' mark
@@ -485,6 +512,199 @@ export const StorableAttributeMixin = <T extends Constructor<typeof Attribute>>(
       return this.hasLoader() || this.hasFinder();
     }
 
+    // === Index ===
+
+    _index: StorableAttributeIndex | false | undefined;
+
+    /**
+     * Returns the [`Index`](https://layrjs.com/docs/v1/reference/storable-attribute#index-type) of the attribute.
+     *
+     * Note that the secondary identifiers are indexed by default with a unique index.
+     *
+     * @returns An [`Index`](https://layrjs.com/docs/v1/reference/storable-attribute#index-type) object (or `undefined` if the attribute is not indexed).
+     *
+     * @example
+     * ```
+     * Movie.prototype.getAttribute('title').getIndex(); // => {direction: 'asc', isUnique: false}
+     * Movie.prototype.getAttribute('slug').getIndex(); // => {direction: 'asc', isUnique: true}
+     * Movie.prototype.getAttribute('summary').getIndex(); // => undefined
+     * ```
+     *
+     * @category Index
+     */
+    getIndex() {
+      if (this._index === undefined) {
+        return isSecondaryIdentifierAttributeInstance(this)
+          ? {direction: 'asc' as SortDirection, isUnique: true}
+          : undefined;
+      }
+
+      if (this._index === false) {
+        return undefined;
+      }
+
+      return this._index;
+    }
+
+    /**
+     * Returns whether the attribute is indexed.
+     *
+     * @returns A boolean.
+     *
+     * @category Index
+     */
+    hasIndex() {
+      return this.getIndex() !== undefined;
+    }
+
+    /**
+     * Sets the [`Index`](https://layrjs.com/docs/v1/reference/storable-attribute#index-type) of the attribute.
+     *
+     * Note that the indexes are not created in the store until you call the [`migrateIndexes()`](https://layrjs.com/docs/v1/reference/store#migrate-indexes-instance-method) method of the store.
+     *
+     * @param index An [`Index`](https://layrjs.com/docs/v1/reference/storable-attribute#index-type) object, or a boolean specifying whether the attribute should be indexed with a default index (i.e., `{direction: 'asc', isUnique: false}`).
+     *
+     * @example
+     * ```
+     * // Index the `title` attribute
+     * Movie.prototype.getAttribute('title').setIndex(true);
+     *
+     * // Index the `email` attribute with a unique index
+     * User.prototype.getAttribute('email').setIndex({isUnique: true});
+     *
+     * // Remove the movies 30 days after their `createdOn` date
+     * Movie.prototype.getAttribute('createdOn').setIndex({expireAfterSeconds: 2592000});
+     * ```
+     *
+     * @category Index
+     */
+    setIndex(index: StorableAttributeIndex | boolean) {
+      if (index === false) {
+        this._index = false;
+        return;
+      }
+
+      if (index === true) {
+        index = {};
+      }
+
+      if (!isPlainObject(index)) {
+        throw new Error(
+          `Expected a boolean or a plain object to specify the index of an attribute, but received a value of type '${getTypeOf(
+            index
+          )}' (${this.describe()})`
+        );
+      }
+
+      const {direction = 'asc', isUnique = false, expireAfterSeconds} = index;
+
+      if (direction !== 'asc' && direction !== 'desc') {
+        throw new Error(
+          `The direction of an index should be 'asc' or 'desc', but received ${JSON.stringify(
+            direction
+          )} (${this.describe()})`
+        );
+      }
+
+      const normalizedIndex: StorableAttributeIndex = {direction, isUnique};
+
+      if (expireAfterSeconds !== undefined) {
+        if (!isDateValueTypeInstance(this.getValueType())) {
+          throw new Error(
+            `Cannot set a TTL index (i.e., an index with the 'expireAfterSeconds' option) on an attribute that is not of type 'Date' (${this.describe()})`
+          );
+        }
+
+        if (!(Number.isInteger(expireAfterSeconds) && expireAfterSeconds >= 0)) {
+          throw new Error(
+            `The 'expireAfterSeconds' option of an index should be a non-negative integer (${this.describe()})`
+          );
+        }
+
+        normalizedIndex.expireAfterSeconds = expireAfterSeconds;
+      }
+
+      this._index = normalizedIndex;
+    }
+
+    /**
+     * @typedef Index
+     *
+     * A plain object specifying how an attribute is indexed in a store.
+     *
+     * The object can have the following properties:
+     *
+     * * `direction` (optional): A string (`'asc'` or `'desc'`) specifying the sort direction of the index (default: `'asc'`).
+     * * `isUnique` (optional): A boolean specifying whether the store should reject a component that has the same value as another component for the attribute (default: `false`).
+     * * `expireAfterSeconds` (optional): A number specifying that the components should be automatically removed from the store after the specified number of seconds has elapsed since the date stored in the attribute (which should be of type `'Date'`).
+     *
+     * To index several attributes together, use the [`@index()`](https://layrjs.com/docs/v1/reference/storable#index-decorator) decorator.
+     *
+     * @example
+     * ```
+     * // JS
+     *
+     * class User extends Storable(Component) {
+     *   ﹫primaryIdentifier() id;
+     *
+     *   ﹫attribute('string', {index: {isUnique: true}}) username;
+     *
+     *   ﹫attribute('string', {index: true}) country;
+     * }
+     * ```
+     *
+     * @category Index
+     */
+
+    // === Version ===
+
+    _isVersion: boolean | undefined;
+
+    /**
+     * Returns whether the attribute is the version attribute of its storable component.
+     *
+     * When a storable component has a version attribute, the [`save()`](https://layrjs.com/docs/v1/reference/storable#save-instance-method) method uses optimistic locking: the component is saved only if its version in the store is the same as the version of the component (i.e., if nobody has saved the component since it was loaded), and the version is incremented in the same operation. Otherwise, a [`ConflictError`](https://layrjs.com/docs/v1/reference/layr-error) with the `'VERSION_CONFLICT'` code is thrown. When a new component is saved, its version is set to `1`.
+     *
+     * @returns A boolean.
+     *
+     * @example
+     * ```
+     * // JS
+     *
+     * class Movie extends Storable(Component) {
+     *   ﹫expose({get: true, set: true}) ﹫attribute('number?', {isVersion: true}) version;
+     * }
+     *
+     * Movie.prototype.getAttribute('version').isVersion(); // => true
+     * ```
+     *
+     * @category Version
+     */
+    isVersion() {
+      return this._isVersion === true;
+    }
+
+    /**
+     * Sets whether the attribute is the version attribute of its storable component. The attribute should be a non-computed attribute of type `'number?'` (or `'number'`).
+     *
+     * Note that the attribute should be exposed to the clients (with the `'get'` and `'set'` operations) so that they can send back the version of the components they save.
+     *
+     * @param isVersion A boolean.
+     *
+     * @category Version
+     */
+    setIsVersion(isVersion: boolean) {
+      if (isVersion) {
+        if (this.isComputed() || !isNumberValueTypeInstance(this.getValueType())) {
+          throw new Error(
+            `The version attribute of a storable component should be a non-computed attribute of type 'number?' (${this.describe()})`
+          );
+        }
+      }
+
+      this._isVersion = isVersion;
+    }
+
     // === Hooks ===
 
     /**
@@ -573,6 +793,38 @@ export const StorableAttributeMixin = <T extends Constructor<typeof Attribute>>(
      * @category Observability
      */
 
+    // === Introspection ===
+
+    introspect() {
+      const introspectedAttribute = super.introspect() as IntrospectedStorableAttribute;
+
+      if (introspectedAttribute === undefined) {
+        return undefined;
+      }
+
+      // The clients need to know the version attribute to send its value back when saving
+      if (this.isVersion()) {
+        introspectedAttribute.isVersion = true;
+      }
+
+      return introspectedAttribute;
+    }
+
+    static unintrospect(introspectedAttribute: IntrospectedStorableAttribute) {
+      const {isVersion, ...otherIntrospectedAttribute} = introspectedAttribute;
+
+      const {name, options} = super.unintrospect(otherIntrospectedAttribute) as {
+        name: string;
+        options: StorableAttributeOptions;
+      };
+
+      if (isVersion) {
+        options.isVersion = true;
+      }
+
+      return {name, options};
+    }
+
     // === Utilities ===
 
     static isStorableAttribute(value: any): value is StorableAttribute {
@@ -1,4 +1,5 @@
 import {MongoClient} from 'mongodb';
+import type {SQLStore} from '@layr/sql-store';
 import mapKeys from 'lodash/mapKeys';
 
 export const CREATED_ON = new Date('2020-03-22T01:27:42.612Z');
@@ -115,3 +116,31 @@ export async function seedMongoDB(connectionString: string) {
 
   await client.close();
 }
+
+// Drops the tables left by a previous run so a PostgreSQL database can be seeded again
+export async function resetPostgreSQLStore(store: SQLStore) {
+  const dialect = store.getDialect();
+
+  const rows = await dialect.query(
+    `SELECT "tablename" FROM "pg_tables" WHERE "schemaname" = current_schema()`
+  );
+
+  for (const {tablename} of rows) {
+    await dialect.execute(`DROP TABLE ${dialect.quoteIdentifier(tablename)} CASCADE`);
+  }
+}
+
+export async function seedSQLStore(store: SQLStore) {
+  const initialCollections = getInitialCollections();
+
+  for (const [collectionName, serializedStorables] of Object.entries(initialCollections)) {
+    for (const serializedStorable of serializedStorables) {
+      const document = mapKeys(serializedStorable, (_, name) => (name === 'id' ? '_id' : name));
+      await store.createDocument({
+        collectionName,
+        identifierDescriptor: {_id: document._id},
+        document
+      });
+    }
+  }
+}
@@ -7,6 +7,7 @@ import {
   Attribute,
   ValueType,
   isArrayValueTypeInstance,
+  isDateValueTypeInstance,
   AttributeSelector,
   createAttributeSelectorFromNames,
   createAttributeSelectorFromAttributes,
@@ -16,14 +17,39 @@ import {
   traverseAttributeSelector,
   trimAttributeSelector,
   normalizeAttributeSelector,
+  pickFromAttributeSelector,
   IdentifierDescriptor,
+  NormalizedIdentifierDescriptor,
   IdentifierValue,
   method,
-  serialize
+  serialize,
+  deserialize,
+  NotFoundError,
+  ForbiddenError
 } from '@layr/component';
-import type {Store, Query, SortDescriptor} from '@layr/store';
-import {hasOwnProperty, isPrototypeOf, isPlainObject, getTypeOf, Constructor} from 'core-helpers';
+import type {
+  Store,
+  StoreChange,
+  Query,
+  SortDescriptor,
+  Index,
+  IndexAttributes,
+  IndexOptions,
+  Aggregation,
+  AggregationRow
+} from '@layr/store';
+import {normalizeIndex, buildIndexName, normalizeAggregation} from '@layr/store';
+import {
+  hasOwnProperty,
+  isPrototypeOf,
+  isPlainObject,
+  getTypeOf,
+  Constructor,
+  PromiseLikeable,
+  PlainObject
+} from 'core-helpers';
 import mapKeys from 'lodash/mapKeys';
+import debugModule from 'debug';
 
 import {
   StorableProperty,
@@ -40,6 +66,39 @@ import {
   isStorableMethodInstance
 } from './properties';
 import {isStorableInstance, isStorableClassOrInstance, isStorable} from './utilities';
+import type {
+  AuditEntry,
+  AuditOperation,
+  AuditChanges,
+  AuditOptions,
+  NormalizedAuditOptions
+} from './audit-entry';
+
+export type StorableChange<T extends StorableComponent = StorableComponent> = {
+  type: 'created' | 'updated' | 'deleted';
+  component: T;
+  isMatching: boolean;
+};
+
+export type StorableChangeListener<T extends StorableComponent = StorableComponent> = (
+  change: StorableChange<T>
+) => void;
+
+export type StorableErrorListener = (error: Error) => void;
+
+export type StorableSubscription = {unsubscribe: () => void};
+
+// To display the errors occurring while handling the changes of a subscription, set this environment:
+// DEBUG=layr:storable:error DEBUG_DEPTH=5
+const debugError = debugModule('layr:storable:error');
+
+// The number of identifiers that are read at once when a subscription determines the
+// components that are matching its query
+const SUBSCRIPTION_PAGE_SIZE = 500;
+
+// The components that have been found in a store with a restricted query
+// and are being loaded (see `StorableComponent.__loadFoundStorables()`)
+const componentsSelectedByRestrictedQuery = new WeakSet<object>();
 
 /**
  * Extends a [`Component`](https://layrjs.com/docs/v1/reference/component) class with some storage capabilities.
@@ -377,6 +436,23 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
       });
     }
 
+    static get getVersionAttribute() {
+      return this.prototype.getVersionAttribute;
+    }
+
+    getVersionAttribute(options: {autoFork?: boolean} = {}) {
+      const {autoFork = true} = options;
+
+      for (const attribute of this.getAttributes<StorableAttribute>({
+        filter: (attribute) => isStorableAttributeInstance(attribute) && attribute.isVersion(),
+        autoFork
+      })) {
+        return attribute;
+      }
+
+      return undefined;
+    }
+
     getStorableAttributesWithHook(
       name: StorableAttributeHookName,
       options: {attributeSelector?: AttributeSelector; setAttributesOnly?: boolean} = {}
@@ -461,6 +537,418 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
       return this.setProperty(name, StorableMethod, methodOptions);
     }
 
+    // === Indexes ===
+
+    static __indexes: Index[] | undefined;
+
+    /**
+     * Returns the indexes of the storable component. The returned indexes include the indexes specified by the `index` option of the storable attributes (see the [`@attribute()`](https://layrjs.com/docs/v1/reference/storable#attribute-decorator) decorator), and the indexes added with the [`@index()`](https://layrjs.com/docs/v1/reference/storable#index-decorator) decorator.
+     *
+     * The indexes are created in the store when you call the [`migrateIndexes()`](https://layrjs.com/docs/v1/reference/store#migrate-indexes-instance-method) method of the store.
+     *
+     * @returns An array of [`Index`](https://layrjs.com/docs/v1/reference/store#index-type) objects.
+     *
+     * @example
+     * ```
+     * Movie.getIndexes();
+     * // => [
+     * //   {attributes: {slug: 'asc'}, isUnique: true},
+     * //   {attributes: {country: 'asc', year: 'desc'}, isUnique: false}
+     * // ]
+     * ```
+     *
+     * @category Indexes
+     */
+    static getIndexes() {
+      const indexes = new Map<string, Index>();
+
+      const prototype = this.prototype as StorableComponent;
+
+      const attributes = prototype.getAttributes<StorableAttribute>({
+        filter: (attribute) =>
+          isStorableAttributeInstance(attribute) && !attribute.isComputed() && attribute.hasIndex()
+      });
+
+      for (const attribute of attributes) {
+        const {direction = 'asc', ...options} = attribute.getIndex()!;
+        const index = normalizeIndex({attributes: {[attribute.getName()]: direction}, ...options});
+        indexes.set(buildIndexName(index), index);
+      }
+
+      for (const index of this.__indexes ?? []) {
+        indexes.set(buildIndexName(index), index);
+      }
+
+      return Array.from(indexes.values());
+    }
+
+    /**
+     * Adds an index to the storable component. Typically, instead of using this method, you would rather use the [`@index()`](https://layrjs.com/docs/v1/reference/storable#index-decorator) decorator.
+     *
+     * @param attributes A plain object of the shape `{[name]: direction}` where `name` is the name of a storable attribute and `direction` is the string `'asc'`, `'desc'`, or `'text'` (see the [`@index()`](https://layrjs.com/docs/v1/reference/storable#index-decorator) decorator).
+     * @param [options.isUnique] A boolean specifying whether the index should reject the components having the same values as another component for the indexed attributes (default: `false`).
+     * @param [options.expireAfterSeconds] A number specifying that the components should be automatically removed after the specified number of seconds has elapsed since the date stored in the indexed attribute (which should be of type `'Date'`).
+     *
+     * @example
+     * ```
+     * Movie.addIndex({country: 'asc', year: 'desc'});
+     * ```
+     *
+     * @category Indexes
+     */
+    static addIndex(attributes: IndexAttributes, options: IndexOptions = {}) {
+      const index = normalizeIndex({attributes, ...options});
+
+      const prototype = this.prototype as StorableComponent;
+
+      for (const path of Object.keys(index.attributes)) {
+        const [name] = path.split('.');
+
+        const attribute = prototype.hasStorableAttribute(name)
+          ? prototype.getStorableAttribute(name, {autoFork: false})
+          : undefined;
+
+        if (attribute === undefined || attribute.isComputed()) {
+          throw new Error(
+            `Cannot add an index including an attribute that is missing or computed (${this.describeComponent()}, attribute: '${name}')`
+          );
+        }
+
+        if (
+          index.expireAfterSeconds !== undefined &&
+          name === path &&
+          !isDateValueTypeInstance(attribute.getValueType())
+        ) {
+          throw new Error(
+            `Cannot add a TTL index (i.e., an index with the 'expireAfterSeconds' option) including an attribute that is not of type 'Date' (${this.describeComponent()}, attribute: '${name}')`
+          );
+        }
+      }
+
+      if (!hasOwnProperty(this, '__indexes')) {
+        Object.defineProperty(this, '__indexes', {
+          value: [...(this.__indexes ?? [])],
+          configurable: true
+        });
+      }
+
+      this.__indexes!.push(index);
+    }
+
+    // === Audit ===
+
+    static __auditOptions: NormalizedAuditOptions | undefined;
+
+    /**
+     * Enables the audit log of the storable component. Typically, instead of using this method, you would rather use the [`@audit()`](https://layrjs.com/docs/v1/reference/storable#audit-decorator) decorator.
+     *
+     * @param [options.entryComponentName] The name of the [`AuditEntry`](https://layrjs.com/docs/v1/reference/audit-entry) component (or subclass) to use for recording the entries (default: `'AuditEntry'`). The component is retrieved with the [`getComponent()`](https://layrjs.com/docs/v1/reference/component#get-component-class-method) method, so it should be provided or consumed by the storable component.
+     * @param [options.getUser] A function that is called (possibly asynchronously) with the audited component as `this` context to get a string representing the user executing the operation (default: `undefined`, which means that the user is not recorded).
+     * @param [options.excludedAttributes] An array of strings specifying the names of the attributes that should not be recorded (default: `[]`).
+     *
+     * @example
+     * ```
+     * Movie.enableAudit({excludedAttributes: ['viewCount']});
+     * ```
+     *
+     * @category Audit
+     */
+    static enableAudit(options: AuditOptions = {}) {
+      const {entryComponentName = 'AuditEntry', getUser, excludedAttributes = []} = options;
+
+      if (!(getUser === undefined || typeof getUser === 'function')) {
+        throw new Error(
+          `Expected the 'getUser' option of an audit to be a function, but received a value of type '${getTypeOf(
+            getUser
+          )}' (${this.describeComponent()})`
+        );
+      }
+
+      if (!Array.isArray(excludedAttributes)) {
+        throw new Error(
+          `Expected the 'excludedAttributes' option of an audit to be an array, but received a value of type '${getTypeOf(
+            excludedAttributes
+          )}' (${this.describeComponent()})`
+        );
+      }
+
+      Object.defineProperty(this, '__auditOptions', {
+        value: {entryComponentName, getUser, excludedAttributes},
+        configurable: true
+      });
+    }
+
+    /**
+     * Returns whether the audit log of the storable component is enabled.
+     *
+     * @returns A boolean.
+     *
+     * @category Audit
+     */
+    static isAudited() {
+      return this.__auditOptions !== undefined;
+    }
+
+    // The serialized values of the attributes as they are in the store (i.e., as they were
+    // when the attributes were loaded or saved) so that the previous values of the attributes
+    // can be recorded without loading them again
+    __storedValues: PlainObject | undefined;
+
+    __trackStoredValues(serializedStorable: PlainObject) {
+      if (!this.constructor.isAudited()) {
+        return;
+      }
+
+      const storedValues = this.__storedValues;
+
+      this.__storedValues = {...storedValues, ...serializedStorable};
+
+      this.constructor.getStore().addTransactionRollbackHandler(() => {
+        this.__storedValues = storedValues;
+      });
+    }
+
+    async __getAuditedValues(attributeSelector: AttributeSelector) {
+      const auditedValues: PlainObject = {};
+      const untrackedAttributeNames: string[] = [];
+
+      for (const name of Object.keys(attributeSelector)) {
+        if (this.__storedValues !== undefined && hasOwnProperty(this.__storedValues, name)) {
+          auditedValues[name] = this.__storedValues[name];
+        } else {
+          untrackedAttributeNames.push(name);
+        }
+      }
+
+      if (untrackedAttributeNames.length === 0) {
+        return auditedValues;
+      }
+
+      // The attributes that have never been loaded or saved must be loaded from the store
+      const serializedStorable: PlainObject | undefined = await this.constructor.getStore().load(
+        {
+          storableType: this.getComponentType(),
+          identifierDescriptor: this.getIdentifierDescriptor()
+        },
+        {
+          attributeSelector: createAttributeSelectorFromNames(untrackedAttributeNames),
+          throwIfMissing: false
+        }
+      );
+
+      return {...serializedStorable, ...auditedValues};
+    }
+
+    async __recordAuditEntry(
+      operation: AuditOperation,
+      previousValues: PlainObject,
+      newValues: PlainObject
+    ) {
+      const {entryComponentName, getUser, excludedAttributes} = this.constructor.__auditOptions!;
+
+      const primaryIdentifierName = this.getPrimaryIdentifierAttribute().getName();
+
+      const changes: AuditChanges = {};
+
+      for (const name of new Set([...Object.keys(previousValues), ...Object.keys(newValues)])) {
+        if (
+          name.startsWith('__') ||
+          name === primaryIdentifierName ||
+          excludedAttributes.includes(name)
+        ) {
+          continue;
+        }
+
+        const previousValue = JSON.stringify(previousValues[name]);
+        const newValue = JSON.stringify(newValues[name]);
+
+        if (previousValue === newValue) {
+          continue;
+        }
+
+        changes[name] = {};
+
+        if (previousValue !== undefined) {
+          changes[name].previousValue = previousValue;
+        }
+
+        if (newValue !== undefined) {
+          changes[name].newValue = newValue;
+        }
+      }
+
+      if (operation === 'update' && Object.keys(changes).length === 0) {
+        return; // The values didn't actually change
+      }
+
+      const user = getUser !== undefined ? await getUser.call(this) : undefined;
+
+      const AuditEntryComponent = this.constructor.getComponent(
+        entryComponentName
+      ) as typeof AuditEntry;
+
+      const entry = AuditEntryComponent.create({
+        storableType: this.getComponentType(),
+        storableId: String(this.getPrimaryIdentifierAttribute().getValue()),
+        operation,
+        changes,
+        date: new Date(),
+        user
+      });
+
+      await entry.save();
+    }
+
+    // === Soft Delete ===
+
+    static __softDeleteAttributeName: string | undefined;
+
+    /**
+     * Enables the soft delete mode of the storable component. Typically, instead of using this method, you would rather use the [`@softDelete()`](https://layrjs.com/docs/v1/reference/storable#soft-delete-decorator) decorator.
+     *
+     * @param [options.attributeName] The name of the attribute storing the date of the deletion (default: `'deletedAt'`). If the storable component doesn't have such an attribute, a storable attribute of type `'Date?'` is added.
+     *
+     * @example
+     * ```
+     * Movie.enableSoftDelete();
+     * ```
+     *
+     * @category Soft Delete
+     */
+    static enableSoftDelete(options: {attributeName?: string} = {}) {
+      const {attributeName = 'deletedAt'} = options;
+
+      const prototype = this.prototype as StorableComponent;
+
+      if (prototype.hasStorableAttribute(attributeName)) {
+        const attribute = prototype.getStorableAttribute(attributeName, {autoFork: false});
+        const valueType = attribute.getValueType();
+
+        if (
+          attribute.isComputed() ||
+          !isDateValueTypeInstance(valueType) ||
+          !valueType.isOptional()
+        ) {
+          throw new Error(
+            `The attribute used to soft delete a storable component should be a non-computed attribute of type 'Date?' (${this.describeComponent()}, attribute: '${attributeName}')`
+          );
+        }
+      } else {
+        prototype.setStorableAttribute(attributeName, {valueType: 'Date?'});
+      }
+
+      Object.defineProperty(this, '__softDeleteAttributeName', {
+        value: attributeName,
+        configurable: true
+      });
+    }
+
+    /**
+     * Returns whether the soft delete mode of the storable component is enabled.
+     *
+     * @returns A boolean.
+     *
+     * @category Soft Delete
+     */
+    static isSoftDeletable() {
+      return this.__softDeleteAttributeName !== undefined;
+    }
+
+    static __excludeSoftDeletedComponents(
+      query: Query,
+      {includeDeleted}: {includeDeleted: boolean}
+    ) {
+      const attributeName = this.__softDeleteAttributeName;
+
+      if (attributeName === undefined || includeDeleted) {
+        return query;
+      }
+
+      const filter = {[attributeName]: undefined};
+
+      return Object.keys(query).length > 0 ? {$and: [query, filter]} : filter;
+    }
+
+    /**
+     * Restores the current storable component instance after it has been soft deleted (i.e., when the soft delete mode of the component is enabled, the [`delete()`](https://layrjs.com/docs/v1/reference/storable#delete-instance-method) method only sets the `deletedAt` attribute, and this method unsets it).
+     *
+     * The component is saved to the store with the [`save()`](https://layrjs.com/docs/v1/reference/storable#save-instance-method) method, so the `beforeSave()` and `afterSave()` hooks are called.
+     *
+     * @param [options.throwIfMissing] A boolean specifying whether an error should be thrown if there is no matching component in the store (default: `true`).
+     *
+     * @returns The current [`StorableComponent`](https://layrjs.com/docs/v1/reference/storable#storable-component-class) instance.
+     *
+     * @example
+     * ```
+     * // Retrieve a movie that has been soft deleted
+     * const movie = await Movie.get('abc123', true, {includeDeleted: true});
+     *
+     * // Restore the movie
+     * await movie.restore();
+     * ```
+     *
+     * @category Soft Delete
+     */
+    async restore<T extends StorableComponent>(
+      this: T,
+      options: {throwIfMissing: false}
+    ): Promise<T | undefined>;
+    async restore<T extends StorableComponent>(
+      this: T,
+      options?: {throwIfMissing?: boolean}
+    ): Promise<T>;
+    @method() async restore<T extends StorableComponent>(
+      this: T,
+      options: {throwIfMissing?: boolean} = {}
+    ) {
+      if (this.isNew()) {
+        throw new Error(
+          `Cannot restore a storable component that is new (${this.describeComponent()})`
+        );
+      }
+
+      const {throwIfMissing = true} = options;
+
+      await this.__checkRestrictedQuery('restore');
+
+      let restoredStorable: T | undefined;
+
+      if (this.constructor.hasStore()) {
+        restoredStorable = await this.__restoreInStore({throwIfMissing});
+      } else if (this.hasRemoteMethod('restore')) {
+        restoredStorable = await this.callRemoteMethod('restore', {throwIfMissing});
+      } else {
+        throw new Error(
+          `To be able to execute the restore() method, a storable component should be registered in a store or have an exposed restore() remote method (${this.describeComponent()})`
+        );
+      }
+
+      if (restoredStorable === undefined) {
+        return undefined;
+      }
+
+      restoredStorable.setIsDeletedMark(false);
+
+      return restoredStorable;
+    }
+
+    async __restoreInStore<T extends StorableComponent>(
+      this: T,
+      {throwIfMissing}: {throwIfMissing: boolean}
+    ): Promise<T | undefined> {
+      const attributeName = this.constructor.__softDeleteAttributeName;
+
+      if (attributeName === undefined) {
+        throw new Error(
+          `Cannot restore a storable component that is not soft deletable (${this.describeComponent()})`
+        );
+      }
+
+      this.getStorableAttribute(attributeName).setValue(undefined);
+
+      return await this.save({[attributeName]: true}, {throwIfMissing});
+    }
+
     // === Operations ===
 
     /**
@@ -472,6 +960,7 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
      * @param [attributeSelector] An [`AttributeSelector`](https://layrjs.com/docs/v1/reference/attribute-selector) specifying the attributes to be loaded (default: `true`, which means that all the attributes will be loaded).
      * @param [options.reload] A boolean specifying whether a component that has already been loaded should be loaded again from the store (default: `false`). Most of the time you will leave this option off to take advantage of the cache.
      * @param [options.throwIfMissing] A boolean specifying whether an error should be thrown if there is no component matching the specified `identifier` in the store (default: `true`).
+     * @param [options.includeDeleted] A boolean specifying whether a component that has been soft deleted can be retrieved (default: `false`). See the [`@softDelete()`](https://layrjs.com/docs/v1/reference/storable#soft-delete-decorator) decorator.
      *
      * @returns A [`StorableComponent`](https://layrjs.com/docs/v1/reference/storable#storable-component-class) instance.
      *
@@ -502,24 +991,44 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
       this: T,
       identifierDescriptor: IdentifierDescriptor,
       attributeSelector: AttributeSelector | undefined,
-      options: {reload?: boolean; throwIfMissing: false; _callerMethodName?: string}
+      options: {
+        reload?: boolean;
+        throwIfMissing: false;
+        includeDeleted?: boolean;
+        _callerMethodName?: string;
+      }
     ): Promise<InstanceType<T> | undefined>;
     static async get<T extends typeof StorableComponent>(
       this: T,
       identifierDescriptor: IdentifierDescriptor,
       attributeSelector?: AttributeSelector,
-      options?: {reload?: boolean; throwIfMissing?: boolean; _callerMethodName?: string}
+      options?: {
+        reload?: boolean;
+        throwIfMissing?: boolean;
+        includeDeleted?: boolean;
+        _callerMethodName?: string;
+      }
     ): Promise<InstanceType<T>>;
     @method() static async get<T extends typeof StorableComponent>(
       this: T,
       identifierDescriptor: IdentifierDescriptor,
       attributeSelector: AttributeSelector = true,
-      options: {reload?: boolean; throwIfMissing?: boolean; _callerMethodName?: string} = {}
+      options: {
+        reload?: boolean;
+        throwIfMissing?: boolean;
+        includeDeleted?: boolean;
+        _callerMethodName?: string;
+      } = {}
     ) {
       identifierDescriptor = this.normalizeIdentifierDescriptor(identifierDescriptor);
       attributeSelector = normalizeAttributeSelector(attributeSelector);
 
-      const {reload = false, throwIfMissing = true, _callerMethodName} = options;
+      const {
+        reload = false,
+        throwIfMissing = true,
+        includeDeleted = false,
+        _callerMethodName
+      } = options;
 
       let storable = this.getIdentityMap().getComponent(identifierDescriptor) as
         | InstanceType<T>
@@ -540,7 +1049,8 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
             {},
             {
               reload,
-              throwIfMissing
+              throwIfMissing,
+              includeDeleted
             }
           );
 
@@ -565,6 +1075,7 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
       return await storable.load(attributeSelector, {
         reload,
         throwIfMissing,
+        includeDeleted,
         _callerMethodName: _callerMethodName ?? 'get'
       });
     }
@@ -609,6 +1120,7 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
      * @param [attributeSelector] An [`AttributeSelector`](https://layrjs.com/docs/v1/reference/attribute-selector) specifying the attributes to be loaded (default: `true`, which means that all the attributes will be loaded).
      * @param [options.reload] A boolean specifying whether a component that has already been loaded should be loaded again from the store (default: `false`). Most of the time you will leave this option off to take advantage of the cache.
      * @param [options.throwIfMissing] A boolean specifying whether an error should be thrown if there is no matching component in the store (default: `true`).
+     * @param [options.includeDeleted] A boolean specifying whether a component that has been soft deleted can be loaded (default: `false`). See the [`@softDelete()`](https://layrjs.com/docs/v1/reference/storable#soft-delete-decorator) decorator.
      *
      * @returns The current [`StorableComponent`](https://layrjs.com/docs/v1/reference/storable#storable-component-class) instance.
      *
@@ -643,19 +1155,39 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
     async load<T extends StorableComponent>(
       this: T,
       attributeSelector: AttributeSelector | undefined,
-      options: {reload?: boolean; throwIfMissing: false; _callerMethodName?: string}
+      options: {
+        reload?: boolean;
+        throwIfMissing: false;
+        includeDeleted?: boolean;
+        _callerMethodName?: string;
+      }
     ): Promise<T | undefined>;
     async load<T extends StorableComponent>(
       this: T,
       attributeSelector?: AttributeSelector,
-      options?: {reload?: boolean; throwIfMissing?: boolean; _callerMethodName?: string}
+      options?: {
+        reload?: boolean;
+        throwIfMissing?: boolean;
+        includeDeleted?: boolean;
+        _callerMethodName?: string;
+      }
     ): Promise<T>;
     @method() async load<T extends StorableComponent>(
       this: T,
       attributeSelector: AttributeSelector = true,
-      options: {reload?: boolean; throwIfMissing?: boolean; _callerMethodName?: string} = {}
+      options: {
+        reload?: boolean;
+        throwIfMissing?: boolean;
+        includeDeleted?: boolean;
+        _callerMethodName?: string;
+      } = {}
     ) {
-      const {reload = false, throwIfMissing = true, _callerMethodName} = options;
+      const {
+        reload = false,
+        throwIfMissing = true,
+        includeDeleted = false,
+        _callerMethodName
+      } = options;
 
       if (this.isNew()) {
         throw new Error(
@@ -699,12 +1231,14 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
 
         if ((this.constructor as typeof StorableComponent).hasStore()) {
           loadedStorable = await this.__loadFromStore(nonComputedAttributeSelector, {
-            throwIfMissing
+            throwIfMissing,
+            includeDeleted
           });
         } else if (this.hasRemoteMethod('load')) {
           loadedStorable = await this.callRemoteMethod('load', nonComputedAttributeSelector, {
             reload,
-            throwIfMissing
+            throwIfMissing,
+            includeDeleted
           });
         } else {
           throw new Error(
@@ -742,7 +1276,7 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
     async __loadFromStore<T extends StorableComponent>(
       this: T,
       attributeSelector: AttributeSelector,
-      {throwIfMissing}: {throwIfMissing: boolean}
+      {throwIfMissing, includeDeleted}: {throwIfMissing: boolean; includeDeleted: boolean}
     ) {
       const store = (this.constructor as typeof StorableComponent).getStore();
 
@@ -755,7 +1289,48 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
       );
       attributeSelector = mergeAttributeSelectors(attributeSelector, identifierAttributeSelector);
 
-      const serializedStorable = await store.load(
+      // Always include the version attribute so that the component can be saved later
+      const versionAttribute = this.getVersionAttribute({autoFork: false});
+
+      if (versionAttribute !== undefined) {
+        attributeSelector = mergeAttributeSelectors(
+          attributeSelector,
+          createAttributeSelectorFromNames([versionAttribute.getName()])
+        );
+      }
+
+      const softDeleteAttributeName = includeDeleted
+        ? undefined
+        : this.constructor.__softDeleteAttributeName;
+
+      if (softDeleteAttributeName !== undefined) {
+        attributeSelector = mergeAttributeSelectors(
+          attributeSelector,
+          createAttributeSelectorFromNames([softDeleteAttributeName])
+        );
+      }
+
+      // OPTIMIZATION: The components found by `find()` or `findPage()` have already
+      // been selected by the restricted query (see `__loadFoundStorables()`)
+      const isSelectedByRestrictedQuery =
+        componentsSelectedByRestrictedQuery.delete(this) ||
+        (await this.constructor.__isSelectedByRestrictedQuery(identifierDescriptor));
+
+      if (!isSelectedByRestrictedQuery) {
+        if (!throwIfMissing) {
+          return undefined;
+        }
+
+        // Don't reveal that the component exists
+        throw new NotFoundError(
+          `Cannot load a component that is missing from the store (${this.describeComponent()}, ${this.constructor.describeIdentifierDescriptor(
+            identifierDescriptor
+          )})`,
+          {code: 'COMPONENT_IS_MISSING_FROM_STORE'}
+        );
+      }
+
+      const serializedStorable: PlainObject | undefined = await store.load(
         {storableType, identifierDescriptor},
         {attributeSelector, throwIfMissing}
       );
@@ -764,14 +1339,33 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
         return undefined;
       }
 
-      const loadedStorable = this.deserialize(serializedStorable, {source: 1}) as T;
+      if (softDeleteAttributeName !== undefined) {
+        const deletedAt = serializedStorable[softDeleteAttributeName];
 
-      return loadedStorable;
-    }
+        if (deletedAt !== undefined && deletedAt?.__undefined !== true) {
+          if (!throwIfMissing) {
+            return undefined;
+          }
 
-    async __populate(
-      attributeSelector: AttributeSelector,
-      {
+          throw new NotFoundError(
+            `Cannot load a component that has been soft deleted (${this.describeComponent()}, ${this.constructor.describeIdentifierDescriptor(
+              identifierDescriptor
+            )})`,
+            {code: 'COMPONENT_IS_MISSING_FROM_STORE'}
+          );
+        }
+      }
+
+      const loadedStorable = this.deserialize(serializedStorable, {source: 1}) as T;
+
+      loadedStorable.__trackStoredValues(serializedStorable);
+
+      return loadedStorable;
+    }
+
+    async __populate(
+      attributeSelector: AttributeSelector,
+      {
         reload,
         throwIfMissing,
         _callerMethodName
@@ -812,7 +1406,12 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
           Array.from(storablesWithAttributeSelectors).map(
             ([storable, attributeSelector]) =>
               isStorableInstance(storable)
-                ? storable.load(attributeSelector, {reload, throwIfMissing, _callerMethodName})
+                ? storable.load(attributeSelector, {
+                    reload,
+                    throwIfMissing,
+                    includeDeleted: true, // A reference to a soft deleted component remains valid
+                    _callerMethodName
+                  })
                 : undefined // TODO: Implement class loading
           )
         );
@@ -822,6 +1421,12 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
     /**
      * Saves the current storable component instance to the store. If the component is new, it will be added to the store with all its attributes. Otherwise, only the attributes that have been modified will be saved to the store.
      *
+     * The modified attributes are the [dirty attributes](https://layrjs.com/docs/v1/reference/component#get-dirty-attributes-dual-method) of the component, so two users editing different attributes of the same component don't overwrite each other's changes. When an [embedded component](https://layrjs.com/docs/v1/reference/embedded-component) is modified, only its dirty attributes are saved as well (e.g., with a MongoDB store, a `$set` or `$unset` operator is used on each nested path such as `'details.duration'`). Once the component is saved, its saved attributes are marked as clean.
+     *
+     * Before being saved, the attributes are validated with the [`validateAsync()`](https://layrjs.com/docs/v1/reference/component#validate-async-dual-method) method, so the [component validators](https://layrjs.com/docs/v1/reference/component#validator-decorator) and the asynchronous validators are run as well. If an attribute doesn't pass the validation, a [`ValidationError`](https://layrjs.com/docs/v1/reference/layr-error) is thrown, and its `failures` attribute describes the invalid attributes (see [`ValidationFailure`](https://layrjs.com/docs/v1/reference/validator#validation-failure-type)).
+     *
+     * If the component has a version attribute (i.e., an attribute defined with the `isVersion` option), the component is saved only if nobody has saved it since it was loaded, and the version is incremented. Otherwise, a [`ConflictError`](https://layrjs.com/docs/v1/reference/layr-error) with the `'VERSION_CONFLICT'` code is thrown. The error has a `currentValues` attribute containing the values that are currently in the store for the attributes that were about to be saved (excluding the attributes that cannot be read by the user), so you can merge them with the values of the component and try again.
+     *
      * @param [attributeSelector] An [`AttributeSelector`](https://layrjs.com/docs/v1/reference/attribute-selector) specifying the attributes to be saved (default: `true`, which means that all the modified attributes will be saved).
      * @param [options.throwIfMissing] A boolean specifying whether an error should be thrown if the current component is not new and there is no existing component with the same identifier in the store (default: `true` if the component is not new).
      * @param [options.throwIfExists] A boolean specifying whether an error should be thrown if the current component is new and there is an existing component with the same identifier in the store (default: `true` if the component is new).
@@ -894,6 +1499,7 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
         return this; // OPTIMIZATION: There is nothing to save
       }
 
+      await this.__authorizeSave(resolvedAttributeSelector);
       await this.beforeSave(resolvedAttributeSelector);
 
       resolvedAttributeSelector = this.resolveAttributeSelector(attributeSelector, {
@@ -919,6 +1525,13 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
           throwIfExists
         });
       } else if (this.hasRemoteMethod('save')) {
+        const versionAttribute = !isNew ? this.getVersionAttribute() : undefined;
+
+        if (versionAttribute !== undefined && versionAttribute.isSet()) {
+          // Send the version back to the server even if it has not been modified
+          versionAttribute.setValueSource(0);
+        }
+
         savedStorable = await this.callRemoteMethod('save', attributeSelector, {
           throwIfMissing,
           throwIfExists
@@ -940,43 +1553,174 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
 
     async __saveToStore(
       attributeSelector: AttributeSelector,
-      {throwIfMissing, throwIfExists}: {throwIfMissing: boolean; throwIfExists: boolean}
-    ) {
-      this._assertArrayItemsAreFullyLoaded(attributeSelector);
+      {
+        throwIfMissing,
+        throwIfExists,
+        auditOperation
+      }: {throwIfMissing: boolean; throwIfExists: boolean; auditOperation?: AuditOperation}
+    ): Promise<this | undefined> {
+      const store = (this.constructor as typeof StorableComponent).getStore();
 
-      this.validate(attributeSelector);
+      const isAudited = this.constructor.isAudited();
 
-      const store = (this.constructor as typeof StorableComponent).getStore();
+      if (isAudited && !store.isInTransaction()) {
+        // The audit entry must be recorded in the same transaction as the operation
+        return await store.transaction(() =>
+          this.__saveToStore(attributeSelector, {throwIfMissing, throwIfExists, auditOperation})
+        );
+      }
+
+      this._assertArrayItemsAreFullyLoaded(attributeSelector);
+
+      await this.validateAsync(attributeSelector);
 
       const storableType = this.getComponentType();
       const identifierDescriptor = this.getIdentifierDescriptor();
       const isNew = this.isNew();
 
+      const versionAttribute = this.getVersionAttribute();
+      let version: number | undefined;
+
+      if (versionAttribute !== undefined) {
+        if (isNew) {
+          versionAttribute.setValue(1);
+        } else if (!versionAttribute.isSet()) {
+          throw new Error(
+            `Cannot save a component without the value of its version attribute (${versionAttribute.describe()})`
+          );
+        }
+
+        version = versionAttribute.getValue() as number;
+
+        attributeSelector = mergeAttributeSelectors(
+          attributeSelector,
+          createAttributeSelectorFromNames([versionAttribute.getName()])
+        );
+      }
+
       const serializedStorable = this.serialize({attributeSelector, includeIsNewMarks: false})!;
 
-      const wasSaved = await store.save(
-        {storableType, identifierDescriptor, serializedStorable, isNew},
-        {throwIfMissing, throwIfExists}
-      );
+      const previousValues =
+        isAudited && !isNew ? await this.__getAuditedValues(attributeSelector) : {};
+
+      let wasSaved: boolean;
+
+      try {
+        wasSaved = await store.save(
+          {storableType, identifierDescriptor, serializedStorable, isNew},
+          {
+            throwIfMissing,
+            throwIfExists,
+            ...(versionAttribute && {versionAttributeName: versionAttribute.getName()})
+          }
+        );
+      } catch (error) {
+        if (error.code === 'VERSION_CONFLICT') {
+          error.currentValues = await this.__loadCurrentValues(attributeSelector);
+        }
+
+        throw error;
+      }
 
       if (!wasSaved) {
         return undefined;
       }
 
+      if (isAudited) {
+        await this.__recordAuditEntry(
+          auditOperation ?? (isNew ? 'create' : 'update'),
+          previousValues,
+          serializedStorable
+        );
+
+        this.__trackStoredValues(serializedStorable);
+      }
+
+      const previousValueSources = new Map<Attribute, number>();
+      const previousDirtyAttributes = new Set<Attribute>();
+
       if (isNew) {
         this.markAsNotNew(); // TODO: Mark also embedded components as not new
       }
 
       this.traverseAttributes(
         (attribute) => {
+          previousValueSources.set(attribute, attribute.getValueSource());
+
+          if (attribute.isDirty()) {
+            previousDirtyAttributes.add(attribute);
+          }
+
           attribute.setValueSource(1);
+          attribute.markAsClean();
         },
         {attributeSelector, setAttributesOnly: true}
       );
 
+      if (versionAttribute !== undefined && !isNew) {
+        versionAttribute.setValue(version! + 1, {source: 1});
+      }
+
+      store.addTransactionRollbackHandler(() => {
+        if (isNew) {
+          this.markAsNew();
+        }
+
+        if (versionAttribute !== undefined) {
+          versionAttribute.setValue(version, {source: versionAttribute.getValueSource()});
+        }
+
+        for (const [attribute, valueSource] of previousValueSources.entries()) {
+          attribute.setValueSource(valueSource);
+
+          if (previousDirtyAttributes.has(attribute)) {
+            attribute.markAsDirty();
+          } else {
+            attribute.markAsClean();
+          }
+        }
+      });
+
       return this;
     }
 
+    // Returns the values that are currently in the store for the specified attributes,
+    // omitting the attributes that cannot be read by the current user
+    async __loadCurrentValues(attributeSelector: AttributeSelector) {
+      const store = this.constructor.getStore();
+
+      const serializedStorable: PlainObject | undefined = await store.load(
+        {
+          storableType: this.getComponentType(),
+          identifierDescriptor: this.getIdentifierDescriptor()
+        },
+        {attributeSelector, throwIfMissing: false}
+      );
+
+      const currentValues: PlainObject = {};
+
+      if (serializedStorable === undefined) {
+        return currentValues;
+      }
+
+      for (const [name, serializedValue] of Object.entries(serializedStorable)) {
+        if (name.startsWith('__') || !this.hasAttribute(name)) {
+          continue;
+        }
+
+        if (!(await this.getAttribute(name).operationIsAllowed('get'))) {
+          continue;
+        }
+
+        currentValues[name] = deserialize(serializedValue, {
+          componentGetter: (type: string) => this.constructor.getComponentOfType(type),
+          source: 1
+        });
+      }
+
+      return currentValues;
+    }
+
     _assertArrayItemsAreFullyLoaded(attributeSelector: AttributeSelector) {
       traverseAttributeSelector(
         this,
@@ -1006,6 +1750,8 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
     /**
      * Deletes the current storable component instance from the store.
      *
+     * If the soft delete mode of the storable component is enabled (see the [`@softDelete()`](https://layrjs.com/docs/v1/reference/storable#soft-delete-decorator) decorator), the component is not removed from the store. Instead, its `deletedAt` attribute is set to the current date, and the component can be restored later with the [`restore()`](https://layrjs.com/docs/v1/reference/storable#restore-instance-method) method.
+     *
      * @param [options.throwIfMissing] A boolean specifying whether an error should be thrown if there is no matching component in the store (default: `true`).
      *
      * @returns The current [`StorableComponent`](https://layrjs.com/docs/v1/reference/storable#storable-component-class) instance.
@@ -1048,6 +1794,7 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
         createAttributeSelectorFromAttributes(computedAttributes)
       );
 
+      await this.__authorizeDelete(nonComputedAttributeSelector);
       await this.beforeDelete(nonComputedAttributeSelector);
 
       let deletedStorable: T | undefined;
@@ -1075,21 +1822,106 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
       return deletedStorable;
     }
 
-    async __deleteFromStore({throwIfMissing}: {throwIfMissing: boolean}) {
+    async __deleteFromStore({
+      throwIfMissing
+    }: {
+      throwIfMissing: boolean;
+    }): Promise<this | undefined> {
+      if (this.constructor.isSoftDeletable()) {
+        return await this.__softDeleteFromStore({throwIfMissing});
+      }
+
       const store = (this.constructor as typeof StorableComponent).getStore();
 
+      const isAudited = this.constructor.isAudited();
+
+      if (isAudited && !store.isInTransaction()) {
+        // The audit entry must be recorded in the same transaction as the operation
+        return await store.transaction(() => this.__deleteFromStore({throwIfMissing}));
+      }
+
       const storableType = this.getComponentType();
       const identifierDescriptor = this.getIdentifierDescriptor();
 
+      const previousValues = isAudited
+        ? await this.__getAuditedValues(
+            removeFromAttributeSelector(
+              this.resolveAttributeSelector(true),
+              createAttributeSelectorFromAttributes(this.getStorableComputedAttributes())
+            )
+          )
+        : {};
+
       const wasDeleted = await store.delete({storableType, identifierDescriptor}, {throwIfMissing});
 
       if (!wasDeleted) {
         return undefined;
       }
 
+      if (isAudited) {
+        await this.__recordAuditEntry('delete', previousValues, {});
+      }
+
+      const isDeleted = this.getIsDeletedMark();
+
+      store.addTransactionRollbackHandler(() => {
+        this.setIsDeletedMark(isDeleted);
+      });
+
       return this;
     }
 
+    async __softDeleteFromStore({throwIfMissing}: {throwIfMissing: boolean}) {
+      const store = this.constructor.getStore();
+
+      const attribute = this.getStorableAttribute(this.constructor.__softDeleteAttributeName!);
+
+      const wasSet = attribute.isSet();
+      const previousValue = wasSet ? attribute.getValue() : undefined;
+      const previousValueSource = attribute.getValueSource();
+
+      const restoreAttribute = () => {
+        if (wasSet) {
+          attribute.setValue(previousValue, {source: previousValueSource});
+        } else {
+          attribute.unsetValue();
+        }
+      };
+
+      attribute.setValue(new Date());
+
+      const attributeSelector = createAttributeSelectorFromNames([
+        ...Object.keys(this.getIdentifierDescriptor()),
+        attribute.getName()
+      ]);
+
+      let savedStorable: this | undefined;
+
+      try {
+        savedStorable = await this.__saveToStore(attributeSelector, {
+          throwIfMissing,
+          throwIfExists: false,
+          auditOperation: 'delete'
+        });
+      } catch (error) {
+        restoreAttribute();
+        throw error;
+      }
+
+      if (savedStorable === undefined) {
+        restoreAttribute();
+        return undefined;
+      }
+
+      const isDeleted = this.getIsDeletedMark();
+
+      store.addTransactionRollbackHandler(() => {
+        this.setIsDeletedMark(isDeleted);
+      });
+
+      return savedStorable;
+    }
+
     /**
      * Finds some storable component instances matching the specified query in the store, and load all or some of their attributes (and possibly, load some of their referenced components as well).
      *
@@ -1101,6 +1933,7 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
      * @param [options.skip] A number specifying how many components should be skipped from the found components (default: `0`).
      * @param [options.limit] A number specifying the maximum number of components that should be returned (default: `undefined`).
      * @param [options.reload] A boolean specifying whether a component that has already been loaded should be loaded again from the store (default: `false`). Most of the time you will leave this option off to take advantage of the cache.
+     * @param [options.includeDeleted] A boolean specifying whether the components that have been soft deleted should be included (default: `false`). See the [`@softDelete()`](https://layrjs.com/docs/v1/reference/storable#soft-delete-decorator) decorator.
      *
      * @returns An array of [`StorableComponent`](https://layrjs.com/docs/v1/reference/storable#storable-component-class) instances.
      *
@@ -1135,11 +1968,23 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
       this: T,
       query: Query = {},
       attributeSelector: AttributeSelector = true,
-      options: {sort?: SortDescriptor; skip?: number; limit?: number; reload?: boolean} = {}
+      options: {
+        sort?: SortDescriptor;
+        skip?: number;
+        limit?: number;
+        reload?: boolean;
+        includeDeleted?: boolean;
+      } = {}
     ) {
-      const {sort, skip, limit, reload = false} = options;
+      const {sort, skip, limit, reload = false, includeDeleted = false} = options;
 
       query = await this.__callStorablePropertyFindersForQuery(query);
+
+      if (this.hasStore()) {
+        query = await this.restrictQuery(query);
+        query = this.__excludeSoftDeletedComponents(query, {includeDeleted});
+      }
+
       query = this.__normalizeQuery(query, {loose: !this.hasStore()});
 
       let foundStorables: InstanceType<T>[];
@@ -1147,22 +1992,57 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
       if (this.hasStore()) {
         foundStorables = await this.__findInStore(query, {sort, skip, limit});
       } else if (this.hasRemoteMethod('find')) {
-        foundStorables = await this.callRemoteMethod('find', query, {}, {sort, skip, limit});
+        foundStorables = await this.callRemoteMethod(
+          'find',
+          query,
+          {},
+          {sort, skip, limit, includeDeleted}
+        );
       } else {
         throw new Error(
           `To be able to execute the find() method, a storable component should be registered in a store or have an exposed find() remote method (${this.describeComponent()})`
         );
       }
 
-      const loadedStorables = await Promise.all(
-        foundStorables.map((foundStorable) =>
-          foundStorable.load(attributeSelector, {reload, _callerMethodName: 'find'})
-        )
-      );
+      const loadedStorables = await this.__loadFoundStorables(foundStorables, attributeSelector, {
+        reload,
+        includeDeleted,
+        _callerMethodName: 'find'
+      });
 
       return loadedStorables;
     }
 
+    static async __loadFoundStorables<T extends StorableComponent>(
+      foundStorables: T[],
+      attributeSelector: AttributeSelector,
+      {
+        reload,
+        includeDeleted,
+        _callerMethodName
+      }: {reload: boolean; includeDeleted: boolean; _callerMethodName: string}
+    ) {
+      // When the components have been found in the store, they have been selected by
+      // the restricted query, so there is no need to check them again while loading them
+      if (this.hasStore()) {
+        for (const foundStorable of foundStorables) {
+          componentsSelectedByRestrictedQuery.add(foundStorable);
+        }
+      }
+
+      try {
+        return await Promise.all(
+          foundStorables.map((foundStorable) =>
+            foundStorable.load(attributeSelector, {reload, includeDeleted, _callerMethodName})
+          )
+        );
+      } finally {
+        for (const foundStorable of foundStorables) {
+          componentsSelectedByRestrictedQuery.delete(foundStorable);
+        }
+      }
+    }
+
     static async __findInStore<T extends typeof StorableComponent>(
       this: T,
       query: Query,
@@ -1193,10 +2073,182 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
       return foundStorables;
     }
 
+    /**
+     * Finds a page of storable component instances matching the specified query in the store, and load all or some of their attributes (and possibly, load some of their referenced components as well).
+     *
+     * Unlike the [`find()`](https://layrjs.com/docs/v1/reference/storable#find-class-method) method with the `skip` option, this method uses a cursor (i.e., the position of the last component of the previous page) to find the components of the next page. So, the pages are found efficiently even in large collections, and they stay consistent when some components are added or removed between two calls.
+     *
+     * > This method uses the [`load()`](https://layrjs.com/docs/v1/reference/storable#load-instance-method) method under the hood to load the components' attributes. So if you want to expose the [`findPage()`](https://layrjs.com/docs/v1/reference/storable#find-page-class-method) method to the frontend, you will typically have to expose the [`load()`](https://layrjs.com/docs/v1/reference/storable#load-instance-method) method as well.
+     *
+     * @param [query] A [`Query`](https://layrjs.com/docs/v1/reference/query) object specifying the criteria to be used when selecting the components from the store (default: `{}`, which means that any component can be selected).
+     * @param [attributeSelector] An [`AttributeSelector`](https://layrjs.com/docs/v1/reference/attribute-selector) specifying the attributes to be loaded (default: `true`, which means that all the attributes will be loaded).
+     * @param [options.sort] A plain object specifying how the found components should be sorted (default: `undefined`). The shape of the object should be `{[name]: direction}` where `name` is the name of an attribute, and `direction` is the string `'asc'` or `'desc'` representing the sort direction (ascending or descending). The components are always sorted by their primary identifier as well so that the order of the pages is stable.
+     * @param [options.limit] A positive number specifying the maximum number of components that should be returned in the page (default: `undefined`, which means that all the components are returned in a single page).
+     * @param [options.cursor] A string representing the cursor returned with the previous page (default: `undefined`, which means that the first page is returned). The cursor should be used with the same query and sort as the previous page.
+     * @param [options.reload] A boolean specifying whether a component that has already been loaded should be loaded again from the store (default: `false`).
+     * @param [options.includeDeleted] A boolean specifying whether the components that have been soft deleted should be included (default: `false`). See the [`@softDelete()`](https://layrjs.com/docs/v1/reference/storable#soft-delete-decorator) decorator.
+     *
+     * @returns A plain object of the shape `{components, nextCursor}` where `components` is an array of [`StorableComponent`](https://layrjs.com/docs/v1/reference/storable#storable-component-class) instances and `nextCursor` is an opaque string to be specified to get the next page (or `undefined` if there are no more pages).
+     *
+     * @example
+     * ```
+     * // Find the top 30 movies
+     * const {components: movies, nextCursor} = await Movie.findPage({}, true, {
+     *   sort: {rating: 'desc'},
+     *   limit: 30
+     * });
+     *
+     * // Find the next top 30 movies
+     * await Movie.findPage({}, true, {sort: {rating: 'desc'}, limit: 30, cursor: nextCursor});
+     * ```
+     *
+     * @category Storage Operations
+     */
+    @method() static async findPage<T extends typeof StorableComponent>(
+      this: T,
+      query: Query = {},
+      attributeSelector: AttributeSelector = true,
+      options: {
+        sort?: SortDescriptor;
+        limit?: number;
+        cursor?: string;
+        reload?: boolean;
+        includeDeleted?: boolean;
+      } = {}
+    ) {
+      const {sort, limit, cursor, reload = false, includeDeleted = false} = options;
+
+      query = await this.__callStorablePropertyFindersForQuery(query);
+
+      if (this.hasStore()) {
+        query = await this.restrictQuery(query);
+        query = this.__excludeSoftDeletedComponents(query, {includeDeleted});
+      }
+
+      query = this.__normalizeQuery(query, {loose: !this.hasStore()});
+
+      let foundStorables: InstanceType<T>[];
+      let nextCursor: string | undefined;
+
+      if (this.hasStore()) {
+        ({foundStorables, nextCursor} = await this.__findPageInStore(query, {
+          sort,
+          limit,
+          cursor
+        }));
+      } else if (this.hasRemoteMethod('findPage')) {
+        ({components: foundStorables, nextCursor} = await this.callRemoteMethod(
+          'findPage',
+          query,
+          {},
+          {sort, limit, cursor, includeDeleted}
+        ));
+      } else {
+        throw new Error(
+          `To be able to execute the findPage() method, a storable component should be registered in a store or have an exposed findPage() remote method (${this.describeComponent()})`
+        );
+      }
+
+      const loadedStorables = await this.__loadFoundStorables(foundStorables, attributeSelector, {
+        reload,
+        includeDeleted,
+        _callerMethodName: 'findPage'
+      });
+
+      return {components: loadedStorables, nextCursor};
+    }
+
+    static async __findPageInStore<T extends typeof StorableComponent>(
+      this: T,
+      query: Query,
+      {
+        sort,
+        limit,
+        cursor
+      }: {
+        sort?: SortDescriptor | undefined;
+        limit?: number | undefined;
+        cursor?: string | undefined;
+      }
+    ) {
+      const store = this.getStore();
+
+      const storableType = this.prototype.getComponentType();
+
+      const serializedQuery = serialize(query);
+
+      const primaryIdentifierAttribute = this.prototype.getPrimaryIdentifierAttribute();
+      const attributeSelector = {[primaryIdentifierAttribute.getName()]: true};
+
+      const {serializedStorables, nextCursor} = await store.findPage(
+        {storableType, query: serializedQuery, sort, limit, cursor},
+        {attributeSelector}
+      );
+
+      const foundStorables = serializedStorables.map(
+        (serializedStorable) =>
+          this.recreate(
+            pickFromAttributeSelector(serializedStorable, attributeSelector, {
+              includeAttributeNames: ['__component']
+            }),
+            {source: 1}
+          ) as InstanceType<T>
+      );
+
+      return {foundStorables, nextCursor};
+    }
+
+    /**
+     * Iterates over the storable component instances matching the specified query in the store. The components are found in batches with the [`findPage()`](https://layrjs.com/docs/v1/reference/storable#find-page-class-method) method, so the whole result doesn't have to be held in memory.
+     *
+     * Since this method relies on the [`findPage()`](https://layrjs.com/docs/v1/reference/storable#find-page-class-method) method, it works in the frontend as long as the [`findPage()`](https://layrjs.com/docs/v1/reference/storable#find-page-class-method) method is exposed.
+     *
+     * @param [query] A [`Query`](https://layrjs.com/docs/v1/reference/query) object specifying the criteria to be used when selecting the components from the store (default: `{}`, which means that any component can be selected).
+     * @param [attributeSelector] An [`AttributeSelector`](https://layrjs.com/docs/v1/reference/attribute-selector) specifying the attributes to be loaded (default: `true`, which means that all the attributes will be loaded).
+     * @param [options.sort] A plain object specifying how the found components should be sorted (default: `undefined`). See the [`findPage()`](https://layrjs.com/docs/v1/reference/storable#find-page-class-method) method for details.
+     * @param [options.batchSize] A number specifying how many components should be found at once (default: `100`).
+     * @param [options.reload] A boolean specifying whether a component that has already been loaded should be loaded again from the store (default: `false`).
+     *
+     * @returns An async iterator of [`StorableComponent`](https://layrjs.com/docs/v1/reference/storable#storable-component-class) instances.
+     *
+     * @example
+     * ```
+     * for await (const movie of Movie.findIterator({country: 'Japan'}, {title: true})) {
+     *   console.log(movie.title);
+     * }
+     * ```
+     *
+     * @category Storage Operations
+     */
+    static async *findIterator<T extends typeof StorableComponent>(
+      this: T,
+      query: Query = {},
+      attributeSelector: AttributeSelector = true,
+      options: {sort?: SortDescriptor; batchSize?: number; reload?: boolean} = {}
+    ): AsyncGenerator<InstanceType<T>, void, undefined> {
+      const {sort, batchSize = 100, reload = false} = options;
+
+      let cursor: string | undefined;
+
+      do {
+        const {components, nextCursor} = await this.findPage(query, attributeSelector, {
+          sort,
+          limit: batchSize,
+          cursor,
+          reload
+        });
+
+        yield* components as InstanceType<T>[];
+
+        cursor = nextCursor;
+      } while (cursor !== undefined);
+    }
+
     /**
      * Counts the number of storable component instances matching the specified query in the store.
      *
      * @param [query] A [`Query`](https://layrjs.com/docs/v1/reference/query) object specifying the criteria to be used when selecting the components from the store (default: `{}`, which means that any component can be selected, and therefore the total number of components available in the store will be returned).
+     * @param [options.includeDeleted] A boolean specifying whether the components that have been soft deleted should be included (default: `false`). See the [`@softDelete()`](https://layrjs.com/docs/v1/reference/storable#soft-delete-decorator) decorator.
      *
      * @returns A number.
      *
@@ -1221,8 +2273,16 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
      *
      * @category Storage Operations
      */
-    @method() static async count(query: Query = {}) {
+    @method() static async count(query: Query = {}, options: {includeDeleted?: boolean} = {}) {
+      const {includeDeleted = false} = options;
+
       query = await this.__callStorablePropertyFindersForQuery(query);
+
+      if (this.hasStore()) {
+        query = await this.restrictQuery(query);
+        query = this.__excludeSoftDeletedComponents(query, {includeDeleted});
+      }
+
       query = this.__normalizeQuery(query, {loose: !this.hasStore()});
 
       let storablesCount: number;
@@ -1230,7 +2290,7 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
       if (this.hasStore()) {
         storablesCount = await this.__countInStore(query);
       } else if (this.hasRemoteMethod('count')) {
-        storablesCount = await this.callRemoteMethod('count', query);
+        storablesCount = await this.callRemoteMethod('count', query, {includeDeleted});
       } else {
         throw new Error(
           `To be able to execute the count() method, a storable component should be registered in a store or have an exposed count() remote method (${this.describeComponent()})`
@@ -1252,6 +2312,339 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
       return storablesCount;
     }
 
+    /**
+     * Groups the storable component instances matching the specified query in the store, and computes some values (e.g., a count, a sum, or an average) for each group.
+     *
+     * Note that, like the [`count()`](https://layrjs.com/docs/v1/reference/storable#count-class-method) method, this method returns some values computed from the attributes of the components without checking whether these attributes are exposed. So if you expose this method to the frontend, make sure that the aggregated attributes are not sensitive.
+     *
+     * @param query A [`Query`](https://layrjs.com/docs/v1/reference/query) object specifying the criteria to be used when selecting the components to aggregate (use `{}` to aggregate all the components).
+     * @param aggregation An [`Aggregation`](https://layrjs.com/docs/v1/reference/store#aggregation-type) object specifying the attributes by which the components should be grouped and the values to compute for each group.
+     * @param [options.sort] A plain object specifying how the groups should be sorted. The shape of the object should be `{[name]: direction}` where `name` is the name of a grouped attribute or an accumulator, and `direction` is the string `'asc'` or `'desc'`. If not specified, the order of the groups is undefined.
+     * @param [options.limit] A number specifying the maximum number of groups to return (default: `undefined`, which means that all the groups will be returned).
+     * @param [options.includeDeleted] A boolean specifying whether the components that have been soft deleted should be included (default: `false`). See the [`@softDelete()`](https://layrjs.com/docs/v1/reference/storable#soft-delete-decorator) decorator.
+     *
+     * @returns An array of plain objects (one for each group) containing the values of the grouped attributes and the computed values.
+     *
+     * @example
+     * ```
+     * // Count the number of movies and compute their average rating by country
+     * await Movie.aggregate(
+     *   {},
+     *   {groupBy: 'country', accumulators: {count: {$count: true}, rating: {$avg: 'rating'}}},
+     *   {sort: {count: 'desc'}}
+     * );
+     * // => [{country: 'USA', count: 12, rating: 7.5}, {country: 'Japan', count: 5, rating: 8.1}]
+     *
+     * // Get the release date of the last movie released after 2010
+     * await Movie.aggregate(
+     *   {year: {$greaterThan: 2010}},
+     *   {accumulators: {lastReleaseDate: {$max: 'releaseDate'}}}
+     * );
+     * // => [{lastReleaseDate: new Date('2020-06-15')}]
+     * ```
+     *
+     * @category Storage Operations
+     */
+    @method() static async aggregate(
+      query: Query,
+      aggregation: Aggregation,
+      options: {sort?: SortDescriptor; limit?: number; includeDeleted?: boolean} = {}
+    ) {
+      const {includeDeleted = false, ...aggregationOptions} = options;
+
+      const {groupBy, accumulators} = normalizeAggregation(aggregation);
+
+      const prototype = this.prototype as StorableComponent;
+
+      const paths = [...groupBy, ...Object.values(accumulators).map(({path}) => path)].filter(
+        (path) => path !== undefined
+      ) as string[];
+
+      for (const path of paths) {
+        const [name] = path.split('.');
+
+        const attribute = prototype.hasStorableAttribute(name)
+          ? prototype.getStorableAttribute(name, {autoFork: false})
+          : undefined;
+
+        if (attribute === undefined || attribute.isComputed()) {
+          throw new Error(
+            `Cannot aggregate an attribute that is missing or computed (${this.describeComponent()}, attribute: '${name}')`
+          );
+        }
+      }
+
+      query = await this.__callStorablePropertyFindersForQuery(query);
+
+      if (this.hasStore()) {
+        query = await this.restrictQuery(query);
+        query = this.__excludeSoftDeletedComponents(query, {includeDeleted});
+      }
+
+      query = this.__normalizeQuery(query, {loose: !this.hasStore()});
+
+      let rows: AggregationRow[];
+
+      if (this.hasStore()) {
+        rows = await this.__aggregateInStore(query, aggregation, aggregationOptions);
+      } else if (this.hasRemoteMethod('aggregate')) {
+        rows = await this.callRemoteMethod('aggregate', query, aggregation, options);
+      } else {
+        throw new Error(
+          `To be able to execute the aggregate() method, a storable component should be registered in a store or have an exposed aggregate() remote method (${this.describeComponent()})`
+        );
+      }
+
+      return rows;
+    }
+
+    static async __aggregateInStore(
+      query: Query,
+      aggregation: Aggregation,
+      options: {sort?: SortDescriptor; limit?: number}
+    ) {
+      const store = this.getStore();
+
+      const storableType = this.prototype.getComponentType();
+
+      const serializedQuery = serialize(query);
+
+      const serializedRows = await store.aggregate({
+        storableType,
+        query: serializedQuery,
+        ...aggregation,
+        ...options
+      });
+
+      const rows: AggregationRow[] = deserialize(serializedRows);
+
+      return rows;
+    }
+
+    /**
+     * Subscribes to the changes of the storable component instances matching the specified query so that the specified listener is called each time a matching component is created, updated, or deleted.
+     *
+     * The listener is called with a plain object of the shape `{type, component, isMatching}` where:
+     *
+     * - `type` is the string `'created'`, `'updated'`, or `'deleted'`.
+     * - `component` is the storable component instance that changed with the attributes specified by `attributeSelector` (which are merged into the component's [identity map](https://layrjs.com/docs/v1/reference/identity-map), so any view observing the component is rerendered). In the case of a deleted component, only the identifiers are provided and the component is marked as deleted.
+     * - `isMatching` is a boolean specifying whether the component matches the query after the change. An updated component that doesn't match the query anymore is notified once with `isMatching` set to `false`.
+     *
+     * When the storable component is registered in a store, the changes made through the store are detected (see the [`addChangeListener()`](https://layrjs.com/docs/v1/reference/store#add-change-listener-instance-method) method). Otherwise, the subscription is forwarded to the backend, which requires the `subscribe()` method to be exposed and the component client to be connected to a component server that supports the subscriptions. The changes pushed by the backend only include the attributes that are exposed with the `get` operation.
+     *
+     * @param query A [`Query`](https://layrjs.com/docs/v1/reference/query) object specifying the components to watch (use `{}` to watch all the components).
+     * @param attributeSelector An [`AttributeSelector`](https://layrjs.com/docs/v1/reference/attribute-selector) specifying the attributes to be loaded when a component is created or updated.
+     * @param listener A function to call each time a component changes.
+     * @param [errorListener] A function to call with an error when a change cannot be handled, or when the subscription is ended by the backend (e.g., when it cannot be restored after a connection loss). If no error listener is specified, the errors are only logged with the [`debug`](https://github.com/visionmedia/debug) module.
+     *
+     * @returns A promise resolving to an object with an `unsubscribe()` method that you can call to stop watching the changes.
+     *
+     * @example
+     * ```
+     * const subscription = await Message.subscribe(
+     *   {room},
+     *   {text: true, author: {fullName: true}},
+     *   ({type, component}) => {
+     *     console.log(`A message was ${type}: ${component.text}`);
+     *   }
+     * );
+     *
+     * // Later
+     * subscription.unsubscribe();
+     * ```
+     *
+     * @category Storage Operations
+     */
+    @method() static async subscribe<T extends typeof StorableComponent>(
+      this: T,
+      query: Query,
+      attributeSelector: AttributeSelector,
+      listener: StorableChangeListener<InstanceType<T>>,
+      errorListener?: StorableErrorListener
+    ): Promise<StorableSubscription> {
+      if (typeof listener !== 'function') {
+        throw new Error(
+          `Expected a function as the listener of a subscription, but received a value of type '${getTypeOf(
+            listener
+          )}'`
+        );
+      }
+
+      query = await this.__callStorablePropertyFindersForQuery(query);
+
+      if (this.hasStore()) {
+        query = await this.restrictQuery(query);
+      }
+
+      query = this.__normalizeQuery(query, {loose: !this.hasStore()});
+
+      if (this.hasStore()) {
+        return await this.__subscribeToStore(query, attributeSelector, listener, errorListener);
+      }
+
+      if (this.hasRemoteMethod('subscribe')) {
+        return await this.callRemoteMethod(
+          'subscribe',
+          query,
+          attributeSelector,
+          (change: StorableChange<InstanceType<T>>) => {
+            if (change.type === 'deleted') {
+              change.component.setIsDeletedMark(true);
+            }
+
+            listener(change);
+          },
+          // The error listener is only used by the component client
+          ...(errorListener !== undefined ? [errorListener] : [])
+        );
+      }
+
+      throw new Error(
+        `To be able to execute the subscribe() method, a storable component should be registered in a store or have an exposed subscribe() remote method (${this.describeComponent()})`
+      );
+    }
+
+    static async __subscribeToStore<T extends typeof StorableComponent>(
+      this: T,
+      query: Query,
+      attributeSelector: AttributeSelector,
+      listener: StorableChangeListener<InstanceType<T>>,
+      errorListener: StorableErrorListener | undefined
+    ): Promise<StorableSubscription> {
+      const store = this.getStore();
+
+      const storableType = this.prototype.getComponentType();
+      const primaryIdentifierName = this.prototype.getPrimaryIdentifierAttribute().getName();
+
+      // The primary identifiers of the components matching the query, so that we can
+      // determine whether a deleted or updated component was matching the query
+      const matchingIdentifiers = await this.__findMatchingPrimaryIdentifiers(query);
+
+      const getComponent = async (identifierDescriptor: IdentifierDescriptor) =>
+        (this.getIdentityMap().getComponent(identifierDescriptor) as InstanceType<T> | undefined) ??
+        ((await this.create(identifierDescriptor, {isNew: false})) as InstanceType<T>);
+
+      const handleChange = async ({type, identifierDescriptor}: StoreChange) => {
+        // The components that have been saved or deleted from their primary identifier
+        // always provide it, so the other identifiers can be ignored
+        if (!hasOwnProperty(identifierDescriptor, primaryIdentifierName)) {
+          return;
+        }
+
+        const identifier = identifierDescriptor[primaryIdentifierName];
+        const wasMatching = matchingIdentifiers.has(identifier);
+
+        if (type === 'deleted') {
+          if (!wasMatching) {
+            return;
+          }
+
+          matchingIdentifiers.delete(identifier);
+
+          const component = await getComponent(identifierDescriptor);
+
+          component.setIsDeletedMark(true);
+
+          listener({type, component, isMatching: false});
+
+          return;
+        }
+
+        const identifierQuery = {[primaryIdentifierName]: identifier};
+
+        let [component] = (await this.find(
+          hasOwnProperty(query, primaryIdentifierName)
+            ? {$and: [query, identifierQuery]}
+            : {...query, ...identifierQuery},
+          attributeSelector,
+          {reload: true}
+        )) as InstanceType<T>[];
+
+        const isMatching = component !== undefined;
+
+        if (!isMatching && !wasMatching) {
+          return;
+        }
+
+        if (isMatching) {
+          matchingIdentifiers.add(identifier);
+        } else {
+          matchingIdentifiers.delete(identifier);
+
+          // The component is not fetched again because it may no longer be accessible
+          // (e.g., because of the query restrictions), so only its identifier is provided
+          component = await getComponent(identifierQuery);
+        }
+
+        listener({type, component, isMatching});
+      };
+
+      // Handle the changes one at a time so that the listener is called in the same order
+      let queue = Promise.resolve();
+
+      const changeListener = (change: StoreChange) => {
+        if (change.storableType !== storableType) {
+          return;
+        }
+
+        queue = queue
+          .then(() => handleChange(change))
+          .catch((error) => {
+            if (errorListener === undefined) {
+              throw error;
+            }
+
+            errorListener(error);
+          })
+          .catch((error) => {
+            debugError(
+              `An error occurred while handling a change of a storable component (%s, type: '%s')\n%s`,
+              this.describeComponent(),
+              change.type,
+              error.stack
+            );
+          });
+      };
+
+      store.addChangeListener(changeListener);
+
+      return {
+        unsubscribe() {
+          store.removeChangeListener(changeListener);
+        }
+      };
+    }
+
+    // Reads the identifiers from the store page by page, without loading any component
+    static async __findMatchingPrimaryIdentifiers(query: Query) {
+      const store = this.getStore();
+
+      const storableType = this.prototype.getComponentType();
+      const primaryIdentifierName = this.prototype.getPrimaryIdentifierAttribute().getName();
+
+      const serializedQuery = serialize(
+        this.__excludeSoftDeletedComponents(query, {includeDeleted: false})
+      );
+
+      const identifiers = new Set<IdentifierValue>();
+      let cursor: string | undefined;
+
+      do {
+        const {serializedStorables, nextCursor} = await store.findPage(
+          {storableType, query: serializedQuery, limit: SUBSCRIPTION_PAGE_SIZE, cursor},
+          {attributeSelector: {[primaryIdentifierName]: true}}
+        );
+
+        for (const serializedStorable of serializedStorables) {
+          identifiers.add(serializedStorable[primaryIdentifierName]);
+        }
+
+        cursor = nextCursor;
+      } while (cursor !== undefined);
+
+      return identifiers;
+    }
+
     static async __callStorablePropertyFindersForQuery(query: Query) {
       for (const property of this.prototype.getStorablePropertiesWithFinder()) {
         const name = property.getName();
@@ -1327,6 +2720,19 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
             continue;
           }
 
+          if (name === '$search') {
+            if (typeof subquery !== 'string') {
+              throw new Error(
+                `Expected a string as value of the operator '${name}', but received a value of type '${getTypeOf(
+                  subquery
+                )}'`
+              );
+            }
+
+            normalizedQuery[name] = subquery;
+            continue;
+          }
+
           if (name === '$in') {
             if (!Array.isArray(subquery)) {
               throw new Error(
@@ -1488,6 +2894,79 @@ export function Storable<T extends Constructor<typeof Component>>(Base: T) {
 
     // === Hooks ===
 
+    /**
+     * A method that you can override to restrict the storable component instances that can be selected by a query.
+     *
+     * This method is automatically called with the query specified to the [`find()`](https://layrjs.com/docs/v1/reference/storable#find-class-method), [`findPage()`](https://layrjs.com/docs/v1/reference/storable#find-page-class-method), [`count()`](https://layrjs.com/docs/v1/reference/storable#count-class-method), [`aggregate()`](https://layrjs.com/docs/v1/reference/storable#aggregate-class-method), or [`subscribe()`](https://layrjs.com/docs/v1/reference/storable#subscribe-class-method) method when the storable component class is registered in a store (i.e., typically in the backend). The query that is returned is the one used to select the components from the store.
+     *
+     * Also, an existing component can only be loaded (with the [`get()`](https://layrjs.com/docs/v1/reference/storable#get-class-method) or [`load()`](https://layrjs.com/docs/v1/reference/storable#load-instance-method) method), saved, deleted, or restored if it is selected by the query returned for its identifiers. A component that is not selected cannot be loaded as if it were missing from the store, and a [`ForbiddenError`](https://layrjs.com/docs/v1/reference/layr-error) is thrown when it is saved, deleted, or restored.
+     *
+     * @param query A [`Query`](https://layrjs.com/docs/v1/reference/query) object.
+     *
+     * @returns A [`Query`](https://layrjs.com/docs/v1/reference/query) object (possibly a promise).
+     *
+     * @example
+     * ```
+     * class Movie extends Storable(Component) {
+     *   // ...
+     *
+     *   static async restrictQuery(query) {
+     *     // Don't forget to call the parent method
+     *     query = await super.restrictQuery(query);
+     *
+     *     // Only select the published movies
+     *     return {$and: [query, {isPublished: true}]};
+     *   }
+     * }
+     * ```
+     *
+     * @category Hooks
+     * @possiblyasync
+     */
+    static restrictQuery(query: Query): PromiseLikeable<Query> {
+      return query;
+    }
+
+    // Returns whether a component (soft deleted or not) is selected by the query
+    // returned by `restrictQuery()` for its identifiers
+    static async __isSelectedByRestrictedQuery(
+      identifierDescriptor: NormalizedIdentifierDescriptor
+    ) {
+      const query = await this.restrictQuery(identifierDescriptor);
+
+      if (query === identifierDescriptor) {
+        return true; // OPTIMIZATION: The query has not been restricted
+      }
+
+      const count = await this.__countInStore(this.__normalizeQuery(query));
+
+      return count > 0;
+    }
+
+    // The checks that are performed before the `beforeSave()` and `beforeDelete()` hooks
+    // so that they cannot be bypassed by overriding these hooks
+    async __authorizeSave(_attributeSelector: AttributeSelector) {
+      await this.__checkRestrictedQuery('save');
+    }
+
+    async __authorizeDelete(_attributeSelector: AttributeSelector) {
+      await this.__checkRestrictedQuery('delete');
+    }
+
+    async __checkRestrictedQuery(operation: 'save' | 'delete' | 'restore') {
+      if (this.isNew() || !this.constructor.hasStore()) {
+        return;
+      }
+
+      // The existing component is checked in the store rather than in memory
+      // because its attributes may have been modified before being saved
+      if (!(await this.constructor.__isSelectedByRestrictedQuery(this.getIdentifierDescriptor()))) {
+        throw new ForbiddenError(
+          `Cannot ${operation} a component that is not allowed (${this.describeComponent()})`
+        );
+      }
+    }
+
     /**
      * A method that you can override to execute some custom logic just before the current storable component instance is loaded from the store.
      *
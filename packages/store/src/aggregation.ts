@@ -0,0 +1,271 @@
+import {PlainObject, isPlainObject, getTypeOf} from 'core-helpers';
+import get from 'lodash/get';
+
+import type {Document} from './document';
+import type {Path} from './path';
+import type {SortDescriptor} from './store';
+
+/**
+ * @typedef Aggregation
+ *
+ * A plain object specifying how to aggregate some documents with the [`aggregate()`](https://layrjs.com/docs/v1/reference/storable#aggregate-class-method) method.
+ *
+ * The object can have the following properties:
+ *
+ * * `groupBy` (optional): A string or an array of strings specifying the names of the attributes (or some paths such as `'location.country'`) by which the documents should be grouped. If no attributes are specified, all the documents are aggregated in a single group.
+ * * `accumulators`: A plain object of the shape `{[name]: accumulator}` where `name` is the name of a value to compute for each group, and `accumulator` is one of the following objects:
+ *   * `{$count: true}`: Counts the number of documents in the group.
+ *   * `{$sum: path}`: Computes the sum of the numbers stored in the specified attribute.
+ *   * `{$avg: path}`: Computes the average of the numbers stored in the specified attribute.
+ *   * `{$min: path}`: Returns the smallest value stored in the specified attribute.
+ *   * `{$max: path}`: Returns the largest value stored in the specified attribute.
+ *
+ * The documents having a missing value (or a value that is not a number in the case of `$sum` and `$avg`) for an accumulated attribute are ignored by the accumulator.
+ *
+ * @example
+ * ```
+ * {
+ *   groupBy: 'country',
+ *   accumulators: {
+ *     movieCount: {$count: true},
+ *     averageRating: {$avg: 'rating'},
+ *     lastReleaseDate: {$max: 'releaseDate'}
+ *   }
+ * }
+ * ```
+ */
+export type Aggregation = {
+  groupBy?: string | string[];
+  accumulators?: Accumulators;
+};
+
+export type Accumulators = {[name: string]: Accumulator};
+
+export type Accumulator =
+  | {$count: true}
+  | {$sum: string}
+  | {$avg: string}
+  | {$min: string}
+  | {$max: string};
+
+export type AccumulatorOperator = '$count' | '$sum' | '$avg' | '$min' | '$max';
+
+export type NormalizedAggregation = {
+  groupBy: Path[];
+  accumulators: {[name: string]: NormalizedAccumulator};
+};
+
+export type NormalizedAccumulator = {operator: AccumulatorOperator; path: Path | undefined};
+
+// A plain object holding the values of the grouped attributes and the accumulated values
+export type AggregationRow = PlainObject;
+
+const ACCUMULATOR_OPERATORS: AccumulatorOperator[] = ['$count', '$sum', '$avg', '$min', '$max'];
+
+export function normalizeAggregation(aggregation: Aggregation): NormalizedAggregation {
+  if (!isPlainObject(aggregation)) {
+    throw new Error(
+      `Expected an aggregation to be a plain object, but received a value of type '${getTypeOf(
+        aggregation
+      )}'`
+    );
+  }
+
+  const {groupBy = [], accumulators = {}, ...unknownProperties} = aggregation;
+
+  const unknownPropertyNames = Object.keys(unknownProperties);
+
+  if (unknownPropertyNames.length > 0) {
+    throw new Error(
+      `An aggregation contains an unknown property (property: '${unknownPropertyNames[0]}')`
+    );
+  }
+
+  const normalizedGroupBy = Array.isArray(groupBy) ? groupBy : [groupBy];
+
+  for (const path of normalizedGroupBy) {
+    if (typeof path !== 'string' || path === '') {
+      throw new Error(
+        `Expected the 'groupBy' property of an aggregation to be a string or an array of strings, but received a value of type '${getTypeOf(
+          path
+        )}'`
+      );
+    }
+  }
+
+  if (!isPlainObject(accumulators)) {
+    throw new Error(
+      `Expected the 'accumulators' property of an aggregation to be a plain object, but received a value of type '${getTypeOf(
+        accumulators
+      )}'`
+    );
+  }
+
+  const normalizedAccumulators: NormalizedAggregation['accumulators'] = {};
+
+  for (const [name, accumulator] of Object.entries(accumulators)) {
+    if (name.startsWith('$') || name.includes('.')) {
+      throw new Error(
+        `The name of an accumulator cannot start with '$' or contain a '.' (accumulator: '${name}')`
+      );
+    }
+
+    if (normalizedGroupBy.includes(name)) {
+      throw new Error(
+        `The name of an accumulator cannot be the same as a grouped attribute (accumulator: '${name}')`
+      );
+    }
+
+    const entries = isPlainObject(accumulator) ? Object.entries(accumulator) : [];
+
+    if (
+      entries.length !== 1 ||
+      !ACCUMULATOR_OPERATORS.includes(entries[0][0] as AccumulatorOperator)
+    ) {
+      throw new Error(
+        `Expected an accumulator to be an object such as '{$count: true}' or '{$sum: path}' (accumulator: '${name}')`
+      );
+    }
+
+    const [[operator, path]] = entries as [AccumulatorOperator, unknown][];
+
+    if (operator === '$count') {
+      normalizedAccumulators[name] = {operator, path: undefined};
+      continue;
+    }
+
+    if (typeof path !== 'string' || path === '') {
+      throw new Error(
+        `Expected the '${operator}' accumulator to specify the path of an attribute, but received a value of type '${getTypeOf(
+          path
+        )}' (accumulator: '${name}')`
+      );
+    }
+
+    normalizedAccumulators[name] = {operator, path};
+  }
+
+  return {groupBy: normalizedGroupBy, accumulators: normalizedAccumulators};
+}
+
+// Aggregates some documents in memory (used by the stores that have no native way
+// to aggregate some documents)
+export function evaluateAggregation(
+  documents: Document[],
+  {groupBy, accumulators}: NormalizedAggregation
+) {
+  const groups = new Map<string, {values: unknown[]; documents: Document[]}>();
+
+  for (const document of documents) {
+    const values = groupBy.map((path) => get(document, path) ?? null);
+    const key = JSON.stringify(values);
+
+    let group = groups.get(key);
+
+    if (group === undefined) {
+      group = {values, documents: []};
+      groups.set(key, group);
+    }
+
+    group.documents.push(document);
+  }
+
+  // Like the stores with a native aggregation, return a single group when there are no
+  // grouped attributes, even if there are no documents
+  if (groupBy.length === 0 && groups.size === 0) {
+    groups.set('[]', {values: [], documents: []});
+  }
+
+  const rows: AggregationRow[] = [];
+
+  for (const {values, documents} of groups.values()) {
+    const row: AggregationRow = {};
+
+    groupBy.forEach((path, index) => {
+      row[path] = values[index];
+    });
+
+    for (const [name, {operator, path}] of Object.entries(accumulators)) {
+      row[name] = accumulate(documents, operator, path);
+    }
+
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function accumulate(documents: Document[], operator: AccumulatorOperator, path: Path | undefined) {
+  if (operator === '$count') {
+    return documents.length;
+  }
+
+  const values = documents
+    .map((document) => get(document, path!))
+    .filter((value) => value !== undefined && value !== null);
+
+  if (operator === '$sum' || operator === '$avg') {
+    const numbers = values.filter((value) => typeof value === 'number') as number[];
+    const sum = numbers.reduce((sum, number) => sum + number, 0);
+
+    if (operator === '$sum') {
+      return sum;
+    }
+
+    return numbers.length > 0 ? sum / numbers.length : null;
+  }
+
+  let result: any = null;
+
+  for (const value of values) {
+    if (
+      result === null ||
+      (operator === '$min' && value.valueOf() < result.valueOf()) ||
+      (operator === '$max' && value.valueOf() > result.valueOf())
+    ) {
+      result = value;
+    }
+  }
+
+  return result;
+}
+
+export function sortAggregationRows(rows: AggregationRow[], sort: SortDescriptor | undefined) {
+  if (sort === undefined) {
+    return rows;
+  }
+
+  const entries = Object.entries(sort);
+
+  // Like the stores, consider missing values smaller than any other value
+  const compare = (a: any, b: any) => {
+    a = a?.valueOf() ?? null;
+    b = b?.valueOf() ?? null;
+
+    if (a === b) {
+      return 0;
+    }
+
+    if (a === null) {
+      return -1;
+    }
+
+    if (b === null) {
+      return 1;
+    }
+
+    return a < b ? -1 : a > b ? 1 : 0;
+  };
+
+  return [...rows].sort((rowA, rowB) => {
+    for (const [name, direction] of entries) {
+      const result = compare(rowA[name], rowB[name]);
+
+      if (result !== 0) {
+        return direction.toLowerCase() === 'desc' ? -result : result;
+      }
+    }
+
+    return 0;
+  });
+}
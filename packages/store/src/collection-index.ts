@@ -0,0 +1,141 @@
+import {isPlainObject, getTypeOf} from 'core-helpers';
+
+import type {SortDirection} from './store';
+
+/**
+ * @typedef Index
+ *
+ * A plain object describing an index of a collection of documents.
+ *
+ * The object has the following shape:
+ *
+ * * `attributes`: A plain object of the shape `{[name]: direction}` where `name` is the name of an attribute (or a path such as `'details.country'`) and `direction` is the string `'asc'`, `'desc'`, or `'text'`. An index including several attributes is called a compound index, and an index where all the attributes have the `'text'` direction is called a text index (which is used by the [`$search`](https://layrjs.com/docs/v1/reference/query#search) operator).
+ * * `isUnique` (optional): A boolean specifying whether the index rejects the documents having the same values as another document for the indexed attributes (default: `false`).
+ * * `expireAfterSeconds` (optional): A number specifying that the documents should be automatically removed after the specified number of seconds has elapsed since the date stored in the indexed attribute (which should be a `Date`). Such an index is called a TTL index and can only include a single attribute.
+ *
+ * @example
+ * ```
+ * {attributes: {email: 'asc'}, isUnique: true}
+ *
+ * {attributes: {country: 'asc', year: 'desc'}}
+ *
+ * {attributes: {createdOn: 'asc'}, expireAfterSeconds: 3600}
+ *
+ * {attributes: {title: 'text', description: 'text'}}
+ * ```
+ */
+export type Index = {attributes: IndexAttributes} & IndexOptions;
+
+export type IndexAttributes = {[name: string]: IndexDirection};
+
+export type IndexDirection = SortDirection | 'text';
+
+export type IndexOptions = {isUnique?: boolean; expireAfterSeconds?: number};
+
+export function normalizeIndex(index: Index) {
+  const {attributes, isUnique = false, expireAfterSeconds} = index;
+
+  if (!isPlainObject(attributes)) {
+    throw new Error(
+      `Expected the attributes of an index to be a plain object, but received a value of type '${getTypeOf(
+        attributes
+      )}'`
+    );
+  }
+
+  const names = Object.keys(attributes);
+
+  if (names.length === 0) {
+    throw new Error(`An index must include at least one attribute`);
+  }
+
+  for (const [name, direction] of Object.entries(attributes)) {
+    if (direction !== 'asc' && direction !== 'desc' && direction !== 'text') {
+      throw new Error(
+        `The direction of an indexed attribute should be 'asc', 'desc', or 'text' (attribute: '${name}', direction: ${JSON.stringify(
+          direction
+        )})`
+      );
+    }
+  }
+
+  const directions = Object.values(attributes);
+
+  if (directions.includes('text')) {
+    if (!directions.every((direction) => direction === 'text')) {
+      throw new Error(
+        `A text index cannot include attributes that are not indexed with the 'text' direction (index: '${buildIndexName(
+          index
+        )}')`
+      );
+    }
+
+    if (isUnique || expireAfterSeconds !== undefined) {
+      throw new Error(
+        `A text index cannot have the 'isUnique' or 'expireAfterSeconds' options (index: '${buildIndexName(
+          index
+        )}')`
+      );
+    }
+  }
+
+  const normalizedIndex: Index = {attributes, isUnique};
+
+  if (expireAfterSeconds !== undefined) {
+    if (!(Number.isInteger(expireAfterSeconds) && expireAfterSeconds >= 0)) {
+      throw new Error(
+        `The 'expireAfterSeconds' option of an index should be a non-negative integer (index: '${buildIndexName(
+          index
+        )}')`
+      );
+    }
+
+    if (names.length > 1) {
+      throw new Error(
+        `A TTL index (i.e., an index with the 'expireAfterSeconds' option) cannot include several attributes (index: '${buildIndexName(
+          index
+        )}')`
+      );
+    }
+
+    normalizedIndex.expireAfterSeconds = expireAfterSeconds;
+  }
+
+  return normalizedIndex;
+}
+
+export function isTextIndex(index: Index) {
+  return Object.values(index.attributes).includes('text');
+}
+
+// {attributes: {country: 'asc', year: 'desc'}, isUnique: true} => 'country_asc_year_desc_unique'
+export function buildIndexName({attributes, isUnique = false, expireAfterSeconds}: Index) {
+  let name = Object.entries(attributes)
+    .map(([attributeName, direction]) => `${attributeName}_${direction}`)
+    .join('_');
+
+  if (isUnique) {
+    name += '_unique';
+  }
+
+  if (expireAfterSeconds !== undefined) {
+    name += `_ttl${expireAfterSeconds}`;
+  }
+
+  return name;
+}
+
+export function createUniqueIndexViolationError({
+  collectionName,
+  indexName
+}: {
+  collectionName: string;
+  indexName: string | undefined;
+}) {
+  return Object.assign(
+    new Error(
+      `A document has the same values as another document for the attributes of a unique index (collection: '${collectionName}', index: '${indexName}')`
+    ),
+    {code: 'UNIQUE_INDEX_VIOLATION', indexName}
+  );
+}
@@ -0,0 +1,91 @@
+import type {Query} from './query';
+import type {SortDescriptor} from './store';
+
+// The values of the sort attributes of the last document of a page
+export type CursorValues = unknown[];
+
+// {rating: 'desc'} + 'id' => {rating: 'desc', id: 'asc'}
+export function buildKeysetSort(sort: SortDescriptor, primaryIdentifierName: string) {
+  const keysetSort: SortDescriptor = {};
+
+  for (const [path, direction] of Object.entries(sort)) {
+    keysetSort[path] = direction.toLowerCase() === 'desc' ? 'desc' : 'asc';
+  }
+
+  // The primary identifier guarantees that the order of the documents is stable
+  if (!(primaryIdentifierName in keysetSort)) {
+    keysetSort[primaryIdentifierName] = 'asc';
+  }
+
+  return keysetSort;
+}
+
+export function encodeCursor(keysetSort: SortDescriptor, values: CursorValues) {
+  const json = JSON.stringify({sort: Object.entries(keysetSort), values});
+
+  return typeof Buffer !== 'undefined'
+    ? Buffer.from(json, 'utf8').toString('base64')
+    : btoa(unescape(encodeURIComponent(json)));
+}
+
+export function decodeCursor(cursor: string, keysetSort: SortDescriptor): CursorValues {
+  let data: any;
+
+  try {
+    const json =
+      typeof Buffer !== 'undefined'
+        ? Buffer.from(cursor, 'base64').toString('utf8')
+        : decodeURIComponent(escape(atob(cursor)));
+
+    data = JSON.parse(json);
+  } catch {
+    data = undefined;
+  }
+
+  if (
+    !(Array.isArray(data?.sort) && Array.isArray(data?.values)) ||
+    JSON.stringify(data.sort) !== JSON.stringify(Object.entries(keysetSort)) ||
+    data.values.length !== data.sort.length
+  ) {
+    throw Object.assign(
+      new Error(
+        `The specified cursor is invalid or was not created with the same sort (cursor: '${cursor}')`
+      ),
+      {code: 'INVALID_CURSOR', expose: true}
+    );
+  }
+
+  return data.values;
+}
+
+// Builds a query matching the documents that come after the specified values according to
+// the specified sort. For example, with `{rating: 'desc', id: 'asc'}` and `[8, 'abc']`:
+// {$or: [{$or: [{rating: {$lessThan: 8}}, {rating: null}]}, {rating: 8, id: {$greaterThan: 'abc'}}]}
+//
+// Like the stores, the query considers missing values smaller than any other value, so
+// they come first in an ascending order, and last in a descending order.
+export function buildKeysetQuery(keysetSort: SortDescriptor, values: CursorValues): Query {
+  const entries = Object.entries(keysetSort);
+
+  const subqueries = entries.map(([path, direction], index) => {
+    const subquery: Query = {};
+
+    for (let previousIndex = 0; previousIndex < index; previousIndex++) {
+      subquery[entries[previousIndex][0]] = values[previousIndex] ?? null;
+    }
+
+    const value = values[index] ?? null;
+
+    if (direction === 'asc') {
+      subquery[path] = value === null ? {$notEqual: null} : {$greaterThan: value};
+    } else if (value === null) {
+      subquery[path] = {$in: []};
+    } else {
+      subquery.$or = [{[path]: {$lessThan: value}}, {[path]: null}];
+    }
+
+    return subquery;
+  });
+
+  return {$or: subqueries};
+}
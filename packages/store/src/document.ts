@@ -44,10 +44,19 @@ export function buildProjection(attributeSelector: AttributeSelector) {
   return projection;
 }
 
-export function buildDocumentPatch(document: Document) {
+// {__component: 'Movie', id: 'abc123', title: 'Inception', details: {__component: 'Details', duration: 120}}
+// => {$set: {__component: 'Movie', title: 'Inception', 'details.__component': 'Details', 'details.duration': 120}}
+// (when `excludedPaths` is ['id'])
+export function buildDocumentPatch(document: Document, options: {excludedPaths?: Path[]} = {}) {
+  const {excludedPaths = []} = options;
+
   const documentPatch: DocumentPatch = {};
 
   const build = function (document: unknown, path: Path) {
+    if (excludedPaths.includes(path)) {
+      return;
+    }
+
     if (document === undefined) {
       if (documentPatch.$unset === undefined) {
         documentPatch.$unset = {};
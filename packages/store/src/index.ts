@@ -1,5 +1,8 @@
+export * from './aggregation';
+export * from './collection-index';
 export * from './document';
 export * from './expression';
+export * from './migration';
 export * from './operator';
 export * from './path';
 export * from './query';
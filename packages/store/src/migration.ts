@@ -0,0 +1,93 @@
+import {isPlainObject, getTypeOf} from 'core-helpers';
+
+import type {Store} from './store';
+
+/**
+ * @typedef Migration
+ *
+ * A plain object describing a change to apply to the documents of a [`Store`](https://layrjs.com/docs/v1/reference/store) (e.g., renaming an attribute of a [storable component](https://layrjs.com/docs/v1/reference/storable#storable-component-class)).
+ *
+ * The object should have the following shape:
+ *
+ * * `version`: A positive integer specifying the version of the migration. The migrations are applied in ascending order of their versions.
+ * * `description` (optional): A string describing the migration.
+ * * `up`: An asynchronous function receiving the store as parameter and applying the migration.
+ * * `down` (optional): An asynchronous function receiving the store as parameter and reverting the migration.
+ *
+ * Typically, each migration is defined in its own file, and all the migrations are specified when creating the store (see the [`migrate()`](https://layrjs.com/docs/v1/reference/store#migrate-instance-method) method).
+ *
+ * @example
+ * ```
+ * // migrations/0001-rename-movie-name.js
+ *
+ * export default {
+ *   version: 1,
+ *   description: "Rename the 'name' attribute of the movies to 'title'",
+ *
+ *   async up(store) {
+ *     await store.migrateDocuments('Movie', ({name, ...document}) => ({...document, title: name}));
+ *   },
+ *
+ *   async down(store) {
+ *     await store.migrateDocuments('Movie', ({title, ...document}) => ({...document, name: title}));
+ *   }
+ * };
+ * ```
+ */
+export type Migration = {
+  version: number;
+  description?: string;
+  up: (store: Store) => Promise<void>;
+  down?: (store: Store) => Promise<void>;
+};
+
+/**
+ * @typedef MigrationRecord
+ *
+ * A plain object representing a [`Migration`](https://layrjs.com/docs/v1/reference/store#migration-type) that has been applied to a [`Store`](https://layrjs.com/docs/v1/reference/store).
+ *
+ * The object has the following shape:
+ *
+ * * `version`: The version of the migration.
+ * * `description`: The description of the migration (if any).
+ * * `appliedOn`: A `Date` representing the time at which the migration was applied.
+ */
+export type MigrationRecord = {version: number; description?: string; appliedOn: Date};
+
+export function isMigration(value: any): value is Migration {
+  return (
+    isPlainObject(value) &&
+    Number.isInteger(value.version) &&
+    value.version > 0 &&
+    typeof value.up === 'function' &&
+    (value.down === undefined || typeof value.down === 'function')
+  );
+}
+
+export function assertIsMigration(value: any): asserts value is Migration {
+  if (!isMigration(value)) {
+    throw new Error(
+      `Expected a migration (i.e., a plain object with a positive integer 'version' and an 'up()' function), but received a value of type '${getTypeOf(
+        value
+      )}'`
+    );
+  }
+}
+
+export function normalizeMigrations(migrations: Migration[]) {
+  const versions = new Set<number>();
+
+  for (const migration of migrations) {
+    assertIsMigration(migration);
+
+    if (versions.has(migration.version)) {
+      throw new Error(
+        `Cannot specify several migrations with the same version (version: ${migration.version})`
+      );
+    }
+
+    versions.add(migration.version);
+  }
+
+  return [...migrations].sort((a, b) => a.version - b.version);
+}
@@ -16,6 +16,8 @@ const basicOperators = new Set<Operator>([
 
 const stringOperators = new Set<Operator>(['$includes', '$startsWith', '$endsWith', '$matches']);
 
+const textOperators = new Set<Operator>(['$search']);
+
 const arrayOperators = new Set<Operator>(['$some', '$every', '$length']);
 
 const logicalOperators = new Set<Operator>(['$not', '$and', '$or', '$nor']);
@@ -45,6 +47,10 @@ export function normalizeOperatorForValue(
     return normalizeStringOperatorForValue(operator, value, {query});
   }
 
+  if (textOperators.has(operator)) {
+    return normalizeTextOperatorForValue(operator, value, {query});
+  }
+
   if (arrayOperators.has(operator)) {
     return normalizeArrayOperatorForValue(operator, value, {query});
   }
@@ -116,6 +122,22 @@ function normalizeStringOperatorForValue(
   return operator;
 }
 
+function normalizeTextOperatorForValue(
+  operator: Operator,
+  value: unknown,
+  {query}: {query: Query}
+): Operator {
+  if (typeof value !== 'string') {
+    throw new Error(
+      `Expected a string as value of the operator '${operator}', but received a value of type '${getTypeOf(
+        value
+      )}' (query: '${JSON.stringify(query)}')`
+    );
+  }
+
+  return operator;
+}
+
 function normalizeArrayOperatorForValue(
   operator: Operator,
   value: unknown,
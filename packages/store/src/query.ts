@@ -162,6 +162,23 @@ import type {PlainObject} from 'core-helpers';
  * await Movie.find({title: {$matches: /\d/}});
  * ```
  *
+ * #### Full-Text Search Operator
+ *
+ * ##### `$search`
+ *
+ * Use the `$search` operator at the root of a query to select the components that have at least one of the specified words in the attributes included in the text index of the storable component (see the [`@index()`](https://layrjs.com/docs/v1/reference/storable#index-decorator) decorator). The words are matched regardless of their case and diacritics.
+ *
+ * Each selected component gets a relevance score that you can use to sort the results by specifying `{$score: 'desc'}` as the `sort` option. Note that the way the score is computed depends on the store, so you should only rely on the order of the results.
+ *
+ * ```
+ * // Find the movies that have the word 'awesome' or 'movie' in their title or description,
+ * // starting with the most relevant ones
+ * await Movie.find({$search: 'awesome movie'}, {title: true}, {sort: {$score: 'desc'}});
+ *
+ * // Find the Japanese movies that have the word 'samurai' in their title or description
+ * await Movie.find({$search: 'samurai', country: 'Japan'});
+ * ```
+ *
  * #### Array Operators
  *
  * A number of operators are dedicated to array attributes.
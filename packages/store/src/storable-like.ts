@@ -2,6 +2,7 @@ import type {IdentifierDescriptor} from '@layr/component';
 import {getTypeOf} from 'core-helpers';
 
 import type {Store} from './store';
+import type {Index} from './collection-index';
 
 export declare class StorableLike {
   static getComponentName: () => string;
@@ -17,6 +18,8 @@ export declare class StorableLike {
   static hasStore: () => boolean;
 
   static __setStore: (store: Store) => void;
+
+  static getIndexes: () => Index[];
 }
 
 export function isStorableLikeClass(value: any): value is typeof StorableLike {
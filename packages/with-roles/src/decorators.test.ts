@@ -1,7 +1,8 @@
-import {Component} from '@layr/component';
+import {Component, attribute} from '@layr/component';
+import {Storable} from '@layr/storable';
 
 import {WithRoles} from './with-roles';
-import {role} from './decorators';
+import {role, queryFilter, policy} from './decorators';
 import {isRoleInstance} from './role';
 
 describe('Decorators', () => {
@@ -29,5 +30,66 @@ describe('Decorators', () => {
     expect(authorRole.getName()).toBe('author');
     expect(authorRole.getParent()).toBe(Movie.prototype);
     expect(authorRole.getResolver()).toBe(Movie.prototype.authorRoleResolver);
+
+    class Forum extends WithRoles(Component) {
+      @role('admin', {implies: 'moderator'}) static adminRoleResolver() {
+        return true;
+      }
+
+      @role('moderator') static moderatorRoleResolver() {
+        return false;
+      }
+    }
+
+    expect(Forum.getRole('admin').getImpliedRoles()).toEqual(['moderator']);
+    expect(Forum.fork().resolveRole('moderator')).toBe(true);
+  });
+
+  test('@queryFilter()', async () => {
+    class Order extends WithRoles(Storable(Component)) {
+      @role('user') static userRoleResolver() {
+        return true;
+      }
+
+      @queryFilter('user') static userQueryFilter() {
+        return {customerId: 'abc123'};
+      }
+    }
+
+    expect(await Order.restrictQuery({})).toStrictEqual({customerId: 'abc123'});
+
+    expect(() => {
+      class Order extends WithRoles(Storable(Component)) {
+        // @ts-expect-error
+        @queryFilter('user') userQueryFilter() {
+          return {};
+        }
+      }
+
+      return Order;
+    }).toThrow(
+      "@queryFilter() should be used to decorate a component with roles class method (role: 'user')"
+    );
+  });
+
+  test('@policy()', async () => {
+    class Article extends WithRoles(Storable(Component)) {
+      @policy({get: 'author', save: ['author', 'editor']}) @attribute('string') body = '';
+    }
+
+    expect(Article.prototype.getAttributePolicy('body')).toStrictEqual({
+      get: ['author'],
+      save: ['author', 'editor']
+    });
+
+    expect(() => {
+      class Article extends WithRoles(Component) {
+        @policy({get: 'author'}) body = '';
+      }
+
+      return Article;
+    }).toThrow(
+      "@policy() should be used to decorate a component with roles attribute (property: 'body')"
+    );
   });
 });
@@ -1,4 +1,7 @@
-import {ComponentWithRoles} from './with-roles';
+import {isComponentClass} from '@layr/component';
+
+import {ComponentWithRoles, AttributePolicy} from './with-roles';
+import type {RoleOptions} from './role';
 import {isComponentWithRolesClassOrInstance} from './utilities';
 
 /**
@@ -7,13 +10,34 @@ import {isComponentWithRolesClassOrInstance} from './utilities';
  * This decorator should be used to decorate a class or instance method that implements the role's resolver. The method can be asynchronous and should return a boolean indicating whether a user has the corresponding role.
  *
  * @param name The name of the role to define.
+ * @param [options.implies] A string or an array of strings specifying the names of the roles implied by the role (default: `[]`).
+ *
+ * @example
+ * ```
+ * import {Component} from '﹫layr/component';
+ * import {WithRoles, role} from '﹫layr/with-roles';
+ *
+ * class Forum extends WithRoles(Component) {
+ *   // An administrator is a moderator as well
+ *   ﹫role('admin', {implies: 'moderator'}) static adminRoleResolver() {
+ *     return this.getUser()?.isAdmin === true;
+ *   }
+ *
+ *   // A moderator is a user as well
+ *   ﹫role('moderator', {implies: 'user'}) static moderatorRoleResolver() {
+ *     return this.getUser()?.isModerator === true;
+ *   }
  *
- * @examplelink See an example of use in the [`WithRoles()`](https://layrjs.com/docs/v1/reference/with-roles#with-roles-mixin) mixin.
+ *   ﹫role('user') static userRoleResolver() {
+ *     return this.getUser() !== undefined;
+ *   }
+ * }
+ * ```
  *
  * @category Decorators
  * @decorator
  */
-export function role(name: string) {
+export function role(name: string, options: RoleOptions = {}) {
   return function (
     target: typeof ComponentWithRoles | ComponentWithRoles,
     _key: string,
@@ -33,6 +57,111 @@ export function role(name: string) {
       );
     }
 
-    target.setRole(name, resolver);
+    target.setRole(name, resolver, options);
+  };
+}
+
+/**
+ * Defines a query filter for a [role](https://layrjs.com/docs/v1/reference/role) in a [`ComponentWithRoles`](https://layrjs.com/docs/v1/reference/with-roles#component-with-roles-class) class (see the [`setQueryFilter()`](https://layrjs.com/docs/v1/reference/with-roles#set-query-filter-class-method) method).
+ *
+ * This decorator should be used to decorate a class method that implements the query filter. The method can be asynchronous and should return a [`Query`](https://layrjs.com/docs/v1/reference/query) object selecting the components that a user having the role can access.
+ *
+ * @param role The name of a role defined in the component class.
+ *
+ * @example
+ * ```
+ * import {Component, attribute, expose} from '﹫layr/component';
+ * import {Storable} from '﹫layr/storable';
+ * import {WithRoles, role, queryFilter} from '﹫layr/with-roles';
+ *
+ * class Order extends WithRoles(Storable(Component)) {
+ *   ﹫attribute('User') customer;
+ *
+ *   ﹫role('user') static userRoleResolver() {
+ *     return this.getUser() !== undefined;
+ *   }
+ *
+ *   ﹫role('admin') static adminRoleResolver() {
+ *     return this.getUser()?.isAdmin === true;
+ *   }
+ *
+ *   // A user can only find their own orders
+ *   ﹫queryFilter('user') static userQueryFilter() {
+ *     return {customer: this.getUser()};
+ *   }
+ *
+ *   // An administrator can find any order
+ *   ﹫queryFilter('admin') static adminQueryFilter() {
+ *     return {};
+ *   }
+ * }
+ * ```
+ *
+ * @category Decorators
+ * @decorator
+ */
+export function queryFilter(role: string) {
+  return function (
+    target: typeof ComponentWithRoles,
+    _key: string,
+    descriptor: PropertyDescriptor
+  ) {
+    const {value: filter, enumerable} = descriptor;
+
+    if (
+      !(
+        isComponentClass(target) &&
+        isComponentWithRolesClassOrInstance(target) &&
+        typeof filter === 'function' &&
+        enumerable === false
+      )
+    ) {
+      throw new Error(
+        `@queryFilter() should be used to decorate a component with roles class method (role: '${role}')`
+      );
+    }
+
+    target.setQueryFilter(role, filter);
+  };
+}
+
+/**
+ * Defines the policy of an attribute in a [`ComponentWithRoles`](https://layrjs.com/docs/v1/reference/with-roles#component-with-roles-class) class or prototype (see the [`setAttributePolicy()`](https://layrjs.com/docs/v1/reference/with-roles#set-attribute-policy-dual-method) method).
+ *
+ * @param policy An [`AttributePolicy`](https://layrjs.com/docs/v1/reference/with-roles#attribute-policy-type) object.
+ *
+ * @example
+ * ```
+ * import {Component, attribute, expose} from '﹫layr/component';
+ * import {Storable} from '﹫layr/storable';
+ * import {WithRoles, role, policy} from '﹫layr/with-roles';
+ *
+ * class Article extends WithRoles(Storable(Component)) {
+ *   ﹫attribute('User') author;
+ *
+ *   // Only the author of an article can save its body
+ *   ﹫expose({get: true, set: true}) ﹫policy({save: 'author'}) ﹫attribute('string') body;
+ *
+ *   // Only the author of an article can get its notes
+ *   ﹫expose({get: true, set: true}) ﹫policy({get: 'author'}) ﹫attribute('string') notes;
+ *
+ *   ﹫role('author') authorRoleResolver() {
+ *     return this.author === this.constructor.getUser();
+ *   }
+ * }
+ * ```
+ *
+ * @category Decorators
+ * @decorator
+ */
+export function policy(policy: AttributePolicy) {
+  return function (target: typeof ComponentWithRoles | ComponentWithRoles, name: string) {
+    if (!(isComponentWithRolesClassOrInstance(target) && target.hasAttribute(name))) {
+      throw new Error(
+        `@policy() should be used to decorate a component with roles attribute (property: '${name}')`
+      );
+    }
+
+    target.setAttributePolicy(name, policy);
   };
 }
@@ -43,6 +43,72 @@ describe('Role', () => {
     expect(resolver).toHaveBeenCalledTimes(1);
   });
 
+  test('implies()', async () => {
+    class Forum extends WithRoles(Component) {}
+
+    const adminRole = Forum.setRole('admin', () => false, {implies: 'moderator'});
+    const moderatorRole = Forum.setRole('moderator', () => false, {implies: ['user']});
+    const userRole = Forum.setRole('user', () => false);
+    const authorRole = Forum.prototype.setRole('author', () => false, {implies: 'reader'});
+
+    expect(adminRole.getImpliedRoles()).toEqual(['moderator']);
+    expect(userRole.getImpliedRoles()).toEqual([]);
+
+    expect(adminRole.implies('moderator')).toBe(true);
+    expect(adminRole.implies('user')).toBe(true);
+    expect(adminRole.implies('admin')).toBe(false);
+    expect(moderatorRole.implies('user')).toBe(true);
+    expect(moderatorRole.implies('admin')).toBe(false);
+    expect(userRole.implies('moderator')).toBe(false);
+    expect(authorRole.implies('reader')).toBe(true);
+
+    expect(() => new Role('guest', Forum, () => true, {implies: [1 as any]})).toThrow(
+      "Expected a string or an array of strings as 'implies' option, but received a value of type 'Array' (role: 'guest')"
+    );
+  });
+
+  test('Resolving implied roles', async () => {
+    class Forum extends WithRoles(Component) {}
+
+    const adminResolver = jest.fn(async () => true);
+    const moderatorResolver = jest.fn(async () => false);
+    const userResolver = jest.fn(async () => false);
+
+    Forum.setRole('admin', adminResolver, {implies: 'moderator'});
+    Forum.setRole('moderator', moderatorResolver, {implies: 'user'});
+    Forum.setRole('user', userResolver);
+
+    const ForkedForum = Forum.fork();
+
+    // The role is resolved only once, even when it is resolved concurrently
+    expect(
+      await Promise.all([ForkedForum.resolveRole('user'), ForkedForum.resolveRole('user')])
+    ).toEqual([true, true]);
+    expect(userResolver).toHaveBeenCalledTimes(1);
+    expect(adminResolver).toHaveBeenCalledTimes(1);
+    expect(moderatorResolver).toHaveBeenCalledTimes(0); // The 'admin' role is enough
+
+    expect(await ForkedForum.resolveRole('moderator')).toBe(true);
+    expect(await ForkedForum.resolveRole('admin')).toBe(true);
+    expect(moderatorResolver).toHaveBeenCalledTimes(1);
+    expect(adminResolver).toHaveBeenCalledTimes(1);
+
+    // A role is not implied by the roles it implies
+    adminResolver.mockImplementation(async () => false);
+    moderatorResolver.mockImplementation(async () => true);
+
+    const OtherForkedForum = Forum.fork();
+
+    expect(await OtherForkedForum.resolveRole('admin')).toBe(false);
+    expect(await OtherForkedForum.resolveRole('user')).toBe(true);
+
+    // The class roles can imply the instance roles
+    Forum.prototype.setRole('author', async () => false);
+    Forum.setRole('editor', async () => true, {implies: 'author'});
+
+    expect(await Forum.fork().create({}, {initialize: false}).resolveRole('author')).toBe(true);
+  });
+
   test('fork() and isForkOf()', async () => {
     class Movie extends WithRoles(Component) {}
 
@@ -65,5 +131,17 @@ describe('Role', () => {
 
     expect(forkedRole.isForkOf(role)).toBe(true);
     expect(role.isForkOf(forkedRole)).toBe(false);
+
+    // A forked role doesn't inherit the resolved value of the original role
+    let isAllowed = true;
+
+    const cachedRole = new Role('user', Movie, () => isAllowed);
+
+    expect(cachedRole.resolve()).toBe(true);
+
+    isAllowed = false;
+
+    expect(cachedRole.resolve()).toBe(true);
+    expect(cachedRole.fork(ForkedMovie).resolve()).toBe(false);
   });
 });
@@ -1,3 +1,4 @@
+import {isComponentInstance} from '@layr/component';
 import {possiblyAsync} from 'possibly-async';
 import {
   isPrototypeOf,
@@ -13,6 +14,8 @@ import {assertIsComponentWithRolesClassOrInstance} from './utilities';
 
 export type RoleResolver = () => PromiseLikeable<boolean | undefined>;
 
+export type RoleOptions = {implies?: string | string[]};
+
 /**
  * Represents a role in a [`ComponentWithRoles`](https://layrjs.com/docs/v1/reference/with-roles#component-with-roles-class) class or prototype.
  *
@@ -21,6 +24,7 @@ export type RoleResolver = () => PromiseLikeable<boolean | undefined>;
  * - A name.
  * - A parent which should be a [`ComponentWithRoles`](https://layrjs.com/docs/v1/reference/with-roles#component-with-roles-class) class or prototype.
  * - A resolver which should be a function returning a boolean indicating whether a user has the corresponding role.
+ * - Optionally, the names of some roles that are implied by the role (e.g., an `'admin'` role can imply a `'moderator'` role, which can imply a `'user'` role). A user having a role has all the roles it implies (directly or indirectly), so the resolver of an implied role doesn't have to check the roles implying it.
  *
  * #### Usage
  *
@@ -32,6 +36,7 @@ export class Role {
   _name: string;
   _parent: typeof ComponentWithRoles | ComponentWithRoles;
   _resolver: RoleResolver;
+  _impliedRoles: string[];
 
   /**
    * Creates an instance of [`Role`](https://layrjs.com/docs/v1/reference/role).
@@ -41,6 +46,7 @@ export class Role {
    * @param name The name of the role.
    * @param parent The parent of the role which should be a [`ComponentWithRoles`](https://layrjs.com/docs/v1/reference/with-roles#component-with-roles-class) class or prototype.
    * @param resolver A function that should return a boolean indicating whether a user has the corresponding role. The function can be asynchronous and is called with the current class or instance as `this` context.
+   * @param [options.implies] A string or an array of strings specifying the names of the roles implied by the role (default: `[]`).
    *
    * @returns The [`Role`](https://layrjs.com/docs/v1/reference/role) instance that was created.
    *
@@ -48,7 +54,7 @@ export class Role {
    * ```
    * const role = new Role('admin', Article, function () {
    *  // ...
-   * });
+   * }, {implies: 'moderator'});
    * ```
    *
    * @category Creation
@@ -56,15 +62,29 @@ export class Role {
   constructor(
     name: string,
     parent: typeof ComponentWithRoles | ComponentWithRoles,
-    resolver: RoleResolver
+    resolver: RoleResolver,
+    options: RoleOptions = {}
   ) {
     assertIsString(name);
     assertIsComponentWithRolesClassOrInstance(parent);
     assertIsFunction(resolver);
 
+    const {implies = []} = options;
+
+    const impliedRoles = typeof implies === 'string' ? [implies] : implies;
+
+    if (!(Array.isArray(impliedRoles) && impliedRoles.every((role) => typeof role === 'string'))) {
+      throw new Error(
+        `Expected a string or an array of strings as 'implies' option, but received a value of type '${getTypeOf(
+          implies
+        )}' (role: '${name}')`
+      );
+    }
+
     this._name = name;
     this._parent = parent;
     this._resolver = resolver;
+    this._impliedRoles = impliedRoles;
   }
 
   /**
@@ -100,15 +120,73 @@ export class Role {
     return this._resolver;
   }
 
+  /**
+   * Returns the names of the roles that are directly implied by the role.
+   *
+   * @returns An array of strings.
+   *
+   * @category Methods
+   */
+  getImpliedRoles() {
+    return this._impliedRoles;
+  }
+
+  /**
+   * Returns whether the role implies (directly or indirectly) the specified role.
+   *
+   * @param name The name of a role.
+   *
+   * @returns A boolean.
+   *
+   * @example
+   * ```
+   * Forum.setRole('admin', resolver, {implies: 'moderator'});
+   * Forum.setRole('moderator', resolver, {implies: 'user'});
+   *
+   * Forum.getRole('admin').implies('user'); // => true
+   * Forum.getRole('user').implies('admin'); // => false
+   * ```
+   *
+   * @category Methods
+   */
+  implies(name: string) {
+    const visitedRoles = new Set<Role>();
+
+    const implies = (role: Role): boolean => {
+      if (visitedRoles.has(role)) {
+        return false;
+      }
+
+      visitedRoles.add(role);
+
+      for (const impliedRoleName of role._impliedRoles) {
+        if (impliedRoleName === name) {
+          return true;
+        }
+
+        const impliedRole = role._parent.__getRole(impliedRoleName, {fallbackToClass: true});
+
+        if (impliedRole !== undefined && implies(impliedRole)) {
+          return true;
+        }
+      }
+
+      return false;
+    };
+
+    return implies(this);
+  }
+
   _resolvedValue?: boolean | undefined;
   _hasBeenResolved?: boolean;
+  _pendingResolution?: PromiseLike<boolean | undefined>;
 
   /**
-   * Resolves the role by calling its resolver function.
+   * Resolves the role by calling its resolver function. If the resolver function doesn't return `true`, the role is resolved to `true` when one of the roles implying it (directly or indirectly) is resolved to `true`.
    *
    * The resolver function is called with the role's parent as `this` context.
    *
-   * Once a role has been resolved, the result is cached, so the resolver function is called only one time.
+   * Once a role has been resolved, the result is cached, so the resolver function is called only one time. Since the roles are forked with their parent, and a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server) forks the components for each request, the result is cached for the duration of a request.
    *
    * @returns A boolean.
    *
@@ -120,11 +198,69 @@ export class Role {
       return this._resolvedValue;
     }
 
-    return possiblyAsync(this._resolver.call(this._parent), (resolvedValue) => {
-      this._resolvedValue = resolvedValue;
-      this._hasBeenResolved = true;
-      return resolvedValue;
+    if (this._pendingResolution !== undefined) {
+      return this._pendingResolution;
+    }
+
+    const resolution = possiblyAsync(this._resolver.call(this._parent), (resolvedValue) => {
+      if (resolvedValue === true) {
+        return resolvedValue;
+      }
+
+      return possiblyAsync(
+        possiblyAsync.some(this._getImplyingRoles(), (role) =>
+          possiblyAsync(role.resolve(), (resolvedValue) => resolvedValue === true)
+        ),
+        (isImplied) => (isImplied ? true : resolvedValue)
+      );
     });
+
+    if (typeof (resolution as PromiseLike<boolean | undefined>)?.then === 'function') {
+      this._pendingResolution = (resolution as PromiseLike<boolean | undefined>).then(
+        (resolvedValue) => {
+          this._setResolvedValue(resolvedValue);
+          return resolvedValue;
+        },
+        (error) => {
+          this._pendingResolution = undefined;
+          throw error;
+        }
+      );
+
+      return this._pendingResolution;
+    }
+
+    this._setResolvedValue(resolution as boolean | undefined);
+
+    return resolution as boolean | undefined;
+  }
+
+  _setResolvedValue(resolvedValue: boolean | undefined) {
+    this._resolvedValue = resolvedValue;
+    this._hasBeenResolved = true;
+    this._pendingResolution = undefined;
+  }
+
+  _getImplyingRoles() {
+    const name = this._name;
+    const implyingRoles: Role[] = [];
+
+    const collectImplyingRoles = (parent: typeof ComponentWithRoles | ComponentWithRoles) => {
+      for (const role of parent.getRoles()) {
+        if (role !== this && role.implies(name)) {
+          implyingRoles.push(role);
+        }
+      }
+    };
+
+    collectImplyingRoles(this._parent);
+
+    if (isComponentInstance(this._parent)) {
+      // The roles of the class can imply the roles of the instances
+      collectImplyingRoles(this._parent.constructor as typeof ComponentWithRoles);
+    }
+
+    return implyingRoles;
   }
 
   fork(parent: typeof ComponentWithRoles | ComponentWithRoles) {
@@ -132,6 +268,11 @@ export class Role {
 
     forkedRole._parent = parent;
 
+    // A forked role is resolved again (e.g., for each request handled by a component server)
+    forkedRole._resolvedValue = undefined;
+    forkedRole._hasBeenResolved = false;
+    forkedRole._pendingResolution = undefined;
+
     return forkedRole;
   }
 
@@ -146,7 +287,7 @@ export class Role {
   }
 
   [inspect.custom]() {
-    return {name: this._name, resolver: this._resolver};
+    return {name: this._name, resolver: this._resolver, impliedRoles: this._impliedRoles};
   }
 }
 
@@ -1,6 +1,20 @@
-import {Component} from '@layr/component';
+import {
+  Component,
+  provide,
+  primaryIdentifier,
+  attribute,
+  method,
+  expose,
+  ForbiddenError,
+  NotFoundError
+} from '@layr/component';
+import {ComponentServer, getRequestContext} from '@layr/component-server';
+import {Storable} from '@layr/storable';
+import {MemoryStore} from '@layr/memory-store';
+import type {PlainObject} from 'core-helpers';
 
 import {WithRoles} from './with-roles';
+import {role, queryFilter, policy} from './decorators';
 
 describe('WithRoles', () => {
   test('normalizePropertyOperationSetting()', async () => {
@@ -99,6 +113,81 @@ describe('WithRoles', () => {
     expect(Movie.prototype.hasRole('admin')).toBe(false);
   });
 
+  test('Role hierarchies', async () => {
+    class Forum extends WithRoles(Component) {}
+
+    Forum.setRole('admin', () => false, {implies: 'moderator'});
+    Forum.setRole('moderator', () => true, {implies: 'user'});
+    Forum.setRole('user', () => false);
+
+    const ForkedForum = Forum.fork();
+
+    expect(ForkedForum.resolveRole('admin')).toBe(false);
+    expect(ForkedForum.resolveRole('moderator')).toBe(true);
+    expect(ForkedForum.resolveRole('user')).toBe(true);
+
+    expect(() => Forum.setRole('user', () => false, {implies: 'admin'})).toThrow(
+      "A role cannot imply itself, directly or indirectly (component: 'Forum', role: 'user')"
+    );
+    expect(() => Forum.setRole('guest', () => false, {implies: 'guest'})).toThrow(
+      "A role cannot imply itself, directly or indirectly (component: 'Forum', role: 'guest')"
+    );
+
+    // The roles that were set before the errors are kept
+    expect(Forum.getRole('user').getImpliedRoles()).toEqual([]);
+    expect(Forum.hasRole('guest')).toBe(false);
+  });
+
+  test('Permissions', async () => {
+    class Article extends WithRoles(Component) {
+      @expose({call: 'publish'}) @method() publish() {}
+
+      @expose({call: ['publish', 'author']}) @method() unpublish() {}
+    }
+
+    let user: {isEditor?: boolean; isAdmin?: boolean; id?: string} = {};
+
+    Article.setRole('admin', () => user.isAdmin === true, {implies: 'editor'});
+    Article.setRole('editor', () => user.isEditor === true);
+    Article.prototype.setRole('author', () => user.id === 'author');
+    Article.setPermission('publish', ['editor']);
+
+    expect(Article.hasPermission('publish')).toBe(true);
+    expect(Article.prototype.hasPermission('publish')).toBe(false);
+    expect(Article.prototype.hasPermission('publish', {fallbackToClass: true})).toBe(true);
+
+    expect(Article.fork().resolvePermission('publish')).toBe(false);
+
+    const isAllowed = (name: string) =>
+      Article.fork().create({}, {initialize: false}).getMethod(name).operationIsAllowed('call');
+
+    expect(isAllowed('publish')).toBe(false);
+    expect(isAllowed('unpublish')).toBe(false);
+
+    user = {isAdmin: true};
+
+    expect(Article.fork().resolvePermission('publish')).toBe(true);
+    expect(isAllowed('publish')).toBe(true);
+
+    user = {id: 'author'};
+
+    expect(isAllowed('publish')).toBe(false);
+    expect(isAllowed('unpublish')).toBe(true);
+
+    expect(() => Article.resolvePermission('delete')).toThrow(
+      "The permission 'delete' is missing (component: 'Article')"
+    );
+    expect(() => Article.setPermission('admin', 'editor')).toThrow(
+      "Cannot set a permission with the same name as a role (component: 'Article', permission: 'admin')"
+    );
+    expect(() => Article.setRole('publish', () => true)).toThrow(
+      "Cannot set a role with the same name as a permission (component: 'Article', role: 'publish')"
+    );
+    expect(() => Article.setPermission('delete', [])).toThrow(
+      "Expected a string or a non-empty array of strings as the roles of a permission, but received a value of type 'Array' (component: 'Article', permission: 'delete')"
+    );
+  });
+
   test('resolveRole()', async () => {
     class Movie extends WithRoles(Component) {}
 
@@ -124,4 +213,391 @@ describe('WithRoles', () => {
 
     expect(Array.from(Movie.getRoles())).toEqual([anyoneRole, adminRole]);
   });
+
+  test('Resolving roles from a request context', async () => {
+    class Movie extends WithRoles(Component) {
+      @expose({get: 'admin'}) @attribute('string') static secret = 'xyz';
+
+      @role('admin') static adminRoleResolver() {
+        return getRequestContext(this)?.user?.isAdmin === true;
+      }
+    }
+
+    class Backend extends Component {
+      @provide() static Movie = Movie;
+
+      @expose({call: true}) @method() static getSecret() {
+        return this.Movie.resolveRole('admin') ? this.Movie.secret : undefined;
+      }
+    }
+
+    const server = new ComponentServer(Backend, {
+      middleware: [
+        {
+          before(_request, context) {
+            if (context.headers.authorization === 'Bearer admin') {
+              context.user = {isAdmin: true};
+            }
+          }
+        }
+      ]
+    });
+
+    const query = {'<=': {__component: 'typeof Backend'}, 'getSecret=>': {'()': []}};
+
+    expect(
+      await server.receive({query}, {context: {headers: {authorization: 'Bearer admin'}}})
+    ).toStrictEqual({
+      result: 'xyz',
+      components: [{__component: 'typeof Movie', secret: 'xyz'}]
+    });
+
+    expect(await server.receive({query})).toStrictEqual({});
+  });
+
+  test('Query filters', async () => {
+    class Order extends WithRoles(Storable(Component)) {
+      @primaryIdentifier() id!: string;
+
+      @attribute('string') customerId!: string;
+
+      static userId: string | undefined;
+
+      @role('user') static userRoleResolver() {
+        return this.userId !== undefined;
+      }
+
+      @role('admin') static adminRoleResolver() {
+        return this.userId === 'admin';
+      }
+
+      @queryFilter('user') static userQueryFilter() {
+        return {customerId: this.userId};
+      }
+
+      @queryFilter('admin') static adminQueryFilter() {
+        return {};
+      }
+
+      // The query filters are checked even if the hooks don't call the parent methods
+      async beforeSave() {}
+
+      async beforeDelete() {}
+    }
+
+    const store = new MemoryStore({
+      initialCollections: {
+        Order: [
+          {__component: 'Order', id: 'order1', customerId: 'user1'},
+          {__component: 'Order', id: 'order2', customerId: 'user2'},
+          {__component: 'Order', id: 'order3', customerId: 'user1'}
+        ]
+      }
+    });
+
+    store.registerStorable(Order);
+
+    const forkOrder = (userId?: string) => {
+      const ForkedOrder = Order.fork() as typeof Order;
+      ForkedOrder.userId = userId;
+      return ForkedOrder;
+    };
+
+    // A user can only access their own orders
+
+    let ForkedOrder = forkOrder('user1');
+
+    expect(await ForkedOrder.restrictQuery({})).toStrictEqual({customerId: 'user1'});
+    expect(await ForkedOrder.restrictQuery({id: 'order1'})).toStrictEqual({
+      $and: [{id: 'order1'}, {customerId: 'user1'}]
+    });
+
+    let orders = await ForkedOrder.find({}, {});
+
+    expect(orders.map((order) => (order as Order).id)).toEqual(['order1', 'order3']);
+    expect(await ForkedOrder.count()).toBe(2);
+    expect(await ForkedOrder.count({id: 'order2'})).toBe(0);
+
+    const order1 = await ForkedOrder.get('order1');
+
+    await expect(order1.save()).resolves.toBe(order1);
+
+    // The orders of the other users cannot be loaded
+    const order2 = ForkedOrder.create({id: 'order2'}, {isNew: false});
+
+    await expect(order2.load()).rejects.toBeInstanceOf(NotFoundError);
+    await expect(ForkedOrder.get('order2')).rejects.toThrow(
+      "Cannot load a component that is missing from the store (component: 'Order', id: 'order2')"
+    );
+    await expect(ForkedOrder.get({id: 'order2'})).rejects.toBeInstanceOf(NotFoundError);
+    expect(await ForkedOrder.get('order2', {}, {throwIfMissing: false})).toBeUndefined();
+
+    // Even if the order seems to belong to the user, it is checked in the store
+    order2.customerId = 'user1';
+
+    await expect(order2.save()).rejects.toThrow(
+      "Cannot save a component that is not allowed (component: 'Order')"
+    );
+    await expect(order2.delete()).rejects.toBeInstanceOf(ForbiddenError);
+
+    // A subscription doesn't provide the attributes of an order that is no longer accessible
+
+    const changes: any[] = [];
+
+    const subscription = await ForkedOrder.subscribe({}, {customerId: true}, (change) => {
+      changes.push(change);
+    });
+
+    const order3 = await forkOrder('admin').get('order3');
+    order3.customerId = 'user2';
+    await order3.save();
+
+    for (let iteration = 0; iteration < 10 && changes.length === 0; iteration++) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+
+    subscription.unsubscribe();
+
+    expect(changes).toHaveLength(1);
+    expect(changes[0].type).toBe('updated');
+    expect(changes[0].isMatching).toBe(false);
+    expect(changes[0].component.id).toBe('order3');
+    expect(changes[0].component.getAttribute('customerId').isSet()).toBe(false);
+
+    // An administrator can access any order
+
+    ForkedOrder = forkOrder('admin');
+
+    expect(await ForkedOrder.restrictQuery({id: 'order2'})).toStrictEqual({id: 'order2'});
+
+    orders = await ForkedOrder.find({}, {});
+
+    expect(orders.map((order) => (order as Order).id)).toEqual(['order1', 'order2', 'order3']);
+
+    // A guest cannot access any order
+
+    ForkedOrder = forkOrder(undefined);
+
+    await expect(ForkedOrder.find()).rejects.toThrow(
+      "Cannot query components that are not allowed (component: 'Order')"
+    );
+    await expect(ForkedOrder.count()).rejects.toBeInstanceOf(ForbiddenError);
+
+    expect(() => {
+      class Movie extends WithRoles(Component) {}
+
+      Movie.setQueryFilter('user', () => ({}));
+    }).toThrow(
+      "Cannot set a query filter in a component class that is not storable (component: 'Movie')"
+    );
+  });
+
+  test('Query filters combined with a restricted query', async () => {
+    class BaseOrder extends Storable(Component) {
+      @primaryIdentifier() id!: string;
+
+      @attribute('string') customerId!: string;
+
+      @attribute('boolean') isArchived = false;
+
+      static async restrictQuery(query: PlainObject) {
+        query = await super.restrictQuery(query);
+
+        return {$and: [query, {isArchived: false}]};
+      }
+    }
+
+    class Order extends WithRoles(BaseOrder) {
+      static userId: string | undefined;
+
+      @role('user') static userRoleResolver() {
+        return this.userId !== undefined;
+      }
+
+      @queryFilter('user') static userQueryFilter() {
+        return {customerId: this.userId};
+      }
+    }
+
+    const store = new MemoryStore({
+      initialCollections: {
+        Order: [
+          {__component: 'Order', id: 'order1', customerId: 'user1', isArchived: false},
+          {__component: 'Order', id: 'order2', customerId: 'user2', isArchived: false},
+          {__component: 'Order', id: 'order3', customerId: 'user1', isArchived: true},
+          {__component: 'Order', id: 'order4', customerId: 'user1', isArchived: false}
+        ]
+      }
+    });
+
+    store.registerStorable(Order);
+
+    const ForkedOrder = Order.fork() as typeof Order;
+    ForkedOrder.userId = 'user1';
+
+    // Both the base class and the query filters restrict the query
+    expect(await ForkedOrder.restrictQuery({id: 'order1'})).toStrictEqual({
+      $and: [{$and: [{id: 'order1'}, {isArchived: false}]}, {customerId: 'user1'}]
+    });
+
+    const countSpy = jest.spyOn(store, 'count');
+
+    const orders = await ForkedOrder.find({}, {});
+
+    expect(orders.map((order) => (order as Order).id)).toEqual(['order1', 'order4']);
+
+    // The found orders are not checked again one by one while they are loaded
+    expect(countSpy).not.toHaveBeenCalled();
+
+    countSpy.mockRestore();
+
+    expect(await ForkedOrder.count()).toBe(2);
+
+    expect((await ForkedOrder.get('order1')).id).toBe('order1');
+
+    // The orders of the other users cannot be loaded
+    await expect(ForkedOrder.get('order2')).rejects.toBeInstanceOf(NotFoundError);
+
+    // The archived orders cannot be loaded either
+    await expect(ForkedOrder.get('order3')).rejects.toBeInstanceOf(NotFoundError);
+  });
+
+  test('Attribute policies', async () => {
+    class Article extends WithRoles(Storable(Component)) {
+      @expose({get: true, set: true}) @primaryIdentifier() id!: string;
+
+      @expose({get: true, set: true}) @attribute('string') authorId!: string;
+
+      @expose({get: true, set: true})
+      @policy({save: ['author', 'editor']})
+      @attribute('string')
+      body = '';
+
+      @expose({get: true}) @policy({get: 'author'}) @attribute('string') notes = '';
+
+      @role('author') async authorRoleResolver() {
+        await this.load({authorId: true});
+
+        return this.authorId === getRequestContext(this)?.user?.id;
+      }
+
+      @role('editor') editorRoleResolver() {
+        return getRequestContext(this)?.user?.isEditor === true;
+      }
+
+      @expose({call: true}) @method() static async getArticles() {
+        return await this.find();
+      }
+
+      @expose({call: true}) @method() async saveArticle() {
+        await this.save();
+      }
+
+      // The attribute policies are checked even if the hook doesn't call the parent method
+      async beforeSave() {}
+    }
+
+    const store = new MemoryStore({
+      initialCollections: {
+        Article: [
+          {__component: 'Article', id: 'article1', authorId: 'user1', body: 'Hi', notes: 'Draft'},
+          {__component: 'Article', id: 'article2', authorId: 'user2', body: 'Hey', notes: 'Todo'}
+        ]
+      }
+    });
+
+    store.registerStorable(Article);
+
+    expect(Article.prototype.getAttributePolicy('body')).toStrictEqual({
+      save: ['author', 'editor']
+    });
+    expect(Article.prototype.getAttributePolicy('notes')).toStrictEqual({get: ['author']});
+    expect(Article.prototype.getAttributePolicy('authorId')).toBeUndefined();
+
+    const server = new ComponentServer(Article, {
+      middleware: [
+        {
+          before(_request, context) {
+            const [, userId, role] = String(context.headers.authorization ?? '').split(' ');
+
+            context.user = {id: userId, isEditor: role === 'editor'};
+          }
+        }
+      ]
+    });
+
+    // The notes are only returned to the author of each article
+
+    expect(
+      await server.receive(
+        {query: {'<=': {__component: 'typeof Article'}, 'getArticles=>': {'()': []}}},
+        {context: {headers: {authorization: 'Bearer user1'}}}
+      )
+    ).toStrictEqual({
+      result: [
+        {
+          __component: 'Article',
+          __new: false,
+          id: 'article1',
+          authorId: 'user1',
+          body: 'Hi',
+          notes: 'Draft'
+        },
+        {__component: 'Article', __new: false, id: 'article2', authorId: 'user2', body: 'Hey'}
+      ]
+    });
+
+    // The body can only be saved by the author or an editor
+
+    const saveQuery = {
+      '<=': {__component: 'Article', id: 'article2', body: 'Hello'},
+      'saveArticle=>': {'()': []}
+    };
+
+    expect(
+      await server.receive(
+        {query: saveQuery},
+        {context: {headers: {authorization: 'Bearer user1'}}}
+      )
+    ).toStrictEqual({
+      result: {
+        __error:
+          "Cannot save an attribute that is not allowed (component: 'Article', attribute: 'body')",
+        name: 'ForbiddenError',
+        code: 'FORBIDDEN',
+        status: 403,
+        expose: true
+      },
+      components: [{__component: 'Article', id: 'article2', authorId: 'user2'}]
+    });
+
+    expect(
+      await server.receive(
+        {query: saveQuery},
+        {context: {headers: {authorization: 'Bearer user1 editor'}}}
+      )
+    ).toStrictEqual({
+      components: [{__component: 'Article', id: 'article2', authorId: 'user2', body: 'Hello'}]
+    });
+
+    expect(store._collections.Article[1].body).toBe('Hello');
+
+    expect(() => {
+      class Movie extends WithRoles(Component) {
+        @attribute('string') title = '';
+      }
+
+      Movie.prototype.setAttributePolicy('title', {save: 'admin'});
+    }).toThrow(
+      "Cannot set a 'save' attribute policy in a component that is not storable (component: 'Movie', attribute: 'title')"
+    );
+
+    expect(() => Article.prototype.setAttributePolicy('body', {set: 'author'} as any)).toThrow(
+      "The specified attribute policy contains an unsupported operation ('set') (component: 'Article', attribute: 'body')"
+    );
+
+    expect(() => Article.prototype.setAttributePolicy('body', {get: ['']})).toThrow(
+      'The specified attribute policy ({"get":[""]}) is invalid (component: \'Article\', attribute: \'body\')'
+    );
+  });
 });
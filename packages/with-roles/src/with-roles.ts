@@ -2,12 +2,38 @@ import {
   Component,
   isComponentClass,
   isComponentInstance,
-  PropertyOperationSetting
+  isAttributeInstance,
+  Property,
+  PropertyOperation,
+  PropertyOperationSetting,
+  AttributeSelector,
+  ForbiddenError
 } from '@layr/component';
 import {possiblyAsync} from 'possibly-async';
-import {hasOwnProperty, getTypeOf, Constructor, PromiseLikeable} from 'core-helpers';
+import {
+  hasOwnProperty,
+  getTypeOf,
+  Constructor,
+  PromiseLikeable,
+  PlainObject,
+  isPlainObject
+} from 'core-helpers';
+
+import {Role, RoleResolver, RoleOptions} from './role';
 
-import {Role, RoleResolver} from './role';
+export type QueryFilter = () => PromiseLikeable<PlainObject>;
+
+/**
+ * @typedef AttributePolicy
+ *
+ * A plain object specifying the [roles](https://layrjs.com/docs/v1/reference/role) that a user should have to access an attribute of a [`ComponentWithRoles`](https://layrjs.com/docs/v1/reference/with-roles#component-with-roles-class). The object can have the following properties:
+ *
+ * * `get`: A string or an array of strings specifying the roles (or [permissions](https://layrjs.com/docs/v1/reference/with-roles#set-permission-dual-method)) allowing to get the value of the attribute when a component is returned by a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server). The roles are resolved for each returned component, and the attribute is omitted when the user has none of them.
+ * * `save`: A string or an array of strings specifying the roles (or permissions) allowing to save the value of the attribute with the [`save()`](https://layrjs.com/docs/v1/reference/storable#save-instance-method) method of a storable component. If the user has none of them, a [`ForbiddenError`](https://layrjs.com/docs/v1/reference/layr-error) is thrown.
+ */
+export type AttributePolicy = {get?: string | string[]; save?: string | string[]};
+
+type NormalizedAttributePolicy = {get?: string[]; save?: string[]};
 
 /**
  * Extends a [`Component`](https://layrjs.com/docs/v1/reference/component) class with the ability to handle [roles](https://layrjs.com/docs/v1/reference/role).
@@ -110,17 +136,33 @@ export function WithRoles<T extends Constructor<typeof Component>>(Base: T) {
     }
 
     resolvePropertyOperationSetting(
-      setting: PropertyOperationSetting
+      setting: PropertyOperationSetting,
+      options: {property?: Property; operation?: PropertyOperation} = {}
     ): PromiseLikeable<boolean | undefined> {
-      const resolvedSetting = super.resolvePropertyOperationSetting(setting);
+      const {property, operation} = options;
 
-      if (resolvedSetting !== undefined) {
+      let resolvedSetting = super.resolvePropertyOperationSetting(setting, options);
+
+      if (resolvedSetting === undefined) {
+        // The setting can contain some role names and some permission names
+        const roles = setting as string[];
+
+        resolvedSetting = possiblyAsync.some(roles, (role) =>
+          possiblyAsync(this.__resolveRoleOrPermission(role), (isAllowed) => isAllowed === true)
+        );
+      }
+
+      if (!(operation === 'get' && isAttributeInstance(property))) {
         return resolvedSetting;
       }
 
-      const roles = setting as string[];
+      return possiblyAsync(resolvedSetting, (resolvedSetting) => {
+        if (resolvedSetting !== true) {
+          return resolvedSetting;
+        }
 
-      return possiblyAsync.some(roles, (role) => this.resolveRole(role));
+        return this.__attributePolicyIsSatisfied(property.getName(), 'get');
+      });
     }
 
     // === Roles ===
@@ -259,6 +301,7 @@ export function WithRoles<T extends Constructor<typeof Component>>(Base: T) {
      *
      * @param name The name of the role.
      * @param resolver A function that should return a boolean indicating whether a user has the corresponding role. The function can be asynchronous and is called with the role's parent as `this` context.
+     * @param [options.implies] A string or an array of strings specifying the names of the roles implied by the role (default: `[]`). A role cannot imply itself, directly or indirectly.
      *
      * @returns The [Role](https://layrjs.com/docs/v1/reference/role) instance that was created.
      *
@@ -266,7 +309,7 @@ export function WithRoles<T extends Constructor<typeof Component>>(Base: T) {
      * ```
      * Article.setRole('admin', function () {
      *  // ...
-     * });
+     * }, {implies: 'moderator'});
      * ```
      *
      * @category Roles
@@ -282,6 +325,7 @@ export function WithRoles<T extends Constructor<typeof Component>>(Base: T) {
      *
      * @param name The name of the role.
      * @param resolver A function that should return a boolean indicating whether a user has the corresponding role. The function can be asynchronous and is called with the role's parent as `this` context.
+     * @param [options.implies] A string or an array of strings specifying the names of the roles implied by the role (default: `[]`). A role cannot imply itself, directly or indirectly.
      *
      * @returns The [Role](https://layrjs.com/docs/v1/reference/role) instance that was created.
      *
@@ -289,27 +333,47 @@ export function WithRoles<T extends Constructor<typeof Component>>(Base: T) {
      * ```
      * Article.setRole('admin', function () {
      *  // ...
-     * });
+     * }, {implies: 'moderator'});
      * ```
      *
      * @category Roles
      */
-    setRole(name: string, resolver: RoleResolver): Role {
+    setRole(name: string, resolver: RoleResolver, options: RoleOptions = {}): Role {
+      if (this.__getPermission(name, {fallbackToClass: false}) !== undefined) {
+        throw new Error(
+          `Cannot set a role with the same name as a permission (${this.describeComponent()}, role: '${name}')`
+        );
+      }
+
       const roles = this.__getRoles();
 
-      const role = new Role(name, this, resolver);
+      const role = new Role(name, this, resolver, options);
+
+      const previousRole = hasOwnProperty(roles, name) ? roles[name] : undefined;
 
       roles[name] = role;
 
+      if (role.implies(name)) {
+        if (previousRole !== undefined) {
+          roles[name] = previousRole;
+        } else {
+          delete roles[name];
+        }
+
+        throw new Error(
+          `A role cannot imply itself, directly or indirectly (${this.describeComponent()}, role: '${name}')`
+        );
+      }
+
       return role;
     }
 
     /**
      * Resolves a role by calling its resolver function. If there is no role with the specified name in the [`ComponentWithRoles`](https://layrjs.com/docs/v1/reference/with-roles#component-with-roles-class) class or prototype, an error is thrown.
      *
-     * The resolver function is called with the role's parent as `this` context.
+     * The resolver function is called with the role's parent as `this` context. If it doesn't return `true`, the roles implying the role are resolved as well (see [`Role`](https://layrjs.com/docs/v1/reference/role)).
      *
-     * Once a role has been resolved, the result is cached, so the resolver function is called only one time.
+     * Once a role has been resolved, the result is cached for the current fork of the component (i.e., for the current request when the component is served by a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server)), so the resolver function is called only one time.
      *
      * @param name The name of the role to resolve.
      *
@@ -330,9 +394,9 @@ export function WithRoles<T extends Constructor<typeof Component>>(Base: T) {
     /**
      * Resolves a role by calling its resolver function. If there is no role with the specified name in the [`ComponentWithRoles`](https://layrjs.com/docs/v1/reference/with-roles#component-with-roles-class) class or prototype, an error is thrown.
      *
-     * The resolver function is called with the role's parent as `this` context.
+     * The resolver function is called with the role's parent as `this` context. If it doesn't return `true`, the roles implying the role are resolved as well (see [`Role`](https://layrjs.com/docs/v1/reference/role)).
      *
-     * Once a role has been resolved, the result is cached, so the resolver function is called only one time.
+     * Once a role has been resolved, the result is cached for the current fork of the component (i.e., for the current request when the component is served by a [`ComponentServer`](https://layrjs.com/docs/v1/reference/component-server)), so the resolver function is called only one time.
      *
      * @param name The name of the role to resolve.
      *
@@ -366,6 +430,522 @@ export function WithRoles<T extends Constructor<typeof Component>>(Base: T) {
       };
     }
 
+    // === Permissions ===
+
+    /**
+     * Sets a permission in the current [`ComponentWithRoles`](https://layrjs.com/docs/v1/reference/with-roles#component-with-roles-class) class or prototype.
+     *
+     * A permission is a name given to a set of roles, so that the rules authorizing some operations can be expressed in terms of what a user can do rather than in terms of who the user is. A permission can be specified wherever a role name is accepted in the [`@expose()`](https://layrjs.com/docs/v1/reference/component#expose-decorator) decorator and in the [attribute policies](https://layrjs.com/docs/v1/reference/with-roles#attribute-policy-type).
+     *
+     * @param name The name of the permission. It cannot be the name of a role.
+     * @param roles A string or an array of strings specifying the names of the roles granting the permission.
+     *
+     * @example
+     * ```
+     * Article.setPermission('publish', ['editor', 'admin']);
+     *
+     * class Article extends WithRoles(Component) {
+     *   ﹫expose({call: 'publish'}) ﹫method() publish() {
+     *     // ...
+     *   }
+     * }
+     * ```
+     *
+     * @category Permissions
+     */
+    static get setPermission() {
+      return this.prototype.setPermission;
+    }
+
+    /**
+     * Sets a permission in the current [`ComponentWithRoles`](https://layrjs.com/docs/v1/reference/with-roles#component-with-roles-class) class or prototype.
+     *
+     * A permission is a name given to a set of roles, so that the rules authorizing some operations can be expressed in terms of what a user can do rather than in terms of who the user is. A permission can be specified wherever a role name is accepted in the [`@expose()`](https://layrjs.com/docs/v1/reference/component#expose-decorator) decorator and in the [attribute policies](https://layrjs.com/docs/v1/reference/with-roles#attribute-policy-type).
+     *
+     * @param name The name of the permission. It cannot be the name of a role.
+     * @param roles A string or an array of strings specifying the names of the roles granting the permission.
+     *
+     * @example
+     * ```
+     * Article.setPermission('publish', ['editor', 'admin']);
+     *
+     * class Article extends WithRoles(Component) {
+     *   ﹫expose({call: 'publish'}) ﹫method() publish() {
+     *     // ...
+     *   }
+     * }
+     * ```
+     *
+     * @category Permissions
+     */
+    setPermission(name: string, roles: string | string[]) {
+      if (this.__getRole(name, {fallbackToClass: false}) !== undefined) {
+        throw new Error(
+          `Cannot set a permission with the same name as a role (${this.describeComponent()}, permission: '${name}')`
+        );
+      }
+
+      const normalizedRoles = typeof roles === 'string' ? [roles] : roles;
+
+      if (
+        !(
+          Array.isArray(normalizedRoles) &&
+          normalizedRoles.length > 0 &&
+          normalizedRoles.every((role) => typeof role === 'string' && role !== '')
+        )
+      ) {
+        throw new Error(
+          `Expected a string or a non-empty array of strings as the roles of a permission, but received a value of type '${getTypeOf(
+            roles
+          )}' (${this.describeComponent()}, permission: '${name}')`
+        );
+      }
+
+      this.__getPermissions()[name] = normalizedRoles;
+    }
+
+    /**
+     * Returns whether the [`ComponentWithRoles`](https://layrjs.com/docs/v1/reference/with-roles#component-with-roles-class) has a permission with the specified name.
+     *
+     * @param name The name of the permission to check.
+     * @param [options.fallbackToClass] A boolean specifying whether the component class should be considered if there is no permission with the specified name in the component prototype or instance (default: `false`).
+     *
+     * @returns A boolean.
+     *
+     * @example
+     * ```
+     * Article.hasPermission('publish'); // => true
+     * ```
+     *
+     * @category Permissions
+     */
+    static get hasPermission() {
+      return this.prototype.hasPermission;
+    }
+
+    /**
+     * Returns whether the [`ComponentWithRoles`](https://layrjs.com/docs/v1/reference/with-roles#component-with-roles-class) has a permission with the specified name.
+     *
+     * @param name The name of the permission to check.
+     * @param [options.fallbackToClass] A boolean specifying whether the component class should be considered if there is no permission with the specified name in the component prototype or instance (default: `false`).
+     *
+     * @returns A boolean.
+     *
+     * @example
+     * ```
+     * Article.hasPermission('publish'); // => true
+     * ```
+     *
+     * @category Permissions
+     */
+    hasPermission(name: string, options: {fallbackToClass?: boolean} = {}) {
+      const {fallbackToClass = false} = options;
+
+      return this.__getPermission(name, {fallbackToClass}) !== undefined;
+    }
+
+    /**
+     * Resolves a permission by resolving the roles granting it. If there is no permission with the specified name in the [`ComponentWithRoles`](https://layrjs.com/docs/v1/reference/with-roles#component-with-roles-class) class or prototype, an error is thrown.
+     *
+     * @param name The name of the permission to resolve.
+     *
+     * @returns A boolean.
+     *
+     * @example
+     * ```
+     * Article.resolvePermission('publish'); // `true` if the user is an editor or an administrator
+     * ```
+     *
+     * @category Permissions
+     * @possiblyasync
+     */
+    static get resolvePermission() {
+      return this.prototype.resolvePermission;
+    }
+
+    /**
+     * Resolves a permission by resolving the roles granting it. If there is no permission with the specified name in the [`ComponentWithRoles`](https://layrjs.com/docs/v1/reference/with-roles#component-with-roles-class) class or prototype, an error is thrown.
+     *
+     * @param name The name of the permission to resolve.
+     *
+     * @returns A boolean.
+     *
+     * @example
+     * ```
+     * Article.resolvePermission('publish'); // `true` if the user is an editor or an administrator
+     * ```
+     *
+     * @category Permissions
+     * @possiblyasync
+     */
+    resolvePermission(name: string): PromiseLikeable<boolean> {
+      const roles = this.__getPermission(name, {fallbackToClass: true});
+
+      if (roles === undefined) {
+        throw new Error(`The permission '${name}' is missing (${this.describeComponent()})`);
+      }
+
+      return possiblyAsync.some(roles, (role) =>
+        possiblyAsync(this.resolveRole(role), (hasRole) => hasRole === true)
+      );
+    }
+
+    static get __resolveRoleOrPermission() {
+      return this.prototype.__resolveRoleOrPermission;
+    }
+
+    __resolveRoleOrPermission(name: string) {
+      if (this.hasPermission(name, {fallbackToClass: true})) {
+        return this.resolvePermission(name);
+      }
+
+      return this.resolveRole(name);
+    }
+
+    static get __getPermission() {
+      return this.prototype.__getPermission;
+    }
+
+    __getPermission(
+      name: string,
+      {fallbackToClass}: {fallbackToClass: boolean}
+    ): string[] | undefined {
+      const permissions = this.__permissions;
+
+      if (permissions !== undefined && permissions[name] !== undefined) {
+        return permissions[name];
+      }
+
+      if (isComponentInstance(this) && fallbackToClass) {
+        return this.__getPermission.call(this.constructor, name, {fallbackToClass});
+      }
+
+      return undefined;
+    }
+
+    static __permissions: {[name: string]: string[]} | undefined;
+
+    __permissions: {[name: string]: string[]} | undefined;
+
+    static get __getPermissions() {
+      return this.prototype.__getPermissions;
+    }
+
+    __getPermissions() {
+      if (this.__permissions === undefined) {
+        this.__permissions = Object.create(null);
+      } else if (!hasOwnProperty(this, '__permissions')) {
+        this.__permissions = Object.create(this.__permissions);
+      }
+
+      return this.__permissions!;
+    }
+
+    // === Policies ===
+
+    /**
+     * Sets a query filter for a role in the current [`ComponentWithRoles`](https://layrjs.com/docs/v1/reference/with-roles#component-with-roles-class) class. This method can only be used when the `WithRoles()` mixin is applied on a storable component class (e.g., `WithRoles(Storable(Component))`).
+     *
+     * Once a component class has some query filters, the query of the [`find()`](https://layrjs.com/docs/v1/reference/storable#find-class-method), [`findPage()`](https://layrjs.com/docs/v1/reference/storable#find-page-class-method), [`count()`](https://layrjs.com/docs/v1/reference/storable#count-class-method), [`aggregate()`](https://layrjs.com/docs/v1/reference/storable#aggregate-class-method), and [`subscribe()`](https://layrjs.com/docs/v1/reference/storable#subscribe-class-method) methods is restricted to the components matching the filters of the roles that the user has (see [`restrictQuery()`](https://layrjs.com/docs/v1/reference/with-roles#restrict-query-class-method)). Also, an existing component can only be loaded, saved, deleted, or restored if it matches these filters in the store.
+     *
+     * Typically, instead of using this method, you would rather use the [`@queryFilter()`](https://layrjs.com/docs/v1/reference/with-roles#query-filter-decorator) decorator.
+     *
+     * @param role The name of a role defined in the component class.
+     * @param filter A function that should return a [`Query`](https://layrjs.com/docs/v1/reference/query) object selecting the components that a user having the role can access (an empty object means that any component can be accessed). The function can be asynchronous and is called with the component class as `this` context.
+     *
+     * @example
+     * ```
+     * Order.setQueryFilter('admin', function () {
+     *   return {}; // An administrator can access all the orders
+     * });
+     *
+     * Order.setQueryFilter('user', function () {
+     *   return {customer: this.getUser()}; // A user can only access their own orders
+     * });
+     * ```
+     *
+     * @category Policies
+     */
+    static setQueryFilter(role: string, filter: QueryFilter) {
+      if (typeof (Base as any).isStorable !== 'function') {
+        throw new Error(
+          `Cannot set a query filter in a component class that is not storable (${this.describeComponent()}). Note that the WithRoles() mixin should be applied after the Storable() mixin (e.g., WithRoles(Storable(Component))).`
+        );
+      }
+
+      if (typeof filter !== 'function') {
+        throw new Error(
+          `Expected a function as query filter, but received a value of type '${getTypeOf(
+            filter
+          )}' (${this.describeComponent()}, role: '${role}')`
+        );
+      }
+
+      this.__getQueryFilters()[role] = filter;
+    }
+
+    /**
+     * Restricts a query according to the query filters of the current [`ComponentWithRoles`](https://layrjs.com/docs/v1/reference/with-roles#component-with-roles-class) class (see [`setQueryFilter()`](https://layrjs.com/docs/v1/reference/with-roles#set-query-filter-class-method)).
+     *
+     * The specified query is first restricted by the `restrictQuery()` method of the base class (see [`Storable.restrictQuery()`](https://layrjs.com/docs/v1/reference/storable#restrict-query-class-method)). Then, the roles associated with a query filter are resolved, and the resulting query is combined with the filters of the roles that the user has. If the user has none of these roles, a [`ForbiddenError`](https://layrjs.com/docs/v1/reference/layr-error) is thrown.
+     *
+     * This method is automatically called by the storable component methods that select some components in a store, so you typically don't have to call it yourself.
+     *
+     * @param query A [`Query`](https://layrjs.com/docs/v1/reference/query) object.
+     *
+     * @returns A [`Query`](https://layrjs.com/docs/v1/reference/query) object.
+     *
+     * @example
+     * ```
+     * // When the user has the 'user' role but not the 'admin' role
+     * await Order.restrictQuery({status: 'shipped'});
+     * // => {$and: [{status: 'shipped'}, {customer: {id: 'abc123'}}]}
+     * ```
+     *
+     * @category Policies
+     * @possiblyasync
+     */
+    static restrictQuery(query: PlainObject): PromiseLikeable<PlainObject> {
+      // `Base` is not necessarily a storable component class, so `super` cannot be used
+      const baseRestrictQuery = (Base as any).restrictQuery;
+
+      return possiblyAsync(
+        baseRestrictQuery !== undefined ? baseRestrictQuery.call(this, query) : query,
+        (query: PlainObject) => this.__restrictQueryWithQueryFilters(query)
+      );
+    }
+
+    static __restrictQueryWithQueryFilters(query: PlainObject): PromiseLikeable<PlainObject> {
+      const queryFilters = this.__getQueryFilters();
+
+      const roles: string[] = [];
+
+      for (const role in queryFilters) {
+        roles.push(role);
+      }
+
+      if (roles.length === 0) {
+        return query;
+      }
+
+      return possiblyAsync(
+        possiblyAsync.map(roles, (role) =>
+          possiblyAsync(this.resolveRole(role), (hasRole) =>
+            hasRole ? queryFilters[role].call(this) : undefined
+          )
+        ),
+        (filters) => {
+          const allowedFilters = filters.filter((filter) => filter !== undefined) as PlainObject[];
+
+          if (allowedFilters.length === 0) {
+            throw new ForbiddenError(
+              `Cannot query components that are not allowed (${this.describeComponent()})`
+            );
+          }
+
+          for (const filter of allowedFilters) {
+            if (!isPlainObject(filter)) {
+              throw new Error(
+                `Expected a query filter to return a plain object, but received a value of type '${getTypeOf(
+                  filter
+                )}' (${this.describeComponent()})`
+              );
+            }
+
+            if (Object.keys(filter).length === 0) {
+              return query; // The user can access any component
+            }
+          }
+
+          const filter = allowedFilters.length === 1 ? allowedFilters[0] : {$or: allowedFilters};
+
+          return Object.keys(query).length === 0 ? filter : {$and: [query, filter]};
+        }
+      );
+    }
+
+    static __queryFilters: {[role: string]: QueryFilter};
+
+    static __getQueryFilters() {
+      if (this.__queryFilters === undefined) {
+        this.__queryFilters = Object.create(null);
+      } else if (!hasOwnProperty(this, '__queryFilters')) {
+        this.__queryFilters = Object.create(this.__queryFilters);
+      }
+
+      return this.__queryFilters;
+    }
+
+    /**
+     * Gets the policy of an attribute of the current [`ComponentWithRoles`](https://layrjs.com/docs/v1/reference/with-roles#component-with-roles-class) class or instance.
+     *
+     * @param name The name of the attribute.
+     *
+     * @returns An [`AttributePolicy`](https://layrjs.com/docs/v1/reference/with-roles#attribute-policy-type) object (or `undefined` if the attribute doesn't have a policy).
+     *
+     * @example
+     * ```
+     * Article.prototype.getAttributePolicy('body'); // => {save: ['author']}
+     * ```
+     *
+     * @category Policies
+     */
+    static get getAttributePolicy() {
+      return this.prototype.getAttributePolicy;
+    }
+
+    /**
+     * Gets the policy of an attribute of the current [`ComponentWithRoles`](https://layrjs.com/docs/v1/reference/with-roles#component-with-roles-class) class or instance.
+     *
+     * @param name The name of the attribute.
+     *
+     * @returns An [`AttributePolicy`](https://layrjs.com/docs/v1/reference/with-roles#attribute-policy-type) object (or `undefined` if the attribute doesn't have a policy).
+     *
+     * @example
+     * ```
+     * Article.prototype.getAttributePolicy('body'); // => {save: ['author']}
+     * ```
+     *
+     * @category Policies
+     */
+    getAttributePolicy(name: string): NormalizedAttributePolicy | undefined {
+      return this.__attributePolicies?.[name];
+    }
+
+    /**
+     * Sets the policy of an attribute of the current [`ComponentWithRoles`](https://layrjs.com/docs/v1/reference/with-roles#component-with-roles-class) class or prototype.
+     *
+     * The roles specified in a policy are resolved in the context of the component owning the attribute, so you can use some roles defined in the component prototype (e.g., an `'author'` role checking the author of an article) to authorize the access to an attribute on a per-instance basis.
+     *
+     * Typically, instead of using this method, you would rather use the [`@policy()`](https://layrjs.com/docs/v1/reference/with-roles#policy-decorator) decorator.
+     *
+     * @param name The name of the attribute.
+     * @param policy An [`AttributePolicy`](https://layrjs.com/docs/v1/reference/with-roles#attribute-policy-type) object.
+     *
+     * @example
+     * ```
+     * // Only the author of an article can save its body
+     * Article.prototype.setAttributePolicy('body', {save: 'author'});
+     * ```
+     *
+     * @category Policies
+     */
+    static get setAttributePolicy() {
+      return this.prototype.setAttributePolicy;
+    }
+
+    /**
+     * Sets the policy of an attribute of the current [`ComponentWithRoles`](https://layrjs.com/docs/v1/reference/with-roles#component-with-roles-class) class or prototype.
+     *
+     * The roles specified in a policy are resolved in the context of the component owning the attribute, so you can use some roles defined in the component prototype (e.g., an `'author'` role checking the author of an article) to authorize the access to an attribute on a per-instance basis.
+     *
+     * Typically, instead of using this method, you would rather use the [`@policy()`](https://layrjs.com/docs/v1/reference/with-roles#policy-decorator) decorator.
+     *
+     * @param name The name of the attribute.
+     * @param policy An [`AttributePolicy`](https://layrjs.com/docs/v1/reference/with-roles#attribute-policy-type) object.
+     *
+     * @example
+     * ```
+     * // Only the author of an article can save its body
+     * Article.prototype.setAttributePolicy('body', {save: 'author'});
+     * ```
+     *
+     * @category Policies
+     */
+    setAttributePolicy(name: string, policy: AttributePolicy) {
+      this.getAttribute(name); // Make sure the attribute exists
+
+      if (!isPlainObject(policy)) {
+        throw new Error(
+          `Expected a plain object as attribute policy, but received a value of type '${getTypeOf(
+            policy
+          )}' (${this.describeComponent()}, attribute: '${name}')`
+        );
+      }
+
+      const normalizedPolicy: NormalizedAttributePolicy = {};
+
+      for (const [operation, roles] of Object.entries(policy)) {
+        if (!(operation === 'get' || operation === 'save')) {
+          throw new Error(
+            `The specified attribute policy contains an unsupported operation ('${operation}') (${this.describeComponent()}, attribute: '${name}')`
+          );
+        }
+
+        if (operation === 'save' && typeof (Base as any).isStorable !== 'function') {
+          throw new Error(
+            `Cannot set a 'save' attribute policy in a component that is not storable (${this.describeComponent()}, attribute: '${name}'). Note that the WithRoles() mixin should be applied after the Storable() mixin (e.g., WithRoles(Storable(Component))).`
+          );
+        }
+
+        const normalizedRoles = typeof roles === 'string' ? [roles] : roles;
+
+        if (
+          !(
+            Array.isArray(normalizedRoles) &&
+            normalizedRoles.every((role) => typeof role === 'string' && role !== '')
+          )
+        ) {
+          throw new Error(
+            `The specified attribute policy (${JSON.stringify(
+              policy
+            )}) is invalid (${this.describeComponent()}, attribute: '${name}')`
+          );
+        }
+
+        normalizedPolicy[operation] = normalizedRoles;
+      }
+
+      this.__getAttributePolicies()[name] = normalizedPolicy;
+    }
+
+    static __attributePolicies: {[name: string]: NormalizedAttributePolicy} | undefined;
+
+    __attributePolicies: {[name: string]: NormalizedAttributePolicy} | undefined;
+
+    static get __getAttributePolicies() {
+      return this.prototype.__getAttributePolicies;
+    }
+
+    __getAttributePolicies() {
+      if (this.__attributePolicies === undefined) {
+        this.__attributePolicies = Object.create(null);
+      } else if (!hasOwnProperty(this, '__attributePolicies')) {
+        this.__attributePolicies = Object.create(this.__attributePolicies);
+      }
+
+      return this.__attributePolicies!;
+    }
+
+    static get __attributePolicyIsSatisfied() {
+      return this.prototype.__attributePolicyIsSatisfied;
+    }
+
+    __attributePolicyIsSatisfied(name: string, operation: 'get' | 'save') {
+      const roles = this.getAttributePolicy(name)?.[operation];
+
+      if (roles === undefined) {
+        return true;
+      }
+
+      return possiblyAsync.some(roles, (role) =>
+        possiblyAsync(this.__resolveRoleOrPermission(role), (isAllowed) => isAllowed === true)
+      );
+    }
+
+    async __authorizeSave(attributeSelector: AttributeSelector) {
+      // `Base` is not necessarily a storable component class, so `super` cannot be used
+      await (Base.prototype as any).__authorizeSave?.call(this, attributeSelector);
+
+      for (const name of Object.keys(attributeSelector)) {
+        if (!(await this.__attributePolicyIsSatisfied(name, 'save'))) {
+          throw new ForbiddenError(
+            `Cannot save an attribute that is not allowed (${this.describeComponent()}, attribute: '${name}')`
+          );
+        }
+      }
+    }
+
     static __roles: {[name: string]: Role};
 
     static get __getRoles() {